@@ -0,0 +1,142 @@
+/**
+ * BW-Writer Settings
+ * ------------------
+ * Project defaults live in bw-writer.config.(js|json|yaml), found from the working directory
+ * up (or named by --config / BW_CONFIG). Every source is validated against the same schema,
+ * then merged with this precedence:
+ *
+ *   CLI options / articleWriter params > env vars > config file > defaults
+ *
+ * Example bw-writer.config.yaml:
+ *
+ *   models: { default: gpt4o, research: ppxsonarlarge }
+ *   authors:
+ *     chad: { name: Chad Jones, bio: Writes about energy, link: https://blogworks.ai }
+ *   author: chad
+ *   style: conversational, practical
+ *   targetLen: 1800
+ *   outputDir: articles
+ *   media: { storage: local, dir: articles/media }
+ *   seo: { targetScore: 80, domain: https://blogworks.ai }
+ *   sessions: { store: sqlite, file: .bw-writer/sessions.db }
+ *
+ * Text in the user prompt (author, style, length) still wins over these defaults.
+ * API keys stay in env vars and never go in the config file.
+ */
+import { z } from 'zod';
+import { findConfigFile, readConfigFile, validateConfigLayer, mergeConfigLayers, configError } from '../framework/project-config.js';
+import { routeSchema, routesFromEnv, mergeRouteLayers } from '../framework/model-routing.js';
+import { PIPELINE_STEPS } from './models.js';
+
+export const CONFIG_NAME = 'bw-writer';
+
+const authorSchema = z.object({
+  name: z.string(),
+  bio: z.string().optional(),
+  link: z.string().optional(),
+  imgUrl: z.string().optional()
+}).strict();
+
+// Every field is optional so each source can set only what it needs; unknown keys are typos
+export const configSchema = z.object({
+  debug: z.boolean(),
+  mock: z.boolean(),
+  // Model per pipeline step (see models.js): { default: 'gpt4o', draft: ['claude3opus', 'gpt4o'] }
+  models: z.record(z.enum(['default', ...PIPELINE_STEPS]), routeSchema),
+  // Author profiles by key, and the default author: a profile key or an inline author
+  authors: z.record(authorSchema),
+  author: z.union([z.string(), authorSchema]),
+  style: z.string(),
+  targetLen: z.number().int().positive(),
+  // Where the CLI saves finished articles (unset: print only)
+  outputDir: z.string(),
+  // Where restyled images go: an S3 bucket, or a local directory
+  media: z.object({
+    storage: z.enum(['s3', 'local']),
+    bucket: z.string(),
+    region: z.string(),
+    dir: z.string()
+  }).partial().strict(),
+  seo: z.object({
+    enabled: z.boolean(),
+    targetScore: z.number().min(0).max(100),
+    maxIterations: z.number().int().min(0),
+    domain: z.string().url()
+  }).partial().strict(),
+  // Where runs and their step inputs/outputs are kept (see framework/session-store.js); ttl in ms
+  sessions: z.object({
+    store: z.enum(['memory', 'json', 'sqlite']),
+    dir: z.string(),
+    file: z.string(),
+    ttl: z.number().int().min(0)
+  }).partial().strict()
+}).partial().strict();
+
+export const DEFAULT_CONFIG = {
+  debug: false,
+  mock: false,
+  models: {},
+  authors: {},
+  style: 'informative',
+  targetLen: 1500,
+  media: { storage: 's3', dir: 'media' },
+  seo: { enabled: true },
+  sessions: { store: 'json' }
+};
+
+const flag = value => value === undefined ? undefined : value === '1' || value === 'true';
+
+/**
+ * Settings from environment variables
+ * @param {Object} env - Environment (usually process.env)
+ * @returns {Object} Settings layer
+ */
+export function configFromEnv(env = {}) {
+  return {
+    debug: flag(env.DEBUG ?? env.DEBUG_LOGS),
+    mock: flag(env.MOCK ?? env.MOCK_MODE),
+    models: routesFromEnv(env, PIPELINE_STEPS),
+    outputDir: env.BW_OUTPUT_DIR || undefined,
+    media: { bucket: env.AWS_BUCKET_NAME || undefined, region: env.AWS_BUCKET_REGION || undefined }
+  };
+}
+
+/**
+ * Load the settings for a run
+ * @param {Object} options - Where to look
+ * @param {Object} options.cli - Settings from CLI options or API params (highest precedence)
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.cwd - Directory the config file is looked up from
+ * @param {string} options.file - Explicit config file (defaults to env.BW_CONFIG, else discovery)
+ * @returns {Promise<Object>} Merged settings, with the file used in configFile (null if none)
+ * @throws {Error} ConfigError naming the source and setting that is invalid
+ */
+export async function loadConfig({ cli = {}, env = process.env, cwd = process.cwd(), file = env.BW_CONFIG } = {}) {
+  const configFile = file || findConfigFile(CONFIG_NAME, cwd);
+  const fileLayer = configFile ? validateConfigLayer(configSchema, await readConfigFile(configFile), configFile) : {};
+  const envLayer = validateConfigLayer(configSchema, configFromEnv(env), 'environment variables');
+  const cliLayer = validateConfigLayer(configSchema, cli, 'options');
+  const config = mergeConfigLayers([DEFAULT_CONFIG, fileLayer, envLayer, cliLayer], { models: mergeRouteLayers });
+
+  if (typeof config.author === 'string' && !config.authors[config.author]) {
+    throw configError(`Unknown author profile "${config.author}"; profiles are: ${Object.keys(config.authors).join(', ') || 'none'}`);
+  }
+  return { ...config, configFile: configFile || null };
+}
+
+/**
+ * Complete an author from the configured profiles. A named author is matched against the
+ * profile keys and names and keeps what the prompt said; no name means the default author.
+ * @param {Object} config - Settings from loadConfig
+ * @param {Object} author - Author extracted from the prompt ({ name, bio, link, imgUrl })
+ * @returns {Object} Author with profile fields filled in
+ */
+export function resolveAuthor(config = {}, author = {}) {
+  const profiles = config.authors || {};
+  const given = Object.fromEntries(Object.entries(author || {}).filter(([, value]) => value));
+  const name = given.name?.toLowerCase();
+  const profile = name
+    ? Object.entries(profiles).find(([key, p]) => key.toLowerCase() === name || p.name.toLowerCase() === name)?.[1]
+    : typeof config.author === 'string' ? profiles[config.author] : config.author;
+  return { name: '', bio: '', link: '', imgUrl: '', ...profile, ...given };
+}
@@ -10,7 +10,8 @@
  * Key Concepts:
  * - Direct Tool Integration: Each step in the article writing process directly calls the
  *   appropriate tool with explicit parameter passing.
- * - Clear Data Flow: Results from each step are stored in variables and passed to the next step.
+ * - Clear Data Flow: Workflows are defined in workflows/*.yaml; each step declares the fields
+ *   of earlier results it reads, and steps run as a graph, independent steps side by side.
  * - Simplified Error Handling: A single try/catch block handles errors for the entire process.
  * - Consistent Session Tracking: A session ID is created and passed to each tool.
  */
@@ -21,28 +22,42 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import framework utilities
-import { getLLMConfig } from '../framework/llm-utils.js';
 import { createToolHandler } from '../framework/tool-utils.js';
+import { createUsageTracker, estimateTokens } from '../framework/usage.js';
+import { createBudget, budgetSchema } from '../framework/budget.js';
+import { createLLMCache } from '../framework/llm-cache.js';
+import { createSessionStore, createStepRunner } from '../framework/session-store.js';
+import { createProgressReporter } from '../framework/progress.js';
+import { throwIfCancelled } from '../framework/cancellation.js';
+import { withApprovalGates, decideApproval, pendingApproval } from '../framework/approvals.js';
+import { routeSchema } from '../framework/model-routing.js';
+import { buildWorkflow, NAME_PATTERN } from '../framework/workflow-files.js';
+import { readBriefs, runBatch } from '../framework/batch.js';
+import { planWorkflow, planStep, combinePlans } from '../framework/planner.js';
+import { extractYamlFrontMatter } from '../framework/utils.js';
+import { BUILTIN_PROMPTS_DIR, prompts } from './prompts/index.js';
+import { workflows, DEFAULT_WORKFLOW } from './workflows/index.js';
+import { modelRoutes } from './models.js';
+import { loadConfig } from './config.js';
 
 // Import tools directly
 import analyzeRequest from './tools/analyzeRequest.tool.js';
 import deepResearch from './tools/deepResearch.tool.js';
 import createOutline from './tools/createOutline.tool.js';
-import draftSection from './tools/draftSection.tool.js';
+import draftArticle from './tools/draftArticle.tool.js';
 import improveReadability from './tools/improveReadability.tool.js';
+import improveSEO from './tools/optimizeSEO.tool.js';
 import embedMedia from './tools/embedMedia.tool.js';
 import generateProposals from './tools/generateProposals.tool.js';
-
-// Import mock data for testing
-
+import generateTitles from './tools/generateTitles.tool.js';
+import planMedia from './tools/planMedia.tool.js';
 
 // Load environment variables
 dotenv.config();
 
-// Configuration
+// Configuration: defaults, bw-writer.config.*, then env vars (see config.js)
 export const CONFIG = {
-  debug: process.env.DEBUG === 'true' || false,
-  mock: process.env.MOCK === 'true' || false,
+  ...await loadConfig(),
   useMockTextResponses: process.env.USE_MOCK_TEXT_RESPONSES === 'true' || false,
 };
 
@@ -53,9 +68,31 @@ const __dirname = path.dirname(__filename);
 // Schema for the article writer - simplest possible interface
 export const articleWriterSchema = z.object({
   // The only field is prompt - can be any text description of what to write
-  prompt: z.string()
+  prompt: z.string(),
+  // Optional spend cap for the run (max dollars and/or tokens)
+  budget: budgetSchema.optional(),
+  // Optional on-disk LLM response cache: true, or { dir, ttl, maxBytes }
+  cache: z.union([z.boolean(), z.object({
+    dir: z.string().optional(),
+    ttl: z.number().optional(),
+    maxBytes: z.number().optional()
+  })]).optional(),
+  // Optional model per pipeline step (see models.js): { default: 'gpt4o', draft: 'claude3opus' }
+  models: z.record(routeSchema).optional(),
+  // Optional workflow to run (see workflows/): 'article' (default), 'quick-post', or a project's own
+  workflow: z.string().regex(NAME_PATTERN, 'Use letters, digits, _ and -').optional(),
+  // Optional approval gates: true for every gate in the workflow, or the step names to pause at
+  approvals: z.union([z.boolean(), z.array(z.string())]).optional(),
+  // Optional: only estimate the run's calls, tokens and cost, and check its API keys (see planArticle)
+  dryRun: z.boolean().optional()
 });
 
+// { create_outline: '1', draft_article: '2 (prompts/draft_article.md)' }; overrides show their file
+function promptVersionSummary(promptVersions = {}) {
+  return Object.fromEntries(Object.entries(promptVersions).map(([name, { version, source }]) =>
+    [name, source.startsWith(BUILTIN_PROMPTS_DIR) ? version : `${version} (${path.relative(process.cwd(), source)})`]));
+}
+
 /**
  * Generates YAML frontmatter for an article and combines it with content
  *
@@ -124,121 +161,357 @@ function extractMediaAssets(content) {
   return assets;
 }
 
-/**
- * Article writer - Full article writing workflow
- *
- * @param {Object} params - Input parameters
- * @param {string} params.prompt - Text prompt describing what to write
- * @returns {Promise<Object>} Article output
- */
-export async function articleWriter(params, context = {}) {
-  try {
-    // Create a session ID for tracking
-    context.sessionId = crypto.randomUUID?.() || Math.random().toString(36).slice(2);
-    const s = {...params}; // session starts with a copy of params
-
-
-    // Step 1: Analyze the prompt to extract topic, author, keywords, style, and content instructions
-    // params: { userPrompt }
-    const { userPrompt } = params; // extract only the fields we need
-    s.analyze = await analyzeRequest({userPrompt}, context);
-    // returns: { topic, title, author<json {name, bio, link, imgurl}>, style, keywords, wordCount<int>, instructions, extraMeta<json> }
-    // extract only the fields we need
-    const { topic, author, style, keywords, targetLen, instructions, imageStyle } = s.analyze;
-    const authorObj = parseJson(author);
-
-
-    // Step 2: Research the topic
-    // params: { topic, keywords<cdl>, instructions }
-    s.research = await deepResearch({topic, keywords, instructions}, context);
-    // returns: { researchData }
-    const { researchData } = s.research;
-
-
-    // Step 3: Generate article proposal (generates proposals and titles and returns the best)
-    // params: { topic, researchData, style }
-    s.proposal = await generateProposals({topic, researchData, style, author, targetLen}, context);
-    // returns: { title, description }
-    const { title, description } = s.proposal;
-
-
-    // Step 4: Create outline
-    params = {topic, title, description, researchData, style, author, targetLen}
-    s.outline = await createOutline(params, context);
-    // returns: { outline<md> }
-    const { outline } = s.outline;
+// Article tools by the names workflow files use for them
+const ARTICLE_TOOLS = {
+  analyze_request: analyzeRequest,
+  deep_research: deepResearch,
+  generate_proposals: generateProposals,
+  generate_titles: generateTitles,
+  create_outline: createOutline,
+  draft_article: draftArticle,
+  improve_readability: improveReadability,
+  optimize_seo: improveSEO,
+  plan_media: planMedia,
+  embed_media: embedMedia
+};
 
+// Step outputs reach a tool in the form its parameters take: keyword lists as comma-separated
+// text, the author profile as JSON, numbers as text
+const takesString = schema => {
+  while (schema?._def?.innerType) schema = schema._def.innerType;
+  return schema?._def?.typeName === 'ZodString';
+};
+const asText = value => Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
 
-    // Step 5: Draft the article
-    // Note: we should replace draftSection tool with draftArticle for simplicity
-    s.draft = await draftArticle({outline, title, description, researchData, style, author}, context);
-    // returns: { content<md> }
-    const draft = s.draft.content;
+// Workflow steps run the tools' handlers
+const ARTICLE_STEPS = Object.fromEntries(Object.entries(ARTICLE_TOOLS).map(([name, tool]) => {
+  const fields = tool.parameters?.shape || {};
+  return [name, (input, context) => tool.handler(Object.fromEntries(Object.entries(input).map(([field, value]) =>
+    [field, value != null && typeof value !== 'string' && takesString(fields[field]) ? asText(value) : value])), context)];
+}));
 
+/**
+ * Build an article workflow from its definition file (see workflows/article.yaml). Each step
+ * reads fields of the params and of earlier step outputs, so it runs as soon as what it reads
+ * is ready; its tool name is what its checkpoint is stored under in the session.
+ *
+ * @param {string} [name] - Workflow name (default: article)
+ * @param {Object} [context] - Run context; context.workflowsDir is searched first
+ * @returns {Function} Workflow executor, with its step graph on .graph
+ * @throws {Error} WorkflowError for an unknown workflow, tool or a broken step graph
+ */
+export function articleWorkflow(name = DEFAULT_WORKFLOW, context = {}) {
+  return buildWorkflow(workflows.get(name, { dirs: [context.workflowsDir] }), ARTICLE_STEPS);
+}
 
-    // Step 6: Improve readability, match the author style, humanize
-    // params: { title, draft, style, author, description }
-    s.humanized = await improveReadability({title, draft, style, author, description}, context);
-    const { improvedContent, pageDescription, tldrDescription, authorBio, wordCount } = s.humanized;
+/**
+ * List the article workflows: built-in ones, and those in ./workflows or BW_WORKFLOWS_DIR
+ *
+ * @param {Object} [context] - Run context; context.workflowsDir is searched first
+ * @returns {Array<Object>} { name, description, params, steps, source }
+ */
+export function listWorkflows(context = {}) {
+  return workflows.list({ dirs: [context.workflowsDir] });
+}
 
+// The workflow's approval gates that params.approvals turns on, by tool name (see approvals.js)
+function approvalGates(workflow, approvals) {
+  if (!approvals) return {};
+  return Object.fromEntries(Object.entries(workflow.graph.steps)
+    .filter(([name, step]) => step.approval && (approvals === true || approvals.includes(name) || approvals.includes(step.tool)))
+    .map(([name, step]) => [step.tool, { step: name, when: step.approval }]));
+}
 
-    // Step 7: Improve seo by researching keywords and title
-    // params: { title, content, keywords }
-    s.seoContent = await improveSEO({title, content:improvedContent, keywords}, context);
-    // returns: { content<md>, keywordTargets<cdl> }
-    const { seoContent, keywordTargets, optimizedTitle } = s.seoContent;
+/**
+ * Plan an article run without running it: the LLM and DataForSEO calls of every step of the
+ * workflow, the tokens they would use, their cost at the routed models' prices, and the API
+ * keys each step needs that are not set. Nothing is called and no session is stored.
+ *
+ * @param {Object} params - articleWriter params (userPrompt, workflow, models)
+ * @param {Object} [context] - Run context; context.config for the settings, context.promptsDir
+ *   and context.workflowsDir as for articleWriter
+ * @returns {Object} { dryRun: true, workflow, steps, totals, missingKeys, words, models }; each
+ *   step has { step, tool, llmCalls, apiCalls, inputTokens, outputTokens, cost, models, missingKeys }
+ * @throws {Error} WorkflowError for an unknown workflow, ConfigError for invalid model routes
+ */
+export function planArticle(params, context = {}) {
+  const config = context.config || CONFIG;
+  const models = modelRoutes(config.models, params.models);
+  const userPrompt = params.userPrompt ?? params.prompt ?? '';
+  // The article length analyze_request would find: the prompt's front matter, else the settings
+  const { metadata } = extractYamlFrontMatter(userPrompt);
+  const words = parseInt(metadata.targetLen ?? config.targetLen) || undefined;
+  const plan = planWorkflow(articleWorkflow(params.workflow, context), ARTICLE_TOOLS, {
+    models, userPrompt, words, config,
+    promptTokens: name => estimateTokens(prompts.get(name, { dirs: [context.promptsDir] }).template)
+  });
+  return { dryRun: true, workflow: params.workflow || DEFAULT_WORKFLOW, ...plan, models };
+}
 
+/**
+ * Article writer - Full article writing workflow
+ *
+ * @param {Object} params - Input parameters
+ * @param {string} params.prompt - Text prompt describing what to write
+ * @param {Object} [params.budget] - { maxCost, maxTokens, onExceeded: 'fail'|'downgrade', downgradeTo }
+ * @param {boolean|Object} [params.cache] - Reuse cached LLM responses: true, or { dir, ttl, maxBytes }
+ * @param {Object} [params.models] - Model routes by step, over env and defaults (see models.js)
+ * @param {string} [params.workflow] - Workflow to run (default: article; see listWorkflows())
+ * @param {boolean|string[]} [params.approvals] - Pause at the workflow's approval gates (all, or
+ *   the named steps) until an editor decides (see approve())
+ * @param {boolean} [params.dryRun] - Return the run's plan (see planArticle) instead of running it
+ * @param {Object} context - Run context; context.usage may carry a shared usage tracker,
+ *   context.config the settings from loadConfig (else CONFIG, loaded at startup),
+ *   context.sessions a session store (else one from the sessions settings),
+ *   context.resume a stored session to continue (see resume() and rerun()),
+ *   context.onToken(token, { tool, provider, model, attempt }) receives streamed LLM output,
+ *   context.progress (a callback or EventEmitter) receives progress events (see progress.js),
+ *   context.signal (an AbortSignal) cancels the run, which can be resumed later (see cancellation.js),
+ *   context.promptsDir overrides built-in prompts for this run,
+ *   context.workflowsDir adds or replaces workflows for this run
+ * @returns {Promise<Object>} Article output, with token usage and cost in meta.usage,
+ *   the version of every prompt used in meta.prompts, the model routes in meta.models
+ *   and the id of the stored session in meta.sessionId; a cancelled run returns
+ *   { error, cancelled: true, sessionId, failedStep, usage }, and a run paused at a gate
+ *   { awaitingApproval: { step, when, candidates, feedback }, sessionId, usage }
+ */
+export async function articleWriter(params, context = {}) {
+  if (params.dryRun) return planArticle(params, context);
+  // Track token usage and cost for the whole run, labelled per tool
+  context.usage = context.usage || createUsageTracker();
+  if (params.budget) context.budget = createBudget(params.budget, context.usage);
+  if (params.cache && !context.cache) context.cache = createLLMCache(params.cache === true ? {} : params.cache);
+  // Project settings; the prompt and params still win over them
+  context.config = context.config || CONFIG;
+  // One model route per step: defaults, then config file and env vars, then params.models
+  context.models = modelRoutes(context.config.models, params.models);
+  // Tools record the version of each prompt they render here
+  context.promptVersions = context.promptVersions || {};
+  // Every step's input and output is kept in the session store
+  context.sessions = context.sessions || createSessionStore(context.config.sessions);
+  // Step, LLM call, warning and error events go to context.progress (callback or EventEmitter)
+  context.events = createProgressReporter(context.progress, () => ({ sessionId: context.sessionId }));
+  // Tools fall back to defaults on errors, so a blown budget is rethrown before the next step
+  const toolContext = tool => {
+    context.budget?.throwIfExceeded();
+    throwIfCancelled(context.signal);
+    // A re-run step must produce a new result, so it skips the response cache
+    return tool === context.resume?.force ? { ...context, tool, cache: undefined } : { ...context, tool };
+  };
+  let steps; // step runner for the session, set once the session exists
 
-    // Step 8: Find and embed media, then convert images to our style and upload to S3
-    // params: { mediaContent, mediaAssets<cdl> }
-    s.withMedia = await embedMedia({seoContent, imageStyle}, context);
-    // returns: { mediaContent<md>, mediaAssets<cld> }
-    const { mediaContent, mediaAssets } = s.withMedia.content;
+  try {
+    // Start a stored session for this run, or reopen the one being resumed
+    if (context.resume) {
+      context.sessionId = context.resume.id;
+      await context.sessions.update(context.sessionId, { status: 'running', error: undefined, failedStep: undefined });
+    } else {
+      context.sessionId = (await context.sessions.create({ input: params })).id;
+    }
+    // Each tool's input, output and status is checkpointed in the session under the tool name;
+    // completed steps of a resumed session are replayed, the first to run gets the input overrides
+    steps = createStepRunner({
+      sessions: context.sessions, sessionId: context.sessionId, toolContext, signal: context.signal,
+      checkpoints: context.resume?.steps, force: context.resume?.force, inputOverrides: context.resume?.input
+    });
+    // Run the workflow's step graph; each step's result is saved under its name (s.analyze, s.research, ...)
+    const workflow = articleWorkflow(params.workflow, context);
+    // Gated steps pause the run until an editor accepts, edits or rejects their candidates
+    const runStep = withApprovalGates(steps.run.bind(steps), {
+      sessions: context.sessions, sessionId: context.sessionId, events: context.events,
+      gates: approvalGates(workflow, params.approvals), approvals: context.resume?.approvals
+    });
+    const s = await workflow(params, { ...context, runStep });
+    const { author, style } = s.analyze;
+    const authorObj = author || {};
+    // Workflows may leave out later steps; the body is the output of the last content step that ran
+    const { pageDescription = s.proposal?.description, tldrDescription, authorBio, wordCount } = s.readability || {};
+    const { keywordSuggestions = [], optimizedTitle = s.titles?.title ?? s.proposal?.title } = s.seo || {};
+    const {
+      mediaContent = s.seo?.optimizedContent ?? s.readability?.improvedContent ?? s.draft?.content,
+      mediaAssets = ''
+    } = s.media || {};
 
 
     // Format return object like {meta<obj>, body<md>, markdown<yaml+md>, yaml<yaml>, debug<obj>}
+    context.budget?.throwIfExceeded();
     const wordCountInt = parseInt(wordCount);
-    const keywordArr = keywordTargets.split(',').map(k => k.trim()).filter(Boolean);
+    const keywordArr = keywordSuggestions.map(k => k.keyword ?? k).filter(Boolean);
     const mediaAssetsArr = mediaAssets.split(',').map(a => a.trim()).filter(Boolean);
     const createdAt = new Date().toISOString();
 
     const meta = {title: optimizedTitle, author: {name: authorObj.name, bio: authorBio, link: authorObj.link},
           description: pageDescription, tldr: tldrDescription, style,
-          wordCount: wordCountInt, keywords: keywordArr, media: mediaAssetsArr, createdAt};
+          wordCount: wordCountInt, keywords: keywordArr, media: mediaAssetsArr, createdAt,
+          usage: context.usage.summary(), prompts: promptVersionSummary(context.promptVersions), models: context.models,
+          sessionId: context.sessionId, revision: context.resume?.revision || 1};
     const yaml = generateYamlFrontmatter(meta);
     const body = mediaContent;
     const markdown = yaml.markdown + '\n\n' + body;
     const result = {meta, body, markdown, yaml};
+    const session = await context.sessions.update(context.sessionId, { status: 'completed', result });
     if (context.debug) result.debug = session   // Add debug info if requested
     return result;
 
   } catch (error) {
-    console.error('Article workflow error:', error);
+    // A paused run is kept as it is until approve() resumes it
+    if (error.name === 'ApprovalRequired') {
+      await context.sessions.update(context.sessionId, { status: 'awaiting_approval' });
+      const { step, when, candidates, feedback } = error.approval;
+      return { awaitingApproval: { step, when, candidates, feedback }, sessionId: context.sessionId, usage: context.usage.summary() };
+    }
+    // A cancelled run stops like a failed one, but is not an error to report
+    const cancelled = error.name === 'Cancelled' || Boolean(context.signal?.aborted);
+    if (!cancelled) console.error('Article workflow error:', error);
+    // Step failures were already reported by the workflow
+    if (!steps?.failedStep) context.events.emit('error', { message: error.message || String(error), ...(cancelled && { cancelled }) });
+    // Keep the run (and the steps that did finish) in the session store for resume()
+    const session = context.sessionId
+      ? await context.sessions.update(context.sessionId, { status: cancelled ? 'cancelled' : 'failed', error: error.message || String(error), failedStep: steps?.failedStep }).catch(() => undefined)
+      : undefined;
     return {
       error: error.message || String(error),
-      debug: CONFIG.debug ? { error: error.stack, session } : undefined
+      ...(cancelled && { cancelled }),
+      sessionId: context.sessionId,
+      failedStep: steps?.failedStep,
+      usage: context.usage.summary(),
+      debug: context.config.debug ? { error: error.stack, session } : undefined
     };
   }
 }
 
-// Tools export object for reference
-const tools = {
-  // Analysis tool for initial request processing
-  analyze_request: analyzeRequest,
+/**
+ * Continue a stored article run from its first incomplete step. Completed steps are not
+ * run again; their checkpointed outputs feed the remaining steps.
+ *
+ * @param {string} sessionId - Session id from meta.sessionId or a failed run's sessionId
+ * @param {Object} [options] - Resume options
+ * @param {Object} [options.input] - Input fields to override on the step that runs first
+ *   (usually the one that failed), e.g. { keywords: ['solar', 'storage'] }
+ * @param {Object} context - Run context, as for articleWriter
+ * @returns {Promise<Object>} Article output, or { error, sessionId, failedStep } like articleWriter
+ * @throws {Error} SessionNotFound if the session does not exist or has expired
+ */
+export async function resume(sessionId, { input } = {}, context = {}) {
+  const session = await loadSession(sessionId, context);
+  // A finished run has nothing left to do
+  if (session.status === 'completed') return session.result;
+  return articleWriter(session.input, { ...context, resume: { ...session, input } });
+}
 
-  // Research tools
-  deepResearch,
-  webSearch,
+/**
+ * Run one step of a stored article again, then the later steps whose inputs change as a
+ * result; steps that do not depend on it are replayed from their checkpoints. The session's
+ * previous steps and result are kept in session.revisions, so both versions can be compared.
+ *
+ * @param {string} sessionId - Session id from meta.sessionId
+ * @param {string} step - Step name in the workflow (e.g. 'draft', 'proposal') or tool name (e.g. 'draft_article')
+ * @param {Object} [options] - Re-run options
+ * @param {Object} [options.input] - Input fields to change for that step, e.g. { style: 'academic' }
+ * @param {Object} context - Run context, as for articleWriter
+ * @returns {Promise<Object>} Article output with meta.revision, or { error, sessionId, failedStep }
+ * @throws {Error} SessionNotFound, or InvalidParams for a step the session has not run
+ */
+export async function rerun(sessionId, step, { input } = {}, context = {}) {
+  const session = await loadSession(sessionId, context);
+  // Session steps are stored under their tool names; editors use the workflow's step names
+  const stepTools = articleWorkflow(session.input.workflow, context).graph.steps;
+  const name = stepTools[step]?.tool || step;
+  if (!session.steps[name]) {
+    const error = new Error(`Step "${step}" has not run in session ${sessionId}; steps are: ${Object.keys(stepTools).join(', ')}`);
+    error.name = 'InvalidParams';
+    throw error;
+  }
+  const revised = await context.sessions.addRevision(sessionId, { rerun: { step: name, input }, result: undefined });
+  return articleWriter(revised.input, { ...context, resume: { ...revised, force: name, input } });
+}
 
-  // Content generation tools
-  create_outline: createOutline,
-  draft_section: draftSection,
-  improve_readability: improveReadability,
+/**
+ * Decide on the approval gate a paused article run is waiting at, then continue the run.
+ * Accepting keeps the step's candidates; editing changes some of their fields (e.g. picks
+ * another of the scored proposals); rejecting runs the step again with the feedback appended
+ * to its prompt, then pauses at the same gate with the new candidates.
+ *
+ * @param {string} sessionId - Session id of the paused run
+ * @param {Object} decision - { action: 'accept'|'edit'|'reject', edits, feedback, step }
+ *   (step is only needed if several gates are waiting)
+ * @param {Object} context - Run context, as for articleWriter
+ * @returns {Promise<Object>} Article output, or { awaitingApproval, sessionId } at the next gate
+ * @throws {Error} SessionNotFound, or InvalidParams if no approval is pending or the decision is incomplete
+ */
+export async function approve(sessionId, { step, ...decision } = {}, context = {}) {
+  const session = await loadSession(sessionId, context);
+  // Throws InvalidParams if nothing is pending or the decision is incomplete
+  const decided = decideApproval(pendingApproval(session, step), decision);
+  const approvals = { ...session.approvals, [decided.tool]: decided };
+  await context.sessions.update(sessionId, { approvals });
+  return articleWriter(session.input, { ...context, resume: { ...session, approvals, input: undefined } });
+}
 
-  // Media tools
-  embed_media: embedMedia,
-  suggest_images: suggestImages,
-};
+/**
+ * Write one article per brief in a .csv or .jsonl file (see batch.js for the format), a few
+ * at a time. Articles are saved as <id>.md next to batch-report.json in the output directory.
+ * Running the same file into the same directory again skips completed briefs and resumes the
+ * sessions of failed ones from their first incomplete step.
+ *
+ * @param {string} file - Path to the brief list
+ * @param {Object} [options] - Batch options
+ * @param {string} [options.outDir] - Output directory (default: the outputDir setting, else 'articles')
+ * @param {number} [options.concurrency=2] - Articles written at the same time
+ * @param {string} [options.workflow] - Workflow for briefs without a workflow column
+ * @param {Object} [options.budget] - Spend cap for each article, as for articleWriter
+ * @param {boolean|Object} [options.cache] - LLM response cache, shared by all briefs
+ * @param {Object} [options.models] - Model routes by step, as for articleWriter
+ * @param {Function} [options.onRow] - Called with each report row as its brief finishes
+ * @param {boolean} [options.dryRun] - Plan every brief (see planArticle) instead of writing them
+ * @param {Object} context - Run context, as for articleWriter; progress events carry the brief id
+ * @returns {Promise<Object>} Report: { startedAt, finishedAt, totals, rows } (see runBatch), or
+ *   with dryRun { dryRun: true, briefs: [{ id, ...plan }], totals, missingKeys }
+ * @throws {Error} BatchError if the file cannot be read or a brief is invalid
+ */
+export async function batchWriter(file, { outDir, concurrency, workflow, budget, cache, models, onRow, dryRun } = {}, context = {}) {
+  context.config = context.config || CONFIG;
+  const briefs = readBriefs(file);
+  if (dryRun) {
+    const plans = briefs.map(brief => ({ id: brief.id, ...planArticle({ userPrompt: brief.userPrompt, workflow: brief.workflow || workflow, models }, context) }));
+    return { dryRun: true, briefs: plans, ...combinePlans(plans) };
+  }
+  context.sessions = context.sessions || createSessionStore(context.config.sessions);
+  if (cache && !context.cache) context.cache = createLLMCache(cache === true ? {} : cache);
+  const { progress } = context;
+
+  const write = async (brief, previous) => {
+    // articleWriter keeps its run state on the context, so every brief gets its own
+    const runContext = {
+      ...context, usage: undefined, budget: undefined, promptVersions: undefined, sessionId: undefined, resume: undefined,
+      progress: progress && (event => typeof progress === 'function' ? progress({ ...event, brief: brief.id }) : progress.emit?.(event.type, { ...event, brief: brief.id }))
+    };
+    if (previous?.sessionId) {
+      try {
+        return await resume(previous.sessionId, {}, runContext);
+      } catch (error) {
+        // An expired session is written from scratch
+        if (error.name !== 'SessionNotFound') throw error;
+      }
+    }
+    return articleWriter({ userPrompt: brief.userPrompt, workflow: brief.workflow || workflow, budget, models }, runContext);
+  };
+
+  return runBatch(briefs, write, { outDir: outDir || context.config.outputDir || 'articles', concurrency, signal: context.signal, onRow });
+}
+
+// Settings, session store and stored session for resume(), rerun() and approve()
+async function loadSession(sessionId, context) {
+  context.config = context.config || CONFIG;
+  context.sessions = context.sessions || createSessionStore(context.config.sessions);
+  const session = await context.sessions.get(sessionId);
+  if (!session) {
+    const error = new Error(`Session ${sessionId} not found`);
+    error.name = 'SessionNotFound';
+    throw error;
+  }
+  return session;
+}
 
 // LLM config
 export const llmConfig = {
@@ -250,34 +523,28 @@ export const llmConfig = {
 };
 
 /**
- * Tool handler for the MCP server
+ * Tool handler for the MCP server; signal (an AbortSignal) cancels the call
  */
-export default async ({ input = {}, name, token }) => {
-  // Use mock data if enabled
-  if (CONFIG.mock) {
-    // In mock mode, just return the mock data
-    console.log('[MOCK MODE ENABLED] - Returning mock data');
-    return getMockData(name, input);
-  }
-
+export default async ({ input = {}, name, token, signal }) => {
   try {
     // Handle article_writer as the main workflow
     if (name === 'article_writer') {
-      // Validate input based on schema
-      const parsedInput = articleWriterSchema.parse(input);
+      // Validate input based on schema; the workflows read the prompt as userPrompt
+      const { prompt, ...options } = articleWriterSchema.parse(input);
       // Call the article writer directly
-      return await articleWriter(parsedInput);
+      return await articleWriter({ userPrompt: prompt, ...options }, { signal });
     }
 
     // Handle individual tool calls
-    const tool = tools[name];
+    const tool = ARTICLE_TOOLS[name];
     if (!tool) {
       throw new Error(`Tool ${name} not found`);
     }
 
-    // Create and execute the tool handler
-    const handler = createToolHandler(name, tool, getLLMConfig(token));
-    return await handler(input);
+    // Create and execute the tool handler; it needs the provider keys of the models it is routed to
+    const { missingProviderKeys } = planStep(tool, { models: modelRoutes(CONFIG.models) });
+    const handler = createToolHandler(tool.handler, name, undefined, CONFIG.mock, missingProviderKeys);
+    return await handler(input, { signal });
   } catch (error) {
     console.error(`Error in ${name} handler:`, error);
     return {
@@ -0,0 +1,59 @@
+/**
+ * Pipeline Model Routes
+ * ---------------------
+ * The model each articleWriter step runs on. Override per run with `models` in the
+ * articleWriter params or --model / --model-<step> on the CLI, per environment with
+ * BW_MODEL / BW_MODEL_<STEP>, or per project with `models` in bw-writer.config.* (see
+ * framework/model-routing.js for precedence).
+ *
+ *   BW_MODEL=gpt4o                      every step on GPT-4o
+ *   BW_MODEL_DRAFT=claude3opus,gpt4o    drafting on Opus, falling back to GPT-4o
+ */
+import { resolveModelRoutes, routesFromEnv } from '../framework/model-routing.js';
+
+export const PIPELINE_STEPS = [
+  'analyze',      // analyzeRequest: topic, style, metadata extraction
+  'research',     // deepResearch: web-search research and per-category facts
+  'categories',   // deepResearch: research queries per category
+  'overview',     // deepResearch: final research overview
+  'proposals',    // generateProposals: article angles and picking one
+  'titles',       // generateTitles: title options and picking one
+  'outline',      // createOutline
+  'draft',        // draftArticle
+  'readability',  // improveReadability
+  'seo',          // optimizeSEO: keyword expansion and integration
+  'media'         // planMedia, embedMedia: media suggestions and lookups
+];
+
+export const DEFAULT_MODEL_ROUTES = {
+  analyze: 'gpt4oMini',
+  research: 'ppxsonarlarge',
+  categories: 'claude3sonnet',
+  overview: 'claude3sonnet',
+  proposals: 'claude3sonnet',
+  titles: 'claude3sonnet',
+  outline: 'claude3sonnet',
+  draft: 'claude3sonnet',
+  readability: 'claude3sonnet',
+  seo: 'claude3sonnet',
+  media: 'gpt4oMini'
+};
+
+/**
+ * Resolve the routes for a run: defaults, then env, then the given layers
+ * @param {...Object} layers - Higher-precedence layers, e.g. params.models
+ * @returns {Object} { [step]: route }
+ */
+export function modelRoutes(...layers) {
+  return resolveModelRoutes(PIPELINE_STEPS, DEFAULT_MODEL_ROUTES, routesFromEnv(process.env, PIPELINE_STEPS), ...layers);
+}
+
+/**
+ * The model for one step: the run's routes (context.models), else defaults and env
+ * @param {Object} context - Tool context
+ * @param {string} step - Pipeline step name
+ * @returns {string|Object|Array} Route to pass to callLLM
+ */
+export function modelFor(context = {}, step) {
+  return (context.models || modelRoutes())[step];
+}
@@ -0,0 +1,45 @@
+/**
+ * Article Prompts
+ * ---------------
+ * Built-in prompt templates for the article tools, one .md file per prompt (see
+ * framework/prompts.js for the format). A project overrides any of them without forking
+ * by putting a file with the same name in ./prompts, in BW_PROMPTS_DIR, or in
+ * context.promptsDir for a single run.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPromptRegistry } from '../../framework/prompts.js';
+
+export const BUILTIN_PROMPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const prompts = createPromptRegistry({
+  dirs: [process.env.BW_PROMPTS_DIR || 'prompts', BUILTIN_PROMPTS_DIR]
+});
+
+/**
+ * Render a named prompt and record its version on the context
+ * @param {string} name - Prompt name (e.g. 'create_outline')
+ * @param {Object} variables - Values for the prompt's declared variables
+ * @param {Object} context - Run context (promptsDir, promptVersions)
+ * @returns {string} Prompt text
+ */
+export function renderPrompt(name, variables, context = {}) {
+  return prompts.render(name, variables, context);
+}
+
+/**
+ * Append an editor's feedback on a rejected result to a prompt (see approve() in main.js)
+ * @param {string} prompt - Rendered prompt
+ * @param {string} [feedback] - Feedback from every rejection so far
+ * @returns {string} Prompt text, unchanged without feedback
+ */
+export function withFeedback(prompt, feedback) {
+  if (!feedback) return prompt;
+  return `${prompt}
+
+==========
+EDITOR FEEDBACK:
+==========
+An editor rejected the previous attempt. Address this feedback:
+${feedback}`;
+}
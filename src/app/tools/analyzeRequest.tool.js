@@ -2,6 +2,8 @@
 import { z } from 'zod';
 import { callLLM } from '../../framework/llm-utils.js';
 import { debugLog, logToolCall } from '../../framework/log.js';
+import { modelFor } from '../models.js';
+import { resolveAuthor } from '../config.js';
 
 // Define validation schema for analyzeRequest parameters
 export const analyzeRequestParameters = z.object({
@@ -15,7 +17,7 @@ export async function extractTopic(text, session = {}) {
   const schema = z.object({ topic: z.string().default('').describe('Concise summary of the main topic') });
   const systemMessage = 'You are a topic extraction system. Extract the main topic from the user\'s request, whether it appears in natural language, YAML, tables, or any format. If not present, return an empty string.';
   const prompt = `Extract the main topic from the following user request. The topic may appear in natural language, YAML, a table, or any format. If not present, return an empty string.\n\n======== USER REQUEST ========\n${text}\n======== END REQUEST ========`;
-  const result = await callLLM(prompt, '', { systemMessage, schema }) || {};
+  const result = await callLLM(prompt, modelFor(session, 'analyze'), { systemMessage, schema, context: session }) || {};
   return { topic: result.topic || 'Climate change' };
 }
 
@@ -23,8 +25,8 @@ export async function extractWritingStyle(text, session = {}) {
   const schema = z.object({ writingStyle: z.string().default('').describe('The writing style explicitly mentioned in the request') });
   const systemMessage = 'You are a writing style extraction system. Extract the writing style if present in the user\'s request, whether it appears in natural language, YAML, tables, or any format. If not present, return an empty string.';
   const prompt = `Extract the writing style explicitly mentioned in the following user request. The style may appear in natural language, YAML, a table, or any format. If not present, return an empty string.\n\n======== USER REQUEST ========\n${text}\n======== END REQUEST ========`;
-  const result = await callLLM(prompt, '', { systemMessage, schema }) || {};
-  return { style: result.writingStyle || 'informative' };
+  const result = await callLLM(prompt, modelFor(session, 'analyze'), { systemMessage, schema, context: session }) || {};
+  return { style: result.writingStyle || '' };
 }
 
 
@@ -32,7 +34,7 @@ export async function extractInstructions(text, session = {}) {
   const schema = z.object({ instructions: z.string().default('').describe('Specific directives extracted from the request') });
   const systemMessage = 'You are an instruction extraction system. Extract explicit directive instructions from the user\'s request, whether they appear in natural language, YAML, tables, or any format. If not present, return an empty string.';
   const prompt = `Extract explicit directive instructions from the following user request. The instructions may appear in natural language, YAML, a table, or any format. If not present, return an empty string.\n\n======== USER REQUEST ========\n${text}\n======== END REQUEST ========`;
-  const result = await callLLM(prompt, '', { systemMessage, schema }) || {};
+  const result = await callLLM(prompt, modelFor(session, 'analyze'), { systemMessage, schema, context: session }) || {};
   return { instructions: result.instructions || 'Include climate data and analysis' };
 }
 
@@ -40,7 +42,7 @@ export async function extractImageStyle(text, session = {}) {
   const schema = z.object({ imageStyle: z.string().default('').describe('The preferred image style') });
   const systemMessage = 'You are an image style extraction system. Extract the image style if present in the user\'s request, whether it appears in natural language, YAML, tables, or any format. If not present, return an empty string.';
   const prompt = `Extract the image style, if present, from the following user request. The image style may appear in natural language, YAML, a table, or any format. If not present, return an empty string.\n\n======== USER REQUEST ========\n${text}\n======== END REQUEST ========`;
-  const { imageStyle } = await callLLM(prompt, '', { systemMessage, schema }) || {};
+  const { imageStyle } = await callLLM(prompt, modelFor(session, 'analyze'), { systemMessage, schema, context: session }) || {};
   return imageStyle && typeof imageStyle === 'string' ? imageStyle.trim() : '';
 }
 
@@ -48,7 +50,7 @@ export async function extractCombinedMetadata(text, session = {}) {
   const schema = z.object({
     title: z.string().default('').describe('Title of the content'),
     keywords: z.array(z.string()).default([]).describe('Extracted keywords or keyword phrases as an array of strings'),
-    targetLen: z.union([z.number(), z.string()]).default(1500).describe('Target word count'),
+    targetLen: z.union([z.number(), z.string()]).default(0).describe('Target word count, 0 if not stated'),
     author: z.object({
       name: z.string().default('').describe('Article Author name'),
       bio: z.string().default('').describe('Author biography'),
@@ -61,19 +63,11 @@ export async function extractCombinedMetadata(text, session = {}) {
   const systemMessage = 'You are a metadata extraction system. Extract ALL explicitly stated metadata fields (title, keywords, author, etc.) from the user request, whether present in natural language, YAML, tables, or any format. If a field is not present, return an empty string or array as appropriate. Do not invent or hallucinate data.';
   const prompt = `Extract the following fields: title, keywords, targetLen, author (name, bio, link, imgUrl), and any extra metadata from the user request below. Fields may appear in natural language, YAML, a table, or any format. If a field is not present, return an empty string or array as appropriate. Do not invent or hallucinate data.\n\n======== USER REQUEST ========\n${text}\n======== END REQUEST ========`;
 
-  let allData = await callLLM(prompt, '', { systemMessage, schema }) || {};
+  // callLLM validates against the schema, so defaults are already filled in
+  const allData = await callLLM(prompt, modelFor(session, 'analyze'), { systemMessage, schema, context: session });
 
-  // Defensive defaults for all main fields
-  allData.title = typeof allData.title === 'string' ? allData.title : '';
-  allData.keywords = Array.isArray(allData.keywords) ? allData.keywords : [];
-  allData.targetLen = allData.targetLen || 1500;
-  allData.author = allData.author || { name: '', bio: '', link: '', imgUrl: '' };
-  allData.extraMeta = allData.extraMeta || {};
-
-  // Optionally remove fields from extraMeta if present
-  if (allData.extraMeta) {
-    ['topic', 'writingStyle', 'instructions', 'imageStyle'].forEach(key => delete allData.extraMeta[key]);
-  }
+  // Remove fields from extraMeta that have their own extractors
+  ['topic', 'writingStyle', 'instructions', 'imageStyle'].forEach(key => delete allData.extraMeta[key]);
 
   return allData;
 }
@@ -89,15 +83,16 @@ export async function analyzeRequestImpl({ userPrompt } = {}, context = {}) {
     extractImageStyle(userPrompt, context),
     extractCombinedMetadata(userPrompt, context)
   ]);
-  // Defensive defaults
+  // Defensive defaults; style, length and author fall back to the project settings
+  const config = context.config || {};
   const result = {
     topic: topic && typeof topic.topic === 'string' ? topic.topic : '',
-    style: writingStyle && typeof writingStyle.style === 'string' ? writingStyle.style : '',
+    style: (writingStyle && typeof writingStyle.style === 'string' && writingStyle.style) || config.style || 'informative',
     instructions: instructions && typeof instructions.instructions === 'string' ? instructions.instructions : '',
     imageStyle: typeof imageStyle === 'string' ? imageStyle : '',
     keywords: Array.isArray(metadata?.keywords) ? metadata.keywords : [],
-    targetLen: metadata?.targetLen || 1500,
-    author: metadata?.author || { name: '', bio: '', link: '', imgUrl: '' },
+    targetLen: Number(metadata?.targetLen) || config.targetLen || 1500,
+    author: resolveAuthor(config, metadata?.author),
     title: typeof metadata?.title === 'string' ? metadata.title : '',
     extraMeta: metadata?.extraMeta || {}
   };
@@ -109,9 +104,14 @@ export async function analyzeRequestImpl({ userPrompt } = {}, context = {}) {
   return result;
 }
 
+// Calls per run for dry-run plans (see framework/planner.js): topic, style, instructions,
+// image style and metadata are each extracted from the prompt
+const PLAN = () => [{ model: 'analyze', calls: 5, inputTokens: 120, outputTokens: 100, userPrompt: true }];
+
 export default {
   name: 'analyze_request',
   description: 'Analyze user prompt and extract metadata as strings (topic, title, author, style, keywords, wordCount, instructions, imageStyle).',
   parameters: analyzeRequestParameters,
   handler: analyzeRequestImpl,
+  plan: PLAN
 };
@@ -0,0 +1,40 @@
+/**
+ * Approve Step Tool
+ * -----------------
+ * Input: sessionId, action (accept | edit | reject), edits, feedback, step
+ * Output: the article, or { awaitingApproval, sessionId } when the run pauses at the next gate
+ *
+ * A run started with approvals pauses at its workflow's approval gates and returns
+ * { awaitingApproval: { step, candidates } }; get_session shows the same under
+ * session.approvals. This tool records the editor's decision and continues the run.
+ */
+import { z } from 'zod';
+import { createTool } from '../../framework/utils.js';
+import { approve } from '../main.js';
+
+// Tool metadata
+const TOOL_NAME = 'approve_step';
+const TOOL_DESCRIPTION = 'Accept, edit or reject the step a paused article run is waiting for approval on, then continue the run.';
+const REQUIRED_KEYS = [];
+
+export const parameters = z.object({
+  sessionId: z.string().describe('Session id of the paused run'),
+  action: z.enum(['accept', 'edit', 'reject']).describe('accept the candidates, edit them, or reject them and regenerate the step'),
+  edits: z.record(z.any()).optional().describe('For edit: candidate fields to change, e.g. { "title": "...", "description": "..." }'),
+  feedback: z.string().optional().describe('For reject: what the next attempt should do differently'),
+  step: z.string().optional().describe('Step name, only needed when several steps are waiting')
+});
+
+/** Record the decision and continue the run */
+export async function approveStepImpl(params, context = {}) {
+  const { sessionId, ...decision } = parameters.parse(params);
+  return approve(sessionId, decision, context);
+}
+
+export default createTool({
+  name: TOOL_NAME,
+  description: TOOL_DESCRIPTION,
+  parameters,
+  handler: approveStepImpl,
+  keys: REQUIRED_KEYS
+});
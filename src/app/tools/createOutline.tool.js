@@ -1,17 +1,23 @@
 /**
  * Article Outline Generation Tool
  * --------------------------------
- * Input: topic, title, description, researchData, style, author, targetLen
+ * Input: topic, title, description, researchData, style, author, targetLen, feedback (optional)
  * Output: outline (markdown string)
  */
-import { callLLM } from '../framework/llm-utils.js';
-import { createTool } from '../framework/utils.js';
+import { callLLM } from '../../framework/llm-utils.js';
+import { createTool } from '../../framework/utils.js';
+import { renderPrompt, withFeedback } from '../prompts/index.js';
+import { modelFor } from '../models.js';
+import { packResearchData } from '../../framework/context-window.js';
 import { z } from 'zod';
 
 // Tool metadata & LLM config
 const TOOL_NAME = 'create_outline';
 const TOOL_DESCRIPTION = 'Create a structured outline for an article based on research and chosen angle.';
-const REQUIRED_KEYS = ['ANTHROPIC_API_KEY'];
+const REQUIRED_KEYS = [];
+
+// Calls per run for dry-run plans (see framework/planner.js); the research is the bulk of the input
+const PLAN = () => [{ model: 'outline', prompt: 'create_outline', inputTokens: 5000, outputTokens: 800 }];
 
 
 // String-based parameter schema
@@ -23,80 +29,31 @@ export const parameters = z.object({
   style: z.string().describe('Writing style for the article').optional(),
   author: z.string().describe('Author information as JSON string').optional(),
   targetLen: z.string().describe('Target article length in words').optional().default('1500'),
+  feedback: z.string().describe('Editor feedback on a rejected outline').optional(),
 });
 
+const outlineSchema = z.object({ outline: z.string().describe('The article outline in markdown') });
+
 /** Create outline based on topic, title, description, and research */
 export async function createOutlineImpl(params, context = {}) {
-  const { topic, title, description, researchData, style, author, targetLen } = parameters.parse(params);
+  const { topic, title, description, researchData, style, author, targetLen, feedback } = parameters.parse(params);
   const effectiveStyle = style || 'informative';
+  const llm = modelFor(context, 'outline');
 
-  // Create outline prompt
-  const prompt = `You are an expert writer creating an article outline.
-
-==========
-ARTICLE TOPIC:
-==========
-${topic}
-
-==========
-ARTICLE TITLE:
-==========
-${title}
-
-==========
-ARTICLE APPROACH:
-==========
-${description}
-
-==========
-WRITING STYLE:
-==========
-${effectiveStyle}
-
-==========
-AUTHOR:
-==========
-${author || 'Not specified'}
-
-==========
-TARGET LENGTH:
-==========
-${targetLen} words
-
-==========
-RESEARCH DATA:
-==========
-${researchData}
-
-==========
-TASK:
-==========
-Create a comprehensive, well-structured outline for this article that:
-1) Follows a logical progression of ideas
-2) Incorporates the key research findings
-3) Matches the specified title and approach
-4) Fits the target length and writing style
-5) Will engage and inform the reader effectively
-
-Format the outline as follows:
-- Use markdown heading level 3 (###) for section titles
-- Under each section, provide bullet points describing:
-  * Key points to cover
-  * Research facts to include
-  * Examples or case studies to feature
-  * Questions to address
-  * Arguments or analysis to develop
-
-Make sure the outline includes:
-- A compelling introduction section
-- 3-6 main content sections
-- A conclusion section`;
+  // Create outline prompt, with the research packed into what the model's context window has left
+  const vars = { topic, title, description, style: effectiveStyle, author: author || 'Not specified', targetLen };
+  const packed = packResearchData(researchData, {
+    llm, focus: `${topic} ${title} ${description}`, promptText: withFeedback(renderPrompt('create_outline', { ...vars, researchData: '' }, context), feedback)
+  });
+  if (packed.omitted.length) context.events?.warning(`Left out ${packed.omitted.length} research facts to fit the context window`, { tool: context.tool });
+  const prompt = withFeedback(renderPrompt('create_outline', { ...vars, researchData: packed.text }, context), feedback);
 
   try {
-    const outline = await callLLM(prompt, 'anthropic');
+    const { outline } = await callLLM(prompt, llm, { schema: outlineSchema, context });
     return { outline };
   } catch (error) {
     console.error('Error generating outline:', error);
+    context.events?.warning(`Using a generic outline: ${error.message}`, { tool: context.tool });
     return { outline: `# ${title}\n\n### Introduction\n- Introduce the topic of ${topic}\n- Present the main thesis\n- Outline the structure of the article\n\n### Main Body\n- Key point 1\n- Key point 2\n- Key point 3\n\n### Conclusion\n- Summarize main arguments\n- Final thoughts` };
   }
 }
@@ -106,5 +63,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters,
   handler: createOutlineImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
@@ -9,11 +9,14 @@
  * Output:
  * - researchData: Single string with overview + pipe-delimited research facts
  *
- * Uses Perplexity for web search-backed research and Claude 3.7 for organization.
+ * Models come from the research, categories and overview routes (see ../models.js); research
+ * defaults to Perplexity for web search-backed answers.
  */
 import { callLLM } from '../../framework/llm-utils.js';
 import { debugLog } from '../../framework/log.js';
 import { createTool } from '../../framework/utils.js';
+import { availableTokens, fitText, packResearchData } from '../../framework/context-window.js';
+import { modelFor } from '../models.js';
 import pLimit from 'p-limit';
 import { z } from 'zod';
 
@@ -23,7 +26,16 @@ const limit = pLimit(3);
 // Tool metadata
 const TOOL_NAME = 'deep_research';
 const TOOL_DESCRIPTION = 'Research a topic and gather comprehensive facts and citations.';
-const REQUIRED_KEYS = ['PERPLEXITY_API_KEY', 'ANTHROPIC_API_KEY'];
+const REQUIRED_KEYS = [];
+
+// Calls per run for dry-run plans (see framework/planner.js): overview, category queries,
+// one search per research category, final overview
+const PLAN = () => [
+  { model: 'research', inputTokens: 250, outputTokens: 1000 },
+  { model: 'categories', inputTokens: 1400, outputTokens: 400 },
+  { model: 'research', calls: 7, inputTokens: 250, outputTokens: 500 },
+  { model: 'overview', inputTokens: 4500, outputTokens: 1200 }
+];
 
 
 
@@ -34,17 +46,21 @@ const parameters = z.object({
   instructions: z.string().describe('Additional guidance for research direction').optional().default(''),
 });
 
-// Schemas for JSON response validation
-const categorySchema = z.array(z.object({
-  category: z.string(),
-  query: z.string()
-}));
+// Schemas for JSON response validation; structured output needs an object at the root
+const categorySchema = z.object({
+  items: z.array(z.object({
+    category: z.string(),
+    query: z.string()
+  }))
+});
 
-const factSchema = z.array(z.object({
-  fact: z.string(),
-  quote: z.string(),
-  reference: z.string()
-}));
+const factSchema = z.object({
+  items: z.array(z.object({
+    fact: z.string(),
+    quote: z.string(),
+    reference: z.string()
+  }))
+});
 
 /**
  * Stage 1: Initial Research using Perplexity's web search capabilities
@@ -67,18 +83,22 @@ TOPIC: ${topic}${keywordsText}${instructionsText}
 
 Provide a detailed analysis with recent information, facts, statistics, and direct citations from reputable sources. Include multiple perspectives where relevant.`;
 
-  if (debug) debugLog('initialResearch callLLM prompt:', prompt, 'model:', 'perplexity');
-  // Use Perplexity with web search capability
-  return await callLLM(prompt, 'perplexity');
+  const llm = modelFor(context, 'research');
+  if (debug) debugLog('initialResearch callLLM prompt:', prompt, 'model:', llm);
+  // Use the research model (Perplexity web search by default); callLLM answers { result }
+  const { result } = await callLLM(prompt, llm, { context });
+  return result;
 }
 
 /**
- * Stage 2: Generate category queries for focused research using Claude 3.7
+ * Stage 2: Generate category queries for focused research
  * @param {string} topic - Research topic
  * @param {string} overview - Initial research overview
+ * @param {Object} context - Tool context
+ * @param {string} keywords - Comma-delimited list of keywords
  * @returns {Promise<Array>} - Category query objects
  */
-export async function generateCategories(topic, overview, context = {}) {
+export async function generateCategories(topic, overview, context = {}, keywords = '') {
   const debug = context.debug || process.env.DEBUG === '1' || process.env.DEBUG === 'true';
   if (debug) debugLog('generateCategories invoked for topic:', topic);
   // Essential research categories for comprehensive coverage
@@ -92,8 +112,8 @@ export async function generateCategories(topic, overview, context = {}) {
     'Controversies & Challenges'
   ];
 
-  // Craft prompt for Claude 3.7 with JSON response format
-  const prompt = `You are a research assistant generating targeted research queries.
+  // Craft prompt with JSON response format
+  const buildPrompt = overviewText => `You are a research assistant generating targeted research queries.
 
 ==========
 RESEARCH TOPIC:
@@ -113,33 +133,27 @@ ${categories.map(cat => `- ${cat}`).join('\n')}
 ==========
 INITIAL OVERVIEW:
 ==========
-${overview.substring(0, 2000)}
+${overviewText}
 
 ==========
 TASK:
 ==========
 Create targeted research queries for the categories listed above. For each category, generate a clear, specific query that will yield valuable insights about the topic.
 
-Return a JSON array where each object has the following structure:
+Return a JSON object with an "items" array where each object has the following structure:
 - "category": The name of the category
 - "query": A specific, focused query for that category
 
 Generate queries for all categories that are relevant to the topic.`;
+  const llm = modelFor(context, 'categories');
+  const prompt = buildPrompt(fitText(overview, availableTokens(llm, buildPrompt(''))));
 
   try {
-    // Use Claude 3.7 with JSON mode and schema validation
-    if (debug) debugLog('generateCategories callLLM prompt:', prompt, 'model:', CLAUDE_3_7_CONFIG, 'response_format: json', 'schema:', categorySchema);
-    const result = await callLLM(prompt, {
-      ...CLAUDE_3_7_CONFIG,
-      response_format: 'json',
-      schema: categorySchema
-    });
-    if (debug) debugLog('generateCategories LLM result:', result);
-    if (!Array.isArray(result)) {
-      if (debug) debugLog('generateCategories: LLM result is not array:', result);
-      throw new Error('LLM did not return array of categories');
-    }
-    return result;
+    // Use the categories model with schema validation
+    if (debug) debugLog('generateCategories callLLM prompt:', prompt, 'model:', llm, 'schema:', categorySchema);
+    const { items } = await callLLM(prompt, llm, { schema: categorySchema, context });
+    if (debug) debugLog('generateCategories LLM result:', items);
+    return items;
   } catch (e) {
     if (debug) debugLog('Error generating categories:', e);
     // Fallback to basic queries if there's an error
@@ -193,16 +207,16 @@ For each fact, provide:
 2. A direct quote from a reputable source supporting this fact
 3. Complete reference information for the source
 
-Return your findings as a JSON array where each object contains:
+Return your findings as a JSON object with an "items" array where each object contains:
 - "fact": The concise fact summary
 - "quote": The supporting quote
 - "reference": The citation information`;
 
         try {
           // Use Perplexity for deep research on this category
-          if (debug) debugLog('deepDiveResearch callLLM prompt:', prompt, 'model:', 'perplexity', 'response_format: json', 'schema:', factSchema);
-          if (debug) debugLog('deepDiveResearch callLLM options:', { model: 'perplexity', response_format: 'json', schema: factSchema });
-          const facts = await callLLM(prompt, 'perplexity', { response_format: 'json', schema: factSchema });
+          const llm = modelFor(context, 'research');
+          if (debug) debugLog('deepDiveResearch callLLM prompt:', prompt, 'model:', llm, 'schema:', factSchema);
+          const { items: facts } = await callLLM(prompt, llm, { schema: factSchema, context });
           if (debug) debugLog(`deepDiveResearch LLM facts for category ${category}:`, facts);
           if (!Array.isArray(facts)) {
             if (debug) debugLog(`deepDiveResearch: LLM facts is not array for category ${category}:`, facts);
@@ -216,6 +230,7 @@ Return your findings as a JSON array where each object contains:
           });
         } catch (e) {
           if (debug) debugLog(`Error researching category ${category}:`, e);
+          context.events?.warning(`No research for category "${category}": ${e.message}`, { tool: context.tool });
           // Add fallback entry for this category
           researchLines.push(
             `Category: ${category} | Fact: Error retrieving research data | Quote: "N/A" | Reference: Error during web search`
@@ -229,7 +244,7 @@ Return your findings as a JSON array where each object contains:
 }
 
 /**
- * Stage 4: Create comprehensive final overview using Claude 3 Opus
+ * Stage 4: Create comprehensive final overview
  * @param {string} topic - Research topic
  * @param {string} initialOverview - Initial research
  * @param {Array<string>} researchLines - Detailed research findings
@@ -238,8 +253,8 @@ Return your findings as a JSON array where each object contains:
 export async function createFinalOverview(topic, initialOverview, researchLines, context = {}) {
   const debug = context.debug || process.env.DEBUG === '1' || process.env.DEBUG === 'true';
   if (debug) debugLog('createFinalOverview invoked for topic:', topic);
-  // Create a synthesis prompt with initial overview and key findings
-  const prompt = `You are creating a comprehensive research overview.
+  // Create a synthesis prompt with initial overview and key findings, packed to the model's context window
+  const buildPrompt = (overviewText, findings) => `You are creating a comprehensive research overview.
 
 ==========
 TOPIC:
@@ -249,12 +264,12 @@ ${topic}
 ==========
 INITIAL RESEARCH:
 ==========
-${initialOverview.substring(0, 1500)}
+${overviewText}
 
 ==========
 KEY FINDINGS:
 ==========
-${researchLines.slice(0, 15).join('\n')}
+${findings.join('\n')}
 
 ==========
 TASK:
@@ -268,11 +283,17 @@ IMPORTANT GUIDELINES:
 - Ensure all factual claims are supported by the research
 - Format your response as a single cohesive prose overview without headings or sections
 - Do not use markdown or other formatting, just plain text`;
+  const llm = modelFor(context, 'overview');
+  const packed = packResearchData(`${initialOverview}\n\n===\n\n${researchLines.join('\n')}`, {
+    llm, focus: topic, promptText: buildPrompt('', [])
+  });
+  if (packed.omitted.length) context.events?.warning(`Left out ${packed.omitted.length} research facts to fit the context window`, { tool: context.tool });
+  const prompt = buildPrompt(packed.overview, packed.facts);
 
   try {
-    // Use Claude 3 Opus for high-quality synthesis
-    if (debug) debugLog('createFinalOverview callLLM prompt:', prompt, 'model:', 'anthropic');
-    const finalOverview = await callLLM(prompt, 'anthropic');
+    // Use the overview model for the synthesis
+    if (debug) debugLog('createFinalOverview callLLM prompt:', prompt, 'model:', llm);
+    const { result: finalOverview } = await callLLM(prompt, llm, { context });
     return finalOverview;
   } catch (e) {
     console.error('Error creating final overview:', e);
@@ -303,15 +324,15 @@ export async function deepResearchImpl(params, context = {}) {
     if (debug) debugLog('Stage 1: initialResearch');
     const initialOverview = await initialResearch(topic, keywords, instructions, context);
 
-    // Stage 2: Generate category queries with Claude 3.7
+    // Stage 2: Generate category queries
     if (debug) debugLog('Stage 2: generateCategories');
-    const categoryQueries = await generateCategories(topic, initialOverview, context);
+    const categoryQueries = await generateCategories(topic, initialOverview, context, keywords);
 
     // Stage 3: Conduct deep research on each category with Perplexity
     if (debug) debugLog('Stage 3: deepDiveResearch');
     const researchLines = await deepDiveResearch(categoryQueries, topic, context);
 
-    // Stage 4: Create final comprehensive overview with Claude 3 Opus
+    // Stage 4: Create final comprehensive overview
     if (debug) debugLog('Stage 4: createFinalOverview');
     const finalOverview = await createFinalOverview(topic, initialOverview, researchLines, context);
 
@@ -334,5 +355,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters,
   handler: deepResearchImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
@@ -4,14 +4,20 @@
  * Input: outline, title, description, researchData, style, author
  * Output: content (markdown string)
  */
-import { callLLM } from '../framework/llm-utils.js';
-import { createTool } from '../framework/utils.js';
+import { callLLM } from '../../framework/llm-utils.js';
+import { createTool } from '../../framework/utils.js';
+import { renderPrompt } from '../prompts/index.js';
+import { modelFor } from '../models.js';
+import { packResearchData } from '../../framework/context-window.js';
 import { z } from 'zod';
 
 // Tool metadata & LLM config
 const TOOL_NAME = 'draft_article';
 const TOOL_DESCRIPTION = 'Draft a complete article based on outline and research data';
-const REQUIRED_KEYS = ['ANTHROPIC_API_KEY'];
+const REQUIRED_KEYS = [];
+
+// Calls per run for dry-run plans (see framework/planner.js): research and outline in, the article out
+const PLAN = ({ articleTokens }) => [{ model: 'draft', prompt: 'draft_article', inputTokens: 5800, outputTokens: articleTokens }];
 
 
 // String-based parameter schema
@@ -24,63 +30,28 @@ export const parameters = z.object({
   author: z.string().describe('Author information as JSON string').optional(),
 });
 
+const draftSchema = z.object({ content: z.string().describe('The complete article in markdown') });
+
 /** Draft complete article based on outline and research */
 export async function draftArticleImpl(params, context = {}) {
   const { outline, title, description, researchData, style, author } = parameters.parse(params);
   const effectiveStyle = style || 'informative';
+  const llm = modelFor(context, 'draft');
 
-  // Create article drafting prompt
-  const prompt = `You are an expert writer creating a complete article.
-
-==========
-ARTICLE TITLE:
-==========
-${title}
-
-==========
-ARTICLE APPROACH:
-==========
-${description}
-
-==========
-WRITING STYLE:
-==========
-${effectiveStyle}
-
-==========
-AUTHOR:
-==========
-${author || 'Not specified'}
-
-==========
-ARTICLE OUTLINE:
-==========
-${outline}
-
-==========
-RESEARCH DATA:
-==========
-${researchData}
-
-==========
-TASK:
-==========
-Draft a complete article following these guidelines:
-1) Follow the outline structure exactly, using the same headings
-2) Incorporate relevant research findings, citing sources where appropriate with brief inline links
-3) Use the specified writing style throughout
-4) Create smooth transitions between sections
-5) Include a compelling introduction and conclusion
-6) Format the article in clean markdown with h2 sections and h3 sub-headers
-7) When appropriate include blockquotes with interesting corroborating citations or anecdotes, always appending a link to the source
-
-Write the complete article using the research data and outline provided. The article should be well-structured, engaging, and comprehensive, covering all points in the outline while maintaining a cohesive narrative.`;
+  // Create article drafting prompt; facts are ranked against the outline's sections
+  const vars = { title, description, style: effectiveStyle, author: author || 'Not specified', outline };
+  const packed = packResearchData(researchData, {
+    llm, focus: `${title} ${outline}`, promptText: renderPrompt('draft_article', { ...vars, researchData: '' }, context)
+  });
+  if (packed.omitted.length) context.events?.warning(`Left out ${packed.omitted.length} research facts to fit the context window`, { tool: context.tool });
+  const prompt = renderPrompt('draft_article', { ...vars, researchData: packed.text }, context);
 
   try {
-    const content = await callLLM(prompt, 'anthropic');
+    const { content } = await callLLM(prompt, llm, { schema: draftSchema, context });
     return { content };
   } catch (error) {
     console.error('Error generating article draft:', error);
+    context.events?.warning(`Using a placeholder draft: ${error.message}`, { tool: context.tool });
     return {
       content: `# ${title}\n\n## Introduction\n\n[Error generating content: ${error.message}]\n\n` +
                `This article will explore ${description}.\n\n` +
@@ -94,5 +65,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters,
   handler: draftArticleImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
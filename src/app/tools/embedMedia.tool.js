@@ -6,25 +6,42 @@
  * properly formatted markdown references with high-quality images.
  */
 import { z } from 'zod';
-import { createTool, saveToS3, splitBlocksMD, blockIsProse } from '../../framework/utils.js';
+import { createTool, saveMedia, splitBlocksMD, blockIsProse, blockMarkdown } from '../../framework/utils.js';
 import { quickLLMJSON, restyleImage } from '../../framework/llm-utils.js';
+import { modelFor } from '../models.js';
 import ky from 'ky';
 
 // Tool metadata
 const TOOL_NAME = 'embed_media';
 const TOOL_DESCRIPTION = 'Add media suggestions to article content';
+// OpenAI image editing (restyleImage) and S3 storage; the media route brings its own provider key
 const REQUIRED_KEYS = [
   'OPENAI_API_KEY', 'AWS_BUCKET_NAME',
   'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_BUCKET_REGION'
 ];
-const MEDIA_TYPES = ['image', 'chart', 'infographic', 'video'];
+
+// Calls per run for dry-run plans (see framework/planner.js): a media plan for the article, then
+// a lookup per media item (about one per 300 words); none when plan_media made the plan
+const PLAN = ({ words, articleTokens, inputs = [] }) => inputs.includes('mediaSuggestions') ? [] : [
+  { model: 'media', inputTokens: articleTokens + 400, outputTokens: 400 },
+  { model: 'media', calls: Math.ceil(words / 300), inputTokens: 250, outputTokens: 100 }
+];
+export const MEDIA_TYPES = ['image', 'chart', 'infographic', 'video'];
 const MEDIA_DEFAULT_STYLE = 'impressionist colored ink pen sketch';
 
 
 // Parameter schema
 export const TOOL_PARAMETERS = z.object({
   seoContent: z.string().describe('The article content to enhance with media'),
-  imageStyle: z.string().optional().describe('Style guide for images')
+  imageStyle: z.string().optional().describe('Style guide for images'),
+  feedback: z.string().optional().describe('Editor direction for the media, given at the approval gate'),
+  mediaSuggestions: z.array(z.object({
+    index: z.number().int().min(0),
+    type: z.string(),
+    description: z.string(),
+    alt: z.string(),
+    url: z.string().optional()
+  }).passthrough()).optional().describe('Media planned by plan_media; without it the media is planned here')
 });
 
 /**
@@ -32,21 +49,24 @@ export const TOOL_PARAMETERS = z.object({
  * @param {string[]} blocks - Content blocks
  * @param {string[]} mediaTypes - Media types to consider
  * @param {string} research - Research data
- * @param {object} session - Session with credentials
+ * @param {object} context - Tool execution context
+ * @param {string} [feedback] - Editor direction from the approval gate
  * @returns {Promise<Array>} Media suggestions
  */
-export async function strategizeMediaWithLLM(blocks, mediaTypes) {
+export async function strategizeMediaWithLLM(blocks, mediaTypes, context = {}, feedback = '') {
   if (!blocks?.length) return [];
 
-  // Define schema for media suggestions
-  const MediaSuggestionSchema = z.array(z.object({
-    index: z.number().int().min(0),
-    type: z.enum(['image', 'chart', 'infographic', 'video']),
-    description: z.string(),
-    alt: z.string(),
-    keywords: z.array(z.string()),
-    statsDescription: z.string().optional()
-  }));
+  // Define schema for media suggestions; structured output needs an object at the root
+  const MediaSuggestionSchema = z.object({
+    suggestions: z.array(z.object({
+      index: z.number().int().min(0),
+      type: z.enum(['image', 'chart', 'infographic', 'video']),
+      description: z.string(),
+      alt: z.string(),
+      keywords: z.array(z.string()),
+      statsDescription: z.string().optional()
+    }))
+  });
 
   // Format blocks for prompt
   const contentSummary = blocks
@@ -60,48 +80,52 @@ ${contentSummary}${contentSummary.length >= 7000 ? '\n... [content truncated]' :
 
 Media types: ${mediaTypes.join(', ')}
 
-Return 3-5 suggestions as JSON array:
-[{
+Return 3-5 suggestions as a JSON object:
+{ "suggestions": [{
   "index": number, // Block index (0-${blocks.length - 1})
   "type": string, // image, chart, infographic, video
   "description": string, // What the media should contain
   "alt": string, // Accessibility text
   "keywords": string[], // Search terms
   "statsDescription": string // Only for infographics
-}]
+}] }
+
+Guidelines: Place at relevant points, distribute evenly, be specific not generic, descriptive alt text.${feedback ? `
 
-Guidelines: Place at relevant points, distribute evenly, be specific not generic, descriptive alt text.`;
+Editor direction: ${feedback}` : ''}`;
 
   try {
-    const suggestions = await quickLLMJSON(prompt);
-    return MediaSuggestionSchema.parse(suggestions);
+    const { suggestions } = await quickLLMJSON(prompt, MediaSuggestionSchema, modelFor(context, 'media'), context);
+    return suggestions;
   } catch (error) {
     console.error('Media planning error:', error);
+    context.events?.warning(`No media planned: ${error.message}`, { tool: context.tool });
     return [];
   }
 }
 
 /**
- * Transform and store image in S3
+ * Transform and store image (S3 or a local directory, per the media settings)
  * @param {string} imageUrl - Source image URL
  * @param {string} imageStyle - Style description
- * @returns {<string>} S3 URL
+ * @param {object} media - Media settings from context.config.media
+ * @returns {<string>} Stored image URL or path
  */
-export async function transformAndStoreImage(imageUrl, imageStyle) {
+export async function transformAndStoreImage(imageUrl, imageStyle, media = {}) {
   if (!imageUrl) return 'https://via.placeholder.com/800x450?text=Missing+Image+URL';
   const imageBuffer = await ky.get(imageUrl).arrayBuffer();
   const styledImageBuffer = Buffer.from(await restyleImage(imageBuffer, imageStyle));
-  return await saveToS3(styledImageBuffer) || imageUrl;
+  return await saveMedia(styledImageBuffer, '', media) || imageUrl;
 }
 
 /**
  * Find and process image URL
  * @param {object} suggestion - Media suggestion
- * @param {object} session - Session with credentials
  * @param {string} imageStyle - Style description
+ * @param {object} context - Tool execution context
  * @returns {Promise<string>} Image URL
  */
-export async function searchMediaUrl(suggestion, imageStyle = '') {
+export async function searchMediaUrl(suggestion, imageStyle = '', context = {}) {
   const ImageUrlSchema = z.object({ url: z.string().url() });
 
   const prompt = `Find a relevant image URL for:
@@ -111,8 +135,8 @@ Description: ${suggestion.description}
 Return as: { "url": "image_url_here" }`;
 
   try {
-    const response = await quickLLMJSON(prompt, ImageUrlSchema);
-    return await transformAndStoreImage(response.url, imageStyle);
+    const response = await quickLLMJSON(prompt, ImageUrlSchema, modelFor(context, 'media'), context);
+    return await transformAndStoreImage(response.url, imageStyle, context.config?.media);
   } catch (err) {
     console.error('Image search error:', err);
     return 'https://via.placeholder.com/800x450?text=Image+Unavailable';
@@ -140,60 +164,85 @@ export function mediaMarkdownBlock(suggestion) {
 }
 
 /**
- * Insert media into content, process images, and return enhanced content and asset list
+ * Plan the media for an article and fetch or generate each item (images restyled and stored)
  * @param {string} content - The article content
  * @param {string[]} mediaTypes - Allowed media types
  * @param {string} imageStyle - Style guide for images
- * @returns {Promise<{mediaContent: string, mediaAssets: string, mediaSuggestions: object[]}>}
+ * @param {object} context - Tool execution context
+ * @param {string} [feedback] - Editor direction from the approval gate
+ * @returns {Promise<object[]>} Media suggestions with their url; index numbers the prose blocks
  */
-export async function insertMedia(content, mediaTypes, imageStyle) {
-  // 1. Split into blocks and index
-  const allBlocks = splitBlocksMD(content);
-  const proseBlocksWithIndex = allBlocks.map((block, idx) => ({ block: block.trim(), idx }))
-    .filter(({ block }) => blockIsProse(block));
-  if (!proseBlocksWithIndex.length) {
-    return { mediaContent: content, mediaAssets: '', mediaSuggestions: [] };
-  }
+export async function planMedia(content, mediaTypes, imageStyle, context = {}, feedback = '') {
+  const blocks = splitBlocksMD(content);
+  const proseBlocks = blocks.filter(blockIsProse).map(block => blockMarkdown(block).trim());
+  if (!proseBlocks.length) return [];
 
-  // 2. Plan media insertions with LLM
-  const mediaSuggestions = await strategizeMediaWithLLM(
-    proseBlocksWithIndex.map(b => b.block),
-    mediaTypes
-  );
+  const mediaSuggestions = await strategizeMediaWithLLM(proseBlocks, mediaTypes, context, feedback);
 
-  // 3. Process each suggestion: get or generate image, upload to S3, attach URL
-  const processedSuggestions = await Promise.all(
+  // Get or generate each image, store it, attach its URL
+  return Promise.all(
     mediaSuggestions.map(async s => {
       let url;
-      if (s.type === 'infographic') url = await generateInfographicImage(s.statsDescription);
-        else url = await searchMediaUrl(s, imageStyle);
+      if (s.type === 'infographic') url = await generateInfographicImage(s.statsDescription, context);
+        else url = await searchMediaUrl(s, imageStyle, context);
       return { ...s, url };
     })
   );
+}
 
-  // 4. Insert media markdown after the corresponding blocks (reverse insertions for correct indexes)
+/**
+ * Insert planned media after the prose blocks they belong to. The plan may have been made on an
+ * earlier version of the text, as long as it has the same blocks (the SEO pass rewrites prose
+ * block by block).
+ * @param {string} content - The article content
+ * @param {object[]} mediaSuggestions - Suggestions from planMedia
+ * @returns {{mediaContent: string, mediaAssets: string, mediaSuggestions: object[]}}
+ */
+export function placeMedia(content, mediaSuggestions = []) {
+  const blocks = splitBlocksMD(content);
+  const allBlocks = blocks.map(blockMarkdown);
+  const proseIndexes = blocks.map((block, idx) => blockIsProse(block) ? idx : -1).filter(idx => idx >= 0);
+  if (!proseIndexes.length) {
+    return { mediaContent: content, mediaAssets: '', mediaSuggestions: [] };
+  }
+
+  // Insert media markdown after the corresponding blocks (reverse insertions for correct indexes);
+  // suggestions number the prose blocks the model was shown
   const enhancedBlocks = [...allBlocks];
-  const insertions = processedSuggestions.filter(s => s.url).sort((a, b) => b.index - a.index);
+  const blockIndex = s => proseIndexes[s.index] ?? proseIndexes.at(-1);
+  const insertions = mediaSuggestions.filter(s => s.url).sort((a, b) => blockIndex(b) - blockIndex(a));
   insertions.forEach(s => {
-    const i = Math.min(s.index, enhancedBlocks.length - 1);
-    enhancedBlocks.splice(i + 1, 0, mediaMarkdownBlock(s));
+    enhancedBlocks.splice(blockIndex(s) + 1, 0, mediaMarkdownBlock(s));
   });
 
-  // 5. Return enhanced content and asset list
   return {
     mediaContent: enhancedBlocks.map(b => b.trim()).filter(Boolean).join("\n\n"),
-    mediaAssets: processedSuggestions.map(s => s.url).filter(Boolean).join(',')
+    mediaAssets: mediaSuggestions.map(s => s.url).filter(Boolean).join(','),
+    mediaSuggestions
   };
 }
 
+/**
+ * Insert media into content, process images, and return enhanced content and asset list
+ * @param {string} content - The article content
+ * @param {string[]} mediaTypes - Allowed media types
+ * @param {string} imageStyle - Style guide for images
+ * @param {object} context - Tool execution context
+ * @param {string} [feedback] - Editor direction from the approval gate
+ * @returns {Promise<{mediaContent: string, mediaAssets: string, mediaSuggestions: object[]}>}
+ */
+export async function insertMedia(content, mediaTypes, imageStyle, context = {}, feedback = '') {
+  return placeMedia(content, await planMedia(content, mediaTypes, imageStyle, context, feedback));
+}
+
 
 /**
  * Generate infographic image
  * @param {string} statsDescription - Statistics to visualize
- * @param {object} session - Session with credentials
+ * @param {object} context - Tool execution context
  * @returns {Promise<string>} Image URL
  */
-export async function generateInfographicImage(statsDescription, session = {}) {
+export async function generateInfographicImage(statsDescription, context = {}) {
   const ImageUrlSchema = z.object({ url: z.string().url() });
 
   const prompt = `Generate a data visualization for:
@@ -203,7 +252,7 @@ Requirements: Clean design, clear data representation, minimal text, easy to und
 Return as: { "url": "image_url_here" }`;
 
   try {
-    const result = await quickLLMJSON(prompt, ImageUrlSchema, session);
+    const result = await quickLLMJSON(prompt, ImageUrlSchema, modelFor(context, 'media'), context);
     return result.url;
   } catch (err) {
     console.error('Infographic generation error:', err);
@@ -218,11 +267,13 @@ Return as: { "url": "image_url_here" }`;
  * @returns {object} Enhanced content with media
  */
 export async function embedMediaImpl(params, context = {}) {
-  const { seoContent, imageStyle } = TOOL_PARAMETERS.parse(params);
+  const { seoContent, imageStyle, feedback, mediaSuggestions: planned } = TOOL_PARAMETERS.parse(params);
   const mediaTypes = MEDIA_TYPES;
 
-  // Insert media into content, process images, and return enhanced content and asset list
-  const { mediaContent, mediaAssets, mediaSuggestions } = await insertMedia(seoContent, mediaTypes, imageStyle);
+  // Media planned in an earlier step only needs placing; otherwise plan, process and insert it
+  const { mediaContent, mediaAssets, mediaSuggestions } = planned
+    ? placeMedia(seoContent, planned)
+    : await insertMedia(seoContent, mediaTypes, imageStyle, context, feedback);
   return { mediaContent, mediaAssets, mediaSuggestions };
 }
 
@@ -234,5 +285,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters: TOOL_PARAMETERS,
   handler: embedMediaImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
@@ -7,19 +7,32 @@
  * - style: Writing style (informative, conversational, academic, persuasive)
  * - author: Author information as JSON string
  * - targetLen: Target article length in words
+ * - feedback: Editor feedback on rejected proposals (optional, see approvals)
  *
  * Output:
- * - title: Best article title
+ * - title: Working title of the best proposal (generate_titles turns it into the article's title)
  * - description: Description of the article angle/approach
+ * - proposals: Every proposal with its score (1-10), for editors choosing another
+ *
+ * generateTitleOptions and selectBestTitle are the generate_titles tool's stages.
  */
-import { createTool } from '../framework/utils.js';
-import { callLLM } from '../framework/index.js';
+import { createTool } from '../../framework/utils.js';
+import { callLLM } from '../../framework/index.js';
+import { renderPrompt, withFeedback } from '../prompts/index.js';
+import { modelFor } from '../models.js';
+import { parseResearchData } from '../../framework/context-window.js';
 import { z } from 'zod';
 
 // Tool metadata
 const TOOL_NAME = 'generate_proposals';
 const TOOL_DESCRIPTION = 'Generate potential angles for an article based on research.';
-const REQUIRED_KEYS = ['ANTHROPIC_API_KEY'];
+const REQUIRED_KEYS = [];
+
+// Calls per run for dry-run plans (see framework/planner.js): proposals, pick one
+const PLAN = () => [
+  { model: 'proposals', prompt: 'generate_proposals', inputTokens: 1000, outputTokens: 800 },
+  { model: 'proposals', prompt: 'select_best_proposal', inputTokens: 800, outputTokens: 300 }
+];
 
 // String-based parameter schema
 export const parameters = z.object({
@@ -28,32 +41,19 @@ export const parameters = z.object({
   style: z.string().describe('Writing style for the article').default('informative'),
   author: z.string().describe('Author information as JSON string').optional().default('{}'),
   targetLen: z.string().describe('Target article length in words').optional().default('1500'),
+  feedback: z.string().describe('Editor feedback on rejected proposals').optional(),
 });
 
-/**
- * Simple helper to extract overview and research lines from researchData string
- * @param {string} researchData - Research data string from deepResearch
- * @returns {object} - Contains overview and facts
- */
-export function parseResearchData(researchData) {
-  // Split at the separator
-  const parts = researchData.split('\n\n===\n\n');
-
-  // The first part is the overview
-  const overview = parts[0] || '';
-
-  // The second part contains the research lines
-  const facts = parts[1] ? parts[1].split('\n').filter(Boolean) : [];
-
-  return { overview, facts };
-}
+// Overview/facts splitting is shared with context-window packing
+export { parseResearchData };
 
 /**
  * Compose the LLM prompt for generating article proposals
  * @param {object} params - Parameters for proposal generation
+ * @param {object} context - Context object (prompt overrides and version log)
  * @returns {string} - Formatted LLM prompt
  */
-export function buildProposalsPrompt({ topic, researchData, style, author, targetLen }) {
+export function buildProposalsPrompt({ topic, researchData, style, author, targetLen, feedback }, context = {}) {
   const { overview, facts } = parseResearchData(researchData);
 
   // Parse author information if present
@@ -65,55 +65,11 @@ export function buildProposalsPrompt({ topic, researchData, style, author, targe
   const authorName = authorInfo.name || 'Not specified';
   const authorBio = authorInfo.bio || '';
 
-  return `You are a content strategist developing article concepts based on research.
-
-==========
-TOPIC:
-==========
-${topic}
-
-==========
-WRITING STYLE:
-==========
-${style}
-
-==========
-AUTHOR:
-==========
-Name: ${authorName}
-${authorBio ? `Bio: ${authorBio}` : ''}
-
-==========
-TARGET LENGTH:
-==========
-${targetLen} words
-
-==========
-RESEARCH OVERVIEW:
-==========
-${overview.substring(0, 1500)}
-
-==========
-RESEARCH FACTS:
-==========
-${facts.slice(0, 20).join('\n')}
-
-==========
-TASK:
-==========
-Generate 10 distinct, compelling article proposals that:
-1) Match the topic and research data
-2) Fit the specified writing style
-3) Would be appropriate for the author's expertise (if known)
-4) Could be covered well in ${targetLen} words
-5) Would be interesting and engaging to readers
-6) Would be factually accurate and well-researched
-
-For each angle, provide:
-- A descriptive title (not just clickbait, but highly informative and slightly open-ended)
-- A 2-3 sentence description of the approach and key points and why this would be the best angle of approach with this for an article.
-
-Return a JSON array of objects with 'title' and 'description' fields.`;
+  return withFeedback(renderPrompt('generate_proposals', {
+    topic, style, authorName, authorBio: authorBio ? `Bio: ${authorBio}` : '', targetLen,
+    overview: overview.substring(0, 1500),
+    facts: facts.slice(0, 20).join('\n')
+  }, context), feedback);
 }
 
 /**
@@ -123,23 +79,24 @@ Return a JSON array of objects with 'title' and 'description' fields.`;
  * @returns {Promise<Array>} - Array of proposal objects
  */
 export async function generateProposals(params, context = {}) {
-  const { topic, researchData, style, author, targetLen } = params;
+  const { topic, researchData, style, author, targetLen, feedback } = params;
 
-  // Generate proposals using Claude 3.7
-  const prompt = buildProposalsPrompt({ topic, researchData, style, author, targetLen });
+  // Generate proposals with the proposals model
+  const prompt = buildProposalsPrompt({ topic, researchData, style, author, targetLen, feedback }, context);
 
   try {
-    const result = await callLLM(prompt, {
-      ...CLAUDE_3_7_CONFIG,
-      response_format: 'json',
-      schema: z.array(z.object({
-        title: z.string(),
-        description: z.string()
-      }))
+    const { proposals } = await callLLM(prompt, modelFor(context, 'proposals'), {
+      schema: z.object({
+        proposals: z.array(z.object({
+          title: z.string(),
+          description: z.string()
+        }))
+      }),
+      context
     });
 
-    if (Array.isArray(result) && result.length > 0) {
-      return result;
+    if (proposals.length > 0) {
+      return proposals;
     }
 
     // Fallback for any parsing issues
@@ -149,6 +106,7 @@ export async function generateProposals(params, context = {}) {
     }];
   } catch (error) {
     console.error('Error generating proposals:', error);
+    context.events?.warning(`Using a generic proposal: ${error.message}`, { tool: context.tool });
 
     // Fallback proposal
     return [{
@@ -159,60 +117,36 @@ export async function generateProposals(params, context = {}) {
 }
 
 /**
- * Select the best proposal using criteria-based evaluation
+ * Select the best proposal using criteria-based evaluation; each proposal gets the score
+ * (1-10) the model gave it
  * @param {Array} proposals - List of proposal objects
  * @param {object} params - Original parameters
+ * @param {object} context - Context object
  * @returns {Promise<object>} - Selected best proposal
  */
-export async function selectBestProposal(proposals, params) {
+export async function selectBestProposal(proposals, params, context = {}) {
   const { topic, style, targetLen } = params;
 
   if (proposals.length === 1) return proposals[0];
 
-  const prompt = `You are an editor selecting the best article proposal from several options.
-
-==========
-TOPIC:
-==========
-${topic}
-
-==========
-WRITING STYLE:
-==========
-${style}
-
-==========
-TARGET LENGTH:
-==========
-${targetLen} words
-
-==========
-PROPOSALS:
-==========
-${proposals.map((p, i) => `${i+1}. TITLE: ${p.title}\nDESCRIPTION: ${p.description}`).join('\n\n')}
-
-==========
-SELECTION CRITERIA:
-==========
-1. Most closely aligned with the core topic
-2. Most interesting angle for readers
-3. Most effectively covers important aspects of the topic
-4. Most suitable for the target length and writing style
-5. Most likely to be bookmarked by the reader and to win awards for quality and originality
-
-==========
-TASK:
-==========
-Select the single best proposal from the list above. Return a JSON object with:
-- "selectedIndex": The number of the selected proposal (1-${proposals.length})`;
+  const prompt = renderPrompt('select_best_proposal', {
+    topic, style, targetLen,
+    proposals: proposals.map((p, i) => `${i+1}. TITLE: ${p.title}\nDESCRIPTION: ${p.description}`).join('\n\n'),
+    count: proposals.length
+  }, context);
 
   try {
-    const result = await callLLM(prompt, {
-      ...CLAUDE_CONFIG,
-      response_format: 'json',
+    const result = await callLLM(prompt, modelFor(context, 'proposals'), {
       schema: z.object({
-        selectedIndex: z.number().int().min(1).max(proposals.length)
-      })
+        selectedIndex: z.number().int().min(1).max(proposals.length),
+        scores: z.array(z.number()).optional()
+      }),
+      context
+    });
+
+    // Keep the scores for editors choosing between the proposals
+    proposals.forEach((proposal, i) => {
+      if (typeof result.scores?.[i] === 'number') proposal.score = result.scores[i];
     });
 
     // Select the best proposal based on the index
@@ -228,53 +162,26 @@ Select the single best proposal from the list above. Return a JSON object with:
  * Generate multiple title options for the selected proposal
  * @param {object} proposal - Selected proposal object
  * @param {object} params - Original parameters
+ * @param {object} context - Context object
  * @returns {Promise<Array<string>>} - Array of title options
  */
-export async function generateTitleOptions(proposal, params) {
+export async function generateTitleOptions(proposal, params, context = {}) {
   const { topic, style, researchData, author } = params;
   const { overview } = parseResearchData(researchData);
 
-  const prompt = `You are a headline editor generating diverse, high-quality title options.
-
-==========
-ARTICLE TOPIC:
-==========
-${topic}
-
-==========
-WRITING STYLE:
-==========
-${style}
-
-==========
-ARTICLE CONCEPT:
-==========
-${proposal.title}
-
-${proposal.description}
-
-==========
-RESEARCH SUMMARY:
-==========
-${overview.substring(0, 800)}
-
-==========
-TASK:
-==========
-Create 10 distinct, compelling title options for this article. Each title should be:
-- Unique in approach and framing
-- Informative and accurately reflect the content
-- Engaging but not clickbait
-- Between 40-80 characters in length
-- Appropriate for the writing style
-
-Return a JSON array of exactly 10 strings, each string being a title option.`;
+  const prompt = renderPrompt('generate_title_options', {
+    topic, style, proposalTitle: proposal.title, proposalDescription: proposal.description,
+    overview: overview.substring(0, 800)
+  }, context);
 
   try {
-    const result = await callLLM(prompt, 'anthropic');
+    const { titles } = await callLLM(prompt, modelFor(context, 'titles'), {
+      schema: z.object({ titles: z.array(z.string()) }),
+      context
+    });
 
-    if (Array.isArray(result) && result.length === 10) {
-      return result;
+    if (titles.length === 10) {
+      return titles;
     }
 
     // Fallback titles if the LLM doesn't return properly formatted results
@@ -301,54 +208,25 @@ Return a JSON array of exactly 10 strings, each string being a title option.`;
  * @param {Array<string>} titleOptions - Array of title options
  * @param {object} proposal - Selected proposal object
  * @param {object} params - Original parameters
+ * @param {object} context - Context object
  * @returns {Promise<string>} - Best selected title
  */
-export async function selectBestTitle(titleOptions, proposal, params) {
+export async function selectBestTitle(titleOptions, proposal, params, context = {}) {
   const { topic, style } = params;
 
   if (titleOptions.length === 1) return titleOptions[0];
 
-  const prompt = `You are a senior editor selecting the perfect title for an article.
-
-==========
-ARTICLE TOPIC:
-==========
-${topic}
-
-==========
-WRITING STYLE:
-==========
-${style}
-
-==========
-ARTICLE CONCEPT:
-==========
-${proposal.title}
-
-${proposal.description}
-
-==========
-TITLE OPTIONS:
-==========
-${titleOptions.map((title, i) => `${i+1}. ${title}`).join('\n')}
-
-==========
-SELECTION CRITERIA:
-==========
-1. Most effectively captures the essence of the article concept
-2. Most likely to engage the target audience
-3. Most memorable and distinctive
-4. Most appropriate for the writing style
-5. Best balance of informativeness and intrigue
-
-==========
-TASK:
-==========
-Select the single best title from the options above. Return a JSON object with:
-- "selectedIndex": The number of the selected title (1-${titleOptions.length})`;
+  const prompt = renderPrompt('select_best_title', {
+    topic, style, proposalTitle: proposal.title, proposalDescription: proposal.description,
+    titleOptions: titleOptions.map((title, i) => `${i+1}. ${title}`).join('\n'),
+    count: titleOptions.length
+  }, context);
 
   try {
-    const result = await callLLM(prompt, 'anthropic');
+    const result = await callLLM(prompt, modelFor(context, 'titles'), {
+      schema: z.object({ selectedIndex: z.number().int().min(1).max(titleOptions.length) }),
+      context
+    });
 
     const selectedIndex = (result.selectedIndex || 1) - 1;
     return titleOptions[selectedIndex] || titleOptions[0];
@@ -362,7 +240,7 @@ Select the single best title from the options above. Return a JSON object with:
  * Main implementation function
  * @param {object} params - Tool parameters
  * @param {object} context - Context object
- * @returns {object} - Object with title and description strings
+ * @returns {object} - Object with the best proposal's title and description strings
  */
 export async function generateProposalsImpl(params, context = {}) {
   const validParams = parameters.parse(params);
@@ -372,18 +250,13 @@ export async function generateProposalsImpl(params, context = {}) {
     const proposals = await generateProposals(validParams, context);
 
     // Stage 2: Select the best proposal
-    const bestProposal = await selectBestProposal(proposals, validParams);
-
-    // Stage 3: Generate multiple title options
-    const titleOptions = await generateTitleOptions(bestProposal, validParams);
-
-    // Stage 4: Select the best title
-    const bestTitle = await selectBestTitle(titleOptions, bestProposal, validParams);
+    const bestProposal = await selectBestProposal(proposals, validParams, context);
 
-    // Return title and description as strings
+    // Return title and description as strings, with every proposal for approval gates
     return {
-      title: bestTitle,
-      description: bestProposal.description
+      title: bestProposal.title,
+      description: bestProposal.description,
+      proposals
     };
   } catch (error) {
     console.error('Error in generate proposals workflow:', error);
@@ -402,5 +275,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters,
   handler: generateProposalsImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
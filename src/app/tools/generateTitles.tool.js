@@ -0,0 +1,66 @@
+/**
+ * generateTitles Tool (bw-writer MCP)
+ * ----------------------------------
+ * Turns the chosen proposal's working title into the article's title: ten options are written
+ * for the proposal's angle and the best one is picked. Outlining only needs the proposal, so
+ * workflows run this step next to the outline.
+ *
+ * Input:
+ * - topic: Main article topic string
+ * - title: Working title of the chosen proposal
+ * - description: Description of the proposal's angle
+ * - researchData: String containing research overview and pipe-delimited facts
+ * - style: Writing style (informative, conversational, academic, persuasive)
+ *
+ * Output:
+ * - title: Best article title
+ * - titleOptions: Every title that was considered
+ */
+import { createTool } from '../../framework/utils.js';
+import { generateTitleOptions, selectBestTitle } from './generateProposals.tool.js';
+import { z } from 'zod';
+
+// Tool metadata
+const TOOL_NAME = 'generate_titles';
+const TOOL_DESCRIPTION = 'Write title options for the chosen article proposal and pick the best.';
+const REQUIRED_KEYS = [];
+
+// Calls per run for dry-run plans (see framework/planner.js): titles, pick one
+const PLAN = () => [
+  { model: 'titles', prompt: 'generate_title_options', inputTokens: 200, outputTokens: 200 },
+  { model: 'titles', prompt: 'select_best_title', inputTokens: 300, outputTokens: 100 }
+];
+
+// String-based parameter schema
+export const parameters = z.object({
+  topic: z.string().describe('The article topic'),
+  title: z.string().describe('Working title of the chosen proposal'),
+  description: z.string().describe('Description of the proposal\'s angle').optional().default(''),
+  researchData: z.string().describe('Research data as a string with overview and pipe-delimited facts').optional().default(''),
+  style: z.string().describe('Writing style for the article').default('informative')
+});
+
+/**
+ * Main implementation function
+ * @param {object} params - Tool parameters
+ * @param {object} context - Context object
+ * @returns {Promise<object>} - { title, titleOptions }
+ */
+export async function generateTitlesImpl(params, context = {}) {
+  const validParams = parameters.parse(params);
+  const proposal = { title: validParams.title, description: validParams.description };
+
+  const titleOptions = await generateTitleOptions(proposal, validParams, context);
+  const title = await selectBestTitle(titleOptions, proposal, validParams, context);
+  return { title, titleOptions };
+}
+
+// Export the tool definition
+export default createTool({
+  name: TOOL_NAME,
+  description: TOOL_DESCRIPTION,
+  parameters,
+  handler: generateTitlesImpl,
+  keys: REQUIRED_KEYS,
+  plan: PLAN
+});
@@ -4,14 +4,19 @@
  * Input: title, draft, style, author, description
  * Output: improvedContent, pageDescription, tldrDescription, authorBio, wordCount
  */
-import { callLLM } from '../framework/llm-utils.js';
-import { createTool, wordCountMD } from '../framework/utils.js';
+import { callLLM } from '../../framework/llm-utils.js';
+import { createTool, wordCountMD } from '../../framework/utils.js';
+import { renderPrompt } from '../prompts/index.js';
+import { modelFor } from '../models.js';
 import { z } from 'zod';
 
 // Tool metadata & LLM config
 const TOOL_NAME = 'improve_readability';
 const TOOL_DESCRIPTION = 'Enhance article readability, add metadata, and humanize content';
-const REQUIRED_KEYS = ['ANTHROPIC_API_KEY'];
+const REQUIRED_KEYS = [];
+
+// Calls per run for dry-run plans (see framework/planner.js): the article in, the rewrite out
+const PLAN = ({ articleTokens }) => [{ model: 'readability', prompt: 'improve_readability', inputTokens: articleTokens, outputTokens: articleTokens + 200 }];
 
 
 // String-based parameter schema
@@ -25,84 +30,40 @@ export const parameters = z.object({
 
 
 
+// The fields the improve_readability prompt asks for
+const resultSchema = z.object({
+  improvedContent: z.string(),
+  pageDescription: z.string().default(''),
+  tldrDescription: z.string().default(''),
+  authorBio: z.string().default(''),
+  wordCount: z.union([z.string(), z.number()]).optional()
+});
+
 /** Improve article readability and add metadata */
 export async function improveReadabilityImpl(params, context = {}) {
   const { title, draft, style, author, description } = parameters.parse(params);
   const effectiveStyle = style || 'informative';
 
   // Create the improvement prompt
-  const prompt = `You are an expert editor enhancing an article for readability, engagement, and metadata.
-
-==========
-ARTICLE TITLE:
-==========
-${title}
-
-==========
-ARTICLE DESCRIPTION:
-==========
-${description || 'Not provided'}
-
-==========
-WRITING STYLE:
-==========
-${effectiveStyle}
-
-==========
-AUTHOR:
-==========
-${author || 'Not specified'}
-
-==========
-DRAFT ARTICLE:
-==========
-${draft}
-
-==========
-TASK:
-==========
-Your job is to improve this article and generate metadata:
-
-1) IMPROVE THE ARTICLE:
-- Enhance readability and flow
-- Fix any grammatical or structural issues
-- Ensure consistent tone matching the specified style
-- Maintain all factual information and citations
-- Keep the same overall structure and headings
-- Return the article in clean markdown format
-
-2) GENERATE METADATA:
-- Create a concise page description (150-160 characters)
-- Write a TL;DR summary (1-2 sentences)
-- Compose an author bio (if author information provided)
-- Calculate the word count
-
-Return your response as a JSON object with these fields:
-{
-  "improvedContent": "the enhanced article in markdown",
-  "pageDescription": "SEO-friendly page description",
-  "tldrDescription": "Brief TL;DR summary",
-  "authorBio": "Short author biography based on provided info (or empty string if none)",
-  "wordCount": "approximate word count as string"
-}`;
+  const prompt = renderPrompt('improve_readability', {
+    title, description: description || 'Not provided', style: effectiveStyle, author: author || 'Not specified', draft
+  }, context);
 
   try {
-    // Call the LLM with JSON response format
-    const response = await callLLM(prompt, 'anthropic');
-    
-    // Parse the response
-    const result = JSON.parse(response);
-    
+    // Call the LLM; callLLM validates the result against the schema
+    const result = await callLLM(prompt, modelFor(context, 'readability'), { schema: resultSchema, context });
+
     // Ensure all expected fields are present
     return {
       improvedContent: result.improvedContent || draft,
       pageDescription: result.pageDescription || `Article about ${title}`,
       tldrDescription: result.tldrDescription || `Article about ${title}`,
       authorBio: result.authorBio || '',
-      wordCount: result.wordCount || `${wordCountMD(draft)}`
+      wordCount: `${result.wordCount || wordCountMD(draft)}`
     };
   } catch (error) {
     console.error('Error improving readability:', error);
+    context.events?.warning(`Keeping the draft as written: ${error.message}`, { tool: context.tool });
     
     // Calculate a fallback word count
     const wordCount = wordCountMD(draft);
@@ -123,5 +84,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters,
   handler: improveReadabilityImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
@@ -5,8 +5,9 @@
  * Output: optimizedContent, keywordSuggestions, seoScore, seoImprovements
  */
 import { z } from 'zod';
-import { getLLMClient, quickLLM, quickLLMJSON, quickLLMBool } from '../../utils/mcp-base.js';
-import { createTool, splitBlocksMD, blockIsProse } from '../framework/utils.js';
+import { callLLM } from '../../framework/llm-utils.js';
+import { createTool, splitBlocksMD, blockIsProse } from '../../framework/utils.js';
+import { modelFor } from '../models.js';
 // Import DataForSEO client
 import * as DataForSEOClient from 'dataforseo-client';
 // Import markdown-it for proper markdown parsing
@@ -19,17 +20,25 @@ const TOOL_DESCRIPTION = 'Optimize content for search engines with keyword sugge
 // Environment variables needed for this tool
 const REQUIRED_KEYS = ['DATAFORSEO_LOGIN', 'DATAFORSEO_PASSWORD'];
 
-const CLAUDE_CONFIG = {
-  provider: 'Anthropic',
-  model: 'claude-3-sonnet-20240229',
-  max_tokens: 6000,
-  temperature: 0.2
-};
-
 // Constants for SEO optimization
 const MIN_ACCEPTABLE_SEO_SCORE = 75;
 const MAX_OPTIMIZATION_ITERATIONS = 2; // Limit iterations to prevent excessive API usage
 
+// Calls per run for dry-run plans (see framework/planner.js). Keyword ideas, competitor keywords
+// and the title take a call each, then keywords go into every prose block (about 80 words each)
+// once per iteration; DataForSEO gets SERP tasks and results for the top
+// keywords, content analysis of 5 competitor pages, metrics for ~25 keywords and a score per pass.
+const PLAN = ({ words, config = {} }) => {
+  const seo = config.seo || {};
+  if (seo.enabled === false) return [];
+  const iterations = seo.maxIterations ?? MAX_OPTIMIZATION_ITERATIONS;
+  return [
+    { model: 'seo', calls: 3, inputTokens: 500, outputTokens: 200 },
+    { model: 'seo', calls: Math.ceil(words / 80) * iterations, inputTokens: 400, outputTokens: 150 },
+    { api: 'dataforseo', calls: 10 + 5 + 25 + 1 + iterations }
+  ];
+};
+
 // String-based parameter schema
 export const parameters = z.object({
   title: z.string().describe('Article title'),
@@ -39,13 +48,21 @@ export const parameters = z.object({
 });
 
 
+// Keyword lists from the seo model; structured output needs an object at the root
+const keywordsSchema = z.object({ keywords: z.array(z.string()) });
+
 const uniqueKeywords = (arr) => [...new Set( [...arr].map(k => k?.trim()).filter(Boolean))];
 
 
 
 /** Optimize content for SEO */
 export async function optimizeSEOImpl(params, context = {}) {
-  const { title, draft, targetKeywords = '', domain = 'https://example.com' } = parameters.parse(params);
+  // Project SEO settings (bw-writer.config seo: { enabled, targetScore, maxIterations, domain })
+  const seo = context.config?.seo || {};
+  const { title, draft, targetKeywords = '', domain = seo.domain || 'https://example.com' } = parameters.parse(params);
+  if (seo.enabled === false) {
+    return { optimizedTitle: title, optimizedContent: draft, keywordSuggestions: [], seoScore: null, seoImprovements: [], dataSource: 'SEO disabled in settings' };
+  }
   const dataForSEOCredentials = {
     login: process.env.DATAFORSEO_LOGIN || context.DATAFORSEO_LOGIN,
     password: process.env.DATAFORSEO_PASSWORD || context.DATAFORSEO_PASSWORD
@@ -54,12 +71,13 @@ export async function optimizeSEOImpl(params, context = {}) {
   // Step 1: Generate initial keywords for exploration
   const baseKeywords = targetKeywords || '';
   const { expandedKeywords, topKeywords } = await generateExpandedKeywords(title, baseKeywords, {
-    topKeywordCount: 5 // Configure how many top keywords to use for SERP analysis
+    topKeywordCount: 5, // Configure how many top keywords to use for SERP analysis
+    context
   });
 
   // Step 2: Get SERP data for our top keywords to find competitors
   const serpData = await getSERPData(topKeywords, dataForSEOCredentials);
-  const competitorKeywords = await extractCompetitorKeywords(serpData, title, dataForSEOCredentials);
+  const competitorKeywords = await extractCompetitorKeywords(serpData, title, dataForSEOCredentials, context);
 
   // Combine all keyword sources
   const keywords = uniqueKeywords([...topKeywords, ...competitorKeywords, ...expandedKeywords]);
@@ -71,12 +89,13 @@ export async function optimizeSEOImpl(params, context = {}) {
   const initialAnalysis = await analyzeContentSEO(draft, domain, dataForSEOCredentials);
   let seoScore = initialAnalysis?.seo_score?.score || 50;
 
-  // Optimize title and content using Sonnet to integrate keywords naturally
+  // Optimize title and content with the seo model to integrate keywords naturally
   const result = await optimizeContentUntilTargetScore(draft, analyzedKeywords, seoScore, dataForSEOCredentials, {
     title,
-    targetScore: MIN_ACCEPTABLE_SEO_SCORE,
-    maxIterations: MAX_OPTIMIZATION_ITERATIONS,
-    optimizeTitle: true // Enable title optimization
+    targetScore: seo.targetScore ?? MIN_ACCEPTABLE_SEO_SCORE,
+    maxIterations: seo.maxIterations ?? MAX_OPTIMIZATION_ITERATIONS,
+    optimizeTitle: true, // Enable title optimization
+    context
   });
 
   // Return the optimized results including optimized title
@@ -105,7 +124,8 @@ async function optimizeContentUntilTargetScore(content, keywords, initialScore,
     targetScore = MIN_ACCEPTABLE_SEO_SCORE,
     maxIterations = MAX_OPTIMIZATION_ITERATIONS,
     optimizeTitle = true,
-    domain = 'https://example.com'
+    domain = 'https://example.com',
+    context = {}
   } = options;
 
   // Initialize optimization state
@@ -118,7 +138,7 @@ async function optimizeContentUntilTargetScore(content, keywords, initialScore,
 
   // Optimize title if requested
   if (optimizeTitle && title) {
-    const titleResult = await optimizeTitleWithKeywords(title, keywordsToUse.slice(0, 10));
+    const titleResult = await optimizeTitleWithKeywords(title, keywordsToUse.slice(0, 10), context);
     currentTitle = titleResult.optimizedTitle;
 
     // Track keyword usage from title optimization
@@ -139,7 +159,7 @@ async function optimizeContentUntilTargetScore(content, keywords, initialScore,
   // Iterative content optimization
   for (let i = 0; i < maxIterations && currentScore < targetScore; i++) {
     // Integrate keywords into content
-    const result = await integrateKeywords(currentContent, keywordsToUse);
+    const result = await integrateKeywords(currentContent, keywordsToUse, context);
 
     // No more keywords to insert, end optimization
     if (!result.insertions.length) break;
@@ -164,7 +184,7 @@ async function optimizeContentUntilTargetScore(content, keywords, initialScore,
   return {
     content: currentContent,
     title: currentTitle,
-    score: seoScore,
+    score: currentScore,
     improvements: [...new Set(improvements)] // Deduplicate
   };
 }
@@ -189,11 +209,11 @@ async function generateExpandedKeywords(title, baseKeywords = '', options = {})
     Include both short-tail and long-tail keyword phrases.
     Focus on phrases people would actually search for.
 
-    Return only a JSON array of keyword strings.`;
+    Return only a JSON object with a "keywords" array of keyword strings.`;
 
   try {
-    const keywords = await quickLLMJSON(prompt, { schema: { type: 'array', items: { type: 'string' } } });
-    const expandedKeywords = Array.isArray(keywords) ? keywords.filter(k => k?.trim()) : [];
+    const { keywords } = await callLLM(prompt, modelFor(options.context, 'seo'), { schema: keywordsSchema, context: options.context });
+    const expandedKeywords = keywords.filter(k => k?.trim());
 
       // Create top keywords for SERP analysis (combining base keywords with top expanded keywords)
     const topKeywords = uniqueKeywords([
@@ -328,9 +348,10 @@ async function getSERPData(keywords, credentials) {
  * @param {Array} serpData - SERP data from top-ranking pages
  * @param {string} title - Original article title
  * @param {Object} credentials - DataForSEO credentials
+ * @param {Object} context - Tool context (model routes, usage)
  * @returns {Array} - Unique competitor keywords
  */
-async function extractCompetitorKeywords(serpData, title, credentials) {
+async function extractCompetitorKeywords(serpData, title, credentials, context = {}) {
   if (!serpData?.length || !credentials?.login) return [];
 
   // Configure client
@@ -388,19 +409,18 @@ async function extractCompetitorKeywords(serpData, title, credentials) {
     }).join('\n\n');
 
     // Get additional keywords from LLM
-    const llmKeywords = await quickLLMJSON(
+    const { keywords: llmKeywords } = await callLLM(
       `Extract valuable SEO keywords from these search results for an article titled "${title}":\n\n${serpSummary}\n\n` +
-      `Return only a JSON array of keyword strings.`,
-      { schema: { type: 'array', items: { type: 'string' } } }
+      `Return only a JSON object with a "keywords" array of keyword strings.`,
+      modelFor(context, 'seo'),
+      { schema: keywordsSchema, context }
     );
 
     // Combine API-extracted and LLM-generated keywords into a unique set
     const combinedKeywords = [...extractedKeywords];
-    if (Array.isArray(llmKeywords)) {
-      llmKeywords.forEach(k => {
-        if (k?.trim()) combinedKeywords.push(k.trim());
-      });
-    }
+    llmKeywords.forEach(k => {
+      if (k?.trim()) combinedKeywords.push(k.trim());
+    });
 
     return uniqueKeywords(combinedKeywords);
   } catch {
@@ -494,9 +514,10 @@ async function getDataForSEOKeywords(keywordList, content, credentials) {
  * Integrate keywords using markdown-aware processing
  * @param {string} content - Original markdown content
  * @param {Array} keywordSuggestions - Keywords with usage metrics
+ * @param {Object} context - Tool context (model routes, usage)
  * @returns {Object} Updated content and insertion statistics
  */
-async function integrateKeywords(content, keywordSuggestions) {
+async function integrateKeywords(content, keywordSuggestions, context = {}) {
   if (!content || !keywordSuggestions?.length) return { content, insertions: [] };
 
   // Filter and prioritize keywords
@@ -516,7 +537,7 @@ async function integrateKeywords(content, keywordSuggestions) {
   for (let i = 0; i < blockData.length; i += 3) {
     const results = await Promise.all(
       blockData.slice(i, i + 3).map(block =>
-        integrateKeywordsInBlock(block.content, keywords, block.index, block.type, block.level)
+        integrateKeywordsInBlock(block.content, keywords, block.index, block.type, block.level, context)
       )
     );
 
@@ -575,9 +596,10 @@ async function integrateKeywords(content, keywordSuggestions) {
  * Optimize article title with SEO keywords
  * @param {string} title - Original title
  * @param {Array} keywords - Candidate keywords
+ * @param {Object} context - Tool context (model routes, usage)
  * @returns {Object} Enhanced title and keywords used
  */
-async function optimizeTitleWithKeywords(title, keywords) {
+async function optimizeTitleWithKeywords(title, keywords, context = {}) {
   if (!title || !keywords?.length) return { optimizedTitle: title, keywordsUsed: [] };
 
   // Compact prompt focused on natural keyword integration
@@ -597,13 +619,10 @@ Requirements:
 Respond with JSON: { "optimizedTitle": string, "keywordsUsed": string[] }`;
 
   try {
-    const llm = getLLMClient();
-    const response = await llm.complete(prompt, {
-      ...CLAUDE_CONFIG,
-      response_format: { type: "json_object" }
+    const result = await callLLM(prompt, modelFor(context, 'seo'), {
+      schema: z.object({ optimizedTitle: z.string(), keywordsUsed: z.array(z.string()) }),
+      context
     });
-
-    const result = JSON.parse(response);
     return {
       optimizedTitle: result.optimizedTitle || title,
       keywordsUsed: Array.isArray(result.keywordsUsed) ? result.keywordsUsed : []
@@ -620,9 +639,10 @@ Respond with JSON: { "optimizedTitle": string, "keywordsUsed": string[] }`;
  * @param {number} blockIndex - Position index
  * @param {string} blockType - 'paragraph' or 'heading'
  * @param {number} headingLevel - Heading level (1-6)
+ * @param {Object} context - Tool context (model routes, usage)
  * @returns {Object} Enhanced content and used keywords
  */
-async function integrateKeywordsInBlock(block, keywords, blockIndex, blockType = 'paragraph', headingLevel = 0) {
+async function integrateKeywordsInBlock(block, keywords, blockIndex, blockType = 'paragraph', headingLevel = 0, context = {}) {
   if (!block?.trim() || !keywords?.length) return { enhancedBlock: block, keywordsUsed: [] };
 
   // Select appropriate keywords for block type
@@ -657,13 +677,13 @@ Rules:
 Respond with JSON: { "enhancedContent": string, "keywordsUsed": [{"keyword": string, "context": string}] }`;
 
   try {
-    const llm = getLLMClient();
-    const response = await llm.complete(prompt, {
-      ...CLAUDE_CONFIG,
-      response_format: { type: "json_object" }
+    const result = await callLLM(prompt, modelFor(context, 'seo'), {
+      schema: z.object({
+        enhancedContent: z.string(),
+        keywordsUsed: z.array(z.object({ keyword: z.string(), context: z.string() }))
+      }),
+      context
     });
-
-    const result = JSON.parse(response);
     return {
       enhancedBlock: result.enhancedContent || block,
       keywordsUsed: (result.keywordsUsed || []).map(used => ({
@@ -681,5 +701,6 @@ export default createTool({
   description: TOOL_DESCRIPTION,
   parameters,
   handler: optimizeSEOImpl,
-  keys: REQUIRED_KEYS
+  keys: REQUIRED_KEYS,
+  plan: PLAN
 });
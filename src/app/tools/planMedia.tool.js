@@ -0,0 +1,57 @@
+/**
+ * Plan Media Tool
+ *
+ * Decides which media an article gets and where, then finds or generates each item and
+ * stores the restyled images. It reads the text before the SEO pass, which rewrites prose
+ * block by block, so workflows run it next to optimize_seo; embed_media then only places the
+ * planned media in the optimized text.
+ */
+import { z } from 'zod';
+import { createTool } from '../../framework/utils.js';
+import { planMedia, MEDIA_TYPES } from './embedMedia.tool.js';
+
+// Tool metadata
+const TOOL_NAME = 'plan_media';
+const TOOL_DESCRIPTION = 'Plan, find and style the media for an article';
+// Found images are restyled with OpenAI image editing and stored in S3
+const REQUIRED_KEYS = [
+  'OPENAI_API_KEY', 'AWS_BUCKET_NAME',
+  'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_BUCKET_REGION'
+];
+
+// Calls per run for dry-run plans (see framework/planner.js): a media plan for the article, then
+// a lookup per media item (about one per 300 words)
+const PLAN = ({ words, articleTokens }) => [
+  { model: 'media', inputTokens: articleTokens + 400, outputTokens: 400 },
+  { model: 'media', calls: Math.ceil(words / 300), inputTokens: 250, outputTokens: 100 }
+];
+
+// Parameter schema
+export const TOOL_PARAMETERS = z.object({
+  content: z.string().describe('The article content to plan media for'),
+  imageStyle: z.string().optional().describe('Style guide for images'),
+  feedback: z.string().optional().describe('Editor direction for the media, given at the approval gate')
+});
+
+/**
+ * Main tool handler
+ * @param {object} params - Tool parameters
+ * @param {object} context - Additional context
+ * @returns {Promise<object>} { mediaSuggestions }, each with its url
+ */
+export async function planMediaImpl(params, context = {}) {
+  const { content, imageStyle, feedback } = TOOL_PARAMETERS.parse(params);
+  return { mediaSuggestions: await planMedia(content, MEDIA_TYPES, imageStyle, context, feedback) };
+}
+
+/**
+ * Tool definition
+ */
+export default createTool({
+  name: TOOL_NAME,
+  description: TOOL_DESCRIPTION,
+  parameters: TOOL_PARAMETERS,
+  handler: planMediaImpl,
+  keys: REQUIRED_KEYS,
+  plan: PLAN
+});
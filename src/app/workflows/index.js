@@ -0,0 +1,18 @@
+/**
+ * Article Workflows
+ * -----------------
+ * Built-in article workflows, one .yaml file per workflow (see framework/workflow-files.js
+ * for the format). A project adds its own, or replaces a built-in one, by putting a file in
+ * ./workflows, in BW_WORKFLOWS_DIR, or in context.workflowsDir for a single run.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createWorkflowRegistry } from '../../framework/workflow-files.js';
+
+export const BUILTIN_WORKFLOWS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_WORKFLOW = 'article';
+
+export const workflows = createWorkflowRegistry({
+  dirs: [process.env.BW_WORKFLOWS_DIR || 'workflows', BUILTIN_WORKFLOWS_DIR]
+});
@@ -0,0 +1,92 @@
+/**
+ * Application definition
+ * ----------------------
+ * What the interfaces (framework/interface/: CLI, MCP stdio and HTTP servers, REST API) serve:
+ * the package metadata, the MCP tools and the CLI/API workflows. The article workflows are
+ * workflow files (app/workflows/), which the CLI and the REST API list by themselves, so
+ * `workflows` only holds commands that are not a workflow file.
+ */
+import { createTool, validateApiKeys } from './framework/utils.js';
+import { loadPackageMetadata } from './framework/metadata-loader.js';
+import { planStep } from './framework/planner.js';
+import { articleWriter, articleWriterSchema, planArticle } from './app/main.js';
+import { modelRoutes } from './app/models.js';
+import getSession from './framework/getSession.tool.js';
+import analyzeRequest from './app/tools/analyzeRequest.tool.js';
+import deepResearch from './app/tools/deepResearch.tool.js';
+import generateProposals from './app/tools/generateProposals.tool.js';
+import generateTitles from './app/tools/generateTitles.tool.js';
+import createOutline from './app/tools/createOutline.tool.js';
+import draftArticle from './app/tools/draftArticle.tool.js';
+import improveReadability from './app/tools/improveReadability.tool.js';
+import optimizeSEO from './app/tools/optimizeSEO.tool.js';
+import planMedia from './app/tools/planMedia.tool.js';
+import embedMedia from './app/tools/embedMedia.tool.js';
+import approveStep from './app/tools/approveStep.tool.js';
+
+// The whole workflow as one tool; the workflows read the prompt as userPrompt
+const articleWriterTool = createTool({
+  name: 'article_writer',
+  description: 'Write a researched article from a prompt, running every step of a workflow (article by default).',
+  parameters: articleWriterSchema,
+  handler: (params, context = {}) => {
+    const { prompt, ...options } = articleWriterSchema.parse(params);
+    return articleWriter({ userPrompt: prompt, ...options }, context);
+  },
+  keys: []
+});
+
+/**
+ * Check a tool's API keys before each call: the provider keys of the models its plan is routed
+ * to (see framework/planner.js), so a run on another provider does not need Anthropic's
+ * @param {Object} tool - Tool definition
+ * @param {Function} plan - (params, context) => the call's dry-run plan
+ * @returns {Object} The tool, with a handler that throws MissingApiKey when a key is not set
+ */
+function withProviderKeys(tool, plan) {
+  return {
+    ...tool,
+    handler: (params, context = {}) => {
+      const validation = validateApiKeys(context.config?.mock, plan(params, context).missingProviderKeys);
+      if (validation !== true) {
+        const error = new Error(validation.error);
+        error.name = 'MissingApiKey';
+        throw error;
+      }
+      return tool.handler(params, context);
+    }
+  };
+}
+
+// A tool's own calls run on the models routed to its steps
+const stepPlan = tool => (params, context) => planStep(tool, { models: modelRoutes(context.config?.models) });
+
+export const application = {
+  config: {
+    ...loadPackageMetadata(),
+    displayName: 'BW Writer'
+  },
+
+  tools: [
+    withProviderKeys(articleWriterTool, ({ prompt, workflow, models } = {}, context) => planArticle({ userPrompt: prompt, workflow, models }, context)),
+    ...[
+      analyzeRequest,
+      deepResearch,
+      generateProposals,
+      generateTitles,
+      createOutline,
+      draftArticle,
+      improveReadability,
+      optimizeSEO,
+      planMedia,
+      embedMedia
+    ].map(tool => withProviderKeys(tool, stepPlan(tool))),
+    approveStep,
+    getSession
+  ],
+
+  // Commands besides the workflow files: none yet
+  workflows: {}
+};
+
+export default application;
@@ -0,0 +1,116 @@
+/**
+ * Approval Gates
+ * --------------
+ * A workflow step marked `approval: after` pauses the run once it has finished, so an editor
+ * can check its output (the candidates) before later steps spend tokens on it. A step marked
+ * `approval: before` pauses before it starts, with its input as the candidates. The pending
+ * approval is saved on the session (session.approvals, by tool name, like session.steps) and
+ * the run stops with ApprovalRequired. The editor then decides:
+ *
+ *   accept   - continue with the candidates
+ *   edit     - continue with the candidates changed by `edits` (e.g. another proposal)
+ *   reject   - run the step again with `feedback` in its input; at a gate before a step,
+ *              the step runs with the feedback
+ *
+ * and the run is resumed. Earlier feedback is kept and sent again, joined, on every later run
+ * of the step. A decision only counts for the candidates it was made on: if the step's output
+ * (or input, for a before gate) changes, the run pauses again.
+ */
+
+/**
+ * Create the error a run stops with when it reaches an undecided gate
+ * @param {Object} approval - The pending approval record
+ * @returns {Error} Error named ApprovalRequired, with the record on .approval
+ */
+export function approvalRequired(approval) {
+  const error = new Error(`Step "${approval.step}" is waiting for approval`);
+  error.name = 'ApprovalRequired';
+  error.approval = approval;
+  return error;
+}
+
+const invalid = message => {
+  const error = new Error(message);
+  error.name = 'InvalidParams';
+  return error;
+};
+
+const sameCandidates = (record, candidates) => JSON.stringify(record.candidates) === JSON.stringify(candidates);
+
+/**
+ * Wrap a step function so gated steps wait for an editor's decision
+ * @param {Function} runStep - (tool, input, fn) => output, e.g. a step runner's run()
+ * @param {Object} options - Gate options
+ * @param {Object} options.sessions - Session store the pending approvals are saved to
+ * @param {string} options.sessionId - Session of the run
+ * @param {Object} options.gates - { [tool]: { step, when: 'after'|'before' } }
+ * @param {Object} [options.approvals] - session.approvals of the run being resumed
+ * @param {Object} [options.events] - Progress reporter; gets an approval:required event per pause
+ * @returns {Function} (tool, input, fn) => output; throws ApprovalRequired at an undecided gate
+ */
+export function withApprovalGates(runStep, { sessions, sessionId, gates = {}, approvals = {}, events }) {
+  approvals = { ...approvals };
+
+  const pause = async (tool, candidates) => {
+    const { step, when } = gates[tool];
+    approvals[tool] = {
+      step, tool, when, status: 'pending', candidates,
+      feedback: approvals[tool]?.feedback || [], requestedAt: new Date().toISOString()
+    };
+    await sessions.update(sessionId, { approvals });
+    events?.emit('approval:required', { step, tool, when });
+    throw approvalRequired(approvals[tool]);
+  };
+
+  return async (tool, input, fn) => {
+    const gate = gates[tool];
+    if (!gate) return runStep(tool, input, fn);
+    const record = approvals[tool];
+    const feedback = record?.feedback?.length ? { feedback: record.feedback.join('\n\n') } : {};
+    const decided = candidates => record && record.status !== 'pending' && sameCandidates(record, candidates);
+
+    if (gate.when === 'before') {
+      if (!decided(input)) await pause(tool, input);
+      return runStep(tool, { ...input, ...record.edits, ...feedback }, fn);
+    }
+
+    const output = await runStep(tool, { ...input, ...feedback }, fn);
+    if (decided(output) && record.status === 'accepted') return { ...output, ...record.edits };
+    return pause(tool, output);
+  };
+}
+
+/**
+ * Record an editor's decision on a pending approval
+ * @param {Object} approval - Pending record from session.approvals
+ * @param {Object} decision - { action: 'accept'|'edit'|'reject', edits, feedback }
+ * @returns {Object} The decided record, to save back to session.approvals
+ * @throws {Error} InvalidParams if nothing is pending or the decision is incomplete
+ */
+export function decideApproval(approval, { action, edits, feedback } = {}) {
+  if (approval?.status !== 'pending') throw invalid('There is no pending approval to decide');
+  const decidedAt = new Date().toISOString();
+  switch (action) {
+    case 'accept':
+      return { ...approval, status: 'accepted', decidedAt };
+    case 'edit':
+      if (!edits || typeof edits !== 'object' || Array.isArray(edits)) throw invalid('An edit needs edits: the fields to change');
+      return { ...approval, status: 'accepted', edits, decidedAt };
+    case 'reject':
+      if (typeof feedback !== 'string' || !feedback.trim()) throw invalid('A rejection needs feedback for the next attempt');
+      return { ...approval, status: 'rejected', feedback: [...(approval.feedback || []), feedback.trim()], decidedAt };
+    default:
+      throw invalid(`Unknown action "${action}"; use accept, edit or reject`);
+  }
+}
+
+/**
+ * The approval a paused session is waiting for
+ * @param {Object} session - Stored session
+ * @param {string} [step] - Step or tool name, when several are pending
+ * @returns {Object|undefined} Pending approval record
+ */
+export function pendingApproval(session, step) {
+  return Object.values(session?.approvals || {})
+    .find(approval => approval.status === 'pending' && (!step || approval.step === step || approval.tool === step));
+}
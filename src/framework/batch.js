@@ -0,0 +1,253 @@
+/**
+ * Batch Runs
+ * ----------
+ * Many articles from one list of briefs: a .csv file with a header row, or a .jsonl file with
+ * one brief object per line. A brief needs a prompt (`prompt` or `userPrompt`) and may have an
+ * `id` (names its output file, default row-<n>) and a `workflow`. Every other column, and in
+ * JSONL the keys of a `frontmatter` object, becomes YAML front matter on the prompt, which
+ * analyze_request reads like front matter written by hand:
+ *
+ *   id,prompt,keywords,targetLen
+ *   renters,"Home batteries for renters","solar, storage",1200
+ *
+ * runBatch runs the briefs a few at a time, writes <id>.md for each finished article and keeps
+ * batch-report.json in the output directory up to date after every brief. Running the same
+ * list into the same directory again skips the briefs that completed (unless the brief was
+ * changed) and retries the others; a failed brief's previous report row is passed to the run
+ * function, so it can resume the brief's session instead of starting over.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import pLimit from 'p-limit';
+import { extractYamlFrontMatter } from './utils.js';
+
+export const REPORT_FILE = 'batch-report.json';
+
+/**
+ * Create the error a bad brief list fails with
+ * @param {string} message - What is wrong, with the file and line
+ * @returns {Error} Error named BatchError
+ */
+export function batchError(message) {
+  const error = new Error(message);
+  error.name = 'BatchError';
+  return error;
+}
+
+// CSV records ({ line, fields }): quoted fields may hold commas, "" and line breaks; blank lines are dropped
+function csvRecords(text, source) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim())) records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { fields.push(field); field = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      recordLine = ++line;
+    } else field += char;
+  }
+  if (quoted) throw batchError(`${source}:${recordLine}: quoted field is never closed`);
+  endRecord();
+  return records;
+}
+
+// One brief from a CSV row or JSONL object; everything but the reserved keys is front matter
+function toBrief(record, { line, index, source }) {
+  const { id, prompt, userPrompt, workflow, frontmatter = {}, ...columns } = record;
+  const text = prompt ?? userPrompt;
+  if (typeof text !== 'string' || !text.trim()) throw batchError(`${source}:${line}: brief has no prompt`);
+  if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+    throw batchError(`${source}:${line}: frontmatter must be an object`);
+  }
+  // Empty CSV cells mean "not set"; front matter already in the prompt is kept under the brief's
+  const { metadata, content } = extractYamlFrontMatter(text.trim());
+  const fields = Object.fromEntries(Object.entries({ ...metadata, ...columns, ...frontmatter })
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined));
+  const name = String(id ?? '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return {
+    id: name || `row-${index + 1}`,
+    line,
+    workflow: workflow || undefined,
+    userPrompt: Object.keys(fields).length ? `---\n${YAML.stringify(fields)}---\n\n${content.trim()}` : content.trim()
+  };
+}
+
+/**
+ * Parse a list of briefs
+ * @param {string} text - CSV with a header row, or JSONL
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - 'csv' or 'jsonl' (default: from the source's extension, else csv)
+ * @param {string} [options.source] - File name for error messages
+ * @returns {Array<Object>} Briefs: { id, line, workflow, userPrompt }
+ * @throws {Error} BatchError naming the file and line of a brief that cannot be read
+ */
+export function parseBriefs(text, { format, source = 'briefs' } = {}) {
+  format = format || (/\.jsonl$/i.test(source) ? 'jsonl' : 'csv');
+  let records;
+  if (format === 'jsonl') {
+    records = text.split(/\r?\n/).map((row, index) => ({ row, line: index + 1 })).filter(({ row }) => row.trim())
+      .map(({ row, line }) => {
+        let record;
+        try {
+          record = JSON.parse(row);
+        } catch (error) {
+          throw batchError(`${source}:${line}: ${error.message}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) throw batchError(`${source}:${line}: expected a JSON object`);
+        return { record, line };
+      });
+  } else {
+    const [header, ...rows] = csvRecords(text.replace(/^﻿/, ''), source);
+    const columns = header?.fields.map(column => column.trim()) || [];
+    if (!columns.includes('prompt') && !columns.includes('userPrompt')) throw batchError(`${source}:1: header needs a prompt column`);
+    records = rows.map(({ fields, line }) => ({
+      record: Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? ''])),
+      line
+    }));
+  }
+
+  const briefs = records.map(({ record, line }, index) => toBrief(record, { line, index, source }));
+  const ids = briefs.map(brief => brief.id);
+  const repeated = briefs.find((brief, index) => ids.indexOf(brief.id) !== index);
+  if (repeated) throw batchError(`${source}:${repeated.line}: id "${repeated.id}" is used by another brief`);
+  return briefs;
+}
+
+/**
+ * Read a .csv or .jsonl file of briefs
+ * @param {string} file - Path to the brief list
+ * @returns {Array<Object>} Briefs, as parseBriefs
+ * @throws {Error} BatchError if the file cannot be read or a brief is invalid
+ */
+export function readBriefs(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw batchError(`Cannot read briefs ${file}: ${error.message}`);
+  }
+  return parseBriefs(text, { source: file });
+}
+
+// Identifies a brief's content, so an edited brief is run again
+const briefHash = ({ workflow, userPrompt }) =>
+  crypto.createHash('sha256').update(JSON.stringify({ workflow, userPrompt })).digest('hex').slice(0, 16);
+
+function readReport(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return { rows: [] };
+  }
+}
+
+function totals(rows, durationMs) {
+  const count = status => rows.filter(row => row.status === status).length;
+  const sum = key => rows.reduce((total, row) => total + (row[key] || 0), 0);
+  return {
+    rows: rows.length, completed: count('completed'), failed: count('failed'), cancelled: count('cancelled'),
+    skipped: rows.filter(row => row.skipped).length,
+    cost: Math.round(sum('cost') * 1e6) / 1e6, tokens: sum('tokens'), durationMs
+  };
+}
+
+/**
+ * Run every brief and write the articles and the batch report
+ * @param {Array<Object>} briefs - Briefs from readBriefs or parseBriefs
+ * @param {Function} run - (brief, previous) => articleWriter-style result; previous is the
+ *   brief's row from the last report when it did not complete there (e.g. with its sessionId)
+ * @param {Object} options - Batch options
+ * @param {string} options.outDir - Directory for <id>.md and batch-report.json
+ * @param {number} [options.concurrency=2] - Briefs run at the same time
+ * @param {AbortSignal} [options.signal] - Once aborted, briefs that have not started are marked cancelled
+ * @param {Function} [options.onRow] - Called with each report row as its brief finishes
+ * @returns {Promise<Object>} Report: { startedAt, finishedAt, totals, rows }; each row is
+ *   { id, line, status, file, sessionId, error, failedStep, cost, tokens, durationMs, attempts, skipped }
+ */
+export async function runBatch(briefs, run, { outDir, concurrency = 2, signal, onRow } = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const reportFile = path.join(outDir, REPORT_FILE);
+  const previous = new Map(readReport(reportFile).rows.map(row => [row.id, row]));
+  const startedAt = new Date();
+  const rows = new Map(briefs.map(brief => [brief.id, { id: brief.id, line: brief.line, status: 'pending' }]));
+  const report = () => {
+    const list = [...rows.values()];
+    return { startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), totals: totals(list, Date.now() - startedAt), rows: list };
+  };
+  const save = () => {
+    const current = report();
+    fs.writeFileSync(reportFile, JSON.stringify(current, null, 2));
+    return current;
+  };
+  const finish = row => {
+    rows.set(row.id, row);
+    save();
+    onRow?.(row);
+  };
+
+  const limit = pLimit(Math.max(1, concurrency));
+  await Promise.all(briefs.map(brief => limit(async () => {
+    const hash = briefHash(brief);
+    const before = previous.get(brief.id)?.hash === hash ? previous.get(brief.id) : undefined;
+    // Completed briefs are kept as long as their article is still there
+    if (before?.status === 'completed' && before.file && fs.existsSync(path.join(outDir, before.file))) {
+      return finish({ ...before, line: brief.line, skipped: true });
+    }
+    const carried = { id: brief.id, line: brief.line, hash, sessionId: before?.sessionId, attempts: before?.attempts || 0, cost: before?.cost || 0, tokens: before?.tokens || 0 };
+    if (signal?.aborted) return finish({ ...carried, status: 'cancelled', error: 'Batch cancelled before this brief started' });
+
+    const started = Date.now();
+    let result;
+    try {
+      result = await run(brief, before);
+    } catch (error) {
+      result = { error: error.message || String(error) };
+    }
+    const usage = result.meta?.usage || result.usage || {};
+    const row = {
+      ...carried,
+      sessionId: result.meta?.sessionId || result.sessionId || carried.sessionId,
+      attempts: carried.attempts + 1,
+      // A retried brief has cost what every attempt cost
+      cost: carried.cost + (usage.cost || 0),
+      tokens: carried.tokens + (usage.input_tokens || 0) + (usage.output_tokens || 0),
+      durationMs: Date.now() - started
+    };
+    if (typeof result.markdown === 'string') {
+      const file = `${brief.id}.md`;
+      fs.writeFileSync(path.join(outDir, file), result.markdown);
+      return finish({ ...row, status: 'completed', file });
+    }
+    finish({
+      ...row,
+      status: result.cancelled ? 'cancelled' : 'failed',
+      error: result.error || (result.awaitingApproval ? `${result.awaitingApproval.step} is waiting for approval` : 'No article was returned'),
+      failedStep: result.failedStep
+    });
+  })));
+
+  // The report on disk is the one returned, down to its finishing time
+  return save();
+}
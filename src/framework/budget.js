@@ -0,0 +1,126 @@
+/**
+ * Run Budget Caps
+ * ---------------
+ * A budget is checked by callLLM before every call (via `context.budget`).
+ * Each call is priced at its worst case (estimated prompt tokens + max_tokens output)
+ * against what the run's usage tracker has already spent plus what calls in flight have
+ * reserved. When the call would not fit, the budget either fails fast or switches this and
+ * all remaining calls to a cheaper model. A call reserves its worst case when it starts and
+ * releases it once its usage is recorded, so calls running side by side cannot overspend.
+ */
+import { z } from 'zod';
+import { LLM_CONFIGS } from './llm-configs.js';
+import { computeCost, estimateTokens } from './usage.js';
+import { debugLog } from './log.js';
+
+// Fields that describe the model rather than the call: a downgrade takes them from the cheaper config
+const MODEL_FIELDS = ['provider', 'model', 'key', 'apiKey', 'baseUrl', 'price_input', 'price_output',
+  'tool_calls_supported', 'json_output_supported', 'context_length', 'description'];
+
+// Budget options accepted by articleWriter
+export const budgetSchema = z.object({
+  maxCost: z.number().positive().optional().describe('Maximum dollars to spend on the run'),
+  maxTokens: z.number().int().positive().optional().describe('Maximum input + output tokens for the run'),
+  onExceeded: z.enum(['fail', 'downgrade']).default('fail').describe('Fail fast, or switch to a cheaper model'),
+  downgradeTo: z.string().default('gpt4oMini').describe('LLM_CONFIGS key used once the budget runs low')
+});
+
+/**
+ * Estimate the worst-case cost of one call
+ * @param {Object} config - LLM config
+ * @param {string} prompt - Prompt text (including system message)
+ * @returns {{tokens: number, cost: number}} Estimate
+ */
+export function estimateCall(config, prompt) {
+  const input_tokens = estimateTokens(prompt);
+  const output_tokens = config.max_tokens || 1000;
+  return { tokens: input_tokens + output_tokens, cost: computeCost(config, { input_tokens, output_tokens }) };
+}
+
+/**
+ * Create a budget bound to a run's usage tracker
+ * @param {Object} options - Budget options (see budgetSchema)
+ * @param {Object} usage - Usage tracker from createUsageTracker()
+ * @returns {Object} Budget with check(), reserve() and throwIfExceeded()
+ */
+export function createBudget(options, usage) {
+  const { maxCost, maxTokens, onExceeded, downgradeTo } = budgetSchema.parse(options);
+  const cheaper = LLM_CONFIGS[downgradeTo];
+  if (onExceeded === 'downgrade' && !cheaper) throw new Error(`Unknown downgrade model: ${downgradeTo}`);
+
+  let downgraded = false;
+  let exceeded = null;
+  // Worst cases of the calls in flight
+  const reserved = new Set();
+
+  // Spent plus reserved
+  const committed = () => {
+    const spent = usage.totals();
+    let cost = spent.cost, tokens = spent.input_tokens + spent.output_tokens;
+    for (const call of reserved) { cost += call.cost; tokens += call.tokens; }
+    return { cost, tokens };
+  };
+
+  const fits = (config, prompt) => {
+    const { cost, tokens } = committed();
+    const next = estimateCall(config, prompt);
+    return (maxCost === undefined || cost + next.cost <= maxCost) &&
+      (maxTokens === undefined || tokens + next.tokens <= maxTokens);
+  };
+
+  // The cheaper model with the call's own settings (temperature, max_tokens, timeout, schema) on top
+  const downgrade = config => ({
+    ...cheaper,
+    ...Object.fromEntries(Object.entries(config).filter(([field]) => !MODEL_FIELDS.includes(field)))
+  });
+  const isCheaper = config => (config.price_output || 0) <= cheaper.price_output;
+
+  const fail = config => {
+    const { cost, tokens } = committed();
+    exceeded = new Error(`Budget exceeded before calling ${config.model}: spent $${cost.toFixed(4)}` +
+      ` and ${tokens} tokens${reserved.size ? ` (including ${reserved.size} calls in flight)` : ''}` +
+      ` (limits: ${maxCost !== undefined ? `$${maxCost}` : 'no cost cap'}, ${maxTokens !== undefined ? `${maxTokens} tokens` : 'no token cap'})`);
+    exceeded.name = 'BudgetExceeded';
+    return exceeded;
+  };
+
+  return {
+    get downgraded() { return downgraded; },
+    get exceeded() { return exceeded; },
+
+    /**
+     * Check the next call against the budget
+     * @param {Object} config - LLM config about to be used
+     * @param {string} prompt - Prompt text
+     * @returns {Object} The config to use (possibly downgraded)
+     * @throws {Error} BudgetExceeded if the call cannot fit
+     */
+    check(config, prompt) {
+      if (downgraded && !isCheaper(config)) config = downgrade(config);
+      if (fits(config, prompt)) return config;
+      if (onExceeded === 'downgrade' && !downgraded && !isCheaper(config)) {
+        downgraded = true;
+        debugLog(`Budget running low: switching ${config.model} and remaining calls to ${cheaper.model}`);
+        return this.check(config, prompt);
+      }
+      throw fail(config);
+    },
+
+    /**
+     * Hold a call's worst case against the budget while it runs; take it right after check()
+     * @param {Object} config - Config returned by check()
+     * @param {string} prompt - Prompt text
+     * @returns {Function} Releases the reservation; call it once the call's usage is recorded
+     */
+    reserve(config, prompt) {
+      const call = estimateCall(config, prompt);
+      reserved.add(call);
+      return () => reserved.delete(call);
+    },
+
+    /** Rethrow a budget failure that a tool may have caught and replaced with a fallback */
+    throwIfExceeded() {
+      if (exceeded) throw exceeded;
+    }
+  };
+}
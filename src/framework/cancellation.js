@@ -0,0 +1,53 @@
+/**
+ * Cancellation
+ * ------------
+ * Runs are cancelled through an AbortSignal on `context.signal`. articleWriter checks it
+ * before each step, callLLM before each attempt and during backoff, and the provider
+ * handlers and apiRequest pass it to their HTTP requests, so aborting stops the requests in
+ * flight and no new ones start. Tools that catch errors and fall back to defaults may still
+ * return; the step runner discards such output, so the step runs again on resume.
+ */
+
+/**
+ * Create the error a cancelled run fails with
+ * @param {AbortSignal} signal - The aborted signal; a string reason becomes the message
+ * @returns {Error} Error named Cancelled, with the abort reason as its cause
+ */
+export function cancelledError(signal) {
+  const reason = signal?.reason;
+  const error = new Error(typeof reason === 'string' && reason ? reason : 'Run cancelled');
+  error.name = 'Cancelled';
+  error.cause = reason;
+  return error;
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal from context.signal (nothing happens if unset)
+ * @throws {Error} Cancelled
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw cancelledError(signal);
+}
+
+/**
+ * Wait, unless the signal is aborted first
+ * @param {number} ms - How long to wait
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after ms
+ * @throws {Error} Cancelled as soon as the signal is aborted
+ */
+export function cancellableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
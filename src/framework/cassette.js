@@ -0,0 +1,128 @@
+/**
+ * Record / Replay Cassettes
+ * -------------------------
+ * A cassette is a JSON fixture of provider exchanges. In `record` mode real calls go through
+ * and each request/response pair is appended to the file; in `replay` mode (the default) the
+ * recorded responses are served back with no network and no API keys.
+ * callLLM uses the cassette on `context.cassette`; apiRequest takes it as `options.cassette`.
+ * API keys and headers are never written to the file.
+ *
+ * Record once with BW_CASSETTE=record, commit the fixture, and CI replays it. A request that
+ * was not recorded fails with a diff against the closest recorded one, so prompt changes
+ * show up in review alongside the re-recorded fixture.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { debugLog } from './log.js';
+
+const CONTEXT_LINES = 3;
+
+const keyFor = (kind, request) =>
+  crypto.createHash('sha256').update(JSON.stringify({ kind, request })).digest('hex');
+
+// Flatten a request into lines so prompts diff line by line
+function requestLines({ messages, ...rest }) {
+  const lines = JSON.stringify(rest, null, 2).split('\n');
+  for (const { role, content } of messages || []) {
+    lines.push(`--- ${role} ---`, ...String(content ?? '').split('\n'));
+  }
+  return lines;
+}
+
+/**
+ * Minimal unified diff: trims the shared head and tail and prints the differing middle
+ * @param {string[]} expected - Lines of the recorded request
+ * @param {string[]} actual - Lines of the new request
+ * @returns {string} Diff with -recorded / +actual lines
+ */
+export function diffLines(expected, actual) {
+  let start = 0;
+  while (start < expected.length && start < actual.length && expected[start] === actual[start]) start++;
+  let endE = expected.length, endA = actual.length;
+  while (endE > start && endA > start && expected[endE - 1] === actual[endA - 1]) { endE--; endA--; }
+
+  const from = Math.max(0, start - CONTEXT_LINES);
+  return [
+    `@@ line ${from + 1} @@`,
+    ...expected.slice(from, start).map(line => `  ${line}`),
+    ...expected.slice(start, endE).map(line => `- ${line}`),
+    ...actual.slice(start, endA).map(line => `+ ${line}`),
+    ...expected.slice(endE, endE + CONTEXT_LINES).map(line => `  ${line}`)
+  ].join('\n');
+}
+
+/**
+ * Create a cassette bound to a fixture file
+ * @param {Object} options - Cassette options
+ * @param {string} options.file - Fixture path (e.g. test/cassettes/deepResearch.json)
+ * @param {string} options.mode - 'replay' or 'record' (default: BW_CASSETTE env var, else 'replay')
+ * @returns {Object} Cassette with play(), replaying and interactions
+ */
+export function createCassette({ file, mode = process.env.BW_CASSETTE || 'replay' } = {}) {
+  if (!file) throw new Error('createCassette requires a file');
+  if (!['record', 'replay'].includes(mode)) throw new Error(`Unknown cassette mode: ${mode}`);
+  const filePath = path.resolve(process.cwd(), file);
+
+  let interactions = [];
+  if (mode === 'replay') {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Cassette ${file} not found; record it with BW_CASSETTE=record`);
+    }
+    interactions = JSON.parse(fs.readFileSync(filePath, 'utf8')).interactions || [];
+  }
+  const used = new Set();
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, interactions }, null, 2) + '\n');
+  };
+
+  // The recorded request a missing one most likely corresponds to: same kind and target, not yet played
+  const closest = (kind, request) => {
+    const candidates = interactions.filter((entry, i) => entry.kind === kind && !used.has(i));
+    const target = entry => kind === 'llm'
+      ? entry.request.provider === request.provider && entry.request.model === request.model
+      : entry.request.url === request.url;
+    return candidates.find(target) || candidates[0];
+  };
+
+  return {
+    mode,
+    replaying: mode === 'replay',
+    get interactions() { return interactions; },
+
+    /**
+     * Serve a request from the cassette, or perform and record it
+     * @param {string} kind - 'llm' or 'http'
+     * @param {Object} request - Serializable request (no secrets)
+     * @param {Function} perform - Makes the real call; used only when recording
+     * @returns {Promise<*>} Recorded or fresh response
+     */
+    async play(kind, request, perform) {
+      const key = keyFor(kind, request);
+
+      if (mode === 'record') {
+        const response = await perform();
+        interactions.push({ kind, key, request, response });
+        save();
+        return response;
+      }
+
+      // Identical requests replay in recorded order, so repeated calls get their own answers
+      const index = interactions.findIndex((entry, i) => entry.key === key && !used.has(i));
+      if (index === -1) {
+        const nearest = closest(kind, request);
+        const detail = nearest
+          ? `Diff against the closest recorded request (- recorded, + actual):\n${diffLines(requestLines(nearest.request), requestLines(request))}`
+          : `The cassette has no unplayed ${kind} requests left.`;
+        const error = new Error(`Cassette ${file}: request was not recorded.\n${detail}\nRe-record with BW_CASSETTE=record if the change is intended.`);
+        error.name = 'CassetteMismatch';
+        throw error;
+      }
+      used.add(index);
+      debugLog(`Cassette ${file}: replaying ${kind} interaction ${index + 1}/${interactions.length}`);
+      return structuredClone(interactions[index].response);
+    }
+  };
+}
@@ -2,15 +2,41 @@
 /**
  * Command Line Interface for MCP Server
  * This tool enables direct interaction with MCP server functionality
- * It uses the application object exported by application.js
+ * It uses the application object exported by src/application.js
  */
 import chalk from 'chalk';
 import figlet from 'figlet';
 import 'dotenv/config';
-import { validateTopic, validateApiKeys } from '../tools/tool-utils.js';
+import fs from 'fs';
+import path from 'path';
+import { validateTopic } from './tool-utils.js';
+import { validateApiKeys } from './utils.js';
 import { cliUI, loadPackageMetadata } from './cli-helpers.js';
+import { createLLMCache } from './llm-cache.js';
+import { parseRoute } from './model-routing.js';
+import { loadConfig } from '../app/config.js';
+import { articleWriter, resume, rerun, approve, batchWriter, listWorkflows } from '../app/main.js';
+import { createSessionStore } from './session-store.js';
+import { pendingApproval } from './approvals.js';
+import { REPORT_FILE } from './batch.js';
 import { application } from '../application.js';
 
+/**
+ * Workflow files (built-in, ./workflows and BW_WORKFLOWS_DIR) as commands,
+ * e.g. bw-writer quick-post "<prompt>"; they take precedence over application workflows
+ */
+const workflowCommands = () => ({
+  ...application.workflows,
+  ...Object.fromEntries(listWorkflows().map(workflow => [workflow.name, {
+    description: workflow.description,
+    args: '<prompt>',
+    handler: (prompt, options, deps) => articleWriter(
+      { userPrompt: prompt, workflow: workflow.name, cache: options.cache, models: options.models, approvals: options.approvals },
+      { onToken: deps.onToken, progress: deps.progress, signal: deps.signal, config: deps.config, sessions: deps.sessions }
+    )
+  }]))
+});
+
 /**
  * Create UI utilities with dependencies
  */
@@ -22,15 +48,45 @@ const ui = {
     cliUI.showError(message, { chalk }),
   showSuccess: (message, content) => 
     cliUI.showSuccess(message, content, { chalk }),
+  createTokenPrinter: () =>
+    cliUI.createTokenPrinter({ chalk }),
+  createProgressPrinter: (tokens) =>
+    cliUI.createProgressPrinter({ chalk }, { tokens }),
+  promptApproval: (approval) =>
+    cliUI.promptApproval(approval, { chalk }),
+  createBatchPrinter: () =>
+    cliUI.createBatchPrinter({ chalk }),
+  showPlan: (plan) =>
+    cliUI.showPlan(plan, { chalk }),
   showHelp: () => {
-    // Create command descriptions from application workflows
+    // Create command descriptions from application workflows and workflow files
     const commands = {};
-    Object.entries(application.workflows).forEach(([cmd, info]) => {
+    Object.entries(workflowCommands()).forEach(([cmd, info]) => {
       commands[cmd] = {
         description: info.description,
         args: info.args || '<topic>'
       };
     });
+    commands.resume = {
+      description: 'Continue an interrupted run (--input=<json> overrides the failed step\'s input)',
+      args: '<session-id>'
+    };
+    commands.rerun = {
+      description: 'Redo one step and what depends on it as a new revision (--step=draft, --input=<json>)',
+      args: '<session-id>'
+    };
+    commands.approve = {
+      description: 'Decide on the step a paused run waits at (asks, or --action=accept|edit|reject with --edits=<json>, --feedback=<text>)',
+      args: '<session-id>'
+    };
+    commands.batch = {
+      description: 'Write one article per brief in a .csv or .jsonl file (--concurrency=2, --output-dir); run again to retry failed briefs',
+      args: '<briefs-file>'
+    };
+    commands.plan = {
+      description: 'Estimate the calls, tokens and cost of a run and check its API keys, without running it (--workflow=<name>)',
+      args: '<prompt|briefs-file>'
+    };
     commands.help = 'Show this help message';
     
     cliUI.showHelp({ chalk, figlet }, metadata, commands);
@@ -41,7 +97,7 @@ const ui = {
 /**
  * Create tool handler dependencies
  */
-const createToolDependencies = () => {
+const createToolDependencies = ({ onToken, progress, signal, config, sessions } = {}) => {
   const toolDeps = {};
   
   // Map tool handlers from application
@@ -50,43 +106,104 @@ const createToolDependencies = () => {
                               .replace(/_/g, '')
                               .replace(/^([A-Z])/, (_, p1) => p1.toLowerCase());
     
-    toolDeps[camelCaseName] = (params) => tool.handler(params);
+    toolDeps[camelCaseName] = (params) => tool.handler(params, { onToken, progress, signal, config, sessions });
   });
   
   return {
     ...toolDeps,
+    onToken,
+    progress,
+    signal,
+    config,
+    sessions,
     ui,
     chalk
   };
 };
 
+/**
+ * The provider keys a command's runs need but the environment lacks, from their dry-run plans
+ * (see planner.js): a new run's workflow, a stored run's own params, or every brief of a batch
+ */
+async function missingProviderKeys(command, topic, options, { config, sessions }) {
+  if (command === 'batch') {
+    return (await batchWriter(topic, { dryRun: true, workflow: options.workflow, models: options.models }, { config })).missingProviderKeys;
+  }
+  if (['resume', 'rerun', 'approve'].includes(command)) {
+    // An unknown session is reported by the command itself
+    const session = await sessions.get(topic);
+    return session ? (await articleWriter({ ...session.input, dryRun: true }, { config })).missingProviderKeys : [];
+  }
+  if (!listWorkflows().some(workflow => workflow.name === command)) return [];
+  return (await articleWriter({ userPrompt: topic, workflow: command, models: options.models, dryRun: true }, { config })).missingProviderKeys;
+}
+
 /**
  * Main CLI entry point
  */
 async function main() {
   const args = process.argv.slice(2);
-  if (args.length === 0 || (args.length === 1 && args[0] === 'help')) {
+  if (args.length === 0 || (args.length === 1 && ['help', '--help', '-h'].includes(args[0]))) {
     ui.showHelp();
     return;
   }
   
+  let config;
   try {
     // Process command and arguments
     const command = args[0];
     const topic = args[1] ? args[1].trim() : null;
     const options = ui.parseOptions(args.slice(2));
-    
-    // Validate API keys if not in mock mode
-    if (!application.config.mock) {
-      const validation = validateApiKeys(false);
-      if (validation !== true) {
-        ui.showError(validation.error);
-        return;
-      }
+
+    // The LLM response cache is on for CLI runs unless --no-cache is given
+    options.cache = !options['no-cache'];
+    delete options['no-cache'];
+
+    // Stream LLM output to the terminal unless --no-stream is given
+    const onToken = options['no-stream'] ? undefined : ui.createTokenPrinter();
+    delete options['no-stream'];
+
+    // List steps as they start and finish, with LLM calls and warnings, unless --quiet is given
+    const progress = options.quiet ? undefined : ui.createProgressPrinter(onToken);
+    delete options.quiet;
+
+    // --model=<key> routes every step, --model-<step>=<key> a single one
+    const models = {};
+    for (const key of Object.keys(options).filter(key => key === 'model' || key.startsWith('model-'))) {
+      models[key === 'model' ? 'default' : key.slice('model-'.length)] = parseRoute(options[key]);
+      delete options[key];
+    }
+    if (Object.keys(models).length) options.models = models;
+
+    // --approve pauses at every approval gate of the workflow, --approve=proposal,outline at those steps
+    if (options.approve) {
+      options.approvals = options.approve === true ? true : String(options.approve).split(',').map(step => step.trim());
+      delete options.approve;
+    }
+
+    // Settings: these options, then env vars, then bw-writer.config.* (or --config=<file>)
+    config = await loadConfig({
+      file: options.config,
+      cli: { models: options.models, debug: options.debug, mock: options.mock, outputDir: options['output-dir'] }
+    });
+    delete options.config;
+    delete options['output-dir'];
+
+    // --clear-cache drops every cached response, --clear-cache=<tool> only that tool's
+    if (options['clear-cache']) {
+      const tool = options['clear-cache'] === true ? undefined : options['clear-cache'];
+      const removed = createLLMCache().invalidate({ tool });
+      console.log(chalk.dim(`Cleared ${removed} cached LLM responses${tool ? ` for ${tool}` : ''}`));
+      delete options['clear-cache'];
     }
     
-    // Get available commands from application workflows
-    const commands = [...Object.keys(application.workflows), 'help'];
+    // A brief list to plan or write, rather than a topic
+    const briefsFile = (command === 'batch' || command === 'plan') && topic && /\.(csv|jsonl)$/i.test(topic) ? topic : undefined;
+
+    // Get available commands from application workflows and workflow files
+    const workflows = workflowCommands();
+    const sessionCommands = ['resume', 'rerun', 'approve'];
+    const commands = [...Object.keys(workflows), ...sessionCommands, 'batch', 'plan', 'help'];
     
     // Check if command is valid
     if (!commands.includes(command)) {
@@ -96,13 +213,13 @@ async function main() {
     }
     
     if (command !== 'help' && !topic) {
-      ui.showError('Topic is required');
+      ui.showError(sessionCommands.includes(command) ? 'Session id is required' : command === 'batch' ? 'Briefs file is required' : 'Topic is required');
       ui.showHelp();
       return;
     }
     
-    // Validate topic format if provided
-    if (topic) {
+    // Validate topic format if provided (resume, rerun and approve take a session id, batch a file)
+    if (topic && !sessionCommands.includes(command) && command !== 'batch' && !briefsFile) {
       try {
         validateTopic(topic);
       } catch (error) {
@@ -111,23 +228,125 @@ async function main() {
       }
     }
     
+    // Validate API keys if not in mock mode; plan reports the missing ones instead
+    const sessions = createSessionStore(config.sessions);
+    if (!config.mock && command !== 'plan') {
+      const validation = validateApiKeys(false, await missingProviderKeys(command, topic, options, { config, sessions }));
+      if (validation !== true) {
+        ui.showError(validation.error);
+        return;
+      }
+    }
+
     // Show command banner
     ui.showBanner(command, topic, options);
     
+    // Ctrl+C cancels the run; the steps that finished stay in the session for resume
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort('Interrupted'));
+    const signal = controller.signal;
+
     // Create tool dependencies
-    const deps = createToolDependencies();
+    const deps = createToolDependencies({ onToken, progress, signal, config, sessions });
     
-    // Execute the appropriate workflow
-    if (command in application.workflows) {
-      const result = await application.workflows[command].handler(topic, options, deps);
-      ui.showSuccess(`${command.charAt(0).toUpperCase() + command.slice(1)} Complete`, 
-                    result.content || JSON.stringify(result, null, 2));
+    // Execute the appropriate workflow, or continue a stored run
+    const runContext = { onToken, progress, signal, config, sessions: deps.sessions };
+    let result;
+    if (command === 'approve') {
+      let decision;
+      try {
+        decision = options.action
+          ? { action: options.action, feedback: options.feedback, step: options.step, edits: options.edits ? JSON.parse(options.edits) : undefined }
+          : undefined;
+      } catch (error) {
+        ui.showError(`--edits must be JSON: ${error.message}`);
+        return;
+      }
+      const session = await deps.sessions.get(topic);
+      const pending = pendingApproval(session, options.step);
+      if (!pending) {
+        ui.showError(`Session ${topic} is not waiting for approval`);
+        return;
+      }
+      result = await approve(topic, decision || { step: pending.step, ...await ui.promptApproval(pending) }, runContext);
+    } else if (command === 'plan') {
+      // Nothing is called, so no keys are needed; a brief list is planned brief by brief
+      const plan = briefsFile
+        ? await batchWriter(briefsFile, { dryRun: true, workflow: options.workflow, models: options.models }, { config })
+        : await articleWriter({ userPrompt: topic, workflow: options.workflow, models: options.models, dryRun: true }, { config });
+      ui.showPlan(plan);
+      return;
+    } else if (command === 'batch') {
+      const concurrency = options.concurrency === undefined ? undefined : Number(options.concurrency);
+      if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+        ui.showError('--concurrency must be a whole number above 0');
+        return;
+      }
+      // Several articles run at once, so output is one line per brief instead of streamed text
+      const printer = ui.createBatchPrinter();
+      const report = await batchWriter(topic, {
+        concurrency, workflow: options.workflow, cache: options.cache, models: options.models, onRow: printer.row
+      }, { signal, config, sessions: deps.sessions });
+      printer.report(report);
+      const outDir = config.outputDir || 'articles';
+      console.log(chalk.dim(`Report saved to ${path.join(outDir, REPORT_FILE)}`));
+      if (report.totals.failed || report.totals.cancelled) {
+        console.log(chalk.dim(`Retry the briefs that did not complete with: bw-writer batch ${topic}${config.outputDir ? ` --output-dir=${outDir}` : ''}`));
+      }
+      return;
+    } else if (command === 'resume' || command === 'rerun') {
+      let input;
+      try {
+        input = options.input ? JSON.parse(options.input) : undefined;
+      } catch (error) {
+        ui.showError(`--input must be JSON: ${error.message}`);
+        return;
+      }
+      if (command === 'rerun' && (!options.step || options.step === true)) {
+        ui.showError('rerun needs --step=<name>, e.g. --step=draft');
+        return;
+      }
+      result = command === 'resume'
+        ? await resume(topic, { input }, runContext)
+        : await rerun(topic, options.step, { input }, runContext);
+    } else if (command in workflows) {
+      result = await workflows[command].handler(topic, options, deps);
     } else {
       ui.showError(`Command ${command} is not implemented yet`);
+      return;
+    }
+
+    // Paused runs ask the editor at the terminal, else say how to decide later
+    while (result.awaitingApproval) {
+      if (!process.stdin.isTTY) {
+        console.log(chalk.magenta(`${result.awaitingApproval.step} is waiting for approval. Decide with: bw-writer approve ${result.sessionId}`));
+        return;
+      }
+      const decision = await ui.promptApproval(result.awaitingApproval);
+      result = await approve(result.sessionId, { step: result.awaitingApproval.step, ...decision }, runContext);
+    }
+
+    // Failed runs keep their completed steps; say how to pick them up again
+    if (result.error && result.sessionId) {
+      const stopped = result.cancelled ? 'cancelled' : 'failed';
+      ui.showError(`${result.failedStep ? `${result.failedStep} ${stopped}` : `Run ${stopped}`}: ${result.error}`);
+      console.log(chalk.dim(`Completed steps are saved. Continue with: bw-writer resume ${result.sessionId}`));
+      return;
+    }
+    ui.showSuccess(`${command.charAt(0).toUpperCase() + command.slice(1)} Complete`, 
+                  result.content || JSON.stringify(result, null, 2));
+
+    // Save finished articles when the settings name an output directory
+    if (config.outputDir && result.markdown) {
+      const slug = (result.meta?.title || topic).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const file = path.join(config.outputDir, `${slug || 'article'}.md`);
+      fs.mkdirSync(config.outputDir, { recursive: true });
+      fs.writeFileSync(file, result.markdown);
+      console.log(chalk.dim(`Saved to ${file}`));
     }
   } catch (error) {
     ui.showError(`Error: ${error.message}`);
-    if (application.config.debug) {
+    if (config?.debug) {
       console.error(error);
     }
   } finally {
@@ -3,8 +3,12 @@
  * Generic utilities that don't contain application-specific code
  */
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import readline from 'readline/promises';
+import { spawnSync } from 'child_process';
 import { fileURLToPath } from 'url';
+import YAML from 'yaml';
 
 /**
  * Load package.json metadata
@@ -71,6 +75,18 @@ export async function loadTools(options = {}) {
   }
 }
 
+// Open text in $EDITOR (or vi) and return what was saved
+function editInEditor(text) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bw-approval-')), 'candidates.yaml');
+  fs.writeFileSync(file, text);
+  try {
+    spawnSync(process.env.VISUAL || process.env.EDITOR || 'vi', [file], { stdio: 'inherit' });
+    return fs.readFileSync(file, 'utf8');
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
 /**
  * CLI UI utilities for displaying information
  * These are generic UI components that can be used by any MCP CLI
@@ -160,6 +176,162 @@ export const cliUI = {
     }
   },
 
+  /**
+   * Create an onToken callback that prints streamed LLM output as it arrives
+   * A dim header is printed whenever a new tool, model or attempt starts streaming.
+   * @param {Object} dependencies - Dependencies like chalk
+   * @param {Object} output - Writable stream (default: process.stdout)
+   * @returns {Function} onToken(token, { tool, provider, model, attempt }), with endLine() to
+   *   finish a partly printed stream before other output
+   */
+  createTokenPrinter({ chalk }, output = process.stdout) {
+    let current = null;
+    const onToken = (token, { tool, provider, model, attempt } = {}) => {
+      const label = `${tool || 'llm'} · ${provider}/${model}${attempt > 1 ? ` · attempt ${attempt}` : ''}`;
+      if (label !== current) {
+        output.write(chalk.dim(`${current ? '\n' : ''}\n── ${label} ──\n`));
+        current = label;
+      }
+      output.write(chalk.gray(token));
+    };
+    onToken.endLine = () => {
+      if (current) output.write('\n');
+      current = null;
+    };
+    return onToken;
+  },
+
+  /**
+   * Create a progress callback that prints a run's events as a step list:
+   * ▶ when a step starts, ✓ with its duration when it finishes, then LLM calls,
+   * warnings and errors as they happen
+   * @param {Object} dependencies - Dependencies like chalk
+   * @param {Object} options - { output: writable stream (default: process.stdout), tokens: a token printer to break }
+   * @returns {Function} progress(event), see framework/progress.js
+   */
+  createProgressPrinter({ chalk }, { output = process.stdout, tokens } = {}) {
+    const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+    const count = event => event.total ? chalk.dim(` ${event.completed}/${event.total}`) : '';
+    const lines = {
+      'step:start': event => chalk.cyan(`▶ ${event.step}`) + count(event),
+      'step:finish': event => chalk.green(`✓ ${event.step}`) + chalk.dim(` ${seconds(event.durationMs)}`) + count(event),
+      'llm:call': event => chalk.dim(`  · ${event.provider}/${event.model} ` + (event.cached
+        ? 'cached'
+        : `${event.inputTokens}+${event.outputTokens} tokens $${event.cost.toFixed(4)} ${seconds(event.durationMs)}`)),
+      'warning': event => chalk.yellow(`  ! ${event.tool ? `${event.tool}: ` : ''}${event.message}`),
+      'error': event => chalk.red(`✗ ${event.step ? `${event.step}: ` : ''}${event.message}`),
+      'approval:required': event => chalk.magenta(`⏸ ${event.step} is waiting for approval`)
+    };
+    return event => {
+      if (!lines[event.type]) return;
+      tokens?.endLine();
+      output.write(`${lines[event.type](event)}\n`);
+    };
+  },
+
+  /**
+   * Show what an approval gate is waiting on and ask the editor to decide: accept, edit the
+   * candidates in $EDITOR, reject with feedback, or pick one of the proposals by number
+   * @param {Object} approval - { step, when, candidates, feedback } from a paused run
+   * @param {Object} dependencies - Dependencies like chalk
+   * @param {Object} options - { input, output: streams (default: stdin, stdout), editText(text) => edited text }
+   * @returns {Promise<Object>} Decision for approve(): { action, edits, feedback }
+   */
+  async promptApproval(approval, { chalk }, { input = process.stdin, output = process.stdout, editText = editInEditor } = {}) {
+    const { step, when, candidates = {}, feedback = [] } = approval;
+    const proposals = Array.isArray(candidates.proposals) ? candidates.proposals : [];
+    output.write(chalk.bold.magenta(`\n⏸ ${step} is waiting for approval${when === 'before' ? ' (before it runs)' : ''}\n`));
+    for (const [key, value] of Object.entries(candidates)) {
+      if (key === 'proposals') continue;
+      output.write(`${chalk.cyan(key)}: ${typeof value === 'string' && value.includes('\n') ? `\n${value}` : JSON.stringify(value)}\n`);
+    }
+    proposals.forEach((proposal, i) => {
+      const score = typeof proposal.score === 'number' ? chalk.dim(` (${proposal.score}/10)`) : '';
+      output.write(`${chalk.cyan(`${i + 1}.`)} ${proposal.title}${score}\n   ${chalk.dim(proposal.description)}\n`);
+    });
+    if (feedback.length) output.write(chalk.dim(`Earlier feedback: ${feedback.join(' / ')}\n`));
+
+    const rl = readline.createInterface({ input, output });
+    try {
+      const pick = proposals.length ? `, or pick a proposal [1-${proposals.length}]` : '';
+      for (;;) {
+        const answer = (await rl.question(`Accept [a], edit [e], reject [r]${pick}: `)).trim().toLowerCase();
+        const chosen = proposals[Number(answer) - 1];
+        if (chosen) return { action: 'edit', edits: { title: chosen.title, description: chosen.description } };
+        if (answer === 'a') return { action: 'accept' };
+        if (answer === 'r') {
+          const text = (await rl.question('Feedback for the next attempt: ')).trim();
+          if (text) return { action: 'reject', feedback: text };
+          continue;
+        }
+        if (answer === 'e') {
+          const { proposals: _, ...editable } = candidates;
+          rl.pause();
+          const edited = YAML.parse(editText(YAML.stringify(editable)) || '{}');
+          rl.resume();
+          if (edited && typeof edited === 'object') return { action: 'edit', edits: edited };
+          output.write(chalk.yellow('The edited text must be YAML fields, e.g. title: ...\n'));
+        }
+      }
+    } finally {
+      rl.close();
+    }
+  },
+
+  /**
+   * Create the printer for a batch run: one line per brief as it finishes, then the totals
+   * @param {Object} dependencies - Dependencies like chalk
+   * @param {Object} options - { output: stream to write to (default: stdout) }
+   * @returns {Object} { row(row) for batchWriter's onRow, report(report) for the finished batch }
+   */
+  createBatchPrinter({ chalk }, { output = process.stdout } = {}) {
+    const seconds = ms => `${((ms || 0) / 1000).toFixed(1)}s`;
+    const spend = row => chalk.dim(` $${(row.cost || 0).toFixed(4)} ${row.tokens || 0} tokens`);
+    return {
+      row(row) {
+        const line = row.skipped ? chalk.dim(`- ${row.id} already written (${row.file})`)
+          : row.status === 'completed' ? chalk.green(`✓ ${row.id}`) + chalk.dim(` ${row.file} ${seconds(row.durationMs)}`) + spend(row)
+          : chalk.red(`✗ ${row.id} ${row.status}${row.failedStep ? ` at ${row.failedStep}` : ''}: ${row.error}`) + spend(row);
+        output.write(`${line}\n`);
+      },
+      report({ totals }) {
+        const counts = [`${totals.completed}/${totals.rows} completed`, totals.skipped && `${totals.skipped} from earlier runs`,
+          totals.failed && `${totals.failed} failed`, totals.cancelled && `${totals.cancelled} cancelled`].filter(Boolean);
+        output.write(chalk.bold(`\n${counts.join(', ')}`) + chalk.dim(` · $${totals.cost.toFixed(4)} · ${totals.tokens} tokens · ${seconds(totals.durationMs)}\n`));
+      }
+    };
+  },
+
+  /**
+   * Show a dry-run plan: calls, tokens and cost per step (or per brief for a batch), the
+   * totals, and the API keys that are missing
+   * @param {Object} plan - From articleWriter({ dryRun: true }) or batchWriter(file, { dryRun: true })
+   * @param {Object} dependencies - Dependencies like chalk
+   * @param {Object} options - { output: stream to write to (default: stdout) }
+   */
+  showPlan(plan, { chalk }, { output = process.stdout } = {}) {
+    const apiNames = { dataforseo: 'DataForSEO' };
+    const calls = ({ llmCalls, apiCalls }) => [`${llmCalls} LLM`, ...Object.entries(apiCalls)
+      .map(([api, count]) => `${count} ${apiNames[api] || api}`)].join(' + ') + ' calls';
+    const spend = counts => `~${counts.tokens ?? counts.inputTokens + counts.outputTokens} tokens, ~$${counts.cost.toFixed(4)}`;
+    const rows = plan.briefs
+      ? plan.briefs.map(brief => [brief.id, brief.workflow, calls(brief.totals), spend(brief.totals), brief.missingKeys])
+      : plan.steps.map(step => [step.step, step.tool, step.planned ? calls(step) : 'not estimated', spend(step), step.missingKeys, step.models.join(', ')]);
+    const width = column => Math.max(...rows.map(row => row[column].length));
+
+    output.write(chalk.bold(plan.briefs
+      ? `\nPlan for ${plan.briefs.length} briefs (nothing is called)\n`
+      : `\nPlan for the ${plan.workflow} workflow, ~${plan.words} words (nothing is called)\n`));
+    for (const [name, detail, count, cost, missing, models] of rows) {
+      output.write(`  ${chalk.cyan(name.padEnd(width(0)))}  ${chalk.dim(detail.padEnd(width(1)))}  ${count.padEnd(width(2))}  ${cost}` +
+        (models ? chalk.dim(`  ${models}`) : '') + (missing.length ? chalk.yellow(`  missing ${missing.join(', ')}`) : '') + '\n');
+    }
+    output.write(chalk.bold(`Total: ${calls(plan.totals)}, ${spend(plan.totals)}\n`));
+    output.write(plan.missingKeys.length
+      ? chalk.yellow(`Missing API keys: ${plan.missingKeys.join(', ')}\n`)
+      : chalk.green('Every API key is set\n'));
+  },
+
   /**
    * Display ASCII art logo and help information
    * @param {Object} dependencies - Dependencies like chalk and figlet
@@ -210,6 +382,14 @@ export const cliUI = {
     console.log(chalk.white.bold('COMMON OPTIONS:'));
     console.log(`  ${chalk.cyan('--debug')}           ${chalk.white('Enable debug logging')}`);
     console.log(`  ${chalk.cyan('--mock')}            ${chalk.white('Use mock data instead of making API calls')}`);
+    console.log(`  ${chalk.cyan('--no-cache')}        ${chalk.white('Do not reuse cached LLM responses')}`);
+    console.log(`  ${chalk.cyan('--no-stream')}       ${chalk.white('Do not print LLM output while it is generated')}`);
+    console.log(`  ${chalk.cyan('--clear-cache[=tool]')} ${chalk.white('Clear cached LLM responses (all, or one tool)')}`);
+    console.log(`  ${chalk.cyan('--model=<key>')}     ${chalk.white('Run every step on one LLM_CONFIGS model')}`);
+    console.log(`  ${chalk.cyan('--model-<step>=<key>')} ${chalk.white('Model for one step, e.g. --model-draft=gpt4o (a,b = fallback chain)')}`);
+    console.log(`  ${chalk.cyan('--config=<file>')}   ${chalk.white('Settings file (default: nearest bw-writer.config.js|json|yaml)')}`);
+    console.log(`  ${chalk.cyan('--output-dir=<dir>')} ${chalk.white('Save finished articles as markdown in this directory')}`);
+    console.log(`  ${chalk.cyan('--approve[=steps]')} ${chalk.white('Pause at approval gates (all, or e.g. proposal,outline) for your decision')}`);
     console.log('');
   },
 
@@ -223,8 +403,9 @@ export const cliUI = {
     
     for (const arg of args) {
       if (arg.startsWith('--')) {
-        const [key, value] = arg.substring(2).split('=');
-        options[key] = value || true;
+        // Split at the first '=' only, so values (e.g. JSON) may contain '='
+        const [key, ...value] = arg.substring(2).split('=');
+        options[key] = value.join('=') || true;
       }
     }
     
@@ -0,0 +1,141 @@
+/**
+ * Context-Window Prompt Packing
+ * -----------------------------
+ * Research data (an overview, a `===` separator, then one pipe-delimited fact per line) can
+ * outgrow a model's context window. packResearchData fits it into the tokens the model has
+ * left once the rest of the prompt and the response (max_tokens) are accounted for:
+ *   1. the overview is kept whole if it fits, else cut after a full sentence and marked
+ *   2. facts are ranked by relevance to the focus (title, section, outline) and kept whole
+ *   3. facts that still do not fit are condensed to fact + reference, and any left after
+ *      that are counted in an explicit "omitted" line and returned in `omitted`
+ * A fact line is never cut, so a citation is either there in full or visibly left out. Tools
+ * report omitted facts as a run warning.
+ * Token counts use the same estimate as budgets (see estimateTokens in usage.js).
+ */
+import { LLM_CONFIGS } from './llm-configs.js';
+import { estimateTokens } from './usage.js';
+import { debugLog } from './log.js';
+
+// Used for configs without context_length; small enough to be safe on any current model
+export const DEFAULT_CONTEXT_LENGTH = 8192;
+// Share of the window kept free because token counts are estimates
+const SAFETY_MARGIN = 0.1;
+const SEPARATOR = '\n\n===\n\n';
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our', 'out',
+  'has', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who', 'did', 'get', 'use', 'that', 'with', 'have',
+  'this', 'will', 'your', 'from', 'they', 'been', 'more', 'than', 'them', 'were', 'what', 'when', 'into',
+  'also', 'about', 'which', 'their', 'there', 'these', 'those', 'would', 'could', 'should', 'other',
+  'category', 'fact', 'quote', 'reference'
+]);
+
+/**
+ * Tokens left for packed content in one call
+ * @param {string|Object|Array} llm - LLM_CONFIGS key or config, or a fallback chain (sized for its smallest model)
+ * @param {string} promptText - The rest of the prompt (everything but the packed content)
+ * @returns {number} Token budget for the packed content (0 if nothing fits)
+ */
+export function availableTokens(llm, promptText = '') {
+  const room = [llm].flat().map(entry => {
+    const config = (typeof entry === 'string' ? LLM_CONFIGS[entry] : entry) || {};
+    return Math.floor((config.context_length || DEFAULT_CONTEXT_LENGTH) * (1 - SAFETY_MARGIN)) - (config.max_tokens || 1000);
+  });
+  return Math.max(0, Math.min(...room) - estimateTokens(promptText));
+}
+
+/**
+ * Split research data into its overview and fact lines
+ * @param {string} researchData - Research data string from deepResearch
+ * @returns {Object} { overview, facts }
+ */
+export function parseResearchData(researchData = '') {
+  const [overview = '', lines = ''] = researchData.split(SEPARATOR);
+  return { overview, facts: lines.split('\n').filter(Boolean) };
+}
+
+const terms = text => (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+/**
+ * Order items by how many distinct focus terms they mention (ties keep their original order)
+ * @param {string[]} items - Text items, e.g. fact lines
+ * @param {string} focus - What the prompt is about (title, section heading, outline...)
+ * @returns {string[]} Items, most relevant first
+ */
+export function rankByRelevance(items, focus = '') {
+  const focusTerms = new Set(terms(focus));
+  return items
+    .map((item, index) => ({ item, index, score: new Set(terms(item).filter(term => focusTerms.has(term))).size }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Shorten text to a token budget, cutting after the last complete sentence (with any
+ * trailing [n] citation markers) and saying so
+ * @param {string} text - Text to fit
+ * @param {number} maxTokens - Token budget
+ * @returns {string} The text unchanged if it fits, else a marked prefix
+ */
+export function fitText(text = '', maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+  const marker = '\n[shortened to fit the context window]';
+  const head = text.slice(0, Math.max(0, (maxTokens - estimateTokens(marker)) * 4));
+  const sentenceEnds = [...head.matchAll(/[.!?]["')\]]*(?:\[\d+\])*(?=\s|$)/g)];
+  const end = sentenceEnds.length ? sentenceEnds.at(-1).index + sentenceEnds.at(-1)[0].length : head.lastIndexOf(' ');
+  return `${head.slice(0, Math.max(0, end)).trim()}${marker}`;
+}
+
+// "Category: c | Fact: f | Quote: "q" | Reference: r" without the quote
+function condenseFact(line) {
+  const fields = line.split(' | ').filter(field => !field.startsWith('Quote:'));
+  return fields.length > 1 ? fields.join(' | ') : line;
+}
+
+/**
+ * Fit research data into the context window of the model that will read it
+ * @param {string} researchData - Overview and pipe-delimited facts (see deepResearch)
+ * @param {Object} options - Packing options
+ * @param {string|Object|Array} options.llm - LLM_CONFIGS key, config or chain the prompt is for
+ * @param {string} options.focus - Text the facts are ranked against
+ * @param {string} options.promptText - The prompt rendered without the research data
+ * @param {number} options.maxTokens - Explicit budget, overriding the one from the model
+ * @returns {Object} { text, overview, facts, omitted, stats: { kept, condensed, omitted, overviewShortened } }
+ *   where omitted holds the original lines of the facts left out
+ */
+export function packResearchData(researchData = '', { llm, focus = '', promptText = '', maxTokens } = {}) {
+  const budget = maxTokens ?? availableTokens(llm, promptText);
+  const { overview, facts } = parseResearchData(researchData);
+  const stats = { kept: facts.length, condensed: 0, omitted: 0, overviewShortened: false };
+  if (estimateTokens(researchData) <= budget) return { text: researchData, overview, facts, omitted: [], stats };
+
+  // The overview gets what the facts leave, but at least 30% of the budget
+  const factTokens = facts.reduce((sum, line) => sum + estimateTokens(line) + 1, 0);
+  const packedOverview = fitText(overview, Math.max(Math.floor(budget * 0.3), budget - factTokens));
+  stats.overviewShortened = packedOverview !== overview;
+
+  // Whole facts in order of relevance, then condensed ones, keeping room for the omitted note
+  let remaining = budget - estimateTokens(packedOverview + SEPARATOR) - estimateTokens('[000 lower-relevance facts omitted to fit the context window]');
+  const chosen = new Map(); // original line -> line to send
+  const overflow = [];
+  for (const line of rankByRelevance(facts, focus)) {
+    const cost = estimateTokens(line) + 1;
+    if (cost <= remaining) { chosen.set(line, line); remaining -= cost; } else overflow.push(line);
+  }
+  for (const line of overflow) {
+    const short = condenseFact(line);
+    const cost = estimateTokens(short) + 1;
+    if (short !== line && cost <= remaining) { chosen.set(line, short); remaining -= cost; stats.condensed++; }
+  }
+  stats.kept = chosen.size - stats.condensed;
+  const omitted = facts.filter(line => !chosen.has(line));
+  stats.omitted = omitted.length;
+
+  // Facts go out in their original order so categories stay grouped
+  const packedFacts = facts.filter(line => chosen.has(line)).map(line => chosen.get(line));
+  if (stats.omitted) packedFacts.push(`[${stats.omitted} lower-relevance facts omitted to fit the context window]`);
+  debugLog(`Packed research into ~${budget} tokens: ${stats.kept} facts kept, ${stats.condensed} condensed, ${stats.omitted} omitted` +
+    (stats.overviewShortened ? ', overview shortened' : ''));
+  return { text: `${packedOverview}${SEPARATOR}${packedFacts.join('\n')}`, overview: packedOverview, facts: packedFacts, omitted, stats };
+}
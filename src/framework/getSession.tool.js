@@ -17,17 +17,17 @@ async function getSessionImpl(params, context) {
   }
 
   try {
-    // Get session from the session manager if available
-    if (context.server && context.server.sessionManager) {
-      const session = context.server.sessionManager.getSession(params.sessionId);
-      if (session) {
-        return session;
-      }
+    // Get session from the run's session store, else the server's session manager
+    const store = context.sessions || context.server?.sessionManager?.store;
+    const session = store && await store.get(params.sessionId);
+    if (session) {
+      return session;
     }
 
-    // If session not found or no session manager
+    // If session not found or no session store
     return { error: 'Session not found' };
   } catch (error) {
+    if (error.name === 'InvalidParams') throw error;
     throw new Error(`Failed to get session: ${error.message}`);
   }
 }
@@ -48,37 +48,37 @@ export default {
     },
     required: ['sessionId']
   },
-  handler: async (params, { debug, mockMode, server }) => {
-    debug(`Executing get_session with params: ${JSON.stringify(params)}`);
-
-    if (mockMode) {
-      return {
-        id: params.sessionId,
-        topic: 'Mock Topic',
-        detailedPrompt: '',
-        promptContent: '',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        status: 'in-progress',
-        progress: 75,
-        steps: {
-          research: { status: 'completed', data: { sources: [] } },
-          angles: { status: 'completed', data: { angles: [] } },
-          outline: { status: 'completed', data: { sections: [] } },
-          draft: { status: 'completed', data: {} },
-          review: { status: 'completed', data: {} },
-          final: { status: 'pending', data: null }
-        },
-        metadata: {
-          yamlMetadata: {},
-          authorVoice: {},
-          contentInstructions: {},
-          stylePreferences: {}
-        }
-      };
-    }
+  handler: async (params, { debug, mockMode, server, sessions } = {}) => {
+    // Interfaces pass debug as a flag (tools read it that way) or as a logger
+    if (typeof debug === 'function') debug(`Executing get_session with params: ${JSON.stringify(params)}`);
 
-    return getSessionImpl(params, { server });
+    // Stored sessions are real even in mock mode; the mock payload is only for unknown ids
+    const stored = await getSessionImpl(params, { server, sessions });
+    if (!stored.error || !mockMode) return stored;
+    return {
+      id: params.sessionId,
+      topic: 'Mock Topic',
+      detailedPrompt: '',
+      promptContent: '',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      status: 'in-progress',
+      progress: 75,
+      steps: {
+        research: { status: 'completed', data: { sources: [] } },
+        angles: { status: 'completed', data: { angles: [] } },
+        outline: { status: 'completed', data: { sections: [] } },
+        draft: { status: 'completed', data: {} },
+        review: { status: 'completed', data: {} },
+        final: { status: 'pending', data: null }
+      },
+      metadata: {
+        yamlMetadata: {},
+        authorVoice: {},
+        contentInstructions: {},
+        stylePreferences: {}
+      }
+    };
   }
 };
 
@@ -4,7 +4,7 @@
 // --- llm-utils.js ---
 export {
   callLLM,              // Used in: createOutline.tool.js, draftArticle.tool.js, generateProposals.tool.js, improveReadability.tool.js
-  loadKey,              // Used in: (potentially for env validation in tools)
+  readKey,              // Used in: (potentially for env validation in tools)
   DEFAULT_LLM_CONFIG    // Used as the single default LLM config
 } from './llm-utils.js';
 
@@ -16,6 +16,87 @@ export {
   apiRequest              // Used in: optimizeSEO.tool.js, deepResearch.tool.js (for API calls)
 } from './utils.js';
 
+// --- usage.js ---
+export {
+  createUsageTracker,   // Used in: main.js (one tracker per articleWriter run)
+  computeCost           // Used in: llm-utils.js (prices from LLM_CONFIGS)
+} from './usage.js';
+
+// --- llm-cache.js ---
+export {
+  createLLMCache,       // Used in: main.js, cli-core.js (opt-in response cache)
+  llmCacheKey           // Used in: llm-utils.js (cache key per request)
+} from './llm-cache.js';
+
+// --- cassette.js ---
+export {
+  createCassette        // Used in: tests (record/replay provider exchanges via context.cassette)
+} from './cassette.js';
+
+// --- prompts.js ---
+export {
+  createPromptRegistry  // Used in: app/prompts/index.js (built-in prompts plus project overrides)
+} from './prompts.js';
+
+// --- context-window.js ---
+export {
+  packResearchData,     // Used in: createOutline.tool.js, draftArticle.tool.js, deepResearch.tool.js
+  fitText,              // Used in: deepResearch.tool.js (overview sized to the model's window)
+  availableTokens       // Used in: deepResearch.tool.js
+} from './context-window.js';
+
+// --- session-store.js ---
+export {
+  createSessionStore,   // Used in: main.js, interfaces (one store per server or CLI run)
+  createStepRunner,     // Used in: main.js (checkpointed steps, replayed on resume)
+  SessionManager        // Used in: utils.js McpServer (read by get_session)
+} from './session-store.js';
+
+// --- progress.js ---
+export {
+  createProgressReporter, // Used in: main.js, workflow.js (step, LLM call, warning and error events)
+  describeProgressEvent   // Used in: streaming.js (MCP progress messages)
+} from './progress.js';
+
+// --- cancellation.js ---
+export {
+  throwIfCancelled,     // Used in: main.js, llm-utils.js, utils.js apiRequest (stop once context.signal is aborted)
+  cancellableDelay,     // Used in: llm-utils.js (retry backoff)
+  cancelledError        // Used in: session-store.js (step output discarded after an abort)
+} from './cancellation.js';
+
+// --- approvals.js ---
+export {
+  withApprovalGates,    // Used in: main.js (gated workflow steps pause the run)
+  decideApproval,       // Used in: main.js approve() (accept, edit or reject a pending gate)
+  pendingApproval       // Used in: cli-core.js, api.js (what a paused run is waiting for)
+} from './approvals.js';
+
+// --- batch.js ---
+export {
+  readBriefs,           // Used in: main.js batchWriter (briefs from a .csv or .jsonl file)
+  parseBriefs,          // Used in: (briefs from text already in memory)
+  runBatch              // Used in: main.js batchWriter (articles a few at a time, with batch-report.json)
+} from './batch.js';
+
+// --- planner.js ---
+export {
+  planWorkflow,         // Used in: main.js planArticle (dry-run calls, tokens, cost and missing keys per step)
+  combinePlans          // Used in: main.js batchWriter (dry-run totals over every brief)
+} from './planner.js';
+
+// --- workflow.js ---
+export {
+  createWorkflow,       // Used in: main.js (the article pipeline as a step graph)
+  mapToolsToSteps       // Used in: (tool handlers as workflow steps)
+} from './workflow.js';
+
+// --- workflow-files.js ---
+export {
+  createWorkflowRegistry, // Used in: app/workflows/index.js (built-in workflows plus project ones)
+  buildWorkflow           // Used in: main.js (workflow definitions as runnable step graphs)
+} from './workflow-files.js';
+
 // --- tool-utils.js ---
 export {
   createToolHandler       // Used in: (for tool handler wrappers)
@@ -3,17 +3,26 @@
  * REST API for Article Writing
  * 
  * OpenAPI-compliant REST API for direct integration with other applications
- * Uses the application object from application.js
+ * Uses the application object from src/application.js
  */
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import swaggerUi from 'swagger-ui-express';
-import expressOpenApiValidator from 'express-openapi-validator';
-const { OpenApiValidator } = expressOpenApiValidator;
-import { loadPackageMetadata } from '../utils/metadata-loader.js';
+import OpenApiValidator from 'express-openapi-validator';
 
-import { application } from '../application.js';
+import { application } from '../../application.js';
+import { loadConfig } from '../../app/config.js';
+import { articleWriter, approve, listWorkflows } from '../../app/main.js';
+import { createSessionStore } from '../session-store.js';
+import { pendingApproval } from '../approvals.js';
+
+// Project settings (bw-writer.config.* and env vars), read once at startup
+const config = await loadConfig();
+// Runs are recorded here, shared by every request
+const sessions = createSessionStore(config.sessions);
+// Workflow files (built-in, ./workflows and BW_WORKFLOWS_DIR), each served at /api/workflows/<name>
+const articleWorkflows = listWorkflows();
 
 /**
  * Generate OpenAPI specification from application object
@@ -41,6 +50,10 @@ function generateOpenApiSpec() {
         name: 'workflows',
         description: 'Article writing workflows'
       },
+      {
+        name: 'approvals',
+        description: 'Approval gates of paused article runs'
+      },
       {
         name: 'info',
         description: 'API information'
@@ -67,8 +80,43 @@ function generateOpenApiSpec() {
             workflows: {
               type: 'array',
               items: { type: 'string' }
+            },
+            articleWorkflows: {
+              type: 'array',
+              items: { type: 'string' }
+            }
+          }
+        },
+        ArticleWorkflowRequest: {
+          type: 'object',
+          required: ['prompt'],
+          properties: {
+            prompt: { type: 'string', description: 'What to write' },
+            models: { type: 'object', description: 'Model per step, e.g. { "draft": "claude3opus" }' },
+            budget: { type: 'object', description: 'Spend cap: { maxCost, maxTokens, onExceeded }' },
+            approvals: {
+              oneOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }],
+              description: 'Pause at the workflow\'s approval gates: true for all, or step names'
             }
           }
+        },
+        ArticleWorkflowResponse: {
+          type: 'object',
+          description: 'Article ({ meta, body, markdown }), { error, sessionId, failedStep } or { awaitingApproval, sessionId }'
+        },
+        Approval: {
+          type: 'object',
+          description: 'A pending approval gate: { step, tool, when, candidates, feedback }'
+        },
+        ApprovalDecision: {
+          type: 'object',
+          required: ['action'],
+          properties: {
+            action: { type: 'string', enum: ['accept', 'edit', 'reject'] },
+            edits: { type: 'object', description: 'For edit: candidate fields to change' },
+            feedback: { type: 'string', description: 'For reject: what the next attempt should do differently' },
+            step: { type: 'string', description: 'Step name, only needed when several steps are waiting' }
+          }
         }
       }
     }
@@ -196,6 +244,81 @@ function generateOpenApiSpec() {
     };
   });
   
+  // Add a path for each workflow file
+  articleWorkflows.forEach(workflow => {
+    spec.paths[`/workflows/${workflow.name}`] = {
+      post: {
+        tags: ['workflows'],
+        summary: workflow.description || `${workflow.name} workflow`,
+        description: `Run the ${workflow.name} workflow: ${workflow.steps.map(step => step.name).join(', ')}`,
+        operationId: `workflow_${workflow.name.replace(/\W/g, '_')}`,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ArticleWorkflowRequest' }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: `Result of the ${workflow.name} workflow`,
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ArticleWorkflowResponse' }
+              },
+              // Sent when the request accepts text/event-stream: progress events, then the result
+              'text/event-stream': {
+                schema: {
+                  type: 'string',
+                  description: 'Server-sent events named step:start, step:finish, llm:call, warning, error and approval:required, then one named result'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Error' }
+              }
+            }
+          }
+        }
+      }
+    };
+  });
+
+  // Pending approval of a paused run, and the editor's decision on it
+  const sessionIdParam = { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } };
+  spec.paths['/sessions/{sessionId}/approval'] = {
+    get: {
+      tags: ['approvals'],
+      summary: 'Get the approval a paused run is waiting for',
+      operationId: 'getApproval',
+      parameters: [sessionIdParam],
+      responses: {
+        '200': { description: 'Pending approval', content: { 'application/json': { schema: { $ref: '#/components/schemas/Approval' } } } },
+        '404': { description: 'No pending approval', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    },
+    post: {
+      tags: ['approvals'],
+      summary: 'Accept, edit or reject the pending step and continue the run',
+      operationId: 'decideApproval',
+      parameters: [sessionIdParam],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ApprovalDecision' } } }
+      },
+      responses: {
+        '200': { description: 'The article, or the next pending approval', content: { 'application/json': { schema: { $ref: '#/components/schemas/ArticleWorkflowResponse' } } } },
+        '400': { description: 'Nothing pending or an incomplete decision', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        '404': { description: 'Unknown session', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    }
+  };
+
   return spec;
 }
 
@@ -237,9 +360,10 @@ Object.entries(application.workflows).forEach(([name, workflow]) => {
                                 .replace(/^([A-Z])/, (_, p1) => p1.toLowerCase());
         
         toolDeps[camelCaseName] = (params) => tool.handler(params, {
-          debug: application.config.debug,
-          mockMode: application.config.mock,
-          getMockData
+          debug: config.debug,
+          mockMode: config.mock,
+          config,
+          sessions
         });
       });
       
@@ -252,6 +376,51 @@ Object.entries(application.workflows).forEach(([name, workflow]) => {
   });
 });
 
+// Create a route for each workflow file
+articleWorkflows.forEach(workflow => {
+  app.post(`/api/workflows/${workflow.name}`, async (req, res) => {
+    // Clients that accept text/event-stream get progress events as they happen, then the result
+    const streaming = Boolean(req.get('accept')?.includes('text/event-stream'));
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (streaming) {
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.flushHeaders();
+    }
+    // A client that disconnects cancels the run; the session can be resumed later
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort('Client disconnected'); });
+    try {
+      const { prompt, models, budget, approvals } = req.body;
+      const progress = streaming ? event => send(event.type, event) : undefined;
+      const result = await articleWriter({ userPrompt: prompt, models, budget, approvals, workflow: workflow.name }, { config, sessions, progress, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      if (!streaming) return res.json(result);
+      send('result', result);
+      res.end();
+    } catch (error) {
+      if (!streaming) return res.status(500).json({ error: error.message });
+      send('error', { type: 'error', message: error.message });
+      res.end();
+    }
+  });
+});
+
+// Approval gates: show what a paused run waits on, then record the decision and continue
+app.get('/api/sessions/:sessionId/approval', async (req, res) => {
+  const approval = pendingApproval(await sessions.get(req.params.sessionId).catch(() => undefined));
+  if (!approval) return res.status(404).json({ error: 'No pending approval for this session' });
+  res.json(approval);
+});
+
+app.post('/api/sessions/:sessionId/approval', async (req, res) => {
+  try {
+    res.json(await approve(req.params.sessionId, req.body, { config, sessions }));
+  } catch (error) {
+    const status = { SessionNotFound: 404, InvalidParams: 400 }[error.name] || 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 // Create route for application metadata
 app.get('/api/info', (req, res) => {
   res.json({
@@ -259,7 +428,8 @@ app.get('/api/info', (req, res) => {
     description: application.config.description,
     vendor: application.config.vendor,
     version: application.config.version,
-    workflows: Object.keys(application.workflows)
+    workflows: Object.keys(application.workflows),
+    articleWorkflows: articleWorkflows.map(workflow => workflow.name)
   });
 });
 
@@ -277,4 +447,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   app.listen(port);
 }
 
-// No exports to maintain compatibility with the windsurf mcpServer library
+// The Express app, for embedding the routes in another server
+export { app };
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Command Line Interface for MCP Server (Wrapper)
- * This is a simple wrapper that imports and runs the CLI core from the utils directory
- * with the application definition from index.js
+ * This is a simple wrapper that imports and runs the CLI core from the framework directory
+ * with the application definition from src/application.js
  */
-import '../utils/cli-core.js';
+import '../cli-core.js';
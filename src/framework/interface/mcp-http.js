@@ -3,13 +3,21 @@
  * MCP Server for Article Writing (HTTP Mode)
  * 
  * HTTP implementation of the MCP protocol
- * Uses the application object from application.js
+ * Uses the application object from src/application.js
  */
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import { createTool } from '../utils/mcp-base.js';
-import { application } from '../application.js';
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { application } from '../../application.js';
+import { loadConfig } from '../../app/config.js';
+import { createSessionStore } from '../session-store.js';
+
+// Project settings (bw-writer.config.* and env vars), read once at startup
+const config = await loadConfig();
+// Runs are recorded here, shared by every request
+const sessions = createSessionStore(config.sessions);
 
 
 // Create Express app
@@ -23,9 +31,10 @@ app.use(express.json());
 // Convert tool definitions to MCP tools with context
 const mcpTools = application.tools.reduce((acc, tool) => {
   acc[tool.name] = (params) => tool.handler(params, { 
-    debug: application.config.debug, 
-    mockMode: application.config.mock, 
-    getMockData
+    debug: config.debug, 
+    mockMode: config.mock, 
+    config,
+    sessions
   });
   return acc;
 }, {});
@@ -52,7 +61,7 @@ app.get('/api/tools', (req, res) => {
   const tools = application.tools.map(tool => ({
     name: tool.name,
     description: tool.description,
-    parameters: tool.parameters
+    parameters: tool.parameters instanceof z.ZodType ? zodToJsonSchema(tool.parameters) : tool.parameters
   }));
   
   res.json(tools);
@@ -73,4 +82,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   app.listen(port);
 }
 
-// No exports to maintain compatibility with the windsurf mcpServer library
+// The Express app, for embedding the routes in another server
+export { app };
@@ -14,39 +14,54 @@ process.on('unhandledRejection', err => {
  * MCP Server for Article Writing (Stdio Mode)
  * 
  * Streamlined implementation using the Windsurf MCP library
- * Uses the application object from application.js
+ * Uses the application object from src/application.js
  */
 import 'dotenv/config';
-import { McpServer, createTool } from '../utils/mcp-base.js';
-import { application } from '../application.js';
+import { McpServer, createTool } from '../utils.js';
+import { application } from '../../application.js';
+import { loadConfig } from '../../app/config.js';
+import { createSessionStore } from '../session-store.js';
+import { createProgressNotifier } from '../streaming.js';
 
+// Notifications share stdout with responses: one JSON message per line
+const sendNotification = notification => process.stdout.write(`${JSON.stringify(notification)}\n`);
+
+
+// Project settings (bw-writer.config.* and env vars), read once at startup
+const config = await loadConfig();
 
 // Create MCP server instance
 const server = new McpServer({
-  debug: true, // Force debug logging for tests
-  mockMode: true, // Force mock mode for tests
+  debug: config.debug,
+  mockMode: config.mock,
   serverName: application.config.name,
   version: application.config.version,
   vendor: application.config.vendor || 'BlogWorks.ai',
-  getMockData
+  sessions: createSessionStore(config.sessions)
 });
 
 // Debug: log all tool names at startup
 console.error('[DEBUG] Registering tools:', application.tools.map(t => t.name));
 
-// Register API key validation schema
-server.addApiKeyValidation(application.apiKeyValidation);
+// API keys are checked per call by the application's tools, for the models they are routed to
 
 // Convert tool definitions to MCP tools with context
 const mcpTools = application.tools.map(tool => {
-  return createTool(
-    tool.name,
-    tool.description,
-    tool.parameters,
-    async params => {
+  return createTool({
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters,
+    handler: async (params, extra = {}) => {
       console.error(`[DEBUG] Invoking tool: ${tool.name} with params:`, JSON.stringify(params));
+      // The client cancels a call with notifications/cancelled, which aborts extra.signal
+      // Stream LLM output and progress events as notifications/progress when the client asked for progress
+      const progressToken = extra._meta?.progressToken ?? params?._meta?.progressToken;
+      const onToken = progressToken !== undefined
+        ? createProgressNotifier({ progressToken, send: sendNotification })
+        : undefined;
       try {
-        const result = await tool.handler(params);
+        const result = await tool.handler(params, { onToken, progress: onToken?.event, signal: extra.signal, config, sessions: server.sessionManager.store });
+        onToken?.flush();
         console.error(`[DEBUG] Tool ${tool.name} result:`, JSON.stringify(result));
         return result;
       } catch (err) {
@@ -54,7 +69,7 @@ const mcpTools = application.tools.map(tool => {
         throw err;
       }
     }
-  );
+  });
 });
 
 // Register tools
@@ -0,0 +1,120 @@
+/**
+ * LLM Response Cache
+ * ------------------
+ * Content-addressed, on-disk cache for callLLM results. Entries are keyed by a hash of
+ * provider, model, temperature, messages and schema, so any prompt change is a miss.
+ * callLLM uses it only when a cache is passed as `context.cache` (opt-in).
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { debugLog } from './log.js';
+
+export const DEFAULT_CACHE_DIR = '.bw-writer/cache';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the cache key for a call
+ * @param {Object} config - LLM config (provider, model, temperature)
+ * @param {Array} messages - Chat messages sent to the provider
+ * @param {Object} schema - JSON schema for the response
+ * @returns {string} Hex sha256 key
+ */
+export function llmCacheKey({ provider, model, temperature }, messages, schema) {
+  const material = JSON.stringify({ provider, model, temperature, messages, schema });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Create an on-disk LLM cache
+ * @param {Object} options - Cache options
+ * @param {string} options.dir - Cache directory (default: .bw-writer/cache under cwd)
+ * @param {number} options.ttl - Entry lifetime in ms (default: 7 days, 0 = never expire)
+ * @param {number} options.maxBytes - Size limit; oldest entries are pruned past it (default: 100MB)
+ * @returns {Object} Cache with get(), set(), invalidate() and clear()
+ */
+export function createLLMCache({ dir = DEFAULT_CACHE_DIR, ttl = 7 * DAY_MS, maxBytes = 100 * 1024 * 1024 } = {}) {
+  const cacheDir = path.resolve(process.cwd(), dir);
+  const fileFor = key => path.join(cacheDir, `${key}.json`);
+
+  // Read every entry file with its size, oldest first
+  const entries = () => {
+    if (!fs.existsSync(cacheDir)) return [];
+    return fs.readdirSync(cacheDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const filePath = path.join(cacheDir, file);
+        try {
+          return { filePath, size: fs.statSync(filePath).size, entry: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch {
+          return { filePath, size: 0, entry: {} }; // unreadable entries sort first and get pruned
+        }
+      })
+      .sort((a, b) => (a.entry.createdAt || 0) - (b.entry.createdAt || 0) || a.filePath.localeCompare(b.filePath));
+  };
+
+  const isExpired = entry => ttl > 0 && Date.now() - (entry.createdAt || 0) > ttl;
+
+  const prune = () => {
+    let total = 0;
+    const all = entries();
+    all.forEach(({ size }) => total += size);
+    for (const { filePath, size } of all) {
+      if (total <= maxBytes) break;
+      fs.rmSync(filePath, { force: true });
+      total -= size;
+    }
+  };
+
+  return {
+    dir: cacheDir,
+
+    /**
+     * Look up a cached entry
+     * @param {string} key - Cache key from llmCacheKey()
+     * @returns {Object|undefined} Entry ({ result, tool, provider, model, createdAt }) or undefined
+     */
+    get(key) {
+      const filePath = fileFor(key);
+      if (!fs.existsSync(filePath)) return undefined;
+      try {
+        const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!isExpired(entry)) return entry;
+      } catch { /* corrupt entry, drop it */ }
+      fs.rmSync(filePath, { force: true });
+      return undefined;
+    },
+
+    /**
+     * Store an entry and prune the cache back under its size limit
+     * @param {string} key - Cache key from llmCacheKey()
+     * @param {Object} entry - { result, tool, provider, model }
+     */
+    set(key, entry) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(fileFor(key), JSON.stringify({ ...entry, createdAt: Date.now() }));
+      prune();
+    },
+
+    /**
+     * Remove entries, optionally only those written by one tool
+     * @param {Object} filter - { tool } to match; empty removes everything
+     * @returns {number} Number of entries removed
+     */
+    invalidate({ tool } = {}) {
+      let removed = 0;
+      for (const { filePath, entry } of entries()) {
+        if (tool && entry.tool !== tool) continue;
+        fs.rmSync(filePath, { force: true });
+        removed++;
+      }
+      debugLog(`LLM cache: invalidated ${removed} entries${tool ? ` for ${tool}` : ''}`);
+      return removed;
+    },
+
+    /** Remove every entry */
+    clear() {
+      return this.invalidate();
+    }
+  };
+}
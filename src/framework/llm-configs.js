@@ -4,25 +4,31 @@ export const LLM_CONFIGS = {
     provider: 'openai', model: 'gpt-4o', key: 'OPENAI_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 5.00, price_output: 15.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    json_output_supported: true,
+    context_length: 128000
   },
   gpt4turbo: {
     provider: 'openai', model: 'gpt-4-turbo', key: 'OPENAI_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 10.00, price_output: 30.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 128000
   },
   gpt4oMini: {
     provider: 'openai', model: 'gpt-4o-mini', key: 'OPENAI_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 1.00, price_output: 3.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    json_output_supported: true,
+    context_length: 128000
   },
   gpt35turbo: {
     provider: 'openai', model: 'gpt-3.5-turbo-0125', key: 'OPENAI_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 0.50, price_output: 1.50,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 16385
   },
 
   // ==== Anthropic ====
@@ -30,25 +36,29 @@ export const LLM_CONFIGS = {
     provider: 'anthropic', model: 'claude-3-opus-20240229', key: 'ANTHROPIC_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 15.00, price_output: 75.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 200000
   },
   claude3sonnet: {
     provider: 'anthropic', model: 'claude-3-5-sonnet-20240620', key: 'ANTHROPIC_API_KEY',
     temperature: 0.2, max_tokens: 2048,
     price_input: 3.00, price_output: 15.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 200000
   },
   claude3haiku: {
     provider: 'anthropic', model: 'claude-3-haiku-20240307', key: 'ANTHROPIC_API_KEY',
     temperature: 0.2, max_tokens: 2048,
     price_input: 0.25, price_output: 1.25,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 200000
   },
   claude2: {
     provider: 'anthropic', model: 'claude-2.1', key: 'ANTHROPIC_API_KEY',
     temperature: 0.2, max_tokens: 2048,
     price_input: 0.80, price_output: 2.40,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 200000
   },
 
   // ==== Google Gemini ====
@@ -56,19 +66,22 @@ export const LLM_CONFIGS = {
     provider: 'google', model: 'gemini-1.5-pro-latest', key: 'GOOGLE_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 7.00, price_output: 21.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 2097152
   },
   gemini15flash: {
     provider: 'google', model: 'gemini-1.5-flash-latest', key: 'GOOGLE_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 0.35, price_output: 1.05,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 1048576
   },
   gemini10pro: {
     provider: 'google', model: 'gemini-1.0-pro', key: 'GOOGLE_API_KEY',
     temperature: 0.7, max_tokens: 2048,
     price_input: 0.50, price_output: 1.50,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 30720
   },
 
   // ==== Perplexity ====
@@ -77,28 +90,32 @@ export const LLM_CONFIGS = {
     key: 'PERPLEXITY_API_KEY', temperature: 0.2,
     max_tokens: 2048, price_input: 0.60,
     price_output: 2.00, tool_calls_supported: false,
-    json_output_supported: true
+    json_output_supported: true,
+    context_length: 127072
   },
   ppxsonarsmall: {
     provider: 'perplexity', model: 'llama-3.1-sonar-small-128k-online',
     key: 'PERPLEXITY_API_KEY', temperature: 0.2,
     max_tokens: 2048, price_input: 0.20,
     price_output: 0.80, tool_calls_supported: false,
-    json_output_supported: true
+    json_output_supported: true,
+    context_length: 127072
   },
   ppxsonarlargechat: {
     provider: 'perplexity', model: 'llama-3.1-sonar-large-128k-chat',
     key: 'PERPLEXITY_API_KEY', temperature: 0.2,
     max_tokens: 2048, price_input: 0.60,
     price_output: 2.00, tool_calls_supported: false,
-    json_output_supported: true
+    json_output_supported: true,
+    context_length: 131072
   },
   ppxsonarsmallchat: {
     provider: 'perplexity', model: 'llama-3.1-sonar-small-128k-chat',
     key: 'PERPLEXITY_API_KEY', temperature: 0.2,
     max_tokens: 2048, price_input: 0.20,
     price_output: 0.80, tool_calls_supported: false,
-    json_output_supported: true
+    json_output_supported: true,
+    context_length: 131072
   },
 
 
@@ -107,19 +124,22 @@ export const LLM_CONFIGS = {
     provider: 'mistral', model: 'mistral-large-latest', key: 'MISTRAL_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 2.00, price_output: 8.00,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 128000
   },
   mistralmedium: {
     provider: 'mistral', model: 'mistral-medium-latest', key: 'MISTRAL_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 0.70, price_output: 2.80,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 128000
   },
   mistralsmall: {
     provider: 'mistral', model: 'mistral-small-latest', key: 'MISTRAL_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 0.15, price_output: 0.60,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 32000
   },
 
   // ==== Meta Llama ====
@@ -127,13 +147,15 @@ export const LLM_CONFIGS = {
     provider: 'groq', model: 'llama3-70b-8192', key: 'GROQ_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 0.50, price_output: 0.50,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 8192
   },
   llama3_8b: {
     provider: 'groq', model: 'llama3-8b-8192', key: 'GROQ_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 0.10, price_output: 0.10,
-    tool_calls_supported: false
+    tool_calls_supported: false,
+    context_length: 8192
   },
 
   // ==== Cohere ====
@@ -141,13 +163,15 @@ export const LLM_CONFIGS = {
     provider: 'cohere', model: 'command-r-plus', key: 'COHERE_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 3.00, price_output: 15.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 128000
   },
   commandr: {
     provider: 'cohere', model: 'command-r', key: 'COHERE_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 0.50, price_output: 1.50,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 128000
   },
 
   // ==== OpenRouter (proxy for OpenAI) ====
@@ -155,12 +179,34 @@ export const LLM_CONFIGS = {
     provider: 'openrouter', model: 'openai/gpt-4o', key: 'OPENROUTER_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 5.00, price_output: 15.00,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 128000
   },
   openroutergpt35: {
     provider: 'openrouter', model: 'openai/gpt-3.5-turbo', key: 'OPENROUTER_API_KEY',
     temperature: 0.3, max_tokens: 2048,
     price_input: 0.50, price_output: 1.50,
-    tool_calls_supported: true
+    tool_calls_supported: true,
+    context_length: 16385
+  },
+
+  // ==== Local / self-hosted (any OpenAI-compatible server; see LOCAL_LLM_BASE_URL) ====
+  // Model names are whatever the server exposes, so LOCAL_LLM_MODEL overrides the default
+  local: {
+    provider: 'local', model: process.env.LOCAL_LLM_MODEL || 'llama3.1:8b', key: 'LOCAL_LLM_API_KEY',
+    temperature: 0.3, max_tokens: 2048, timeout: 300000,
+    price_input: 0, price_output: 0,
+    tool_calls_supported: false,
+    context_length: Number(process.env.LOCAL_LLM_CONTEXT_LENGTH) || 8192
+  },
+  localqwen: {
+    provider: 'local', model: 'qwen2.5:14b-instruct', key: 'LOCAL_LLM_API_KEY',
+    temperature: 0.3, max_tokens: 4096, timeout: 300000,
+    price_input: 0, price_output: 0,
+    tool_calls_supported: false,
+    context_length: 32768
   }
  }
+
+// Self-hosted servers usually run without auth; a key is sent only if one is configured
+export const KEYLESS_PROVIDERS = ['local'];
@@ -0,0 +1,104 @@
+/**
+ * LLM Error Classification
+ * ------------------------
+ * Provider failures are sorted into a few kinds so callLLM can decide what to do next:
+ *   rate_limit       - 429; back off (honoring retry-after) and retry, then fall back
+ *   overloaded       - 5xx/529, timeouts, unreachable server; back off and retry, then fall back
+ *   auth             - 401/403 or missing key; fall back (another provider may have a key)
+ *   context_length   - prompt too long for the model; fall back to a model with a bigger window
+ *   malformed_output - no JSON, or JSON that fails the schema after repairs; fall back
+ *   unknown          - anything else (bad request, bug); fail straight away
+ */
+
+export const RETRYABLE_KINDS = ['rate_limit', 'overloaded'];
+export const FALLBACK_KINDS = ['rate_limit', 'overloaded', 'auth', 'context_length', 'malformed_output'];
+
+const CONTEXT_LENGTH_PATTERN = /context.length|context window|maximum context|too many tokens|prompt is too long|input is too long|token limit|reduce the length/i;
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Create a classified LLM error
+ * @param {string} kind - One of the kinds above
+ * @param {string} message - Error message
+ * @param {Object} details - { provider, model, status, retryAfterMs, cause }
+ * @returns {Error} Error named LLMError with kind and details attached
+ */
+export function llmError(kind, message, details = {}) {
+  const error = new Error(message, details.cause ? { cause: details.cause } : undefined);
+  error.name = 'LLMError';
+  error.kind = kind;
+  Object.assign(error, details);
+  return error;
+}
+
+// Reads a header from a fetch Headers object or a plain object (SDK errors use either)
+function header(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * Parse retry-after-ms / retry-after (seconds or HTTP date) into milliseconds
+ * @param {Headers|Object} headers - Response headers
+ * @returns {number|undefined} Delay in ms, if the provider sent one
+ */
+export function retryAfterMs(headers) {
+  const ms = header(headers, 'retry-after-ms');
+  if (ms != null && !Number.isNaN(Number(ms))) return Math.max(0, Number(ms));
+  const value = header(headers, 'retry-after');
+  if (value == null) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turn a non-ok fetch response into a classified error
+ * @param {string} provider - Provider name for the message
+ * @param {Response} response - ky/fetch response
+ * @returns {Promise<Error>} Classified LLMError
+ */
+export async function httpError(provider, response) {
+  const body = await response.text().catch(() => '');
+  const error = llmError('unknown', `${provider} API error ${response.status}: ${body}`, {
+    provider, status: response.status, retryAfterMs: retryAfterMs(response.headers)
+  });
+  error.kind = classifyLLMError(error);
+  return error;
+}
+
+/**
+ * Classify any error thrown while calling a provider
+ * @param {Error} error - Error from a handler, an SDK or the network
+ * @returns {string} Error kind
+ */
+export function classifyLLMError(error) {
+  if (!error) return 'unknown';
+  if (error.kind && error.kind !== 'unknown') return error.kind;
+
+  const status = error.status ?? error.response?.status;
+  const message = String(error.message || '');
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 413 || CONTEXT_LENGTH_PATTERN.test(message) || error.code === 'context_length_exceeded') return 'context_length';
+  if (status >= 500 || /overloaded/i.test(message)) return 'overloaded';
+  if (error.name === 'TimeoutError' || NETWORK_CODES.includes(error.code ?? error.cause?.code) || /fetch failed/i.test(message)) return 'overloaded';
+  if (error.name === 'SyntaxError') return 'malformed_output';
+  return 'unknown';
+}
+
+/**
+ * Delay before the next retry: the provider's retry-after if given, else exponential backoff with jitter
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Error} error - The error being retried
+ * @param {number} baseMs - First backoff step (default 1s)
+ * @param {number} maxMs - Upper bound for any single wait (default 60s)
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(retry, error, baseMs = 1000, maxMs = 60000) {
+  const retryAfter = error?.retryAfterMs ?? retryAfterMs(error?.headers);
+  if (retryAfter !== undefined) return Math.min(retryAfter, maxMs);
+  const exponential = baseMs * 2 ** (retry - 1);
+  return Math.min(exponential + Math.random() * baseMs, maxMs);
+}
@@ -6,9 +6,14 @@ import ky from 'ky';
 import LLM from '@themaximalist/llm.js';
 import { debugLog } from './log.js';
 import { zodToJsonSchema } from 'zod-to-json-schema';
-import OpenAI from 'openai';
+import OpenAI, { toFile } from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
-import { LLM_CONFIGS } from './llm-configs.js';
+import { LLM_CONFIGS, KEYLESS_PROVIDERS } from './llm-configs.js';
+import { computeCost } from './usage.js';
+import { llmCacheKey } from './llm-cache.js';
+import { readChatCompletionStream } from './streaming.js';
+import { throwIfCancelled, cancellableDelay } from './cancellation.js';
+import { llmError, httpError, classifyLLMError, backoffDelay, RETRYABLE_KINDS, FALLBACK_KINDS } from './llm-errors.js';
 
 
 // Default model to use when none specified
@@ -34,8 +39,13 @@ const LLMConfigSchema = z.object({
   price_input: z.number().optional(),
   price_output: z.number().optional(),
 
+  // Endpoint override (self-hosted gateways, local test stand-ins)
+  baseUrl: z.string().optional(),
+  timeout: z.number().optional(),
+
   // Capabilities
   tool_calls_supported: z.boolean().optional().default(false),
+  json_output_supported: z.boolean().optional(),
 
   // Other metadata
   description: z.string().optional(),
@@ -60,50 +70,325 @@ export function readKey(keyName) {
 }
 
 
+// One chat turn. Assistant turns may carry OpenAI-style tool_calls; tool results answer them by id.
+const MessageSchema = z.object({
+  role: z.enum(['system', 'user', 'assistant', 'tool']),
+  content: z.string().nullable().default(''),
+  name: z.string().optional(),
+  tool_call_id: z.string().optional(),
+  tool_calls: z.array(z.object({
+    id: z.string(),
+    type: z.literal('function').default('function'),
+    function: z.object({ name: z.string(), arguments: z.string() })
+  })).optional()
+}).refine(m => m.role !== 'tool' || m.tool_call_id, { message: 'tool messages need a tool_call_id' });
+
+/**
+ * Build the message list for a call
+ * @param {string|Array} prompt - User prompt, or a message history ({ role, content, tool_calls, tool_call_id })
+ * @param {string} systemMessage - Prepended as a system message when non-empty
+ * @returns {Array} Validated chat messages
+ * @throws {ZodError} If a message in the history is malformed
+ */
+export function buildMessages(prompt, systemMessage = '') {
+  const history = typeof prompt === 'string'
+    ? [{ role: 'user', content: prompt }]
+    : z.array(MessageSchema).min(1, 'message history is empty').parse(prompt);
+  return systemMessage.trim() ? [{ role: 'system', content: systemMessage }, ...history] : history;
+}
+
+// Plain text of a message list, for budget estimates
+const messagesText = messages => messages
+  .map(m => [m.content, ...(m.tool_calls || []).map(call => call.function.arguments)].filter(Boolean).join('\n'))
+  .join('\n');
+
+/**
+ * Call an LLM and return a JSON object validated against `schema`
+ * @param {string|Array} prompt - User prompt, or a full message history for multi-turn calls:
+ *   [{ role: 'user', content }, { role: 'assistant', content }, ...]. Assistant turns may
+ *   include tool_calls and `tool` messages their results; each provider gets its own mapping.
+ * @param {string|Object|Array} llm - LLM_CONFIGS key or inline config, or a fallback chain of them
+ * @param {Object} cfg - { systemMessage, schema, maxTries, retries, backoffMs, fallbacks, context, ...config overrides }
+ *   maxTries bounds the schema repair turns per model; retries bounds backoff retries on
+ *   rate-limit/overloaded errors. fallbacks (LLM_CONFIGS keys or configs) are tried in order
+ *   when a model fails with a kind listed in FALLBACK_KINDS (see llm-errors.js).
+ *   context.usage (a usage tracker) receives tokens and cost, labelled with context.tool
+ *   context.budget (see budget.js) may swap in a cheaper model or throw BudgetExceeded
+ *   context.cache (see llm-cache.js) serves and stores results keyed by the full request
+ *   context.cassette (see cassette.js) records provider exchanges or replays them offline
+ *   context.onToken(token, { tool, provider, model, attempt }) streams output (see streaming.js)
+ *   context.events receives llm:call and warning events (see progress.js)
+ *   context.signal (an AbortSignal) cancels the call, including requests in flight (see cancellation.js)
+ * @returns {Promise<Object>} Parsed result
+ * @throws {Error} LLMError naming every attempt made (error.attempts), with the last error's kind,
+ *   or Cancelled once context.signal is aborted
+ */
 export async function callLLM(prompt, llm = DEFAULT_LLM_CONFIG, cfg={}) {
-  let { systemMessage = '', schema = null, maxTries = 3, ...rest } = cfg;
+  let { systemMessage = '', schema = null, maxTries = 3, retries = 2, backoffMs = 1000, fallbacks = [], context = {}, ...rest } = cfg;
 
-  // set up config, apiKey, schema
-  const config = { ...(typeof llm === 'string' ? LLM_CONFIGS[llm || DEFAULT_LLM_CONFIG] : llm), ...rest };
-  config.apiKey = config.apiKey || readKey(config.key);
-  if (!config.apiKey) throw new Error(`No API key found for ${config.model}`);
+  // set up the chain of configs to try, and the schema
+  const chain = [...[llm].flat(), ...fallbacks]
+    .map(entry => ({ ...(typeof entry === 'string' ? LLM_CONFIGS[entry || DEFAULT_LLM_CONFIG] : entry), ...rest }));
   if (!schema) schema = z.object({ result: z.string() });
-  config.schema = zodToJsonSchema(schema); // Convert Zod schema to JSON schema
+  const jsonSchema = zodToJsonSchema(schema); // Convert Zod schema to JSON schema
 
-  // set up prompt and system messages
-  prompt += `\n\n Return only a valid JSON object (no extra text) matching this schema: \n\n======\n\n${JSON.stringify(config.schema)} \n\n=======\n\n`;
-  const systemMessages = systemMessage.trim() ? [{ role: 'system', content: systemMessage }] : [];
-  // add additional json system message here if needed
-  const messages = [...systemMessages, { role: 'user', content: prompt }];
+  // set up the messages (the schema is added per model, natively or in the prompt)
+  const messages = buildMessages(prompt, systemMessage);
+
+  // a cancelled run makes no more calls
+  throwIfCancelled(context.signal);
+
+  // serve repeated requests from the response cache (opt-in)
+  const cacheKey = context.cache ? llmCacheKey(chain[0], messages, jsonSchema) : null;
+  const cached = cacheKey && context.cache.get(cacheKey);
+  if (cached) {
+    debugLog(`Cache hit for ${chain[0].provider}/${chain[0].model} (${context.tool || 'unknown'})`);
+    context.events?.emit('llm:call', { tool: context.tool, provider: chain[0].provider, model: chain[0].model, cached: true });
+    return cached.result;
+  }
+
+  // walk the chain until a model produces a valid result
+  const attempts = [];
+  let lastErr;
+  for (const [i, entry] of chain.entries()) {
+    try {
+      const { config, result } = await callModel({ ...entry, schema: jsonSchema }, {
+        messages, schema, prompt: messagesText(messages) + JSON.stringify(jsonSchema), maxTries, retries, backoffMs, context, attempts
+      });
+      if (cacheKey) context.cache.set(cacheKey, { tool: context.tool, provider: config.provider, model: config.model, result });
+      return result;
+    } catch (e) {
+      if (['CassetteMismatch', 'BudgetExceeded', 'Cancelled'].includes(e.name)) throw e; // not a provider failure
+      lastErr = e;
+      const kind = classifyLLMError(e);
+      const next = chain[i + 1];
+      if (!next || !FALLBACK_KINDS.includes(kind)) break;
+      debugLog(`${entry.provider}/${entry.model} failed (${kind}), falling back to ${next.provider}/${next.model}`);
+      context.events?.warning(`${entry.provider}/${entry.model} failed (${kind}), falling back to ${next.provider}/${next.model}`, { tool: context.tool });
+    }
+  }
+
+  const summary = attempts.map((a, i) => `  ${i + 1}. ${a.provider}/${a.model}: ${a.kind} - ${a.message}`).join('\n');
+  const error = llmError(classifyLLMError(lastErr),
+    `Failed after ${attempts.length} attempts. Last error: ${lastErr.message}\nAttempts:\n${summary}`,
+    { attempts, status: lastErr.status, cause: lastErr });
+  error.lastResponse = lastErr.lastResponse;
+  throw error;
+}
+
+// Tries one model: backs off and retries transient errors, and feeds schema errors back as repair turns.
+// Every handler call is logged in `attempts`; the model's usage is reported once, even on failure.
+async function callModel(config, { messages, schema, prompt, maxTries, retries, backoffMs, context, attempts }) {
+  // enforce the run budget, then resolve the API key for the (possibly downgraded) model
+  if (context.budget) {
+    const checked = context.budget.check(config, prompt);
+    if (checked.model !== config.model) context.events?.warning(`Budget running low: using ${checked.model} instead of ${config.model}`, { tool: context.tool });
+    config = checked;
+  }
+  config.apiKey = config.apiKey || readKey(config.key);
+  const log = (kind, message) => attempts.push({ provider: config.provider, model: config.model, kind, message });
+  if (!config.apiKey && !KEYLESS_PROVIDERS.includes(config.provider) && !context.cassette?.replaying) {
+    log('auth', `No API key found for ${config.model}`);
+    throw llmError('auth', `No API key found for ${config.model}`, { provider: config.provider, model: config.model });
+  }
 
   // set up the handler depending on the provider
   let handler;
   if(config.provider==='openai')handler=openai_handler;
   else if(config.provider==='anthropic')handler=anthropic_handler;
   else if(config.provider==='perplexity')handler=perplexity_handler;
-  else throw new Error(`Unsupported provider: ${config.provider}`);
+  else if(config.provider==='google')handler=google_handler;
+  else if(config.provider==='mistral')handler=mistral_handler;
+  else if(config.provider==='groq')handler=groq_handler;
+  else if(config.provider==='cohere')handler=cohere_handler;
+  else if(config.provider==='openrouter')handler=openrouter_handler;
+  else if(config.provider==='local')handler=local_handler;
+  else {
+    log('unknown', `Unsupported provider: ${config.provider}`);
+    throw new Error(`Unsupported provider: ${config.provider}`);
+  }
+
+  // handlers add their reported token counts here, across all attempts
+  config.usage = { input_tokens: 0, output_tokens: 0 };
+  config.startedAt = Date.now();
+
+  // pass the schema natively where the provider and model support it, else append it to the prompt;
+  // either way the messages are copied, since repair turns belong to this model only
+  config.outputMode = structuredOutputMode(config);
+  messages = config.outputMode === 'prompt' ? withSchemaInstructions(messages, config.schema) : [...messages];
+  debugLog(`${config.provider}/${config.model} structured output: ${config.outputMode}`);
+  // handlers get the streaming callback, if any, and the run's abort signal for their HTTP requests
+  const request = {
+    signal: context.signal,
+    ...(context.onToken && {
+      onToken: token => context.onToken(token, { tool: context.tool, provider: config.provider, model: config.model, attempt: attempts.length + 1 })
+    })
+  };
 
-  // try to get a validated response
+  // hold the call's worst case against the budget until its usage is recorded; nothing above
+  // awaits, so no other call can be checked in between
+  const release = context.budget?.reserve(config, prompt);
   let lastErr, lastRes;
-  for (let i = 0; i < maxTries; i++) {
-    try {
-      const result = await handler(messages, config);
-      if (result && Object.keys(result).length > 0) {
-        debugLog(`Attempt ${i + 1} succeeded with result:`, JSON.stringify(result).substring(0, 200));
-        return result;
+  try {
+    for (let i = 0, retry = 0; i < maxTries; i++) {
+      let result;
+      try {
+        throwIfCancelled(context.signal);
+        result = await runHandler(handler, messages, config, context, request);
+      } catch (e) {
+        if (e.name === 'CassetteMismatch') throw e; // retrying cannot fix an unrecorded request
+        throwIfCancelled(context.signal); // an aborted request is not a provider failure
+        const kind = classifyLLMError(e);
+        log(kind, e.message);
+        if (!RETRYABLE_KINDS.includes(kind) || retry >= retries) throw e;
+        const delay = backoffDelay(++retry, e, backoffMs);
+        debugLog(`Attempt ${attempts.length} failed (${kind}), retrying ${config.model} in ${Math.round(delay)}ms`);
+        context.events?.warning(`${config.provider}/${config.model} failed (${kind}), retrying in ${Math.round(delay)}ms`, { tool: context.tool });
+        await cancellableDelay(delay, context.signal);
+        i--; // transient failures do not use up repair turns
+        continue;
       }
-      debugLog(`Attempt ${i + 1} returned empty result`);
-    } catch (e) {
-      lastErr = e;
-      debugLog(`Attempt ${i + 1} failed:`, e.message);
+
+      lastRes = result;
+      if (!result || Object.keys(result).length === 0) {
+        lastErr = llmError('malformed_output', 'Response contained no JSON object');
+        log('malformed_output', lastErr.message);
+        debugLog(`Attempt ${attempts.length} returned empty result`);
+        continue;
+      }
+      const parsed = schema.safeParse(result);
+      if (parsed.success) {
+        debugLog(`Attempt ${attempts.length} succeeded with result:`, JSON.stringify(parsed.data).substring(0, 200));
+        return { config, result: parsed.data };
+      }
+      const issues = formatSchemaIssues(parsed.error);
+      lastErr = llmError('malformed_output', `Response did not match schema: ${issues}`);
+      log('malformed_output', lastErr.message);
+      debugLog(`Attempt ${attempts.length} failed validation:`, issues);
+      messages.push(
+        { role: 'assistant', content: JSON.stringify(result) },
+        { role: 'user', content: `Your JSON did not match the required schema:\n${issues}\n\nReturn only the corrected JSON object (no extra text).` }
+      );
     }
+  } finally {
+    reportUsage(config, context);
+    release?.();
   }
 
-  const errorMsg = lastErr ?
-    `Failed after ${maxTries} attempts. Last error: ${lastErr.message}` :
-    `Failed after ${maxTries} attempts. No valid response received.`;
+  lastErr.lastResponse = lastRes;
+  Object.assign(lastErr, { provider: config.provider, model: config.model });
+  throw lastErr;
+}
 
-  throw new Error(`${errorMsg} Last response: ${JSON.stringify(lastRes)}`);
+// Records one callLLM call (all attempts) with the run's usage tracker, and reports it as an llm:call event
+function reportUsage(config, context) {
+  const { provider, model, usage } = config;
+  const cost = computeCost(config, usage);
+  debugLog(`${provider}/${model} used ${usage.input_tokens} input + ${usage.output_tokens} output tokens ($${cost.toFixed(6)})`);
+  context.usage?.record({ tool: context.tool, provider, model, ...usage, cost });
+  context.events?.emit('llm:call', {
+    tool: context.tool, provider, model, inputTokens: usage.input_tokens, outputTokens: usage.output_tokens,
+    cost, durationMs: Date.now() - config.startedAt
+  });
+}
+
+// Providers whose handlers can take the schema natively, and how
+const NATIVE_OUTPUT_MODES = {
+  openai: ['json_schema', 'tool'],  // response_format json_schema, or a forced function call
+  anthropic: ['tool'],              // forced tool_use with input_schema
+  perplexity: ['json_schema']       // response_format json_schema
+};
+
+/**
+ * Pick how the schema reaches the model, from the config's capability flags
+ * @param {Object} config - LLM config with provider, schema, json_output_supported, tool_calls_supported
+ * @returns {string} 'json_schema', 'tool' or 'prompt'
+ */
+export function structuredOutputMode(config) {
+  if (config.schema?.type !== 'object') return 'prompt'; // native modes need an object at the root
+  const native = NATIVE_OUTPUT_MODES[config.provider] || [];
+  if (config.json_output_supported && native.includes('json_schema')) return 'json_schema';
+  if (config.tool_calls_supported && native.includes('tool')) return 'tool';
+  return 'prompt';
+}
+
+// Appends the schema to the last user message, for models without native structured output
+// (a history ending in tool results gets a user turn of its own)
+function withSchemaInstructions(messages, schema) {
+  const instructions = `\n\n Return only a valid JSON object (no extra text) matching this schema: \n\n======\n\n${JSON.stringify(schema)} \n\n=======\n\n`;
+  if (messages.at(-1).role !== 'user') return [...messages, { role: 'user', content: instructions.trim() }];
+  const last = messages.length - 1;
+  return messages.map((m, i) => i === last ? { ...m, content: m.content + instructions } : m);
+}
+
+// Anthropic takes the system prompt as a parameter, tool calls as tool_use blocks on the
+// assistant turn and tool results as tool_result blocks on a user turn
+function toAnthropicMessages(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const turns = messages.filter(m => m.role !== 'system').map(m => {
+    if (m.role === 'tool') return { role: 'user', content: [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content || '' }] };
+    if (!m.tool_calls?.length) return { role: m.role, content: m.content || '' };
+    return { role: 'assistant', content: [
+      ...(m.content ? [{ type: 'text', text: m.content }] : []),
+      ...m.tool_calls.map(call => ({ type: 'tool_use', id: call.id, name: call.function.name, input: JSON.parse(call.function.arguments || '{}') }))
+    ] };
+  });
+  return { system, messages: turns };
+}
+
+// For providers without tool roles, tool calls and results become ordinary text turns
+function toPlainMessages(messages) {
+  return messages.map(m => {
+    if (m.role === 'tool') return { role: 'user', content: `Result of ${m.name || 'tool call'} (${m.tool_call_id}):\n${m.content || ''}` };
+    if (!m.tool_calls?.length) return { role: m.role, content: m.content || '' };
+    const calls = m.tool_calls.map(call => `Called ${call.function.name}(${call.function.arguments}) as ${call.id}`);
+    return { role: 'assistant', content: [m.content, ...calls].filter(Boolean).join('\n') };
+  });
+}
+
+// The JSON schema to send natively (zod-to-json-schema adds a $schema key providers reject)
+function nativeSchema({ $schema, ...schema } = {}) {
+  return schema;
+}
+
+// OpenAI strict mode only accepts closed objects whose properties are all required
+const STRICT_UNSUPPORTED = ['default', 'minLength', 'maxLength', 'minimum', 'maximum', 'pattern', 'format', 'minItems', 'maxItems'];
+function isStrictSchema(schema) {
+  if (!schema || typeof schema !== 'object') return true;
+  if (STRICT_UNSUPPORTED.some(key => key in schema)) return false;
+  if (schema.type === 'object') {
+    const keys = Object.keys(schema.properties || {});
+    if (schema.additionalProperties !== false || keys.some(key => !schema.required?.includes(key))) return false;
+  }
+  const children = [...Object.values(schema.properties || {}), schema.items, ...(schema.anyOf || [])];
+  return children.every(isStrictSchema);
+}
+
+// Calls the provider handler, through the cassette when one is set.
+// The cassette stores each exchange's token counts so replayed calls report the same usage.
+async function runHandler(handler, messages, config, context, request) {
+  if (!context.cassette) return handler(messages, config, request);
+  const { provider, model, temperature, schema } = config;
+  const before = { ...config.usage };
+  const { result, usage } = await context.cassette.play('llm', { provider, model, temperature, schema, messages: [...messages] }, async () => {
+    const result = await handler(messages, config, request);
+    return { result, usage: { input_tokens: config.usage.input_tokens - before.input_tokens, output_tokens: config.usage.output_tokens - before.output_tokens } };
+  });
+  config.usage = before;
+  trackUsage(config, usage.input_tokens, usage.output_tokens);
+  return result;
+}
+
+// Adds a handler's reported token counts to the running total for this callLLM call
+function trackUsage(config, input_tokens = 0, output_tokens = 0) {
+  if (!config.usage) return;
+  config.usage.input_tokens += input_tokens || 0;
+  config.usage.output_tokens += output_tokens || 0;
+}
+
+// Formats Zod issues as one "path: message" line each, for logs and repair prompts
+export function formatSchemaIssues(error) {
+  return error.issues.map(issue => `- ${issue.path.join('.') || '(root)'}: ${issue.message}`).join('\n');
 }
 
 
@@ -114,17 +399,26 @@ export async function callLLM(prompt, llm = DEFAULT_LLM_CONFIG, cfg={}) {
  * @returns {Promise<object|string>} Parsed JSON or raw string
  */
 // Handler for OpenAI chat completions with JSON response support
-export const openai_handler = async (messages, config) => {
+export const openai_handler = async (messages, config, { onToken, signal } = {}) => {
   // Extract relevant parameters from config
-  const { schema: parameters, apiKey, model, temperature, max_tokens } = config;
-  const openai = new OpenAI({ apiKey });
-
-  // Send chat completion request with function/tool call and JSON response format
-  const response = await openai.chat.completions.create({
-    model, messages, temperature, max_tokens,
-    response_format: { type: 'json_object' },
-    tools: [{ type: 'function', function: { name: 'extract', description: 'Extracts JSON object', parameters } }]
-  });
+  const { apiKey, model, temperature, max_tokens, outputMode } = config;
+  const parameters = nativeSchema(config.schema);
+  const openai = new OpenAI({ apiKey, baseURL: config.baseUrl, maxRetries: 0 }); // callLLM owns retries and backoff
+
+  // Send chat completion request: strict json_schema, a forced extract function, or plain JSON mode
+  const request = { model, messages, temperature, max_tokens };
+  if (outputMode === 'json_schema') {
+    request.response_format = { type: 'json_schema', json_schema: { name: 'extract', schema: parameters, strict: isStrictSchema(parameters) } };
+  } else if (outputMode === 'tool') {
+    request.tools = [{ type: 'function', function: { name: 'extract', description: 'Extracts JSON object', parameters } }];
+    request.tool_choice = { type: 'function', function: { name: 'extract' } };
+  } else {
+    request.response_format = { type: 'json_object' };
+  }
+  if (onToken) return openai_stream(openai, request, config, onToken, signal);
+  const response = await openai.chat.completions.create(request, { signal });
+
+  trackUsage(config, response.usage?.prompt_tokens, response.usage?.completion_tokens);
 
   // Try to parse tool call arguments from the response (preferred way)
   const args = response.choices?.[0]?.message?.tool_calls?.[0]?.function?.arguments;
@@ -133,29 +427,53 @@ export const openai_handler = async (messages, config) => {
   return extractJson(response.choices?.[0]?.message?.content);
 };
 
+// Streams content and tool-call argument deltas, then parses the accumulated text
+async function openai_stream(openai, request, config, onToken, signal) {
+  const stream = await openai.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }, { signal });
+  let content = '', args = '';
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta || {};
+    const argsToken = delta.tool_calls?.[0]?.function?.arguments || '';
+    const token = delta.content || argsToken;
+    content += delta.content || '';
+    args += argsToken;
+    if (token) onToken(token);
+    if (chunk.usage) trackUsage(config, chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+  }
+  return args ? JSON.parse(args) : extractJson(content);
+}
+
 // --- Perplexity API Handler ---
 // Extracts first JSON object from Perplexity API response
-export async function perplexity_handler(messages, config) {
+export async function perplexity_handler(messages, config, { onToken, signal } = {}) {
   // Setup variables and validate
-  const apiKey = process.env.PERPLEXITY_API_KEY;
+  const apiKey = config.apiKey || process.env.PERPLEXITY_API_KEY;
   if (!apiKey) throw new Error('PERPLEXITY_API_KEY environment variable not set');
   let { model, temperature = 0.7, max_tokens = 2048 } = config;
-  messages = Array.isArray(messages) ? messages : [{ role: 'user', content: messages }];
+  messages = toPlainMessages(Array.isArray(messages) ? messages : [{ role: 'user', content: messages }]);
   temperature = Math.min(Math.max(config.temperature || 0.7, 0), 1);
   max_tokens = Math.min(Math.max(parseInt(config.max_tokens || 2048), 1), 4096);
 
   // Make API request
   const headers = { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' };
-  const body = { model, messages, temperature, max_tokens, stream: false};
+  const body = { model, messages, temperature, max_tokens, stream: !!onToken };
+  if (config.outputMode === 'json_schema') body.response_format = { type: 'json_schema', json_schema: { schema: nativeSchema(config.schema) } };
   const timeout = config.timeout || 30000;
   const throwHttpErrors = config.throwHttpErrors || false;
-  const perplexity_url = 'https://api.perplexity.ai/chat/completions';
-  const response = await ky.post(perplexity_url, {headers, json: body, timeout, throwHttpErrors})
-       .catch(() => ({}));
-  if (!response?.ok) return {};
+  const perplexity_url = `${config.baseUrl || 'https://api.perplexity.ai'}/chat/completions`;
+  const response = await ky.post(perplexity_url, {headers, json: body, timeout, throwHttpErrors, signal});
+  if (!response.ok) throw await httpError('perplexity', response);
+
+  // Streaming: forward tokens, then extract JSON from the accumulated text
+  if (onToken) {
+    const { text, usage } = await readChatCompletionStream(response, onToken);
+    trackUsage(config, usage?.prompt_tokens, usage?.completion_tokens);
+    return extractJson(text);
+  }
 
   // Process response and extract content
   const data = await response.json().catch(() => null);
+  trackUsage(config, data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
   if (!data?.choices?.[0]) return {};
   const content = data.choices[0]?.message?.content || data.choices[0]?.text || '';
   return extractJson(content);
@@ -163,22 +481,114 @@ export async function perplexity_handler(messages, config) {
 
 // --- Anthropic API Handler ---
 // Extracts first valid JSON from Claude's response
-export const anthropic_handler = async (messages, config) => {
+export const anthropic_handler = async (messages, config, { onToken, signal } = {}) => {
   const apiKey = config.apiKey || readKey(config.key);
   if (!apiKey) throw new Error('No API key');
   const { model, temperature, max_tokens } = config;
-  const anthropic = new Anthropic({ apiKey });
-  const r = await anthropic.messages.create({ model, messages, max_tokens, temperature }).catch(() => null);
-  if (!r) return {};
-  const content = r.content?.[0]?.text || r.completion || '';
+  const anthropic = new Anthropic({ apiKey, baseURL: config.baseUrl, maxRetries: 0 }); // callLLM owns retries and backoff
+  const { system, messages: turns } = toAnthropicMessages(messages);
+  const request = { model, messages: turns, max_tokens, temperature, ...(system && { system }) };
+  if (config.outputMode === 'tool') {
+    // Forced tool use: the model's answer arrives as the tool input, already parsed
+    request.tools = [{ name: 'extract', description: 'Return the requested data as a JSON object', input_schema: nativeSchema(config.schema) }];
+    request.tool_choice = { type: 'tool', name: 'extract' };
+  }
+  const r = onToken
+    ? await anthropic.messages.stream(request, { signal }).on('text', onToken).on('inputJson', delta => onToken(delta)).finalMessage()
+    : await anthropic.messages.create(request, { signal });
+  trackUsage(config, r.usage?.input_tokens, r.usage?.output_tokens);
+  const toolUse = r.content?.find(block => block.type === 'tool_use');
+  if (toolUse) return toolUse.input;
+  const content = r.content?.find(block => block.type === 'text')?.text || r.completion || '';
   return extractJson(content);
 };
 
+// --- OpenAI-compatible chat completions (Mistral, Groq, OpenRouter, local servers) ---
+// Same wire format as OpenAI, so one handler covers every provider that speaks it
+const CHAT_COMPLETIONS_URLS = {
+  mistral: 'https://api.mistral.ai/v1',
+  groq: 'https://api.groq.com/openai/v1',
+  openrouter: 'https://openrouter.ai/api/v1',
+  local: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+};
 
+export async function chat_completions_handler(messages, config, { signal } = {}) {
+  const { provider, model, temperature, max_tokens } = config;
+  const apiKey = config.apiKey || (config.key ? readKey(config.key) : '');
+  if (!apiKey && !KEYLESS_PROVIDERS.includes(provider)) throw new Error(`No API key for ${provider}`);
+  const baseUrl = config.baseUrl || CHAT_COMPLETIONS_URLS[provider];
+  if (!baseUrl) throw new Error(`No chat completions endpoint for ${provider}`);
 
+  // Make API request; JSON mode can be switched off for servers that reject response_format
+  const headers = { 'Content-Type': 'application/json', ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }) };
+  const body = { model, messages, temperature, max_tokens, stream: false };
+  if (config.json_output_supported !== false) body.response_format = { type: 'json_object' };
+  const response = await ky.post(`${baseUrl}/chat/completions`, { headers, json: body, timeout: config.timeout || 30000, throwHttpErrors: false, signal });
+  if (!response.ok) throw await httpError(provider, response);
 
+  // Process response and extract content
+  const data = await response.json().catch(() => null);
+  trackUsage(config, data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
+  return extractJson(data?.choices?.[0]?.message?.content);
+}
 
+export const mistral_handler = (messages, config, request) => chat_completions_handler(messages, { ...config, provider: 'mistral' }, request);
+export const groq_handler = (messages, config, request) => chat_completions_handler(messages, { ...config, provider: 'groq' }, request);
+export const openrouter_handler = (messages, config, request) => chat_completions_handler(messages, { ...config, provider: 'openrouter' }, request);
+// llama.cpp server, vLLM, Ollama, LM Studio... (base URL from config.baseUrl or LOCAL_LLM_BASE_URL)
+export const local_handler = (messages, config, request) => chat_completions_handler(messages, { ...config, provider: 'local' }, request);
 
+// --- Google Gemini API Handler ---
+// Gemini takes the system prompt separately and calls the assistant role "model"
+export async function google_handler(messages, config, { signal } = {}) {
+  const { model, temperature, max_tokens } = config;
+  const apiKey = config.apiKey || readKey(config.key);
+  if (!apiKey) throw new Error('No API key for google');
+  const baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+
+  // Map chat messages onto Gemini contents
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = toPlainMessages(messages.filter(m => m.role !== 'system'))
+    .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+  const body = {
+    contents,
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    generationConfig: { temperature, maxOutputTokens: max_tokens, responseMimeType: 'application/json' }
+  };
+
+  // Make API request
+  const url = `${baseUrl}/models/${model}:generateContent`;
+  const headers = { 'x-goog-api-key': apiKey, 'Content-Type': 'application/json' };
+  const response = await ky.post(url, { headers, json: body, timeout: config.timeout || 30000, throwHttpErrors: false, signal });
+  if (!response.ok) throw await httpError('google', response);
+
+  // Process response and extract content
+  const data = await response.json().catch(() => null);
+  trackUsage(config, data?.usageMetadata?.promptTokenCount, data?.usageMetadata?.candidatesTokenCount);
+  const content = (data?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+  return extractJson(content);
+}
+
+// --- Cohere API Handler (v2 chat) ---
+// Cohere returns content as an array of typed blocks
+export async function cohere_handler(messages, config, { signal } = {}) {
+  const { model, temperature, max_tokens } = config;
+  const apiKey = config.apiKey || readKey(config.key);
+  if (!apiKey) throw new Error('No API key for cohere');
+  const baseUrl = config.baseUrl || 'https://api.cohere.com/v2';
+
+  // Make API request
+  const headers = { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' };
+  const body = { model, messages, temperature, max_tokens, response_format: { type: 'json_object' }, stream: false };
+  const response = await ky.post(`${baseUrl}/chat`, { headers, json: body, timeout: config.timeout || 30000, throwHttpErrors: false, signal });
+  if (!response.ok) throw await httpError('cohere', response);
+
+  // Process response and extract content
+  const data = await response.json().catch(() => null);
+  trackUsage(config, data?.usage?.tokens?.input_tokens, data?.usage?.tokens?.output_tokens);
+  const content = (data?.message?.content || []).map(c => c.text || '').join('');
+  return extractJson(content);
+}
 
 // Helper function for quick LLM calls
 export const quickLLM = async (prompt, model = DEFAULT_LLM_CONFIG) => {
@@ -224,6 +634,23 @@ export function extractJson(text) {
 }
 
 // Helper function for JSON responses
-export const quickLLMJSON = async (prompt, schema, model = DEFAULT_LLM_CONFIG) => {
-  return callLLM(prompt, model, { jsonSchema: schema });
+export const quickLLMJSON = async (prompt, schema, model = DEFAULT_LLM_CONFIG, context = {}) => {
+  return callLLM(prompt, model, { schema, context });
 };
+
+/**
+ * Redraw an image in a given style with OpenAI's image edit endpoint
+ * @param {ArrayBuffer|Buffer} image - Source image (PNG, JPEG or WebP)
+ * @param {string} style - Style description, e.g. 'impressionist colored ink pen sketch'
+ * @param {Object} [options] - { model, signal }
+ * @returns {Promise<Buffer>} The restyled image as PNG
+ */
+export async function restyleImage(image, style, { model = 'gpt-image-1', signal } = {}) {
+  const openai = new OpenAI({ apiKey: readKey('OPENAI_API_KEY') });
+  const response = await openai.images.edit({
+    model,
+    image: await toFile(Buffer.from(image), 'image.png', { type: 'image/png' }),
+    prompt: `Redraw this image as ${style}. Keep its subject and composition.`
+  }, { signal });
+  return Buffer.from(response.data[0].b64_json, 'base64');
+}
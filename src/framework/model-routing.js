@@ -0,0 +1,85 @@
+/**
+ * Model Routing
+ * -------------
+ * Maps each pipeline step to the model it runs on. A route is an LLM_CONFIGS key, an inline
+ * config ({ provider, model, ... }) or a fallback chain (array) of those; callLLM accepts
+ * all three. Routes come in layers, lowest precedence first:
+ *
+ *   defaults -> config file -> env (BW_MODEL, BW_MODEL_<STEP>) -> CLI / articleWriter params
+ *
+ * Each layer may set `default`, which applies to every step and overrides lower layers;
+ * within a layer, a step's own route wins over its `default`.
+ */
+import { z } from 'zod';
+import { LLM_CONFIGS } from './llm-configs.js';
+import { configError } from './project-config.js';
+
+const modelKey = z.string().refine(key => key in LLM_CONFIGS, key => ({
+  message: `Unknown model "${key}"; use one of: ${Object.keys(LLM_CONFIGS).join(', ')}`
+}));
+const inlineConfig = z.object({ provider: z.string(), model: z.string() }).passthrough();
+const single = z.union([modelKey, inlineConfig]);
+export const routeSchema = z.union([single, z.array(single).min(1)]);
+
+/**
+ * Parse a route given as text: "gpt4o", or "claude3sonnet,gpt4o" for a fallback chain
+ * @param {string} value - Route text from env or the CLI
+ * @returns {string|string[]} Model key or chain
+ */
+export function parseRoute(value) {
+  const keys = String(value).split(',').map(key => key.trim()).filter(Boolean);
+  return keys.length === 1 ? keys[0] : keys;
+}
+
+/**
+ * Read routes from environment variables
+ * @param {Object} env - Environment (usually process.env)
+ * @param {string[]} steps - Known step names
+ * @returns {Object} Layer with `default` from BW_MODEL and one route per BW_MODEL_<STEP>
+ */
+export function routesFromEnv(env, steps) {
+  const layer = {};
+  if (env.BW_MODEL) layer.default = parseRoute(env.BW_MODEL);
+  for (const step of steps) {
+    const value = env[`BW_MODEL_${step.toUpperCase()}`];
+    if (value) layer[step] = parseRoute(value);
+  }
+  return layer;
+}
+
+/**
+ * Collapse two route layers into one that resolves the same as both in order, so settings
+ * layers (config file, env, CLI) can carry their routes as a single `models` entry
+ * @param {Object} lower - Lower-precedence layer
+ * @param {Object} higher - Higher-precedence layer
+ * @returns {Object} Merged layer
+ */
+export function mergeRouteLayers(lower = {}, higher = {}) {
+  // A default in the higher layer overrides everything below it
+  return higher.default ? { ...higher } : { ...lower, ...higher };
+}
+
+/**
+ * Merge route layers into one route per step
+ * @param {string[]} steps - Known step names
+ * @param {...Object} layers - Route layers, lowest precedence first (undefined layers are skipped)
+ * @returns {Object} { [step]: route } for every step
+ * @throws {Error} ConfigError naming the layer entry that is not a known step or a valid route
+ */
+export function resolveModelRoutes(steps, ...layers) {
+  const routes = {};
+  for (const layer of layers.filter(Boolean)) {
+    for (const [step, route] of Object.entries(layer)) {
+      if (step !== 'default' && !steps.includes(step)) {
+        throw configError(`Unknown pipeline step "${step}" in model routes; steps are: ${steps.join(', ')}`);
+      }
+      const parsed = routeSchema.safeParse(route);
+      if (!parsed.success) {
+        throw configError(`Invalid model route for ${step}: ${parsed.error.issues.map(issue => issue.message).join('; ')}`);
+      }
+    }
+    if (layer.default) steps.forEach(step => routes[step] = layer.default);
+    steps.filter(step => layer[step]).forEach(step => routes[step] = layer[step]);
+  }
+  return routes;
+}
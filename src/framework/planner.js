@@ -0,0 +1,124 @@
+/**
+ * Dry-Run Plans
+ * -------------
+ * What a workflow would cost before it runs: the LLM and DataForSEO calls of every step, the
+ * tokens they would use and their price, and the API keys each step needs but the environment
+ * lacks. Nothing is called. Tools describe their calls with `plan`, next to `keys`, in createTool:
+ *
+ *   plan: ({ words, articleTokens, config, inputs }) => [
+ *     { model: 'draft', prompt: 'draft_article', inputTokens: 5000, outputTokens: articleTokens },
+ *     { api: 'dataforseo', calls: 10 }
+ *   ]
+ *
+ * An LLM entry runs `calls` times (default 1) on the model routed to its `model` step. Its input
+ * is the size of its prompt template plus `inputTokens` for the text filled into it, plus the
+ * run's own prompt if `userPrompt` is set. Prices come from price_input and price_output in
+ * LLM_CONFIGS; for a fallback chain the first model is priced. The numbers are estimates:
+ * tools that repeat calls per paragraph or per media item scale with the article's length.
+ * `inputs` lists the fields the step's workflow fills in, so a tool can leave out the calls an
+ * earlier step already makes for it.
+ *
+ * A step needs the provider key of every model it is routed to, and the tool's `keys`, which
+ * only name what the tool calls besides its models (DataForSEO, S3 storage, image editing).
+ * Tools get by without those (the SEO step keeps its title, media falls back to placeholders),
+ * so a run cannot start without the missingProviderKeys but can without the rest of missingKeys.
+ */
+import { LLM_CONFIGS, KEYLESS_PROVIDERS } from './llm-configs.js';
+import { computeCost, estimateTokens } from './usage.js';
+import { getAllRequiredKeys } from './utils.js';
+import { inputEntries } from './workflow.js';
+
+// Article length used when neither the prompt nor the settings give one
+export const DEFAULT_PLAN_WORDS = 1500;
+
+// The model a route runs on first, and its config ({} for an unknown key)
+function primaryModel(route) {
+  const first = Array.isArray(route) ? route[0] : route;
+  if (typeof first === 'string') return { name: first, config: LLM_CONFIGS[first] || {} };
+  return { name: first?.model || 'unknown', config: first || {} };
+}
+
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Estimate one step from its tool's plan
+ * @param {Object} tool - Tool definition, with keys and plan
+ * @param {Object} options - Plan options, as for planWorkflow
+ * @param {Array<string>} [options.inputs] - Input fields the workflow step fills in
+ * @returns {Object} { llmCalls, apiCalls, inputTokens, outputTokens, cost, models, missingKeys,
+ *   missingProviderKeys, planned }
+ */
+export function planStep(tool = {}, { models = {}, userPrompt = '', words = DEFAULT_PLAN_WORDS, config = {}, promptTokens = () => 0, env = process.env, inputs = [] } = {}) {
+  const entries = typeof tool.plan === 'function' ? tool.plan({ words, articleTokens: Math.ceil(words * 4 / 3), config, inputs }) : [];
+  const step = { llmCalls: 0, apiCalls: {}, inputTokens: 0, outputTokens: 0, cost: 0, models: [], planned: typeof tool.plan === 'function' };
+  const modelKeys = [];
+
+  for (const { model, api, calls = 1, prompt, inputTokens = 0, outputTokens = 0, userPrompt: withPrompt } of entries) {
+    if (!calls) continue;
+    if (api) {
+      step.apiCalls[api] = (step.apiCalls[api] || 0) + calls;
+      continue;
+    }
+    const { name, config: llm } = primaryModel(models[model]);
+    const input = (prompt ? promptTokens(prompt) : 0) + inputTokens + (withPrompt ? estimateTokens(userPrompt) : 0);
+    step.llmCalls += calls;
+    step.inputTokens += input * calls;
+    step.outputTokens += outputTokens * calls;
+    step.cost += computeCost(llm, { input_tokens: input, output_tokens: outputTokens }) * calls;
+    if (!step.models.includes(name)) step.models.push(name);
+    // Keyless providers (local servers) and routes with their own apiKey need no env var
+    if (llm.key && !llm.apiKey && !KEYLESS_PROVIDERS.includes(llm.provider)) modelKeys.push(llm.key);
+  }
+
+  step.cost = roundCost(step.cost);
+  // The tool's own keys plus the provider key of every model it is routed to
+  step.missingKeys = getAllRequiredKeys([tool, { keys: modelKeys }]).filter(key => !env[key]);
+  step.missingProviderKeys = step.missingKeys.filter(key => modelKeys.includes(key));
+  return step;
+}
+
+/**
+ * Estimate a whole workflow, step by step in the order the steps can run
+ * @param {Function} workflow - Workflow from createWorkflow (with .graph)
+ * @param {Object} tools - Tool definitions by tool name
+ * @param {Object} options - Plan options
+ * @param {Object} options.models - Model routes by pipeline step (see model-routing.js)
+ * @param {string} [options.userPrompt] - The run's prompt, for the steps that read it
+ * @param {number} [options.words] - Expected article length in words
+ * @param {Object} [options.config] - Project settings, passed to each tool's plan
+ * @param {Function} [options.promptTokens] - (promptName) => tokens of that prompt template
+ * @param {Object} [options.env] - Environment the keys are checked in (default: process.env)
+ * @returns {Object} { steps: [{ step, tool, ...planStep }], totals, missingKeys, missingProviderKeys, words }
+ */
+export function planWorkflow(workflow, tools, options = {}) {
+  const { levels, steps: graphSteps } = workflow.graph;
+  const steps = levels.flat().map(name => {
+    const { tool, inputs } = graphSteps[name];
+    return { step: name, tool, ...planStep(tools[tool], { ...options, inputs: inputEntries(inputs).map(([field]) => field) }) };
+  });
+
+  return { steps, ...combinePlans(steps), words: options.words || DEFAULT_PLAN_WORDS };
+}
+
+/**
+ * Add up step or workflow plans, e.g. the plans of every brief in a batch
+ * @param {Array<Object>} plans - Plans with llmCalls, apiCalls, inputTokens, outputTokens and
+ *   cost (steps), or with those in totals (workflows), and missingKeys and missingProviderKeys
+ * @returns {Object} { totals: { llmCalls, apiCalls, inputTokens, outputTokens, tokens, cost },
+ *   missingKeys, missingProviderKeys }
+ */
+export function combinePlans(plans) {
+  const totals = { llmCalls: 0, apiCalls: {}, inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0 };
+  for (const plan of plans) {
+    const counts = plan.totals || plan;
+    totals.llmCalls += counts.llmCalls;
+    totals.inputTokens += counts.inputTokens;
+    totals.outputTokens += counts.outputTokens;
+    totals.cost += counts.cost;
+    for (const [api, calls] of Object.entries(counts.apiCalls)) totals.apiCalls[api] = (totals.apiCalls[api] || 0) + calls;
+  }
+  totals.tokens = totals.inputTokens + totals.outputTokens;
+  totals.cost = roundCost(totals.cost);
+  const missing = field => [...new Set(plans.flatMap(plan => plan[field] || []))];
+  return { totals, missingKeys: missing('missingKeys'), missingProviderKeys: missing('missingProviderKeys') };
+}
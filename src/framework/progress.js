@@ -0,0 +1,69 @@
+/**
+ * Progress Events
+ * ---------------
+ * Runs report what they are doing through `context.progress`: a callback that receives each
+ * event, or an EventEmitter, which gets each event under its type. Events:
+ *
+ *   step:start   { step, tool, completed, total, progress }
+ *   step:finish  { step, tool, durationMs, completed, total, progress }
+ *   llm:call     { tool, provider, model, inputTokens, outputTokens, cost, durationMs, cached }
+ *   warning      { message, tool }  (retries, model fallbacks, budget downgrades)
+ *   error        { message, step, cancelled }  (cancelled is set when context.signal stopped the run)
+ *   approval:required  { step, tool, when }  (the run paused at an approval gate, see approvals.js)
+ *
+ * Every event also has `type` and `time`, and `sessionId` once the run has one. progress is
+ * the percentage of the workflow's steps that are done. The CLI prints events as a step list,
+ * the MCP stdio server forwards them as notifications/progress and the REST API streams them
+ * as server-sent events.
+ */
+
+export const PROGRESS_EVENTS = ['step:start', 'step:finish', 'llm:call', 'warning', 'error', 'approval:required'];
+
+/**
+ * Create the reporter runs emit events through (context.events)
+ * @param {Function|EventEmitter} target - Callback(event) or EventEmitter; nothing is sent if unset
+ * @param {Function} [fields] - Returns fields added to every event, read when it is sent
+ * @returns {Object} Reporter with emit(type, fields) and warning(message, fields)
+ */
+export function createProgressReporter(target, fields = () => ({})) {
+  const send = typeof target === 'function' ? target
+    : typeof target?.emit === 'function' ? event => target.emit(event.type, event)
+    : null;
+
+  return {
+    emit(type, eventFields = {}) {
+      if (!send) return;
+      const event = { type, time: new Date().toISOString(), ...fields(), ...eventFields };
+      // A listener that throws (or an EventEmitter without an 'error' listener) must not stop the run
+      try { send(event); } catch { /* ignored */ }
+    },
+
+    warning(message, eventFields = {}) {
+      this.emit('warning', { message, ...eventFields });
+    }
+  };
+}
+
+/**
+ * One line describing an event, for terminals and MCP progress messages
+ * @param {Object} event - Progress event
+ * @returns {string} e.g. 'deep_research finished in 12.3s (3/8)'
+ */
+export function describeProgressEvent(event) {
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const count = event.total ? ` (${event.completed}/${event.total})` : '';
+  switch (event.type) {
+    case 'step:start': return `${event.step} started${count}`;
+    case 'step:finish': return `${event.step} finished in ${seconds(event.durationMs)}${count}`;
+    case 'llm:call': return event.cached
+      ? `${event.tool || 'llm'}: ${event.provider}/${event.model} (cached)`
+      : `${event.tool || 'llm'}: ${event.provider}/${event.model}, ${event.inputTokens} in + ${event.outputTokens} out tokens, $${event.cost.toFixed(4)}, ${seconds(event.durationMs)}`;
+    case 'approval:required': return `${event.step} is waiting for approval`;
+    case 'warning': return `Warning${event.tool ? ` (${event.tool})` : ''}: ${event.message}`;
+    case 'error': {
+      const stopped = event.cancelled ? 'cancelled' : 'failed';
+      return `${event.step ? `${event.step} ${stopped}` : stopped[0].toUpperCase() + stopped.slice(1)}: ${event.message}`;
+    }
+    default: return event.type;
+  }
+}
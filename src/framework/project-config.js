@@ -0,0 +1,107 @@
+/**
+ * Project Configuration Files
+ * ---------------------------
+ * Finds and reads a project config file (<name>.config.js|mjs|json|yaml|yml) and merges
+ * settings layers. The file is looked up in the working directory, then its parents; the
+ * first match wins. A .js config default-exports the settings object (or a function
+ * returning it). The settings schema and the layers themselves belong to the application.
+ */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import YAML from 'yaml';
+
+const EXTENSIONS = ['js', 'mjs', 'json', 'yaml', 'yml'];
+
+/**
+ * Create a configuration error (bad config file, env var, option or model route)
+ * @param {string} message - What is wrong and where
+ * @returns {Error} Error named ConfigError
+ */
+export function configError(message) {
+  const error = new Error(message);
+  error.name = 'ConfigError';
+  return error;
+}
+
+/**
+ * Find the nearest config file
+ * @param {string} name - Base name, e.g. 'bw-writer' for bw-writer.config.yaml
+ * @param {string} cwd - Directory to start from
+ * @returns {string|null} Absolute path of the file, or null if there is none
+ */
+export function findConfigFile(name, cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    const file = EXTENSIONS.map(ext => path.join(dir, `${name}.config.${ext}`)).find(fs.existsSync);
+    if (file) return file;
+    if (dir === path.dirname(dir)) return null;
+  }
+}
+
+/**
+ * Read a config file by its extension
+ * @param {string} file - Path to a .js, .mjs, .json, .yaml or .yml file
+ * @returns {Promise<Object>} The settings it defines ({} for an empty file)
+ * @throws {Error} ConfigError naming the file if it cannot be read or parsed
+ */
+export async function readConfigFile(file) {
+  const where = path.relative(process.cwd(), file) || file;
+  let settings;
+  try {
+    if (/\.m?js$/.test(file)) {
+      const { default: exported } = await import(pathToFileURL(path.resolve(file)).href);
+      settings = typeof exported === 'function' ? await exported() : exported;
+    } else {
+      const text = fs.readFileSync(file, 'utf8');
+      settings = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    }
+  } catch (error) {
+    throw configError(`Cannot read ${where}: ${error.message}`);
+  }
+  settings = settings ?? {};
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw configError(`${where} must define an object of settings`);
+  }
+  return settings;
+}
+
+/**
+ * Validate one settings layer
+ * @param {Object} schema - Zod schema for a layer (every field optional)
+ * @param {Object} layer - Settings from one source
+ * @param {string} source - Where the settings came from, for the error message
+ * @returns {Object} The parsed layer
+ * @throws {Error} ConfigError listing each invalid setting by its path
+ */
+export function validateConfigLayer(schema, layer, source) {
+  const parsed = schema.safeParse(layer);
+  if (parsed.success) return parsed.data;
+  const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  throw configError(`Invalid settings in ${source}:\n  ${issues.join('\n  ')}`);
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge settings layers, lowest precedence first. Objects merge key by key, anything else
+ * (arrays included) is replaced; undefined values never override.
+ * @param {Object[]} layers - Settings layers (undefined layers are skipped)
+ * @param {Object} mergers - Custom merge per top-level key: (lower, higher) => merged
+ * @returns {Object} Merged settings
+ */
+export function mergeConfigLayers(layers, mergers = {}) {
+  const deepMerge = (lower, higher) => {
+    if (!isPlainObject(lower) || !isPlainObject(higher)) return higher === undefined ? lower : higher;
+    const merged = { ...lower };
+    for (const [key, value] of Object.entries(higher)) if (value !== undefined) merged[key] = deepMerge(lower[key], value);
+    return merged;
+  };
+  return layers.filter(Boolean).reduce((merged, layer) => {
+    const next = { ...merged };
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined) continue;
+      next[key] = mergers[key] && merged[key] !== undefined ? mergers[key](merged[key], value) : deepMerge(merged[key], value);
+    }
+    return next;
+  }, {});
+}
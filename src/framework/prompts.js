@@ -0,0 +1,120 @@
+/**
+ * Prompt Registry
+ * ---------------
+ * Prompts live in markdown files, one per prompt, with YAML front matter:
+ *
+ *   ---
+ *   name: create_outline
+ *   version: 1
+ *   variables: [topic, title, researchData]
+ *   ---
+ *   You are an expert writer... {{topic}} ...
+ *
+ * Directories are searched in order, so a project directory listed before the built-in
+ * one overrides a prompt by shipping a file with the same name (and its own version).
+ * Every render is recorded on `context.promptVersions` so outputs can be traced back to
+ * the prompt version that produced them.
+ */
+import fs from 'fs';
+import path from 'path';
+import { extractYamlFrontMatter } from './utils.js';
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function promptError(message) {
+  const error = new Error(message);
+  error.name = 'PromptError';
+  return error;
+}
+
+/**
+ * Load and check one prompt file
+ * @param {string} filePath - Path to the .md prompt file
+ * @returns {Object} { name, version, description, variables, template, source }
+ * @throws {PromptError} If metadata is missing or the template uses undeclared variables
+ */
+export function loadPromptFile(filePath) {
+  const { metadata, content } = extractYamlFrontMatter(fs.readFileSync(filePath, 'utf8'));
+  const name = path.basename(filePath, '.md');
+  const { version, description = '', variables = [] } = metadata;
+  if (metadata.name && metadata.name !== name) throw promptError(`Prompt ${filePath} is named ${metadata.name}; the file must be ${metadata.name}.md`);
+  if (version === undefined) throw promptError(`Prompt ${filePath} has no version in its front matter`);
+
+  const used = [...new Set([...content.matchAll(PLACEHOLDER)].map(match => match[1]))];
+  const undeclared = used.filter(variable => !variables.includes(variable));
+  if (undeclared.length) {
+    throw promptError(`Prompt ${name} uses undeclared variables: ${undeclared.join(', ')} (${filePath})`);
+  }
+  return { name, version: String(version), description, variables, template: content.trim(), source: filePath };
+}
+
+/**
+ * Create a prompt registry over a list of directories
+ * @param {Object} options - Registry options
+ * @param {string[]} options.dirs - Directories to search, highest priority first
+ * @returns {Object} Registry with get(), render() and list()
+ */
+export function createPromptRegistry({ dirs = [] } = {}) {
+  const loaded = new Map(); // filePath -> { mtimeMs, prompt }
+
+  const load = filePath => {
+    const { mtimeMs } = fs.statSync(filePath);
+    const hit = loaded.get(filePath);
+    if (hit && hit.mtimeMs === mtimeMs) return hit.prompt;
+    const prompt = loadPromptFile(filePath);
+    loaded.set(filePath, { mtimeMs, prompt });
+    return prompt;
+  };
+
+  const searchDirs = (extraDirs = []) => [...extraDirs, ...dirs].filter(Boolean).map(dir => path.resolve(dir));
+
+  return {
+    /**
+     * Find a prompt by name
+     * @param {string} name - Prompt name (file name without .md)
+     * @param {Object} options - { dirs } searched before the registry's own
+     * @returns {Object} Loaded prompt
+     */
+    get(name, { dirs: extraDirs } = {}) {
+      for (const dir of searchDirs(extraDirs)) {
+        const filePath = path.join(dir, `${name}.md`);
+        if (fs.existsSync(filePath)) return load(filePath);
+      }
+      throw promptError(`Prompt ${name} not found in ${searchDirs(extraDirs).join(', ')}`);
+    },
+
+    /**
+     * Render a prompt and record its version on the context
+     * @param {string} name - Prompt name
+     * @param {Object} variables - Values for every declared variable
+     * @param {Object} context - Run context; context.promptsDir is searched first,
+     *   context.promptVersions receives { [name]: { version, source } }
+     * @returns {string} Rendered prompt text
+     */
+    render(name, variables = {}, context = {}) {
+      const prompt = this.get(name, { dirs: [context.promptsDir] });
+      const missing = prompt.variables.filter(variable => variables[variable] === undefined);
+      if (missing.length) throw promptError(`Prompt ${name} is missing variables: ${missing.join(', ')}`);
+
+      if (context.promptVersions) context.promptVersions[name] = { version: prompt.version, source: prompt.source };
+      return prompt.template.replace(PLACEHOLDER, (_, variable) => String(variables[variable]));
+    },
+
+    /**
+     * List every available prompt, overrides winning over built-ins
+     * @param {Object} options - { dirs } searched before the registry's own
+     * @returns {Array<Object>} { name, version, description, variables, source }
+     */
+    list({ dirs: extraDirs } = {}) {
+      const byName = new Map();
+      for (const dir of searchDirs(extraDirs)) {
+        if (!fs.existsSync(dir)) continue;
+        for (const file of fs.readdirSync(dir).filter(file => file.endsWith('.md')).sort()) {
+          const name = path.basename(file, '.md');
+          if (!byName.has(name)) byName.set(name, load(path.join(dir, file)));
+        }
+      }
+      return [...byName.values()].map(({ template, ...info }) => info);
+    }
+  };
+}
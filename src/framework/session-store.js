@@ -0,0 +1,341 @@
+/**
+ * Session Store
+ * -------------
+ * Persists each run (session) with the inputs and outputs of every step, so a run can be
+ * inspected afterwards (get_session) and cleaned up after its TTL. Three backends share one
+ * async API:
+ *   memory  - a Map, lost on exit (tests, long-running servers that do not need history)
+ *   json    - one <id>.json file per session in a directory (default .bw-writer/sessions)
+ *   sqlite  - one table in a SQLite file, via node:sqlite (Node 22+) or better-sqlite3
+ *
+ * A session looks like:
+ *   { id, status: 'running'|'completed'|'failed'|'cancelled'|'awaiting_approval', input, result, error, revision,
+ *     createdAt, updatedAt, steps: { [name]: { status, input, output, error, startedAt, finishedAt } },
+ *     approvals: { [name]: { step, when, status, candidates, edits, feedback } } (see approvals.js),
+ *     revisions: [{ revision, status, steps, result, error, savedAt }] }
+ * `steps` and `result` are the current revision; re-running a step first moves them to `revisions`.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { cancelledError } from './cancellation.js';
+import { debugLog } from './log.js';
+import { configError } from './project-config.js';
+
+export const DEFAULT_SESSIONS_DIR = '.bw-writer/sessions';
+export const DEFAULT_SESSIONS_DB = '.bw-writer/sessions.db';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sessionError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Ids become file names, so only allow what is safe in one
+const checkId = id => {
+  if (typeof id !== 'string' || !/^[\w-]{1,128}$/.test(id)) {
+    throw sessionError('InvalidParams', `Invalid session id "${id}"`);
+  }
+  return id;
+};
+
+function memoryBackend() {
+  const sessions = new Map(); // id -> JSON text, so callers never share objects with the store
+  return {
+    read: id => sessions.has(id) ? JSON.parse(sessions.get(id)) : undefined,
+    write: session => { sessions.set(session.id, JSON.stringify(session)); },
+    remove: id => sessions.delete(id),
+    all: () => [...sessions.values()].map(text => JSON.parse(text))
+  };
+}
+
+function jsonBackend(dir = DEFAULT_SESSIONS_DIR) {
+  const sessionsDir = path.resolve(process.cwd(), dir);
+  const fileFor = id => path.join(sessionsDir, `${id}.json`);
+  const readFile = file => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return undefined; // missing or half-written file
+    }
+  };
+  return {
+    dir: sessionsDir,
+    read: id => readFile(fileFor(id)),
+    write: session => {
+      // Write then rename so a crash never leaves a truncated session behind
+      fs.mkdirSync(sessionsDir, { recursive: true });
+      const tmp = `${fileFor(session.id)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(session, null, 2));
+      fs.renameSync(tmp, fileFor(session.id));
+    },
+    remove: id => {
+      const exists = fs.existsSync(fileFor(id));
+      fs.rmSync(fileFor(id), { force: true });
+      return exists;
+    },
+    all: () => fs.existsSync(sessionsDir)
+      ? fs.readdirSync(sessionsDir).filter(file => file.endsWith('.json')).map(file => readFile(path.join(sessionsDir, file))).filter(Boolean)
+      : []
+  };
+}
+
+// node:sqlite and better-sqlite3 share the calls used here: exec, prepare().run/get/all
+function openSqlite(file) {
+  const require = createRequire(import.meta.url);
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(file);
+  } catch {
+    try {
+      const Database = require('better-sqlite3');
+      return new Database(file);
+    } catch {
+      throw configError('The sqlite session store needs Node 22+ (node:sqlite) or the better-sqlite3 package');
+    }
+  }
+}
+
+function sqliteBackend(file = DEFAULT_SESSIONS_DB) {
+  const dbFile = path.resolve(process.cwd(), file);
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+  const db = openSqlite(dbFile);
+  db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY, status TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT NOT NULL, data TEXT NOT NULL
+  )`);
+  const select = db.prepare('SELECT data FROM sessions WHERE id = ?');
+  const upsert = db.prepare(`INSERT INTO sessions (id, status, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at, data = excluded.data`);
+  const remove = db.prepare('DELETE FROM sessions WHERE id = ?');
+  const selectAll = db.prepare('SELECT data FROM sessions');
+  return {
+    file: dbFile,
+    read: id => {
+      const row = select.get(id);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    write: session => { upsert.run(session.id, session.status, session.createdAt, session.updatedAt, JSON.stringify(session)); },
+    remove: id => remove.run(id).changes > 0,
+    all: () => selectAll.all().map(row => JSON.parse(row.data))
+  };
+}
+
+const BACKENDS = { memory: memoryBackend, json: jsonBackend, sqlite: sqliteBackend };
+
+/**
+ * Create a session store
+ * @param {Object} options - Store options
+ * @param {string} options.store - Backend: 'memory', 'json' or 'sqlite' (default: json)
+ * @param {string} options.dir - Directory for the json backend (default: .bw-writer/sessions)
+ * @param {string} options.file - Database file for the sqlite backend (default: .bw-writer/sessions.db)
+ * @param {number} options.ttl - Lifetime in ms after a session's last update (default: 30 days, 0 = keep)
+ * @returns {Object} Store with create(), get(), list(), saveStep(), update(), delete() and cleanup()
+ */
+export function createSessionStore({ store = 'json', dir, file, ttl = 30 * DAY_MS } = {}) {
+  if (!BACKENDS[store]) throw configError(`Unknown session store "${store}"; use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  const backend = store === 'sqlite' ? sqliteBackend(file) : BACKENDS[store](dir);
+  const isExpired = session => ttl > 0 && Date.now() - Date.parse(session.updatedAt) > ttl;
+  let cleaned = false;
+
+  const load = id => {
+    const session = backend.read(checkId(id));
+    if (session && isExpired(session)) {
+      backend.remove(id);
+      return undefined;
+    }
+    return session;
+  };
+  const mustLoad = id => {
+    const session = load(id);
+    if (!session) throw sessionError('SessionNotFound', `Session ${id} not found`);
+    return session;
+  };
+  const save = session => {
+    session.updatedAt = new Date().toISOString();
+    backend.write(session);
+    return session;
+  };
+
+  return {
+    type: store,
+
+    /**
+     * Start a session (also clears expired sessions, once per store)
+     * @param {Object} data - { id, input, ...extra fields }; id defaults to a random UUID
+     * @returns {Promise<Object>} The new session
+     */
+    async create({ id = crypto.randomUUID(), input = {}, ...extra } = {}) {
+      if (!cleaned) {
+        cleaned = true;
+        await this.cleanup();
+      }
+      const now = new Date().toISOString();
+      return save({ ...extra, id: checkId(id), status: 'running', input, revision: 1, steps: {}, createdAt: now, updatedAt: now });
+    },
+
+    /**
+     * Look up a session
+     * @param {string} id - Session id
+     * @returns {Promise<Object|undefined>} The session, or undefined if missing or expired
+     */
+    async get(id) {
+      return load(id);
+    },
+
+    /**
+     * List sessions, newest first, without step inputs and outputs
+     * @param {Object} filter - { status, limit }
+     * @returns {Promise<Array>} [{ id, status, revision, createdAt, updatedAt, steps: [name] }]
+     */
+    async list({ status, limit = Infinity } = {}) {
+      return backend.all()
+        .filter(session => !isExpired(session) && (!status || session.status === status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(({ id, status, revision = 1, createdAt, updatedAt, steps }) => ({ id, status, revision, createdAt, updatedAt, steps: Object.keys(steps || {}) }));
+    },
+
+    /**
+     * Record a step, merging into what is already stored for it
+     * @param {string} id - Session id
+     * @param {string} step - Step name
+     * @param {Object} record - { status, input, output, error, startedAt, finishedAt }
+     * @returns {Promise<Object>} The updated session
+     */
+    async saveStep(id, step, record) {
+      const session = mustLoad(id);
+      session.steps[step] = { ...session.steps[step], ...record };
+      return save(session);
+    },
+
+    /**
+     * Update top-level session fields (status, result, error...)
+     * @param {string} id - Session id
+     * @param {Object} fields - Fields to set
+     * @returns {Promise<Object>} The updated session
+     */
+    async update(id, fields) {
+      const { id: _, steps, createdAt, ...rest } = fields;
+      return save({ ...mustLoad(id), ...rest });
+    },
+
+    /**
+     * Start a new revision: the current steps, result and status are copied to `revisions`
+     * (the steps stay in place as checkpoints for the re-run) and the revision number goes up
+     * @param {string} id - Session id
+     * @param {Object} fields - Fields to set on the new revision, e.g. { rerun: { step, input } }
+     * @returns {Promise<Object>} The updated session
+     */
+    async addRevision(id, fields = {}) {
+      const session = mustLoad(id);
+      const { revision = 1, revisions = [], status, steps, result, error, failedStep, rerun } = session;
+      session.revisions = [...revisions, { revision, status, steps, result, error, failedStep, rerun, savedAt: new Date().toISOString() }];
+      return save({ ...session, ...fields, revision: revision + 1 });
+    },
+
+    /**
+     * Delete a session
+     * @param {string} id - Session id
+     * @returns {Promise<boolean>} Whether a session was removed
+     */
+    async delete(id) {
+      return backend.remove(checkId(id));
+    },
+
+    /**
+     * Remove sessions past their TTL
+     * @returns {Promise<number>} Number of sessions removed
+     */
+    async cleanup() {
+      const expired = backend.all().filter(isExpired);
+      expired.forEach(session => backend.remove(session.id));
+      if (expired.length) debugLog(`Session store: removed ${expired.length} expired sessions`);
+      return expired.length;
+    }
+  };
+}
+
+// JSON with sorted keys, so inputs compare equal however their keys were ordered
+const stableJson = value => JSON.stringify(value, (key, v) =>
+  v && typeof v === 'object' && !Array.isArray(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v);
+
+/**
+ * Run workflow steps against a session: each step's input, output and status is
+ * checkpointed. A completed checkpoint whose input matches is replayed instead of running
+ * the step again, so resuming skips finished work and a re-run only repeats the steps
+ * whose inputs changed.
+ * @param {Object} options - Runner options
+ * @param {Object} options.sessions - Session store
+ * @param {string} options.sessionId - Session the steps belong to
+ * @param {Object} options.checkpoints - Steps of the session being resumed ({ [name]: record })
+ * @param {string} options.force - Step to run again even if its checkpoint matches
+ * @param {Object} options.inputOverrides - Input fields merged into the forced step, else the first step that runs
+ * @param {Function} options.toolContext - (name) => context passed to each step's function
+ * @param {AbortSignal} options.signal - Once aborted, the running step is saved as cancelled, even if it returned
+ * @returns {Object} { run(name, input, fn), failedStep } where fn(input, context) does the work
+ */
+export function createStepRunner({ sessions, sessionId, checkpoints = {}, force, inputOverrides, toolContext = tool => ({ tool }), signal }) {
+  const now = () => new Date().toISOString();
+  // Checkpoints store the input the step actually got: the computed input plus any overrides
+  const replayable = (name, input) => {
+    const checkpoint = checkpoints[name];
+    return name !== force && checkpoint?.status === 'completed' &&
+      stableJson({ ...input, ...checkpoint.overrides }) === stableJson(checkpoint.input);
+  };
+  return {
+    failedStep: undefined,
+
+    async run(name, input, fn) {
+      if (replayable(name, input)) return checkpoints[name].output;
+      let overrides;
+      if (inputOverrides && (!force || name === force)) {
+        overrides = inputOverrides;
+        input = { ...input, ...overrides };
+        inputOverrides = undefined;
+      }
+      await sessions.saveStep(sessionId, name, { status: 'running', input, overrides, output: undefined, error: undefined, startedAt: now(), finishedAt: undefined });
+      try {
+        const output = await fn(input, toolContext(name));
+        // A tool may fall back to defaults when its requests are aborted; don't checkpoint that
+        if (signal?.aborted) throw cancelledError(signal);
+        await sessions.saveStep(sessionId, name, { status: 'completed', output, finishedAt: now() });
+        return output;
+      } catch (error) {
+        this.failedStep = name;
+        const status = error.name === 'Cancelled' || signal?.aborted ? 'cancelled' : 'failed';
+        await sessions.saveStep(sessionId, name, { status, error: error.message, finishedAt: now() });
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Session access for servers (McpServer creates one; get_session reads through it)
+ */
+export class SessionManager {
+  /**
+   * @param {Object} store - A store from createSessionStore, or options for one (default: in memory)
+   */
+  constructor(store = { store: 'memory' }) {
+    this.store = typeof store.get === 'function' ? store : createSessionStore(store);
+  }
+
+  getSession(id) {
+    return this.store.get(id);
+  }
+
+  listSessions(filter) {
+    return this.store.list(filter);
+  }
+
+  deleteSession(id) {
+    return this.store.delete(id);
+  }
+
+  cleanup() {
+    return this.store.cleanup();
+  }
+}
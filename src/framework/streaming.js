@@ -0,0 +1,90 @@
+/**
+ * Streaming Helpers
+ * -----------------
+ * callLLM streams when `context.onToken(token, { tool, provider, model, attempt })` is set.
+ * The OpenAI, Anthropic and Perplexity handlers forward tokens as they arrive; JSON is still
+ * extracted from the accumulated text once the stream ends.
+ * The CLI prints tokens as they come and the MCP stdio server forwards them as
+ * notifications/progress messages (batched, see createProgressNotifier), together with the
+ * run's progress events.
+ */
+import { describeProgressEvent } from './progress.js';
+
+/**
+ * Read a server-sent event stream, calling onData with each parsed `data:` payload
+ * @param {Response} response - fetch/ky response with a streaming body
+ * @param {Function} onData - Called with each JSON payload (the [DONE] marker is skipped)
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readEventStream(response, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const flush = line => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    try { onData(JSON.parse(data)); } catch { /* ignore keep-alives and partial garbage */ }
+  };
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(flush);
+  }
+  flush(buffer + decoder.decode());
+}
+
+/**
+ * Read an OpenAI-format chat completion stream (OpenAI-compatible servers, Perplexity)
+ * @param {Response} response - Streaming response
+ * @param {Function} onToken - Called with each content delta
+ * @returns {Promise<Object>} { text, usage } with usage from the final chunk, if sent
+ */
+export async function readChatCompletionStream(response, onToken) {
+  let text = '', usage = null;
+  await readEventStream(response, chunk => {
+    const token = chunk.choices?.[0]?.delta?.content || '';
+    if (token) { text += token; onToken(token); }
+    if (chunk.usage) usage = chunk.usage;
+  });
+  return { text, usage };
+}
+
+/**
+ * Batch tokens into MCP notifications/progress messages
+ * Tokens are flushed at most every `intervalMs` so a long draft does not flood the client.
+ * Progress events (see progress.js) are sent right away, one message each, described in words.
+ * @param {Object} options - Notifier options
+ * @param {string|number} options.progressToken - Token from the request's _meta.progressToken
+ * @param {Function} options.send - Sends one JSON-RPC notification object
+ * @param {number} options.intervalMs - Minimum time between notifications (default: 250)
+ * @returns {Function} onToken callback with a flush() method for the end of the call, and
+ *   event(progressEvent) to pass as context.progress
+ */
+export function createProgressNotifier({ progressToken, send, intervalMs = 250 }) {
+  let pending = '', count = 0, lastSent = 0;
+
+  const flush = () => {
+    if (!pending) return;
+    send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress: count, message: pending } });
+    pending = '';
+    lastSent = Date.now();
+  };
+
+  const onToken = token => {
+    pending += token;
+    count++;
+    if (Date.now() - lastSent >= intervalMs) flush();
+  };
+  // progress counts tokens and events alike, so it keeps increasing as MCP requires
+  const event = progressEvent => {
+    flush();
+    count++;
+    send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress: count, message: describeProgressEvent(progressEvent) } });
+    lastSent = Date.now();
+  };
+
+  onToken.flush = flush;
+  onToken.event = event;
+  return onToken;
+}
@@ -1,15 +1,18 @@
+import { validateApiKeys } from './utils.js';
+
 /**
  * Create a tool handler wrapper with common validation and mock data handling
  * @param {Function} handler - The actual handler function
  * @param {string} toolName - The name of the tool
  * @param {Function} getMockData - Function to get mock data
  * @param {boolean} mockMode - Whether to use mock data
- * @returns {Function} Wrapped handler function
+ * @param {Array<string>} [keys] - API keys the tool needs: its models' provider keys (see planner.js)
+ * @returns {Function} Wrapped handler function; its context (e.g. context.signal) is passed on
  */
-export function createToolHandler(handler, toolName, getMockData, mockMode) {
-  return async (params) => {
+export function createToolHandler(handler, toolName, getMockData, mockMode, keys = []) {
+  return async (params, context = {}) => {
     // Validate API keys
-    const validation = validateApiKeys(mockMode);
+    const validation = validateApiKeys(mockMode, keys);
     if (validation !== true) {
       // Always return a well-formed MCP error object for missing API keys
       return {
@@ -39,7 +42,7 @@ export function createToolHandler(handler, toolName, getMockData, mockMode) {
 
     // Execute the actual handler
     try {
-      return await handler(params);
+      return await handler(params, context);
     } catch (err) {
       // Always return a well-formed error for handler exceptions
       return {
@@ -53,4 +56,18 @@ export function createToolHandler(handler, toolName, getMockData, mockMode) {
   };
 }
 
-// Note: This function depends on validateApiKeys, which should also be available in framework utils or imported appropriately.
+
+/**
+ * Check the topic or prompt a CLI command was given
+ * @param {string} topic - Topic or prompt text
+ * @returns {string} The topic
+ * @throws {Error} InvalidParams if it is too short to write about
+ */
+export function validateTopic(topic) {
+  if (typeof topic !== 'string' || topic.trim().length < 3) {
+    const error = new Error('Topic must be at least 3 characters long');
+    error.name = 'InvalidParams';
+    throw error;
+  }
+  return topic;
+}
@@ -0,0 +1,75 @@
+/**
+ * Token Usage & Cost Accounting
+ * -----------------------------
+ * callLLM records every call into the tracker found on `context.usage`.
+ * articleWriter creates one tracker per run and returns its summary in `meta.usage`,
+ * broken down per tool and per model.
+ */
+
+/**
+ * Compute the dollar cost of a call from the per-1M-token prices in LLM_CONFIGS
+ * @param {Object} config - LLM config with price_input and price_output
+ * @param {Object} usage - Token counts ({ input_tokens, output_tokens })
+ * @returns {number} Cost in dollars
+ */
+export function computeCost(config = {}, { input_tokens = 0, output_tokens = 0 } = {}) {
+  return (input_tokens * (config.price_input || 0) + output_tokens * (config.price_output || 0)) / 1_000_000;
+}
+
+/**
+ * Rough token estimate for budgeting before a call is made (~4 characters per token)
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+const emptyTotals = () => ({ calls: 0, input_tokens: 0, output_tokens: 0, cost: 0 });
+
+function addTo(totals, call) {
+  totals.calls++;
+  totals.input_tokens += call.input_tokens || 0;
+  totals.output_tokens += call.output_tokens || 0;
+  totals.cost += call.cost || 0;
+  return totals;
+}
+
+// Round dollars for display without losing sub-cent calls entirely
+const roundCost = totals => ({ ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 });
+
+/**
+ * Create a usage tracker for one run
+ * @returns {Object} Tracker with record(), totals() and summary()
+ */
+export function createUsageTracker() {
+  const calls = [];
+
+  return {
+    calls,
+
+    /**
+     * Record one callLLM call
+     * @param {Object} call - { tool, provider, model, input_tokens, output_tokens, cost }
+     */
+    record(call) {
+      calls.push({ ...call, tool: call.tool || 'unknown', at: new Date().toISOString() });
+    },
+
+    /** Totals across every recorded call */
+    totals() {
+      return calls.reduce(addTo, emptyTotals());
+    },
+
+    /** Totals plus per-tool and per-model breakdowns */
+    summary() {
+      const byTool = {}, byModel = {};
+      for (const call of calls) {
+        addTo(byTool[call.tool] ||= emptyTotals(), call);
+        addTo(byModel[call.model] ||= emptyTotals(), call);
+      }
+      const round = group => Object.fromEntries(Object.entries(group).map(([k, v]) => [k, roundCost(v)]));
+      return { ...roundCost(this.totals()), byTool: round(byTool), byModel: round(byModel) };
+    }
+  };
+}
@@ -8,7 +8,10 @@
  */
 import readline from 'readline';
 import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
 import ky from 'ky';
+import { SessionManager } from './session-store.js';
+import { throwIfCancelled } from './cancellation.js';
 
 // YAML front matter extraction utility
 // Uses 'yaml' package if available, falls back to JSON.parse for simple cases
@@ -92,6 +95,8 @@ export function createHttpClient({ debug = false, maxRetries = 3, timeout = 6000
  * @param {number} options.timeout - Request timeout in ms (default: 60000)
  * @param {boolean} options.cache - Enable response caching (default: true)
  * @param {boolean} options.debug - Enable debug logging (default: false)
+ * @param {Object} options.cassette - Record/replay cassette (see cassette.js); headers and keys are not recorded
+ * @param {AbortSignal} options.signal - Aborts the request; the error is then Cancelled
  * @returns {Promise<Object>} Response data
  * @throws {Error} If the request fails
  */
@@ -108,7 +113,9 @@ export async function apiRequest(url, options = {}) {
     maxRetries = 3,
     timeout = 60000,
     cache = true,
-    debug = false
+    debug = false,
+    cassette = null,
+    signal = undefined
   } = options;
 
   // Return mock data if in mock mode
@@ -116,6 +123,11 @@ export async function apiRequest(url, options = {}) {
     return mockData;
   }
 
+  // Record or replay the exchange when a cassette is attached
+  if (cassette) {
+    return cassette.play('http', { method, url, body }, () => apiRequest(url, { ...options, cassette: null }));
+  }
+
   // Build request headers
   const requestHeaders = {
     'Content-Type': 'application/json',
@@ -142,11 +154,14 @@ export async function apiRequest(url, options = {}) {
       method,
       headers: requestHeaders,
       json: body,
-      throwHttpErrors: true
+      throwHttpErrors: true,
+      signal
     }).json();
 
     return response;
   } catch (error) {
+    // An aborted request is a cancelled run, not an API error
+    throwIfCancelled(signal);
     // Handle HTTP errors
     if (error.name === 'HTTPError') {
       try {
@@ -192,9 +207,11 @@ export class McpServer {
     this.tools = [];
     this.apiKeySchemas = [];
     this.rateLimiters = {};
+    // Tool calls in flight, by JSON-RPC request id, so notifications/cancelled can abort them
+    this.pendingRequests = new Map();
     
-    // Create session manager instance
-    this.sessionManager = new SessionManager();
+    // Create session manager instance (options.sessions: a session store or its options)
+    this.sessionManager = new SessionManager(this.options.sessions);
     
     // Set up debug logging
     this.debug = this.options.debug 
@@ -376,10 +393,11 @@ export class McpServer {
    * @returns {Array} - Array of tool definitions
    */
   getToolDefinitions() {
+    // Zod parameter schemas are listed as JSON schema
     return this.tools.map(tool => ({
       name: tool.name,
       description: tool.description,
-      parameters: tool.parameters
+      parameters: tool.parameters instanceof z.ZodType ? zodToJsonSchema(tool.parameters) : tool.parameters
     }));
   }
   
@@ -391,6 +409,28 @@ export class McpServer {
   findTool(name) {
     return this.tools.find(tool => tool.name === name) || null;
   }
+
+  /**
+   * Abort a tool call in flight; its handler sees context.signal aborted
+   * @param {string|number} requestId - JSON-RPC id of the tools call
+   * @param {string} [reason] - Why it was cancelled
+   * @returns {boolean} - Whether a call with that id was running
+   */
+  cancelRequest(requestId, reason = 'Request cancelled by the client') {
+    const controller = this.pendingRequests.get(requestId);
+    if (!controller) return false;
+    this.debug(`Cancelling request ${requestId}: ${reason}`);
+    controller.abort(reason);
+    return true;
+  }
+
+  /**
+   * Handle a JSON-RPC notification (a message without an id; nothing is sent back)
+   * @param {Object} notification - { method, params }
+   */
+  handleNotification({ method, params = {} }) {
+    if (method === 'notifications/cancelled') this.cancelRequest(params.requestId, params.reason);
+  }
   
   /**
    * Parse an MCP request
@@ -418,7 +458,31 @@ export class McpServer {
       parameters: data.parameters
     };
   }
-  
+
+  /**
+   * Serve over stdio: one JSON request per line in, one JSON response per line out. Requests
+   * are handled as they arrive, so a notifications/cancelled can reach a call in flight.
+   * @param {Object} [streams] - { input, output } (default: process.stdin and process.stdout)
+   * @returns {readline.Interface} - The line reader; closing it stops reading requests
+   */
+  start({ input = process.stdin, output = process.stdout } = {}) {
+    const lines = readline.createInterface({ input, terminal: false });
+    lines.on('line', async line => {
+      if (!line.trim()) return;
+      let response;
+      try {
+        const data = JSON.parse(line);
+        response = data.jsonrpc === '2.0'
+          ? await this.handleJsonRpcRequest(data)
+          : await this.executeToolCall(data.name, data.parameters);
+      } catch (error) {
+        response = this.formatJsonRpcError(null, -32700, `Parse error: ${error.message}`);
+      }
+      if (response) output.write(`${JSON.stringify(response)}\n`);
+    });
+    return lines;
+  }
+
   /**
    * Execute a tool call
    * @param {string} name - Tool name
@@ -483,8 +547,14 @@ export class McpServer {
         this.debug(`Using mock data for ${name}`);
         result = this.options.getMockData(name, parameters);
       } else {
-        // Execute the tool normally
-        result = await tool.handler(parameters);
+        // Execute the tool normally; a JSON-RPC call can be cancelled by its id
+        const controller = new AbortController();
+        if (requestId !== null) this.pendingRequests.set(requestId, controller);
+        try {
+          result = await tool.handler(parameters, { signal: controller.signal, requestId });
+        } finally {
+          this.pendingRequests.delete(requestId);
+        }
       }
       // Defensive: handler returns undefined/null
       if (result === undefined || result === null) {
@@ -509,6 +579,11 @@ export class McpServer {
     } catch (error) {
       this.debug(`Error executing tool ${name}: ${error.message}`);
       // Handle specific error types
+      if (error.name === 'Cancelled') {
+        return isJsonRpc
+          ? this.formatJsonRpcError(requestId, -32800, error.message)
+          : this.formatMcpError('Cancelled', error.message);
+      }
       if (error.name === 'InvalidParams') {
         return isJsonRpc
           ? this.formatJsonRpcError(requestId, -32602, error.message)
@@ -522,8 +597,20 @@ export class McpServer {
   }
   
   /**
-   * Handle a JSON-RPC request
+   * Handle a JSON-RPC request or notification
+   * @param {Object} request - Parsed JSON-RPC message: { jsonrpc, id, method, params }
+   * @returns {Promise<Object|null>} - Response to send, or null for a notification (no reply)
+   */
+  async handleJsonRpcRequest(request) {
+  const { id = null, method, params = {} } = request;
+  const { name, parameters } = params;
+  try {
     this.debug(`Handling JSON-RPC method: ${method}`);
+    // Notifications (e.g. notifications/cancelled for a tool call in flight) get no response
+    if (method?.startsWith('notifications/')) {
+      this.handleNotification({ method, params });
+      return null;
+    }
     switch (method) {
       case 'initialize':
         return this.formatJsonRpcResponse(id, {
@@ -613,6 +700,8 @@ handleListResources(parameters, isJsonRpc = false, requestId = null) {
  */
 
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import mime from 'mime-types';
 
@@ -623,9 +712,10 @@ let mdLib = null;
  * @param {Buffer|Uint8Array} fileData - The file data to upload.
  * @param {string} [name] - The S3 object key (filename). If not provided, a hash will be used.
  * @param {string} [bucket] - The S3 bucket name. Defaults to process.env.AWS_BUCKET_NAME.
+ * @param {string} [region] - The bucket region. Defaults to process.env.AWS_BUCKET_REGION.
  * @returns {Promise<string>} - The public URL of the uploaded file.
  */
-export async function saveToS3(fileData, name = '', bucket = process.env.AWS_BUCKET_NAME) {
+export async function saveToS3(fileData, name = '', bucket = process.env.AWS_BUCKET_NAME, region = process.env.AWS_BUCKET_REGION) {
   if (!fileData) throw new Error('No file data provided to saveToS3');
 
   try {
@@ -650,7 +740,7 @@ export async function saveToS3(fileData, name = '', bucket = process.env.AWS_BUC
 
   // Set up S3 client
   const s3 = new S3Client({
-    region: process.env.AWS_BUCKET_REGION,
+    region,
     credentials: {
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
@@ -670,7 +760,6 @@ export async function saveToS3(fileData, name = '', bucket = process.env.AWS_BUC
     await s3.send(new PutObjectCommand(putParams));
 
     // Return public URL
-    const region = process.env.AWS_BUCKET_REGION;
     const publicUrl = region && region.startsWith('cn-')
       ? `https://${bucket}.s3.${region}.amazonaws.com.cn/${name}`
       : `https://${bucket}.s3.${region}.amazonaws.com/${name}`;
@@ -682,6 +771,27 @@ export async function saveToS3(fileData, name = '', bucket = process.env.AWS_BUC
   }
 }
 
+/**
+ * Store a media file where the project settings say: an S3 bucket or a local directory.
+ * @param {Buffer|Uint8Array} fileData - The file data to store.
+ * @param {string} [name] - File name. If not provided, a hash will be used.
+ * @param {Object} [media] - Media settings: { storage: 's3'|'local', bucket, region, dir }.
+ * @returns {Promise<string>} - The public URL or local path of the file ('' on failure).
+ */
+export async function saveMedia(fileData, name = '', media = {}) {
+  if (media.storage !== 'local') return saveToS3(fileData, name, media.bucket, media.region);
+  if (!fileData) throw new Error('No file data provided to saveMedia');
+  const file = path.join(media.dir || 'media', name || crypto.createHash('sha256').update(fileData).digest('hex').slice(0, 24));
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, fileData);
+    return file;
+  } catch (err) {
+    console.error('Media save error:', err);
+    return '';
+  }
+}
+
 // ---- Markdown and other utilities below ----
 
 // Lazy-load markdown-it to avoid unnecessary dependencies in environments that don't need it
@@ -783,6 +893,19 @@ export function splitBlocksMD(markdownContent) {
   return blocks;
 }
 
+/**
+ * Turn a block from splitBlocksMD back into markdown
+ * @param {Object} block - Block object from splitBlocksMD
+ * @returns {string} Markdown for the block
+ */
+export function blockMarkdown(block) {
+  if (block.type === 'heading') return `${'#'.repeat(block.level)} ${block.content}`;
+  if (block.type === 'code') return block.raw;
+  if (block.type === 'unordered_list') return block.items.map(item => `- ${item}`).join('\n');
+  if (block.type === 'ordered_list') return block.items.map((item, i) => `${i + 1}. ${item}`).join('\n');
+  return block.content;
+}
+
 /**
  * Determine if a markdown block is prose (i.e., contains actual text content)
  * @param {Object} block - Block object from splitBlocksMD
@@ -890,9 +1013,11 @@ export function getAllRequiredKeys(tools) {
 /**
  * Validate API keys
  * @param {boolean} mockMode - Whether to skip validation in mock mode
+ * @param {Array<string>} [keys] - Environment variables the call needs, e.g. the
+ *   missingProviderKeys of its dry-run plan (see planner.js)
  * @returns {boolean|Object} True if valid, or error object
  */
-export function validateApiKeys(mockMode = false) {
+export function validateApiKeys(mockMode = false, keys = []) {
   // Skip validation in mock mode - be very explicit about checking for mock mode
   const isMockMode =
     mockMode === true ||
@@ -904,16 +1029,6 @@ export function validateApiKeys(mockMode = false) {
     return true;
   }
 
-  // Define validation schema
-  const schema = z.object({
-    PERPLEXITY_API_KEY: z.string().min(1, 'PERPLEXITY_API_KEY is required'),
-    ANTHROPIC_API_KEY: z.string().min(1, 'ANTHROPIC_API_KEY is required')
-  });
-
-  try {
-    schema.parse(process.env);
-    return true;
-  } catch (error) {
-    return { error: error.errors[0].message };
-  }
+  const missing = keys.filter(key => !process.env[key]);
+  return missing.length ? { error: `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required` } : true;
 }
@@ -0,0 +1,157 @@
+/**
+ * Workflow Files
+ * --------------
+ * Workflows defined as data, one .yaml, .yml or .json file per workflow, named after it:
+ *
+ *   # quick-post.yaml
+ *   description: Short post without deep research
+ *   params: [userPrompt]
+ *   steps:
+ *     - name: analyze
+ *       tool: analyze_request
+ *       inputs: [userPrompt]
+ *     - name: proposal
+ *       tool: generate_proposals
+ *       inputs: { topic: analyze.topic, style: analyze.style, researchData: { value: '' } }
+ *
+ * Inputs use dot paths into the params and the outputs of other steps (a step's output is
+ * saved under its name, or under output if given); see createWorkflow in workflow.js. A step
+ * with `approval: after` or `approval: before` is an approval gate (see approvals.js).
+ * Directories are searched in order, so a project directory listed before the built-in one
+ * replaces a workflow by shipping a file with the same name.
+ */
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { createWorkflow, mapToolsToSteps, workflowError } from './workflow.js';
+
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Workflow and step names; a workflow name is also its file name, so it cannot reach outside its directory
+export const NAME_PATTERN = /^[\w-]+$/;
+
+const inputSchema = z.union([z.string(), z.object({ value: z.any() }).strict()]);
+
+export const workflowDefinitionSchema = z.object({
+  description: z.string().default(''),
+  // Params the steps may read, e.g. userPrompt
+  params: z.array(z.string()).default([]),
+  steps: z.array(z.object({
+    name: z.string().regex(NAME_PATTERN, 'Use letters, digits, _ and -'),
+    tool: z.string(),
+    inputs: z.union([z.array(z.string()), z.record(inputSchema)]).default([]),
+    output: z.string().optional(),
+    // Pause for an editor's decision after the step, or before it (see approvals.js)
+    approval: z.enum(['after', 'before']).optional()
+  }).strict()).min(1)
+}).strict();
+
+/**
+ * Load and check one workflow file
+ * @param {string} filePath - Path to a .yaml, .yml or .json workflow file
+ * @returns {Object} { name, description, params, steps, source }
+ * @throws {Error} WorkflowError naming the file if it cannot be parsed or is invalid
+ */
+export function loadWorkflowFile(filePath) {
+  const name = path.basename(filePath, path.extname(filePath));
+  let definition;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    definition = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw workflowError(`Cannot read workflow ${filePath}: ${error.message}`);
+  }
+  const parsed = workflowDefinitionSchema.safeParse(definition ?? {});
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw workflowError(`Invalid workflow ${filePath}:\n  ${issues.join('\n  ')}`);
+  }
+  const names = parsed.data.steps.map(step => step.name);
+  const repeated = names.find((stepName, index) => names.indexOf(stepName) !== index);
+  if (repeated) throw workflowError(`Workflow ${filePath} has two steps named "${repeated}"`);
+  // Session checkpoints and approvals are kept per tool, so two steps of one tool would overwrite each other's
+  const tools = parsed.data.steps.map(step => step.tool);
+  const reused = tools.find((tool, index) => tools.indexOf(tool) !== index);
+  if (reused) {
+    const steps = parsed.data.steps.filter(step => step.tool === reused).map(step => `"${step.name}"`);
+    throw workflowError(`Workflow ${filePath} runs tool "${reused}" in more than one step (${steps.join(', ')}); each tool can run in one step only`);
+  }
+  return { name, ...parsed.data, source: filePath };
+}
+
+/**
+ * Build a runnable workflow from a definition
+ * @param {Object} definition - Definition from loadWorkflowFile
+ * @param {Object} tools - Step functions by tool name: (input, context) => result
+ * @param {Object} [options] - More createWorkflow options (formatter, runStep)
+ * @returns {Function} Workflow executor from createWorkflow
+ * @throws {Error} WorkflowError naming the file for unknown tools or an invalid step graph
+ */
+export function buildWorkflow(definition, tools, options = {}) {
+  const mapping = Object.fromEntries(definition.steps.map(({ name, ...step }) => [name, step]));
+  try {
+    return createWorkflow(mapToolsToSteps(tools, mapping), { ...options, params: definition.params });
+  } catch (error) {
+    if (error.name === 'WorkflowError') error.message = `${definition.source || definition.name}: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Create a workflow registry over a list of directories
+ * @param {Object} options - Registry options
+ * @param {string[]} options.dirs - Directories to search, highest priority first
+ * @returns {Object} Registry with get() and list()
+ */
+export function createWorkflowRegistry({ dirs = [] } = {}) {
+  const loaded = new Map(); // filePath -> { mtimeMs, definition }
+
+  const load = filePath => {
+    const { mtimeMs } = fs.statSync(filePath);
+    const hit = loaded.get(filePath);
+    if (hit && hit.mtimeMs === mtimeMs) return hit.definition;
+    const definition = loadWorkflowFile(filePath);
+    loaded.set(filePath, { mtimeMs, definition });
+    return definition;
+  };
+
+  const searchDirs = (extraDirs = []) => [...extraDirs, ...dirs].filter(Boolean).map(dir => path.resolve(dir));
+
+  return {
+    /**
+     * Find a workflow definition by name
+     * @param {string} name - Workflow name (file name without extension)
+     * @param {Object} options - { dirs } searched before the registry's own
+     * @returns {Object} Loaded definition
+     * @throws {Error} WorkflowError for a name that is not a plain file name, or no such workflow
+     */
+    get(name, { dirs: extraDirs } = {}) {
+      if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw workflowError(`Invalid workflow name "${name}"; use letters, digits, _ and -`);
+      }
+      for (const dir of searchDirs(extraDirs)) {
+        const filePath = EXTENSIONS.map(ext => path.join(dir, `${name}${ext}`)).find(fs.existsSync);
+        if (filePath) return load(filePath);
+      }
+      throw workflowError(`Workflow ${name} not found in ${searchDirs(extraDirs).join(', ')}`);
+    },
+
+    /**
+     * List every available workflow, project files winning over built-ins
+     * @param {Object} options - { dirs } searched before the registry's own
+     * @returns {Array<Object>} { name, description, params, steps, source }
+     */
+    list({ dirs: extraDirs } = {}) {
+      const byName = new Map();
+      for (const dir of searchDirs(extraDirs)) {
+        if (!fs.existsSync(dir)) continue;
+        for (const file of fs.readdirSync(dir).filter(file => EXTENSIONS.includes(path.extname(file))).sort()) {
+          const name = path.basename(file, path.extname(file));
+          if (!byName.has(name)) byName.set(name, load(path.join(dir, file)));
+        }
+      }
+      return [...byName.values()];
+    }
+  };
+}
@@ -3,9 +3,14 @@
  * ------------------------------
  * Provides utilities for building multi-step workflow pipelines
  * Coordinates tool execution, session management, and response formatting
+ *
+ * createWorkflow runs steps as a dependency graph: steps declare their inputs (dot paths
+ * into the params and other steps' outputs) and output key, and run as soon as their
+ * inputs are ready. Missing producers, cycles and unknown tools fail when it is built.
  */
 
 import { z } from 'zod';
+import { createProgressReporter } from './progress.js';
 
 /**
  * Creates a standardized article response from workflow outputs
@@ -97,95 +102,236 @@ export function formatArticleResponse({
 }
 
 /**
- * Creates a new workflow pipeline that can be executed with dependencies
- * 
- * @param {Object} steps - Object mapping step names to async functions
- * @param {Function} formatter - Function to format the final result
- * @returns {Function} Pipeline executor function
+ * Create a workflow definition error (missing producer, cycle, unknown tool or workflow)
+ * @param {string} message - What is wrong and where
+ * @returns {Error} Error named WorkflowError
  */
-export function createWorkflow(steps, formatter = null) {
-  return async (params, context = {}) => {
-    const results = {};
-    const debug = context.debug || false;
-    
-    // Initialize session
-    const sessionId = context.sessionId || 
-      (typeof crypto !== 'undefined' && crypto.randomUUID) ? 
-        crypto.randomUUID() :
-        Math.random().toString(36).slice(2);
-    
-    const session = { 
-      sessionId, 
-      created: new Date().toISOString(), 
-      status: 'initialized', 
-      progress: 0, 
-      metadata: {}, 
-      keys: {} 
+export function workflowError(message) {
+  const error = new Error(message);
+  error.name = 'WorkflowError';
+  return error;
+}
+
+// Value at a dot path ('analyze.topic'), undefined if any part is missing
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * A step's input mappings as [field, path] pairs; ['analyze.topic'] is short for
+ * { topic: 'analyze.topic' }. A mapping can also be a fixed value: { researchData: { value: '' } }
+ * @param {Array|Object} [inputs] - The step's inputs
+ * @returns {Array<Array>} [field, path or { value }] pairs
+ */
+export function inputEntries(inputs = {}) {
+  return Array.isArray(inputs)
+    ? inputs.map(path => [path.split('.').pop(), path])
+    : Object.entries(inputs);
+}
+
+/**
+ * Validate step definitions and work out the dependency graph
+ *
+ * @param {Object} steps - Step definitions by name (see createWorkflow)
+ * @param {Array<string>} params - Workflow params that inputs may read
+ * @returns {Object} { steps, producers, dependsOn, levels } where levels groups the steps
+ *   that can run together, in order
+ * @throws {Error} WorkflowError for a step without run, an input nobody outputs, two steps
+ *   with the same output, or a dependency cycle
+ */
+export function buildWorkflowGraph(steps, params = []) {
+  const producers = {};
+  for (const [name, step] of Object.entries(steps)) {
+    if (typeof step.run !== 'function') throw workflowError(`Step "${name}" has no run function`);
+    const output = step.output || name;
+    if (producers[output]) throw workflowError(`Steps "${producers[output]}" and "${name}" both output "${output}"`);
+    if (params.includes(output)) throw workflowError(`Step "${name}" outputs "${output}", which is a workflow param`);
+    producers[output] = name;
+  }
+
+  const dependsOn = {};
+  for (const [name, step] of Object.entries(steps)) {
+    dependsOn[name] = [];
+    for (const [, path] of inputEntries(step.inputs)) {
+      if (typeof path !== 'string') continue;
+      const root = path.split('.')[0];
+      if (producers[root]) {
+        if (!dependsOn[name].includes(producers[root])) dependsOn[name].push(producers[root]);
+      } else if (!params.includes(root)) {
+        throw workflowError(`Step "${name}" needs "${path}", but no step outputs "${root}" and it is not a workflow param`);
+      }
+    }
+  }
+
+  // Kahn's algorithm: each level holds the steps whose dependencies are all in earlier levels
+  const levels = [];
+  const placed = new Set();
+  while (placed.size < Object.keys(steps).length) {
+    const level = Object.keys(steps).filter(name => !placed.has(name) && dependsOn[name].every(dep => placed.has(dep)));
+    if (!level.length) {
+      const stuck = Object.keys(steps).filter(name => !placed.has(name));
+      throw workflowError(`Dependency cycle between steps ${stuck.map(name => `"${name}"`).join(', ')}`);
+    }
+    level.forEach(name => placed.add(name));
+    levels.push(level);
+  }
+
+  return { steps, producers, dependsOn, levels };
+}
+
+/**
+ * Creates a workflow that runs its steps as a dependency graph. Each step declares the data
+ * it reads (dot paths into the params and earlier outputs) and the key its result is saved
+ * under; a step starts as soon as the steps it reads from are done, so independent steps run
+ * in parallel. The graph is checked when the workflow is created, not when it runs.
+ *
+ * @example
+ * const workflow = createWorkflow({
+ *   analyze: { inputs: ['userPrompt'], run: analyzeRequest },
+ *   title: { inputs: ['analyze.topic'], run: generateTitle },
+ *   scaffold: { inputs: { topic: 'analyze.topic' }, output: 'sections', run: scaffoldOutline },
+ *   outline: { inputs: ['title.title', 'sections.headings'], run: createOutline }
+ * }, { params: ['userPrompt'] });
+ * // title and scaffold run side by side once analyze is done
+ *
+ * @param {Object} steps - Step definitions by name, each with:
+ *   run(input, context) - async function producing the step's result;
+ *   inputs - { field: 'step.path' } or ['step.path'] (the field is the last part of the path),
+ *     where { field: { value } } passes a fixed value;
+ *   output - key the result is saved under (default: the step name);
+ *   tool - name the step is recorded under by runStep (default: the step name)
+ * @param {Object} [options] - Workflow options
+ * @param {Array<string>} [options.params] - Params the steps may read (e.g. 'userPrompt')
+ * @param {Function} [options.formatter] - (data, session) => final result, where data holds
+ *   the params and every step output
+ * @param {Function} [options.runStep] - (name, input, fn) => result; wraps each step run, e.g.
+ *   the step runner's run() for checkpoints (default: fn(input, { ...context, tool: name }))
+ *   Each run sends step:start, step:finish and error events to context.events, or to
+ *   context.progress (a callback or EventEmitter, see progress.js)
+ * @returns {Function} Workflow executor (params, context) => result, with the graph attached
+ * @throws {Error} WorkflowError if the steps do not form a valid graph
+ */
+export function createWorkflow(steps, { params: paramNames = [], formatter = null, runStep = null } = {}) {
+  const graph = buildWorkflowGraph(steps, paramNames);
+  const names = Object.keys(steps);
+
+  const workflow = async (params, context = {}) => {
+    const data = { ...params };
+    const run = runStep || context.runStep || ((name, input, fn) => fn(input, { ...context, tool: name }));
+    // Step events go to context.events (set up by the caller) or straight to context.progress
+    const events = context.events || createProgressReporter(context.progress, () => ({ sessionId: context.sessionId }));
+    const session = {
+      sessionId: context.sessionId,
+      created: new Date().toISOString(),
+      status: 'running',
+      running: [],
+      completed: []
     };
-    
-    results.session = session;
-    
-    // Execute each step in order
-    for (const [name, stepFn] of Object.entries(steps)) {
-      try {
-        // Update session progress
-        session.status = `executing_${name}`;
-        session.progress = Math.floor(Object.keys(results).length / Object.keys(steps).length * 100);
-        
-        // Execute the step with all previous results available
-        results[name] = await stepFn({ ...params, ...results });
-        
-      } catch (error) {
-        session.status = 'error';
-        session.error = error.message || String(error);
-        
-        if (debug) {
-          throw error;
-        } else {
-          console.error(`Error in workflow step '${name}':`, error);
-          break;
+    // Progress is the share of the graph's steps that are done
+    const counts = () => ({
+      completed: session.completed.length,
+      total: names.length,
+      progress: Math.floor(session.completed.length / names.length * 100)
+    });
+
+    const pending = new Set(names);
+    const inFlight = new Map();
+    let failure;
+
+    const start = name => {
+      const step = steps[name];
+      const tool = step.tool || name;
+      const input = Object.fromEntries(inputEntries(step.inputs).map(([field, path]) =>
+        [field, typeof path === 'string' ? getPath(data, path) : path.value]));
+      pending.delete(name);
+      session.running.push(name);
+      events.emit('step:start', { step: name, tool, ...counts() });
+      const startedAt = Date.now();
+      const settled = Promise.resolve()
+        .then(() => run(tool, input, step.run))
+        .then(result => {
+          data[step.output || name] = result;
+          session.completed.push(name);
+          events.emit('step:finish', { step: name, tool, durationMs: Date.now() - startedAt, ...counts() });
+        }, error => {
+          failure = failure || { name, error };
+          // A step waiting at an approval gate is paused, not failed (see approvals.js)
+          if (error.name === 'ApprovalRequired') return;
+          events.emit('error', {
+            step: name, tool, message: error.message || String(error), durationMs: Date.now() - startedAt,
+            ...(error.name === 'Cancelled' && { cancelled: true })
+          });
+        })
+        .finally(() => {
+          session.running = session.running.filter(running => running !== name);
+          inFlight.delete(name);
+        });
+      inFlight.set(name, settled);
+    };
+
+    // Start every step whose dependencies are done; after a failure, only let running steps finish
+    while (pending.size || inFlight.size) {
+      if (!failure) {
+        for (const name of pending) {
+          if (graph.dependsOn[name].every(dep => session.completed.includes(dep))) start(name);
         }
       }
+      if (!inFlight.size) break;
+      await Promise.race(inFlight.values());
     }
-    
-    // Update final session status
+
+    if (failure) {
+      session.status = { Cancelled: 'cancelled', ApprovalRequired: 'awaiting_approval' }[failure.error.name] || 'failed';
+      session.failedStep = failure.name;
+      session.error = failure.error.message || String(failure.error);
+      throw failure.error;
+    }
+
     session.status = 'completed';
-    session.progress = 100;
-    
-    // Format and return the results
-    return formatter ? formatter(results) : results;
+    return formatter ? formatter(data, session) : data;
   };
+
+  workflow.graph = graph;
+  return workflow;
 }
 
 /**
- * Maps tool handlers to workflow step functions
- * 
+ * Maps tool handlers to workflow step definitions
+ *
  * @param {Object} deps - Tool dependencies object (from MCP handler)
- * @param {Object} mapping - Maps step names to tool names and param transformers
- * @returns {Object} Step functions for workflow
+ * @param {Object} mapping - Step definitions by name, with a tool name instead of run:
+ *   'tool_name' or { tool, inputs, output, params, result }, where params(input) and
+ *   result(toolResult) optionally transform what goes into and comes out of the tool
+ * @returns {Object} Step definitions for createWorkflow
+ * @throws {Error} WorkflowError naming every step whose tool is not in deps
  */
 export function mapToolsToSteps(deps, mapping) {
+  const missing = Object.entries(mapping)
+    .map(([stepName, config]) => [stepName, typeof config === 'string' ? config : config.tool])
+    .filter(([, tool]) => !deps[tool]);
+  if (missing.length) {
+    throw workflowError(`Unknown tools: ${missing.map(([stepName, tool]) => `${tool} (step "${stepName}")`).join(', ')}`);
+  }
+
   const steps = {};
-  
   for (const [stepName, config] of Object.entries(mapping)) {
-    const { 
-      tool, 
+    const {
+      tool,
       params = (input) => input,
-      output = (result) => result
+      result = (toolResult) => toolResult,
+      ...definition
     } = typeof config === 'string' ? { tool: config } : config;
-    
-    // Skip if tool doesn't exist
-    if (!deps[tool]) {
-      continue;
-    }
-    
-    steps[stepName] = async (input) => {
-      const preparedParams = await params(input);
-      const result = await deps[tool](preparedParams);
-      return output(result);
+
+    steps[stepName] = {
+      ...definition,
+      tool,
+      run: async (input, context) => {
+        const preparedParams = await params(input);
+        return result(await deps[tool](preparedParams, context));
+      }
     };
   }
-  
+
   return steps;
 }
 
@@ -317,6 +463,8 @@ export async function callTool(deps, session, toolName, saveKey, params, context
 
 export default {
   createWorkflow,
+  workflowError,
+  buildWorkflowGraph,
   formatArticleResponse,
   mapToolsToSteps,
   createSimpleWorkflow,
@@ -2,16 +2,28 @@
 
 // full article writing workflow
 export { default as articleWriter } from './app/main.js';
+// continue an interrupted run, or redo one step of a stored run, from its session checkpoints
+export { resume, rerun } from './app/main.js';
+// article workflows defined in workflow files (built-in and the project's workflows/)
+export { listWorkflows } from './app/main.js';
+// decide on the approval gate a paused run is waiting at, and continue it
+export { approve } from './app/main.js';
+// one article per brief in a CSV or JSONL file, with a report; re-running retries failed briefs
+export { batchWriter } from './app/main.js';
 
 // individual tools
 export { default as generateProposals } from './app/tools/generateProposals.tool.js';
+export { default as generateTitles } from './app/tools/generateTitles.tool.js';
 export { default as createOutline } from './app/tools/createOutline.tool.js';
 export { default as deepResearch } from './app/tools/deepResearch.tool.js';
-export { default as draftSection } from './app/tools/draftSection.tool.js';
+export { default as draftArticle } from './app/tools/draftArticle.tool.js';
+export { default as planMedia } from './app/tools/planMedia.tool.js';
 export { default as embedMedia } from './app/tools/embedMedia.tool.js';
 export { default as analyzeRequest } from './app/tools/analyzeRequest.tool.js';
 export { default as improveReadability } from './app/tools/improveReadability.tool.js';
+export { default as optimizeSEO } from './app/tools/optimizeSEO.tool.js';
+export { default as approveStep } from './app/tools/approveStep.tool.js';
 
 // framework interfaces
-export { default as mcpServer } from './framework/interface/mcp-server.js';
+export { createMcpServer as mcpServer } from './framework/utils.js';
 
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { PassThrough, Writable } from 'stream';
+import { Chalk } from 'chalk';
+import { createWorkflow } from '../src/framework/workflow.js';
+import { createSessionStore, createStepRunner } from '../src/framework/session-store.js';
+import { withApprovalGates, decideApproval, pendingApproval } from '../src/framework/approvals.js';
+import { createProgressReporter } from '../src/framework/progress.js';
+import { cliUI } from '../src/framework/cli-helpers.js';
+
+// proposal -> outline -> draft -> media, gated like the article workflow
+const pipeline = calls => {
+  const record = (tool, fn) => async input => { calls.push({ tool, input }); return fn(input); };
+  return {
+    proposal: {
+      tool: 'generate_proposals', inputs: ['topic'],
+      run: record('generate_proposals', ({ feedback }) => feedback
+        ? { title: 'Batteries for Renters', description: 'Practical', proposals: [{ title: 'Batteries for Renters', description: 'Practical', score: 8 }] }
+        : { title: 'Home Batteries', description: 'Overview', proposals: [{ title: 'Home Batteries', description: 'Overview', score: 6 }] })
+    },
+    outline: { tool: 'create_outline', inputs: ['proposal.title'], run: record('create_outline', ({ title }) => ({ outline: `# ${title}` })) },
+    draft: { tool: 'draft_article', inputs: ['outline.outline'], run: record('draft_article', ({ outline }) => ({ content: `${outline}\n\nText` })) },
+    media: { tool: 'embed_media', inputs: { content: 'draft.content' }, run: record('embed_media', ({ content }) => ({ mediaContent: `${content}\n\n![](solar.png)` })) }
+  };
+};
+const gates = {
+  generate_proposals: { step: 'proposal', when: 'after' },
+  create_outline: { step: 'outline', when: 'after' },
+  embed_media: { step: 'media', when: 'before' }
+};
+
+describe('approval gates', () => {
+  it('pauses at each gate and continues after accept, edit and reject decisions', async () => {
+    const sessions = createSessionStore({ store: 'memory' });
+    const { id } = await sessions.create({ input: { topic: 'solar' } });
+    const calls = [];
+    const events = [];
+    const workflow = createWorkflow(pipeline(calls), { params: ['topic'] });
+
+    // One run of the workflow against the stored session, as articleWriter resumes it
+    const run = async () => {
+      const session = await sessions.get(id);
+      const steps = createStepRunner({ sessions, sessionId: id, checkpoints: session.steps });
+      const runStep = withApprovalGates(steps.run.bind(steps), {
+        sessions, sessionId: id, gates, approvals: session.approvals, events: createProgressReporter(event => events.push(event))
+      });
+      return workflow({ topic: 'solar' }, { runStep, events: createProgressReporter(event => events.push(event)) }).catch(error => error);
+    };
+    const decide = async decision => {
+      const session = await sessions.get(id);
+      const decided = decideApproval(pendingApproval(session), decision);
+      await sessions.update(id, { approvals: { ...session.approvals, [decided.tool]: decided } });
+    };
+    const tools = () => calls.map(call => call.tool);
+
+    let stopped = await run();
+    expect(stopped).toMatchObject({ name: 'ApprovalRequired', approval: { step: 'proposal', status: 'pending', candidates: { title: 'Home Batteries' } } });
+    expect(events.map(e => e.type)).not.toContain('error');
+    expect(events.at(-1)).toMatchObject({ type: 'approval:required', step: 'proposal', when: 'after' });
+
+    // Rejecting runs the step again with the feedback, then asks again
+    await decide({ action: 'reject', feedback: 'Aim at renters' });
+    stopped = await run();
+    expect(calls.at(-1)).toEqual({ tool: 'generate_proposals', input: { topic: 'solar', feedback: 'Aim at renters' } });
+    expect(stopped.approval).toMatchObject({ step: 'proposal', feedback: ['Aim at renters'], candidates: { title: 'Batteries for Renters' } });
+
+    // An edit replaces fields of the output; the step is not run again
+    await decide({ action: 'edit', edits: { title: 'Batteries When You Rent' } });
+    stopped = await run();
+    expect(tools()).toEqual(['generate_proposals', 'generate_proposals', 'create_outline']);
+    expect(stopped.approval).toMatchObject({ step: 'outline', candidates: { outline: '# Batteries When You Rent' } });
+
+    // A before gate pauses with the step's input; rejecting it runs the step with the feedback
+    await decide({ action: 'accept' });
+    stopped = await run();
+    expect(tools().slice(3)).toEqual(['draft_article']);
+    expect(stopped.approval).toMatchObject({ step: 'media', when: 'before', candidates: { content: '# Batteries When You Rent\n\nText' } });
+    await decide({ action: 'reject', feedback: 'No stock photos' });
+    const done = await run();
+    expect(calls.at(-1).input).toEqual({ content: '# Batteries When You Rent\n\nText', feedback: 'No stock photos' });
+    expect(done.media.mediaContent).toMatch(/solar\.png/);
+    expect(tools()).toEqual(['generate_proposals', 'generate_proposals', 'create_outline', 'draft_article', 'embed_media']);
+  });
+
+  it('asks again when a decided step produces something new', async () => {
+    const sessions = createSessionStore({ store: 'memory' });
+    const { id } = await sessions.create({});
+    const gated = (approvals, output) => withApprovalGates(async () => output, {
+      sessions, sessionId: id, gates: { create_outline: { step: 'outline', when: 'after' } }, approvals
+    })('create_outline', {}, null);
+
+    const paused = await gated({}, { outline: '# A' }).catch(error => error.approval);
+    const accepted = decideApproval(paused, { action: 'accept' });
+    expect(await gated({ create_outline: accepted }, { outline: '# A' })).toEqual({ outline: '# A' });
+    await expect(gated({ create_outline: accepted }, { outline: '# B' })).rejects.toMatchObject({ name: 'ApprovalRequired' });
+  });
+
+  it('rejects incomplete decisions and decisions with nothing pending', () => {
+    const pending = { step: 'outline', tool: 'create_outline', status: 'pending', candidates: {}, feedback: [] };
+    expect(() => decideApproval(pending, { action: 'reject' })).toThrow(expect.objectContaining({ name: 'InvalidParams' }));
+    expect(() => decideApproval(pending, { action: 'edit', edits: 'shorter' })).toThrow(/needs edits/);
+    expect(() => decideApproval(pending, { action: 'skip' })).toThrow(/use accept, edit or reject/);
+    expect(() => decideApproval(undefined, { action: 'accept' })).toThrow(/no pending approval/);
+    expect(pendingApproval({ approvals: { create_outline: pending } }, 'outline')).toBe(pending);
+  });
+});
+
+describe('CLI approval prompt', () => {
+  // Answers each question as it is asked
+  const ask = (approval, answers, options = {}) => {
+    let text = '';
+    const input = new PassThrough();
+    const output = new Writable({
+      write(chunk, encoding, done) {
+        text += chunk;
+        if (String(chunk).endsWith(': ')) setImmediate(() => input.write(`${answers.shift()}\n`));
+        done();
+      }
+    });
+    return cliUI.promptApproval(approval, { chalk: new Chalk({ level: 0 }) }, { input, output, ...options })
+      .then(decision => ({ decision, text }));
+  };
+  const proposals = {
+    step: 'proposal', when: 'after',
+    candidates: { title: 'Home Batteries', description: 'Overview', proposals: [
+      { title: 'Home Batteries', description: 'Overview', score: 6 },
+      { title: 'Batteries for Renters', description: 'Practical', score: 8 }
+    ] }
+  };
+
+  it('lists scored proposals and turns a pick into an edit', async () => {
+    const { decision, text } = await ask(proposals, ['x', '2']);
+    expect(text).toContain('2. Batteries for Renters (8/10)');
+    expect(decision).toEqual({ action: 'edit', edits: { title: 'Batteries for Renters', description: 'Practical' } });
+  });
+
+  it('asks for feedback on reject and edits the candidates as YAML', async () => {
+    expect((await ask(proposals, ['r', 'Aim at renters'])).decision).toEqual({ action: 'reject', feedback: 'Aim at renters' });
+    const outline = { step: 'outline', candidates: { outline: '# Solar' } };
+    const { decision } = await ask(outline, ['e'], { editText: yaml => yaml.replace('# Solar', '# Solar at Home') });
+    expect(decision).toEqual({ action: 'edit', edits: { outline: '# Solar at Home' } });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Chalk } from 'chalk';
+import { parseBriefs, readBriefs, runBatch, REPORT_FILE } from '../src/framework/batch.js';
+import { cliUI } from '../src/framework/cli-helpers.js';
+
+describe('brief lists', () => {
+  it('reads CSV rows with quoted fields, and turns extra columns into front matter', () => {
+    const csv = [
+      'id,prompt,keywords,targetLen,workflow',
+      'Solar Renters,"Home batteries for renters, explained","solar, storage",1200,',
+      ',"A post with ""quotes""',
+      'and a line break",,,quick-post',
+      ''
+    ].join('\r\n');
+    const briefs = parseBriefs(csv);
+    expect(briefs).toEqual([
+      { id: 'solar-renters', line: 2, workflow: undefined, userPrompt: '---\nkeywords: solar, storage\ntargetLen: "1200"\n---\n\nHome batteries for renters, explained' },
+      { id: 'row-2', line: 3, workflow: 'quick-post', userPrompt: 'A post with "quotes"\r\nand a line break' }
+    ]);
+  });
+
+  it('reads JSONL briefs, merging front matter already in the prompt', () => {
+    const jsonl = [
+      JSON.stringify({ id: 'heat-pumps', prompt: '---\nauthor: chad\n---\nHeat pumps in cold climates', frontmatter: { targetLen: 900 } }),
+      '',
+      JSON.stringify({ userPrompt: 'Grid storage', keywords: ['grid'] })
+    ].join('\n');
+    expect(parseBriefs(jsonl, { format: 'jsonl' })).toEqual([
+      { id: 'heat-pumps', line: 1, workflow: undefined, userPrompt: '---\nauthor: chad\ntargetLen: 900\n---\n\nHeat pumps in cold climates' },
+      { id: 'row-2', line: 3, workflow: undefined, userPrompt: '---\nkeywords:\n  - grid\n---\n\nGrid storage' }
+    ]);
+  });
+
+  it('names the file and line of a brief it cannot read', () => {
+    expect(() => parseBriefs('{"prompt":"a"}\n{oops', { source: 'briefs.jsonl' })).toThrow(/^briefs\.jsonl:2: /);
+    expect(() => parseBriefs('id,title\n1,x', { source: 'briefs.csv' })).toThrow('briefs.csv:1: header needs a prompt column');
+    expect(() => parseBriefs('id,prompt\na,x\nb,\n', { source: 'briefs.csv' })).toThrow('briefs.csv:3: brief has no prompt');
+    expect(() => parseBriefs('id,prompt\na,x\nA,y\n', { source: 'briefs.csv' })).toThrow('briefs.csv:3: id "a" is used by another brief');
+    expect(() => parseBriefs('prompt\n"never closed', { source: 'briefs.csv' })).toThrow('briefs.csv:2: quoted field is never closed');
+    expect(() => readBriefs('/nonexistent/briefs.csv')).toThrow(expect.objectContaining({ name: 'BatchError' }));
+  });
+});
+
+describe('runBatch', () => {
+  let outDir;
+  beforeEach(() => { outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-batch-')); });
+  afterEach(() => { fs.rmSync(outDir, { recursive: true, force: true }); });
+
+  const briefs = parseBriefs('id,prompt\nsolar,Solar basics\nwind,Wind basics\nhydro,Hydro basics\n');
+  const usage = { input_tokens: 100, output_tokens: 50, cost: 0.01 };
+
+  it('writes articles a few at a time, then retries only the briefs that did not complete', async () => {
+    let running = 0;
+    let most = 0;
+    const calls = [];
+    const run = async (brief, previous) => {
+      calls.push({ id: brief.id, previous: previous?.sessionId });
+      most = Math.max(most, ++running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      if (brief.id === 'wind' && !previous) return { error: 'No keywords', failedStep: 'seo', sessionId: 'wind-1', usage };
+      return { markdown: `# ${brief.userPrompt}`, meta: { sessionId: `${brief.id}-1`, usage } };
+    };
+
+    const first = await runBatch(briefs, run, { outDir, concurrency: 2 });
+    expect(most).toBe(2);
+    expect(first.totals).toMatchObject({ rows: 3, completed: 2, failed: 1, cancelled: 0, skipped: 0, cost: 0.03, tokens: 450 });
+    expect(first.rows.map(row => [row.id, row.status])).toEqual([['solar', 'completed'], ['wind', 'failed'], ['hydro', 'completed']]);
+    expect(first.rows[1]).toMatchObject({ error: 'No keywords', failedStep: 'seo', sessionId: 'wind-1', attempts: 1 });
+    expect(fs.readFileSync(path.join(outDir, 'solar.md'), 'utf8')).toBe('# Solar basics');
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, REPORT_FILE), 'utf8'))).toEqual(first);
+
+    // The failed brief gets its previous row (to resume its session); the others are kept
+    calls.length = 0;
+    const second = await runBatch(briefs, run, { outDir });
+    expect(calls).toEqual([{ id: 'wind', previous: 'wind-1' }]);
+    expect(second.totals).toMatchObject({ completed: 3, failed: 0, skipped: 2, cost: 0.04 });
+    expect(second.rows[1]).toMatchObject({ status: 'completed', file: 'wind.md', attempts: 2, cost: 0.02, tokens: 300 });
+    expect(second.rows[1].error).toBeUndefined();
+
+    // An edited brief, or one whose article was deleted, is written again
+    fs.rmSync(path.join(outDir, 'hydro.md'));
+    const edited = parseBriefs('id,prompt\nsolar,Solar for beginners\nwind,Wind basics\nhydro,Hydro basics\n');
+    calls.length = 0;
+    await runBatch(edited, run, { outDir });
+    expect(calls.map(call => call.id).sort()).toEqual(['hydro', 'solar']);
+  });
+
+  it('records thrown errors and leaves briefs unstarted once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const rows = [];
+    const report = await runBatch(briefs, async brief => {
+      controller.abort();
+      if (brief.id === 'solar') throw new Error('Provider down');
+    }, { outDir, concurrency: 1, signal: controller.signal, onRow: row => rows.push(row.id) });
+
+    expect(rows).toEqual(['solar', 'wind', 'hydro']);
+    expect(report.rows.map(row => [row.status, row.error])).toEqual([
+      ['failed', 'Provider down'],
+      ['cancelled', 'Batch cancelled before this brief started'],
+      ['cancelled', 'Batch cancelled before this brief started']
+    ]);
+  });
+
+  it('prints a line per brief and the totals in the CLI', () => {
+    let text = '';
+    const printer = cliUI.createBatchPrinter({ chalk: new Chalk({ level: 0 }) }, { output: { write: chunk => { text += chunk; } } });
+    printer.row({ id: 'solar', status: 'completed', file: 'solar.md', durationMs: 61200, cost: 0.0312, tokens: 9000 });
+    printer.row({ id: 'wind', status: 'failed', failedStep: 'seo', error: 'No keywords', cost: 0.01, tokens: 150 });
+    printer.row({ id: 'hydro', status: 'completed', file: 'hydro.md', skipped: true });
+    printer.report({ totals: { rows: 3, completed: 2, failed: 1, cancelled: 0, skipped: 1, cost: 0.0412, tokens: 9150, durationMs: 62000 } });
+    expect(text).toBe([
+      '✓ solar solar.md 61.2s $0.0312 9000 tokens',
+      '✗ wind failed at seo: No keywords $0.0100 150 tokens',
+      '- hydro already written (hydro.md)',
+      '',
+      '2/3 completed, 1 from earlier runs, 1 failed · $0.0412 · 9150 tokens · 62.0s',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resolveAuthor, DEFAULT_CONFIG } from '../src/app/config.js';
+import { findConfigFile, mergeConfigLayers } from '../src/framework/project-config.js';
+import { mergeRouteLayers, resolveModelRoutes } from '../src/framework/model-routing.js';
+
+let dir;
+const write = (name, text) => fs.writeFileSync(path.join(dir, name), text);
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-config-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('loadConfig', () => {
+  it('uses the defaults when there is no config file', async () => {
+    const config = await loadConfig({ cwd: dir, env: {} });
+    expect(config).toEqual({ ...DEFAULT_CONFIG, configFile: null });
+  });
+
+  it('layers CLI over env over the config file over defaults', async () => {
+    write('bw-writer.config.yaml', [
+      'style: conversational',
+      'targetLen: 1800',
+      'outputDir: articles',
+      'media: { storage: local, dir: articles/media }',
+      'seo: { targetScore: 80 }',
+      'models: { default: gpt4o, research: ppxsonarlarge }'
+    ].join('\n'));
+    const env = { BW_OUTPUT_DIR: 'drafts', BW_MODEL_DRAFT: 'claude3opus', MOCK_MODE: '1', AWS_BUCKET_REGION: 'eu-west-1' };
+    const config = await loadConfig({ cwd: dir, env, cli: { outputDir: 'out', models: { outline: 'gpt4oMini' } } });
+
+    expect(config).toMatchObject({
+      style: 'conversational', targetLen: 1800, outputDir: 'out', mock: true, debug: false,
+      media: { storage: 'local', dir: 'articles/media', region: 'eu-west-1' },
+      seo: { enabled: true, targetScore: 80 },
+      models: { default: 'gpt4o', research: 'ppxsonarlarge', draft: 'claude3opus', outline: 'gpt4oMini' }
+    });
+    expect(config.configFile).toBe(path.join(dir, 'bw-writer.config.yaml'));
+  });
+
+  it('finds the file in a parent directory and reads JSON and JS configs', async () => {
+    const nested = path.join(dir, 'posts', '2026');
+    fs.mkdirSync(nested, { recursive: true });
+    write('bw-writer.config.json', JSON.stringify({ targetLen: 900 }));
+    expect(findConfigFile('bw-writer', nested)).toBe(path.join(dir, 'bw-writer.config.json'));
+    expect((await loadConfig({ cwd: nested, env: {} })).targetLen).toBe(900);
+
+    write('settings.mjs', 'export default () => ({ style: "academic" });');
+    expect((await loadConfig({ env: { BW_CONFIG: path.join(dir, 'settings.mjs') } })).style).toBe('academic');
+  });
+
+  it('rejects invalid settings with the source and setting path', async () => {
+    write('bw-writer.config.json', JSON.stringify({ targetLen: 'long', seo: { targetScor: 80 }, models: { drafting: 'gpt4o' } }));
+    const error = await loadConfig({ cwd: dir, env: {} }).catch(e => e);
+    expect(error.name).toBe('ConfigError');
+    expect(error.message).toMatch(/bw-writer\.config\.json/);
+    expect(error.message).toMatch(/targetLen: Expected number/);
+    expect(error.message).toMatch(/seo: Unrecognized key\(s\) in object: 'targetScor'/);
+    expect(error.message).toMatch(/models\.drafting/);
+
+    write('bw-writer.config.json', '{ "targetLen": ');
+    await expect(loadConfig({ cwd: dir, env: {} })).rejects.toThrow(/Cannot read .*bw-writer\.config\.json/);
+    await expect(loadConfig({ cwd: dir, env: {}, file: path.join(dir, 'missing.yaml') })).rejects.toThrow(/Cannot read/);
+    await expect(loadConfig({ cwd: os.tmpdir(), env: {}, cli: { author: 'chad' } })).rejects.toThrow(/Unknown author profile "chad"/);
+  });
+});
+
+describe('resolveAuthor', () => {
+  const config = {
+    authors: { chad: { name: 'Chad Jones', bio: 'Writes about energy', link: 'https://blogworks.ai' } },
+    author: 'chad'
+  };
+
+  it('fills in the default author or a matching profile, keeping what the prompt said', () => {
+    expect(resolveAuthor(config, { name: '', bio: '' })).toEqual({ name: 'Chad Jones', bio: 'Writes about energy', link: 'https://blogworks.ai', imgUrl: '' });
+    expect(resolveAuthor(config, { name: 'chad jones', bio: 'Guest bio' })).toMatchObject({ name: 'chad jones', bio: 'Guest bio', link: 'https://blogworks.ai' });
+    expect(resolveAuthor(config, { name: 'Ann Lee' })).toEqual({ name: 'Ann Lee', bio: '', link: '', imgUrl: '' });
+    expect(resolveAuthor({}, undefined)).toEqual({ name: '', bio: '', link: '', imgUrl: '' });
+  });
+});
+
+describe('mergeConfigLayers', () => {
+  it('merges objects key by key and lets merged route layers resolve like the separate layers', () => {
+    expect(mergeConfigLayers([{ seo: { enabled: true }, tags: ['a'] }, { seo: { targetScore: 70 }, tags: ['b'], style: undefined }]))
+      .toEqual({ seo: { enabled: true, targetScore: 70 }, tags: ['b'] });
+
+    const steps = ['research', 'outline', 'draft'];
+    const layers = [{ default: 'gpt4o', draft: 'claude3opus' }, { outline: 'gpt4oMini' }, { default: 'claude3haiku', research: 'ppxsonarlarge' }];
+    for (let n = 1; n <= layers.length; n++) {
+      const merged = layers.slice(0, n).reduce((lower, higher) => mergeRouteLayers(lower, higher));
+      expect(resolveModelRoutes(steps, { research: 'llama3', outline: 'llama3', draft: 'llama3' }, merged))
+        .toEqual(resolveModelRoutes(steps, { research: 'llama3', outline: 'llama3', draft: 'llama3' }, ...layers.slice(0, n)));
+    }
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi } from 'vitest';
+import { z } from 'zod';
+import {
+  availableTokens, fitText, packResearchData, parseResearchData, rankByRelevance, DEFAULT_CONTEXT_LENGTH
+} from '../src/framework/context-window.js';
+import { estimateTokens } from '../src/framework/usage.js';
+import { deepResearchImpl } from '../src/app/tools/deepResearch.tool.js';
+import { draftArticleImpl } from '../src/app/tools/draftArticle.tool.js';
+
+// deepResearch's LLM calls, answered in callLLM's shapes: { result } without a schema, { items } with one
+const llmCalls = vi.hoisted(() => []);
+vi.mock('../src/framework/llm-utils.js', async importOriginal => ({
+  ...await importOriginal(),
+  callLLM: async (prompt, llm, { schema } = {}) => {
+    llmCalls.push({ prompt, schema });
+    if (!schema) return { result: llmCalls.length === 1 ? 'Home batteries now cost less than in 2020.' : 'Final overview of home batteries.' };
+    return schema.shape.items.element.shape.category
+      ? { items: [{ category: 'Costs', query: 'battery prices' }] }
+      : { items: [{ fact: 'Battery prices fell', quote: 'Prices fell', reference: 'Source 1' }] };
+  }
+}));
+
+const fact = (category, text, n) =>
+  `Category: ${category} | Fact: ${text} | Quote: "${'A long supporting quote from the source. '.repeat(4)}" | Reference: Source ${n}, https://example.com/${n}`;
+
+const overview = 'Solar adoption grew quickly in 2024.[1] Costs fell by a third.[2] Storage remains the bottleneck.[3] ' +
+  'Policy support varies widely by region. '.repeat(20);
+const facts = [
+  fact('History', 'Early photovoltaic cells were inefficient', 1),
+  fact('Costs', 'Battery storage costs dropped sharply', 2),
+  fact('Policy', 'Feed-in tariffs drove early adoption', 3),
+  fact('Storage', 'Grid battery storage capacity doubled', 4),
+  fact('Trends', 'Rooftop installs slowed in some markets', 5),
+  fact('Storage', 'Home battery storage pairs with rooftop solar', 6)
+];
+const researchData = `${overview}\n\n===\n\n${facts.join('\n')}`;
+
+describe('availableTokens', () => {
+  it('leaves room for the rest of the prompt, the response and a safety margin', () => {
+    const llm = { context_length: 10000, max_tokens: 1000 };
+    expect(availableTokens(llm)).toBe(8000);
+    expect(availableTokens(llm, 'x'.repeat(4000))).toBe(7000);
+    expect(availableTokens('claude3sonnet')).toBe(200000 * 0.9 - 2048);
+    expect(availableTokens({ max_tokens: 1000 })).toBe(Math.floor(DEFAULT_CONTEXT_LENGTH * 0.9) - 1000);
+    expect(availableTokens(['claude3sonnet', 'llama3'])).toBe(Math.floor(8192 * 0.9) - 2048); // a chain fits its smallest model
+  });
+});
+
+describe('rankByRelevance', () => {
+  it('orders items by distinct focus terms, keeping ties in order', () => {
+    const ranked = rankByRelevance(facts, 'Why battery storage matters for solar');
+    expect(ranked.slice(0, 3)).toEqual([facts[5], facts[1], facts[3]]); // the last one also mentions solar
+    expect(ranked.slice(3)).toEqual([facts[0], facts[2], facts[4]]);
+  });
+});
+
+describe('fitText', () => {
+  it('cuts after a full sentence and its citation, and says so', () => {
+    const fitted = fitText(overview, 30);
+    expect(fitted).toMatch(/^Solar adoption grew quickly in 2024\.\[1\] Costs fell by a third\.\[2\]/);
+    expect(fitted).toMatch(/\[\d\]\n\[shortened to fit the context window\]$/);
+    expect(estimateTokens(fitted)).toBeLessThanOrEqual(30);
+    expect(fitText('Short.', 30)).toBe('Short.');
+  });
+});
+
+describe('packResearchData', () => {
+  it('returns research data unchanged when it fits', () => {
+    const packed = packResearchData(researchData, { llm: 'claude3sonnet' });
+    expect(packed.text).toBe(researchData);
+    expect(packed.stats).toEqual({ kept: 6, condensed: 0, omitted: 0, overviewShortened: false });
+    expect(packed.omitted).toEqual([]);
+  });
+
+  it('keeps the most relevant facts whole, condenses or counts the rest, and never cuts a line', () => {
+    const maxTokens = 400;
+    const packed = packResearchData(researchData, { focus: 'battery storage', maxTokens });
+    expect(estimateTokens(packed.text)).toBeLessThanOrEqual(maxTokens);
+    expect(packed.stats.overviewShortened).toBe(true);
+
+    // Storage facts whole, the first other fact without its quote, the rest counted; original order kept
+    expect(packed.stats).toEqual({ kept: 3, condensed: 1, omitted: 2, overviewShortened: true });
+    expect(parseResearchData(packed.text).facts).toEqual([
+      'Category: History | Fact: Early photovoltaic cells were inefficient | Reference: Source 1, https://example.com/1',
+      facts[1], facts[3], facts[5],
+      '[2 lower-relevance facts omitted to fit the context window]'
+    ]);
+    // The lines left out are returned whole
+    expect(packed.omitted).toEqual([facts[2], facts[4]]);
+  });
+
+  it('sizes the budget from the model and the rest of the prompt', () => {
+    const llm = { context_length: 1500, max_tokens: 500 };
+    const roomy = packResearchData(researchData, { llm, focus: 'storage' });
+    const tight = packResearchData(researchData, { llm, focus: 'storage', promptText: 'x'.repeat(1600) });
+    expect(estimateTokens(tight.text)).toBeLessThan(estimateTokens(roomy.text));
+    expect(estimateTokens(roomy.text)).toBeLessThanOrEqual(availableTokens(llm));
+  });
+});
+
+describe('deepResearch prompts', () => {
+  it('pass the text of the first overview on to the categories and final overview prompts', async () => {
+    const { researchData } = await deepResearchImpl({ topic: 'Home batteries', keywords: 'storage, prices' });
+
+    const [, categories, , overview] = llmCalls.map(call => call.prompt);
+    expect(categories).toContain('KEYWORDS:\n==========\nstorage, prices');
+    expect(categories).toContain('INITIAL OVERVIEW:\n==========\nHome batteries now cost less than in 2020.');
+    expect(overview).toContain('INITIAL RESEARCH:\n==========\nHome batteries now cost less than in 2020.');
+    expect(overview).toContain('Category: Costs | Fact: Battery prices fell');
+    expect(llmCalls.some(call => call.prompt.includes('[object Object]'))).toBe(false);
+    // Native structured output needs an object at the schema's root
+    expect(llmCalls.filter(call => call.schema).every(call => call.schema instanceof z.ZodObject)).toBe(true);
+    expect(researchData).toMatch(/^Final overview of home batteries\.\n\n===\n\nCategory: Costs/);
+  });
+});
+
+describe('research packing in tools', () => {
+  it('reports the facts a tool left out as a warning', async () => {
+    const warnings = [];
+    const context = {
+      models: { draft: { context_length: 1500, max_tokens: 500 } }, tool: 'draft_article',
+      events: { warning: (message, fields) => warnings.push({ message, ...fields }) }
+    };
+    await draftArticleImpl({ outline: '## Storage', title: 'Home batteries', description: 'Costs', researchData }, context);
+    expect(warnings[0]).toEqual({ message: expect.stringMatching(/^Left out [1-6] research facts to fit the context window$/), tool: 'draft_article' });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { LLM_CONFIGS } from '../src/framework/llm-configs.js';
+
+// Smoke tests of the entry points: each one loads, and its session, approval and plan
+// commands answer. They run in a scratch directory with in-memory sessions, without keys.
+const INTERFACE_DIR = path.resolve('src/framework/interface');
+const run = promisify(execFile);
+let cwd;
+const env = { ...process.env, ANTHROPIC_API_KEY: '', OPENAI_API_KEY: '', PERPLEXITY_API_KEY: '', MOCK_MODE: '' };
+
+beforeAll(() => {
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-interfaces-'));
+  fs.writeFileSync(path.join(cwd, 'bw-writer.config.json'), JSON.stringify({ sessions: { store: 'memory' } }));
+  env.BW_CONFIG = path.join(cwd, 'bw-writer.config.json');
+});
+
+afterAll(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+const cli = (...args) => run('node', [path.join(INTERFACE_DIR, 'cli.js'), ...args], { cwd, env, timeout: 30000 });
+
+describe('cli.js', () => {
+  it('lists the session, batch and plan commands in --help', async () => {
+    const { stdout } = await cli('--help');
+    for (const command of ['article', 'quick-post', 'resume', 'rerun', 'approve', 'batch', 'plan']) {
+      expect(stdout).toContain(command);
+    }
+  });
+
+  it('plans a run without calling anything or needing keys', async () => {
+    const { stdout } = await cli('plan', 'Home batteries for renters', '--workflow=quick-post', '--model=gpt4o');
+    expect(stdout).toContain('Plan for the quick-post workflow');
+    expect(stdout).toMatch(/draft\s+draft_article\s+1 LLM calls/);
+    expect(stdout).toContain('Missing API keys: OPENAI_API_KEY\n');
+  });
+
+  it('asks only for the provider keys of the models a run is routed to', async () => {
+    const failed = await cli('quick-post', 'Home batteries for renters', '--model=gpt4o').catch(error => error);
+    const output = failed.stdout;
+    expect(output).toContain('OPENAI_API_KEY is required');
+    expect(output).not.toContain('ANTHROPIC_API_KEY');
+    expect(output).not.toContain('Running quick-post');
+  });
+
+  it('reports an unknown session on resume', async () => {
+    const { stdout } = await run('node', [path.join(INTERFACE_DIR, 'cli.js'), 'resume', 'no-such-session'], { cwd, env: { ...env, MOCK_MODE: '1' }, timeout: 30000 });
+    expect(stdout).toContain('Session no-such-session not found');
+  });
+});
+
+describe('mcp-stdio.js', () => {
+  it('answers initialize, tools/list, approve_step and article_writer over stdio', async () => {
+    const server = spawn('node', [path.join(INTERFACE_DIR, 'mcp-stdio.js')], { cwd, env });
+    let stdout = '';
+    server.stdout.on('data', chunk => stdout += chunk);
+    const exited = new Promise(resolve => server.on('close', resolve));
+    const requests = [
+      { jsonrpc: '2.0', id: 1, method: 'initialize' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 3, method: 'tools/execute', params: { name: 'approve_step', parameters: { sessionId: 'no-such-session', action: 'accept' } } },
+      { jsonrpc: '2.0', id: 4, method: 'tools/execute', params: { name: 'article_writer', parameters: { prompt: 'Home batteries for renters', models: { default: 'gpt4o' } } } }
+    ];
+    server.stdin.end(requests.map(request => JSON.stringify(request)).join('\n') + '\n');
+    const timer = setTimeout(() => server.kill(), 20000);
+    await exited;
+    clearTimeout(timer);
+
+    const responses = Object.fromEntries(stdout.trim().split('\n').map(line => JSON.parse(line)).map(response => [response.id, response]));
+    expect(responses[1].result.name).toBe('bw-writer');
+    const tools = responses[2].result.tools;
+    expect(tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['article_writer', 'approve_step', 'get_session']));
+    expect(tools.find(tool => tool.name === 'article_writer').parameters.properties).toHaveProperty('approvals');
+    expect(responses[3].error.message).toBe('Session no-such-session not found');
+    // Only the provider key of the routed model is asked for
+    expect(responses[4].error.message).toBe('OPENAI_API_KEY is required');
+  });
+});
+
+describe('HTTP interfaces', () => {
+  let api, mcp;
+  const listen = app => new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const url = (server, route) => `http://127.0.0.1:${server.address().port}${route}`;
+
+  beforeAll(async () => {
+    // Both read their settings when they load
+    process.env.BW_CONFIG = env.BW_CONFIG;
+    try {
+      api = await listen((await import('../src/framework/interface/api.js')).app);
+      mcp = await listen((await import('../src/framework/interface/mcp-http.js')).app);
+    } finally {
+      delete process.env.BW_CONFIG;
+    }
+  });
+
+  afterAll(() => Promise.all([api, mcp].map(server => server && new Promise(resolve => server.close(resolve)))));
+
+  it('api.js lists the workflow files and answers the approval routes', async () => {
+    const info = await (await fetch(url(api, '/api/info'))).json();
+    expect(info.articleWorkflows).toEqual(expect.arrayContaining(['article', 'quick-post']));
+
+    expect((await fetch(url(api, '/api/sessions/no-such-session/approval'))).status).toBe(404);
+    const decided = await fetch(url(api, '/api/sessions/no-such-session/approval'), {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ action: 'accept' })
+    });
+    expect(decided.status).toBe(404);
+  });
+
+  it('api.js streams a workflow run as server-sent events', async () => {
+    // Nothing listens on the model's port any more, so the run fails at its first step
+    const closed = await listen(express());
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+    const models = { default: { ...LLM_CONFIGS.local, baseUrl: `http://127.0.0.1:${port}/v1`, timeout: 2000 } };
+    const res = await fetch(url(api, '/api/workflows/quick-post'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify({ prompt: 'Home batteries for renters', models })
+    });
+    expect(res.headers.get('content-type')).toContain('text/event-stream');
+    const events = (await res.text()).trim().split('\n\n').map(block => ({
+      event: block.match(/^event: (.*)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+    }));
+    expect(events[0]).toMatchObject({ event: 'step:start', data: { step: 'analyze' } });
+    expect(events.at(-1).event).toBe('result');
+    expect(events.at(-1).data).toMatchObject({ failedStep: 'analyze_request', sessionId: expect.any(String) });
+  }, 30000);
+
+  it('mcp-http.js lists the tools as JSON schema and runs approve_step', async () => {
+    const tools = await (await fetch(url(mcp, '/api/tools'))).json();
+    expect(tools.find(tool => tool.name === 'approve_step').parameters.required).toEqual(['sessionId', 'action']);
+
+    const res = await fetch(url(mcp, '/api/tools/approve_step'), {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ sessionId: 'no-such-session', action: 'accept' })
+    });
+    expect(res.status).toBe(500);
+    expect((await res.json()).error).toBe('Session no-such-session not found');
+  });
+});
@@ -1,9 +1,26 @@
 import 'dotenv/config';
-import { describe, it, expect } from 'vitest';
-import { callLLM } from '../src/framework/llm-utils.js';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  callLLM, structuredOutputMode, google_handler, mistral_handler, groq_handler, cohere_handler, openrouter_handler, local_handler
+} from '../src/framework/llm-utils.js';
+import { createUsageTracker, computeCost } from '../src/framework/usage.js';
+import { createBudget } from '../src/framework/budget.js';
+import { createProgressReporter } from '../src/framework/progress.js';
+import { createLLMCache } from '../src/framework/llm-cache.js';
+import { createCassette } from '../src/framework/cassette.js';
+import { apiRequest } from '../src/framework/utils.js';
+import { classifyLLMError, retryAfterMs } from '../src/framework/llm-errors.js';
+import { createProgressNotifier } from '../src/framework/streaming.js';
+import { LLM_CONFIGS } from '../src/framework/llm-configs.js';
 import { z } from 'zod';
 
-// Skip tests if no API keys are set
+// Live tests replay test/cassettes/llm-<provider>.json; `npm run test:record` records it with the
+// provider's API key. Without the key or the cassette they are skipped.
+const recording = process.env.BW_CASSETTE === 'record';
 const hasRequiredKeys = {
   openai: !!process.env.OPENAI_API_KEY,
   anthropic: !!process.env.ANTHROPIC_API_KEY,
@@ -53,19 +70,23 @@ const testCases = [
 // Test runner for each provider
 const testProvider = (providerName, modelKey) => {
   const providerKey = providerName.toLowerCase();
-  if (!hasRequiredKeys[providerKey]) {
-    describe.skip(`${providerName} (no API key)`, () => it('skipped - no API key', () => {}));
+  const file = `test/cassettes/llm-${providerKey}.json`;
+  if (recording ? !hasRequiredKeys[providerKey] : !fs.existsSync(file)) {
+    const reason = recording ? 'no API key' : `no ${file}`;
+    describe.skip(`${providerName} (${reason})`, () => it(`skipped - ${reason}`, () => {}));
     return;
   }
 
   describe(providerName, () => {
+    const context = { cassette: createCassette({ file }) };
+
     // Basic data type tests
     testCases.forEach(({ name, prompt, schema, expected }) => {
       it(`should handle ${name}`, async () => {
         console.log(`\n=== TESTING ${providerName} - ${name} ===`);
         const fullPrompt = `${prompt} like this: ${JSON.stringify(expected)}`;
         const result = await callLLM(fullPrompt, modelKey, { 
-          schema, temperature: 0.3, max_tokens: 500 
+          schema, temperature: 0.3, max_tokens: 500, context
         });
         console.log('API Response:', JSON.stringify(result, null, 2));
         expect(schema.safeParse(result).success).toBe(true);
@@ -86,7 +107,7 @@ const testProvider = (providerName, modelKey) => {
 
         console.log(`\n=== TESTING ${providerName} - Long Text ===`);
         const result = await callLLM(prompt, modelKey, { 
-          schema, temperature: 0.5, max_tokens: 1000 
+          schema, temperature: 0.5, max_tokens: 1000, context
         });
         
         console.log(`Received ${result.analysis.length} characters of analysis`);
@@ -106,7 +127,7 @@ const testProvider = (providerName, modelKey) => {
 
         console.log(`\n=== TESTING ${providerName} - Basic Text ===`);
         const result = await callLLM(prompt, modelKey, {
-          schema, temperature: 0.3, max_tokens: 100
+          schema, temperature: 0.3, max_tokens: 100, context
         });
 
         console.log(`Received response: ${result.response}`);
@@ -123,3 +144,624 @@ describe('LLM Utils', () => {
   testProvider('Anthropic', 'claude3sonnet');
   testProvider('Perplexity', 'ppxsonarlarge');
 });
+
+// Local HTTP stand-in that answers in each provider's wire format
+describe('Provider handlers (local stand-in)', () => {
+  const answer = { value: 'foobar' };
+  const queued = []; // answers to serve before falling back to `answer`
+  const failures = []; // { status, headers, body } error responses to serve first
+  const requests = [];
+  let server, baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => raw += chunk);
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') });
+        if (req.url.startsWith('/missing')) { res.writeHead(404); return res.end('not found'); }
+        if (req.url.startsWith('/hang')) return; // never answers, until the client gives up
+        if (failures.length) {
+          const { status, headers = {}, body = 'error' } = failures.shift();
+          res.writeHead(status, headers);
+          return res.end(body);
+        }
+        const text = JSON.stringify(queued.length ? queued.shift() : answer);
+        const { stream, tools } = requests.at(-1).body;
+        if (stream) return streamAnswer(req.url, text, res, !!tools);
+        let payload;
+        if (req.url.endsWith('/v1/messages')) payload = {
+          id: 'msg_1', type: 'message', role: 'assistant', model: 'test-model',
+          content: [tools ? { type: 'tool_use', id: 'tu_1', name: 'extract', input: JSON.parse(text) } : { type: 'text', text }],
+          usage: { input_tokens: 10, output_tokens: 5 }
+        };
+        else if (req.url.includes(':generateContent')) payload = {
+          candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+          usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+        };
+        else if (req.url.endsWith('/chat/completions')) payload = {
+          choices: [{ message: tools
+            ? { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'extract', arguments: text } }] }
+            : { role: 'assistant', content: text } }],
+          usage: { prompt_tokens: 10, completion_tokens: 5 }
+        };
+        else if (req.url.endsWith('/chat')) payload = {
+          message: { role: 'assistant', content: [{ type: 'text', text }] },
+          usage: { tokens: { input_tokens: 10, output_tokens: 5 } }
+        };
+        else { res.writeHead(404); return res.end('not found'); }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  // Server-sent events in Anthropic's or the OpenAI chat completions format, a few characters per token
+  function streamAnswer(url, text, res, tool) {
+    const tokens = text.match(/.{1,4}/gs);
+    const anthropic = url.endsWith('/v1/messages');
+    const events = anthropic ? [
+      { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', model: 'test-model', content: [], usage: { input_tokens: 10, output_tokens: 0 } } },
+      { type: 'content_block_start', index: 0, content_block: tool ? { type: 'tool_use', id: 'tu_1', name: 'extract', input: {} } : { type: 'text', text: '' } },
+      ...tokens.map(token => ({ type: 'content_block_delta', index: 0, delta: tool ? { type: 'input_json_delta', partial_json: token } : { type: 'text_delta', text: token } })),
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } },
+      { type: 'message_stop' }
+    ] : [
+      ...tokens.map((token, i) => ({ choices: [{ index: 0, delta: tool
+        ? { tool_calls: [{ index: 0, ...(i === 0 && { id: 'call_1', type: 'function' }), function: { ...(i === 0 && { name: 'extract' }), arguments: token } }] }
+        : { content: token } }] })),
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+    ];
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) res.write(`${anthropic ? `event: ${event.type}\n` : ''}data: ${JSON.stringify(event)}\n\n`);
+    res.end(anthropic ? '' : 'data: [DONE]\n\n');
+  }
+
+  const messages = [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Say foobar' }];
+  const config = () => ({ model: 'test-model', apiKey: 'test-key', temperature: 0.3, max_tokens: 100, baseUrl });
+
+  it('google_handler speaks generateContent', async () => {
+    expect(await google_handler(messages, config())).toEqual(answer);
+    const { url, headers, body } = requests.at(-1);
+    expect(url).toBe('/models/test-model:generateContent');
+    expect(headers['x-goog-api-key']).toBe('test-key');
+    expect(body.systemInstruction.parts[0].text).toBe('Be terse.');
+    expect(body.contents).toEqual([{ role: 'user', parts: [{ text: 'Say foobar' }] }]);
+    expect(body.generationConfig.maxOutputTokens).toBe(100);
+  });
+
+  it('cohere_handler speaks v2 chat', async () => {
+    expect(await cohere_handler(messages, config())).toEqual(answer);
+    const { url, headers, body } = requests.at(-1);
+    expect(url).toBe('/chat');
+    expect(headers.authorization).toBe('Bearer test-key');
+    expect(body.messages).toEqual(messages);
+  });
+
+  for (const [name, handler] of Object.entries({ mistral_handler, groq_handler, openrouter_handler })) {
+    it(`${name} speaks chat completions`, async () => {
+      expect(await handler(messages, config())).toEqual(answer);
+      const { url, body } = requests.at(-1);
+      expect(url).toBe('/chat/completions');
+      expect(body).toMatchObject({ model: 'test-model', messages, response_format: { type: 'json_object' } });
+    });
+  }
+
+  it('local_handler talks to a keyless OpenAI-compatible server', async () => {
+    const { apiKey, ...keyless } = config();
+    expect(await local_handler(messages, { ...keyless, key: 'UNSET_LOCAL_KEY' })).toEqual(answer);
+    const { url, headers, body } = requests.at(-1);
+    expect(url).toBe('/chat/completions');
+    expect(headers.authorization).toBeUndefined();
+    expect(body).toMatchObject({ model: 'test-model', temperature: 0.3, max_tokens: 100, response_format: { type: 'json_object' } });
+
+    // Servers without JSON mode still go through extractJson
+    await local_handler(messages, { ...keyless, json_output_supported: false });
+    expect(requests.at(-1).body.response_format).toBeUndefined();
+
+    const result = await callLLM('Say foobar', { ...LLM_CONFIGS.local, baseUrl }, { schema: z.object({ value: z.string() }) });
+    expect(result).toEqual(answer);
+  });
+
+  it('callLLM dispatches to the new providers', async () => {
+    const schema = z.object({ value: z.string() });
+    for (const provider of ['google', 'mistral', 'groq', 'cohere', 'openrouter']) {
+      const result = await callLLM('Say foobar', { provider, ...config() }, { schema, maxTries: 1 });
+      expect(result).toEqual(answer);
+    }
+  });
+
+  it('validates results against the schema and repairs on mismatch', async () => {
+    const schema = z.object({ value: z.string(), tags: z.array(z.string()).default([]) });
+    queued.push({ value: 42 });
+    const result = await callLLM('Say foobar', { provider: 'groq', ...config() }, { schema, maxTries: 2 });
+    expect(result).toEqual({ value: 'foobar', tags: [] });
+
+    // The repair turn replays the bad answer and names the failing field
+    const { body } = requests.at(-1);
+    expect(body.messages.at(-2)).toEqual({ role: 'assistant', content: JSON.stringify({ value: 42 }) });
+    expect(body.messages.at(-1).role).toBe('user');
+    expect(body.messages.at(-1).content).toMatch(/- value: Expected string, received number/);
+  });
+
+  it('fails with the validation errors once maxTries is exhausted', async () => {
+    const schema = z.object({ value: z.number() });
+    await expect(callLLM('Say foobar', { provider: 'groq', ...config() }, { schema, maxTries: 2 }))
+      .rejects.toThrow(/Failed after 2 attempts\. Last error: Response did not match schema/);
+  });
+
+  it('records tokens and cost per tool and model, including repair attempts', async () => {
+    const usage = createUsageTracker();
+    const schema = z.object({ value: z.string() });
+    const priced = { ...config(), price_input: 2.00, price_output: 8.00 };
+    for (const provider of ['google', 'cohere', 'mistral']) {
+      await callLLM('Say foobar', { provider, ...priced }, { schema, maxTries: 1, context: { usage, tool: 'draft_article' } });
+    }
+    queued.push({ value: 42 }); // one repair round trip doubles the tokens
+    await callLLM('Say foobar', { provider: 'groq', ...priced, model: 'other-model' }, { schema, context: { usage, tool: 'deep_research' } });
+
+    const summary = usage.summary();
+    expect(summary).toMatchObject({ calls: 4, input_tokens: 50, output_tokens: 25 });
+    expect(summary.cost).toBeCloseTo((50 * 2 + 25 * 8) / 1e6, 9);
+    expect(summary.byTool.draft_article).toMatchObject({ calls: 3, input_tokens: 30, output_tokens: 15 });
+    expect(summary.byTool.deep_research).toMatchObject({ calls: 1, input_tokens: 20, output_tokens: 10 });
+    expect(summary.byModel['other-model'].calls).toBe(1);
+  });
+
+  it('records usage for calls that ultimately fail', async () => {
+    const usage = createUsageTracker();
+    const schema = z.object({ value: z.number() });
+    await expect(callLLM('Say foobar', { provider: 'mistral', ...config() }, { schema, maxTries: 2, context: { usage } }))
+      .rejects.toThrow();
+    expect(usage.totals()).toMatchObject({ calls: 1, input_tokens: 20, output_tokens: 10 });
+    expect(usage.calls[0].tool).toBe('unknown');
+  });
+
+  it('fails fast without calling the provider once the budget cannot cover a call', async () => {
+    const usage = createUsageTracker();
+    const budget = createBudget({ maxCost: 0.0001 }, usage);
+    const before = requests.length;
+    const llm = { provider: 'mistral', ...config(), price_input: 3, price_output: 15 };
+    await expect(callLLM('Say foobar', llm, { context: { usage, budget } })).rejects.toThrow(/Budget exceeded before calling test-model/);
+    expect(requests.length).toBe(before);
+    expect(() => budget.throwIfExceeded()).toThrow(expect.objectContaining({ name: 'BudgetExceeded' }));
+  });
+
+  it('counts calls in flight against the budget, and frees their share once they finish', async () => {
+    const usage = createUsageTracker();
+    // Each call's worst case (100 output tokens at $15/M) is about $0.0016, so only one fits at a time
+    const budget = createBudget({ maxCost: 0.002 }, usage);
+    const llm = { provider: 'mistral', ...config(), price_input: 3, price_output: 15 };
+    const call = () => callLLM('Say foobar', llm, { schema: z.object({ value: z.string() }), context: { usage, budget } });
+    const [first, second] = await Promise.allSettled([call(), call()]);
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason.message).toMatch(/including 1 calls in flight/);
+    // The first call cost $0.0001, so the next one fits
+    expect(await call()).toEqual({ value: 'foobar' });
+  });
+
+  it('serves repeated requests from the cache without calling the provider', async () => {
+    const cache = createLLMCache({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'bw-cache-')) });
+    const usage = createUsageTracker();
+    const schema = z.object({ value: z.string() });
+    const context = { cache, usage, tool: 'create_outline' };
+    const before = requests.length;
+
+    const first = await callLLM('Say foobar', { provider: 'groq', ...config() }, { schema, context });
+    const second = await callLLM('Say foobar', { provider: 'groq', ...config() }, { schema, context });
+    expect(second).toEqual(first);
+    expect(requests.length).toBe(before + 1);
+    expect(usage.totals().calls).toBe(1);
+
+    // Any change to the request is a miss
+    await callLLM('Say foobar', { provider: 'groq', ...config(), temperature: 0.9 }, { schema, context });
+    await callLLM('Say foobar', { provider: 'groq', ...config() }, { schema: z.object({ value: z.string().min(1) }), context });
+    expect(requests.length).toBe(before + 3);
+    fs.rmSync(cache.dir, { recursive: true, force: true });
+  });
+
+  it('records exchanges to a cassette and replays them offline', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bw-cassette-')), 'run.json');
+    const schema = z.object({ value: z.string() });
+    const llm = { provider: 'mistral', ...config() };
+
+    const recorder = createCassette({ file, mode: 'record' });
+    queued.push({ value: 42 }); // recorded with its repair turn
+    const recorded = await callLLM('Say foobar', llm, { schema, context: { cassette: recorder } });
+    const fetched = await apiRequest(`${baseUrl}/v1/chat/completions`, { method: 'POST', body: { q: 1 }, apiKey: 'secret', maxRetries: 0, cassette: recorder });
+    expect(fs.readFileSync(file, 'utf8')).not.toMatch(/secret|test-key/);
+
+    // Replay needs neither the network nor an API key, and reports the recorded usage
+    const before = requests.length;
+    // Pinned, so `npm run test:record` does not turn the replay into another recording
+    const player = createCassette({ file, mode: 'replay' });
+    const usage = createUsageTracker();
+    const replayed = await callLLM('Say foobar', { ...llm, apiKey: '' }, { schema, context: { cassette: player, usage } });
+    expect(replayed).toEqual(recorded);
+    expect(await apiRequest(`${baseUrl}/v1/chat/completions`, { method: 'POST', body: { q: 1 }, cassette: player })).toEqual(fetched);
+    expect(requests.length).toBe(before);
+    expect(usage.totals()).toMatchObject({ input_tokens: 20, output_tokens: 10 });
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it('fails a replay with a prompt diff when the request was not recorded', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bw-cassette-')), 'run.json');
+    const llm = { provider: 'groq', ...config() };
+    const schema = z.object({ value: z.string() });
+    await callLLM('Say foobar\nin lowercase', llm, { schema, context: { cassette: createCassette({ file, mode: 'record' }) } });
+
+    const player = createCassette({ file, mode: 'replay' });
+    const error = await callLLM('Say foobar\nin uppercase', llm, { schema, context: { cassette: player } }).catch(e => e);
+    expect(error.name).toBe('CassetteMismatch');
+    expect(error.message).toMatch(/request was not recorded/);
+    expect(error.message).toMatch(/^- in lowercase$/m);
+    expect(error.message).toMatch(/^\+ in uppercase$/m);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it('backs off on rate limits, honoring retry-after, and retries the same model', async () => {
+    failures.push({ status: 429, headers: { 'retry-after-ms': '150' } }, { status: 503 });
+    const started = Date.now();
+    const result = await callLLM('Say foobar', { provider: 'groq', ...config() }, { schema: z.object({ value: z.string() }), backoffMs: 1 });
+    expect(result).toEqual(answer);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+    expect(failures).toHaveLength(0);
+  });
+
+  it('falls back along the chain on fallback-worthy errors', async () => {
+    const schema = z.object({ value: z.string() });
+    const chain = [{ provider: 'groq', ...config(), model: 'big' }, { provider: 'mistral', ...config(), model: 'small' }];
+    failures.push({ status: 400, body: '{"error":{"message":"This model\'s maximum context length is 8192 tokens"}}' });
+    expect(await callLLM('Say foobar', chain, { schema })).toEqual(answer);
+    expect(requests.at(-1).body.model).toBe('small');
+
+    // A plain bad request is not something another model fixes
+    const before = requests.length;
+    failures.push({ status: 400, body: 'unsupported parameter' });
+    const error = await callLLM('Say foobar', chain, { schema }).catch(e => e);
+    expect(error.kind).toBe('unknown');
+    expect(requests.length).toBe(before + 1);
+  });
+
+  it('reports each call, retry and fallback as progress events', async () => {
+    const events = [];
+    const context = { tool: 'create_outline', usage: createUsageTracker(), events: createProgressReporter(event => events.push(event)) };
+    const schema = z.object({ value: z.string() });
+    const chain = [{ provider: 'groq', ...config(), model: 'big' }, { provider: 'mistral', ...config(), model: 'small', price_input: 2, price_output: 8 }];
+    failures.push({ status: 503 }, { status: 400, body: '{"error":{"message":"This model\'s maximum context length is 8192 tokens"}}' });
+    await callLLM('Say foobar', chain, { schema, backoffMs: 1, context });
+
+    expect(events.map(e => e.type)).toEqual(['warning', 'llm:call', 'warning', 'llm:call']);
+    expect(events[0].message).toMatch(/^groq\/big failed \(overloaded\), retrying in \d+ms$/);
+    expect(events[2]).toMatchObject({ tool: 'create_outline', message: 'groq/big failed (context_length), falling back to mistral/small' });
+    expect(events[3]).toMatchObject({
+      tool: 'create_outline', provider: 'mistral', model: 'small', inputTokens: 10, outputTokens: 5,
+      cost: (10 * 2 + 5 * 8) / 1e6, durationMs: expect.any(Number)
+    });
+  });
+
+  it('stops requests in flight and retry waits once context.signal is aborted', async () => {
+    const schema = z.object({ value: z.string() });
+    const controller = new AbortController();
+    const before = requests.length;
+    setTimeout(() => controller.abort(), 50);
+    const error = await callLLM('Say foobar', { provider: 'groq', ...config(), baseUrl: `${baseUrl}/hang` }, {
+      schema, retries: 2, backoffMs: 1, fallbacks: [{ provider: 'mistral', ...config() }], context: { signal: controller.signal }
+    }).catch(e => e);
+    expect(error).toMatchObject({ name: 'Cancelled', message: 'Run cancelled' });
+    expect(requests.length - before).toBe(1); // neither retried nor passed to the fallback
+
+    const waiting = new AbortController();
+    failures.push({ status: 503 });
+    setTimeout(() => waiting.abort('Stopped by the user'), 50);
+    await expect(callLLM('Say foobar', { provider: 'groq', ...config() }, { schema, backoffMs: 60_000, context: { signal: waiting.signal } }))
+      .rejects.toMatchObject({ name: 'Cancelled', message: 'Stopped by the user' });
+
+    await expect(apiRequest(`${baseUrl}/hang`, { method: 'POST', body: {}, cache: false, maxRetries: 0, signal: AbortSignal.timeout(50) }))
+      .rejects.toMatchObject({ name: 'Cancelled' });
+  });
+
+  it('names every attempt in the final error', async () => {
+    const schema = z.object({ value: z.string() });
+    failures.push({ status: 503 }, { status: 503 }, { status: 401, body: 'invalid key' });
+    const error = await callLLM('Say foobar', { provider: 'groq', ...config(), model: 'first' }, {
+      schema, retries: 1, backoffMs: 1, fallbacks: [{ provider: 'mistral', ...config(), model: 'second' }]
+    }).catch(e => e);
+    expect(error.name).toBe('LLMError');
+    expect(error.kind).toBe('auth');
+    expect(error.attempts.map(a => `${a.model}:${a.kind}`)).toEqual(['first:overloaded', 'first:overloaded', 'second:auth']);
+    expect(error.message).toMatch(/Failed after 3 attempts/);
+    expect(error.message).toMatch(/1\. groq\/first: overloaded/);
+    expect(error.message).toMatch(/3\. mistral\/second: auth - mistral API error 401: invalid key/);
+  });
+
+  it('streams tokens from OpenAI, Anthropic and Perplexity and parses the accumulated text', async () => {
+    const schema = z.object({ value: z.string() });
+    for (const provider of ['openai', 'anthropic', 'perplexity']) {
+      const tokens = [], usage = createUsageTracker();
+      const onToken = (token, meta) => tokens.push({ token, ...meta });
+      const result = await callLLM('Say foobar', { provider, ...config() }, { schema, context: { onToken, usage, tool: 'draft_article' } });
+      expect(result).toEqual(answer);
+      expect(requests.at(-1).body.stream).toBe(true);
+      expect(tokens.length).toBeGreaterThan(1);
+      expect(tokens.map(t => t.token).join('')).toBe(JSON.stringify(answer));
+      expect(tokens[0]).toMatchObject({ tool: 'draft_article', provider, model: 'test-model', attempt: 1 });
+      expect(usage.totals()).toMatchObject({ input_tokens: 10, output_tokens: 5 });
+    }
+  });
+
+  it('uses native structured output where the config allows it', async () => {
+    const schema = z.object({ value: z.string() });
+    const inPrompt = body => body.messages.at(-1).content.includes('matching this schema');
+
+    // OpenAI json_schema, strict when the schema allows it
+    await callLLM('Say foobar', { provider: 'openai', ...config(), json_output_supported: true, tool_calls_supported: true }, { schema });
+    let { body } = requests.at(-1);
+    expect(body.response_format).toMatchObject({ type: 'json_schema', json_schema: { name: 'extract', strict: true, schema: { type: 'object' } } });
+    expect(body.response_format.json_schema.schema.$schema).toBeUndefined();
+    expect(body.tools).toBeUndefined();
+    expect(inPrompt(body)).toBe(false);
+    await callLLM('Say foobar', { provider: 'openai', ...config(), json_output_supported: true }, { schema: schema.extend({ tags: z.array(z.string()).default([]) }) });
+    expect(requests.at(-1).body.response_format.json_schema.strict).toBe(false);
+
+    // OpenAI forced function call, Anthropic forced tool use, Perplexity json_schema
+    expect(await callLLM('Say foobar', { provider: 'openai', ...config(), tool_calls_supported: true }, { schema })).toEqual(answer);
+    ({ body } = requests.at(-1));
+    expect(body.tool_choice).toEqual({ type: 'function', function: { name: 'extract' } });
+    expect(body.response_format).toBeUndefined();
+    expect(await callLLM('Say foobar', { provider: 'anthropic', ...config(), tool_calls_supported: true }, { schema })).toEqual(answer);
+    ({ body } = requests.at(-1));
+    expect(body.tool_choice).toEqual({ type: 'tool', name: 'extract' });
+    expect(body.tools[0].input_schema).toMatchObject({ type: 'object', required: ['value'] });
+    expect(inPrompt(body)).toBe(false);
+    await callLLM('Say foobar', { provider: 'perplexity', ...config(), json_output_supported: true }, { schema });
+    expect(requests.at(-1).body.response_format).toMatchObject({ type: 'json_schema', json_schema: { schema: { type: 'object' } } });
+
+    // Unsupported: the schema goes in the prompt
+    await callLLM('Say foobar', { provider: 'anthropic', ...config(), tool_calls_supported: false }, { schema });
+    expect(requests.at(-1).body.tools).toBeUndefined();
+    expect(inPrompt(requests.at(-1).body)).toBe(true);
+  });
+
+  it('streams tool-call arguments in native modes', async () => {
+    const schema = z.object({ value: z.string() });
+    for (const provider of ['openai', 'anthropic']) {
+      const tokens = [];
+      const result = await callLLM('Say foobar', { provider, ...config(), tool_calls_supported: true }, { schema, context: { onToken: token => tokens.push(token) } });
+      expect(result).toEqual(answer);
+      expect(tokens.join('')).toBe(JSON.stringify(answer));
+    }
+  });
+
+  describe('multi-turn message histories', () => {
+    const schema = z.object({ value: z.string() });
+    const history = [
+      { role: 'user', content: 'Critique this section.' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_7', type: 'function', function: { name: 'word_count', arguments: '{"section":1}' } }] },
+      { role: 'tool', tool_call_id: 'call_7', name: 'word_count', content: '412' },
+      { role: 'assistant', content: 'Too long and repetitive.' },
+      { role: 'user', content: 'Now revise it.' }
+    ];
+
+    it('sends the history as given to OpenAI-compatible providers', async () => {
+      expect(await callLLM(history, { provider: 'groq', ...config() }, { schema, systemMessage: 'Be terse.' })).toEqual(answer);
+      const sent = requests.at(-1).body.messages;
+      expect(sent[0]).toEqual({ role: 'system', content: 'Be terse.' });
+      expect(sent.slice(1, -1)).toEqual(history.slice(0, -1));
+      expect(sent.at(-1).content).toMatch(/^Now revise it\.[\s\S]*matching this schema/);
+    });
+
+    it('maps system prompts, tool calls and tool results onto Anthropic content blocks', async () => {
+      await callLLM(history, { provider: 'anthropic', ...config(), tool_calls_supported: true }, { schema, systemMessage: 'Be terse.' });
+      const { body } = requests.at(-1);
+      expect(body.system).toBe('Be terse.');
+      expect(body.messages.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+      expect(body.messages[1].content).toEqual([{ type: 'tool_use', id: 'call_7', name: 'word_count', input: { section: 1 } }]);
+      expect(body.messages[2].content).toEqual([{ type: 'tool_result', tool_use_id: 'call_7', content: '412' }]);
+    });
+
+    it('turns tool exchanges into text for providers without tool roles', async () => {
+      await callLLM(history, { provider: 'google', ...config() }, { schema });
+      const { contents } = requests.at(-1).body;
+      expect(contents.map(c => c.role)).toEqual(['user', 'model', 'user', 'model', 'user']);
+      expect(contents[1].parts[0].text).toBe('Called word_count({"section":1}) as call_7');
+      expect(contents[2].parts[0].text).toBe('Result of word_count (call_7):\n412');
+    });
+
+    it('caches and budgets on the whole history', async () => {
+      const cache = createLLMCache({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'bw-cache-')) });
+      const usage = createUsageTracker();
+      const context = { cache, usage, tool: 'improve_readability' };
+      const llm = { provider: 'groq', ...config() };
+      const before = requests.length;
+
+      await callLLM(history, llm, { schema, context });
+      await callLLM(history, llm, { schema, context });
+      expect(requests.length).toBe(before + 1);
+      await callLLM([...history, { role: 'assistant', content: '{"value":"x"}' }, { role: 'user', content: 'Shorter.' }], llm, { schema, context });
+      expect(requests.length).toBe(before + 2);
+      expect(usage.totals()).toMatchObject({ calls: 2, input_tokens: 20 });
+      fs.rmSync(cache.dir, { recursive: true, force: true });
+
+      // Earlier turns count towards the budget estimate, not just the last message
+      const budgetUsage = createUsageTracker();
+      const budget = createBudget({ maxTokens: 600 }, budgetUsage);
+      const longHistory = [{ role: 'user', content: 'x'.repeat(4000) }, ...history];
+      await expect(callLLM(longHistory, llm, { schema, context: { budget, usage: budgetUsage } })).rejects.toThrow(/Budget exceeded/);
+      expect(await callLLM(history, llm, { schema, context: { budget, usage: budgetUsage } })).toEqual(answer);
+    });
+
+    it('rejects malformed histories before calling a provider', async () => {
+      const before = requests.length;
+      await expect(callLLM([{ role: 'tool', content: '412' }], { provider: 'groq', ...config() }, { schema })).rejects.toThrow(/tool_call_id/);
+      await expect(callLLM([], { provider: 'groq', ...config() }, { schema })).rejects.toThrow(/empty/);
+      expect(requests.length).toBe(before);
+    });
+  });
+
+  it('surfaces HTTP errors from the provider', async () => {
+    await expect(cohere_handler(messages, { ...config(), baseUrl: `${baseUrl}/missing` }))
+      .rejects.toThrow(/cohere API error 404/);
+  });
+});
+
+describe('structuredOutputMode', () => {
+  const object = { type: 'object', properties: {} };
+
+  it('follows the provider and capability flags', () => {
+    expect(structuredOutputMode({ provider: 'openai', schema: object, json_output_supported: true, tool_calls_supported: true })).toBe('json_schema');
+    expect(structuredOutputMode({ provider: 'openai', schema: object, tool_calls_supported: true })).toBe('tool');
+    expect(structuredOutputMode({ provider: 'anthropic', schema: object, json_output_supported: true })).toBe('prompt');
+    expect(structuredOutputMode({ provider: 'mistral', schema: object, tool_calls_supported: true })).toBe('prompt');
+  });
+
+  it('keeps non-object schemas in the prompt', () => {
+    expect(structuredOutputMode({ provider: 'openai', schema: { type: 'array' }, json_output_supported: true })).toBe('prompt');
+  });
+});
+
+describe('computeCost', () => {
+  it('prices tokens per million from the model config', () => {
+    expect(computeCost({ price_input: 3, price_output: 15 }, { input_tokens: 1_000_000, output_tokens: 2_000 })).toBeCloseTo(3.03);
+    expect(computeCost({}, { input_tokens: 500 })).toBe(0);
+  });
+});
+
+describe('createBudget', () => {
+  const spend = (usage, cost, tokens = 0) => usage.record({ model: 'm', input_tokens: tokens, output_tokens: 0, cost });
+
+  it('passes configs through while the call fits', () => {
+    const usage = createUsageTracker();
+    const budget = createBudget({ maxCost: 1, maxTokens: 100_000 }, usage);
+    expect(budget.check(LLM_CONFIGS.claude3sonnet, 'short prompt')).toBe(LLM_CONFIGS.claude3sonnet);
+  });
+
+  it('enforces token caps', () => {
+    const usage = createUsageTracker();
+    const budget = createBudget({ maxTokens: 3000 }, usage);
+    spend(usage, 0, 2000);
+    expect(() => budget.check(LLM_CONFIGS.gpt4o, 'x')).toThrow(/Budget exceeded/);
+  });
+
+  it('downgrades this and every later call once the budget runs low', () => {
+    const usage = createUsageTracker();
+    const budget = createBudget({ maxCost: 0.05, onExceeded: 'downgrade', downgradeTo: 'claude3haiku' }, usage);
+    spend(usage, 0.03);
+
+    // claude3opus worst case: 2048 output tokens at $75/M = $0.15, haiku fits
+    const next = budget.check({ ...LLM_CONFIGS.claude3opus, apiKey: 'k', temperature: 0.9 }, 'prompt');
+    expect(next).toMatchObject({ model: LLM_CONFIGS.claude3haiku.model, price_output: 1.25 });
+    expect(next.apiKey).toBeUndefined();
+    expect(budget.downgraded).toBe(true);
+    expect(budget.check(LLM_CONFIGS.gpt4o, 'prompt').model).toBe(LLM_CONFIGS.claude3haiku.model);
+  });
+
+  it('keeps the call settings when it downgrades', () => {
+    const usage = createUsageTracker();
+    const budget = createBudget({ maxCost: 0.05, onExceeded: 'downgrade', downgradeTo: 'claude3haiku' }, usage);
+    spend(usage, 0.03);
+    const call = { ...LLM_CONFIGS.claude3opus, temperature: 0.9, max_tokens: 500, timeout: 5000, baseUrl: 'http://gateway' };
+    expect(budget.check(call, 'prompt')).toEqual({ ...LLM_CONFIGS.claude3haiku, temperature: 0.9, max_tokens: 500, timeout: 5000 });
+  });
+
+  it('counts the worst case of calls in flight until they are released', () => {
+    const usage = createUsageTracker();
+    // One gpt4o call's worst case (2048 output tokens at $15/M) is about $0.03, two are not
+    const budget = createBudget({ maxCost: 0.05 }, usage);
+    const release = budget.reserve(budget.check(LLM_CONFIGS.gpt4o, 'prompt'), 'prompt');
+    expect(() => budget.check(LLM_CONFIGS.gpt4o, 'prompt')).toThrow(/including 1 calls in flight/);
+
+    // The first call finished cheaply, so a second one fits again
+    spend(usage, 0.001);
+    release();
+    expect(budget.check(LLM_CONFIGS.gpt4o, 'prompt').model).toBe(LLM_CONFIGS.gpt4o.model);
+  });
+
+  it('still fails when even the cheaper model does not fit', () => {
+    const usage = createUsageTracker();
+    const budget = createBudget({ maxCost: 0.01, onExceeded: 'downgrade' }, usage);
+    spend(usage, 0.01);
+    expect(() => budget.check(LLM_CONFIGS.gpt4o, 'prompt')).toThrow(/Budget exceeded/);
+  });
+});
+
+describe('createLLMCache', () => {
+  let dir;
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-cache-')); });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('invalidates entries by tool', () => {
+    const cache = createLLMCache({ dir: path.join(dir, 'tools') });
+    cache.set('a', { tool: 'create_outline', result: 1 });
+    cache.set('b', { tool: 'draft_article', result: 2 });
+    expect(cache.invalidate({ tool: 'create_outline' })).toBe(1);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('b').result).toBe(2);
+  });
+
+  it('drops expired entries', () => {
+    const cache = createLLMCache({ dir: path.join(dir, 'ttl'), ttl: 1000 });
+    cache.set('a', { result: 1 });
+    const file = path.join(cache.dir, 'a.json');
+    fs.writeFileSync(file, JSON.stringify({ result: 1, createdAt: Date.now() - 2000 }));
+    expect(cache.get('a')).toBeUndefined();
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  it('prunes the oldest entries past the size limit', () => {
+    const cache = createLLMCache({ dir: path.join(dir, 'size'), maxBytes: 200 });
+    for (const key of ['a', 'b', 'c']) cache.set(key, { result: 'x'.repeat(60) });
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('c').result).toHaveLength(60);
+  });
+});
+
+describe('classifyLLMError', () => {
+  it('sorts provider failures into kinds', () => {
+    expect(classifyLLMError({ status: 429 })).toBe('rate_limit');
+    expect(classifyLLMError({ status: 401 })).toBe('auth');
+    expect(classifyLLMError({ status: 400, message: 'prompt is too long: 210000 tokens > 200000 maximum' })).toBe('context_length');
+    expect(classifyLLMError({ status: 529, message: 'Overloaded' })).toBe('overloaded');
+    expect(classifyLLMError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }))).toBe('overloaded');
+    expect(classifyLLMError(new SyntaxError('Unexpected token'))).toBe('malformed_output');
+    expect(classifyLLMError({ status: 400, message: 'bad request' })).toBe('unknown');
+  });
+
+  it('reads retry-after as seconds or an HTTP date', () => {
+    expect(retryAfterMs({ 'retry-after': '2' })).toBe(2000);
+    expect(retryAfterMs(new Headers({ 'retry-after-ms': '250' }))).toBe(250);
+    expect(retryAfterMs({ 'retry-after': new Date(Date.now() + 5000).toUTCString() })).toBeGreaterThan(3000);
+    expect(retryAfterMs({})).toBeUndefined();
+  });
+});
+
+describe('createProgressNotifier', () => {
+  it('batches tokens into MCP progress notifications', () => {
+    const sent = [];
+    const onToken = createProgressNotifier({ progressToken: 'p1', send: n => sent.push(n), intervalMs: 60000 });
+    ['Hel', 'lo', ' wor', 'ld'].forEach(token => onToken(token));
+    onToken.flush();
+    expect(sent.map(n => n.params)).toEqual([
+      { progressToken: 'p1', progress: 1, message: 'Hel' },
+      { progressToken: 'p1', progress: 4, message: 'lo world' }
+    ]);
+    expect(sent[0].method).toBe('notifications/progress');
+  });
+  it('sends progress events after any pending tokens, keeping progress increasing', () => {
+    const sent = [];
+    const onToken = createProgressNotifier({ progressToken: 'p2', send: n => sent.push(n), intervalMs: 60000 });
+    onToken('# Draft');
+    onToken(' intro');
+    onToken.event({ type: 'step:finish', step: 'draft', durationMs: 12300, completed: 5, total: 8 });
+    expect(sent.map(n => n.params)).toEqual([
+      { progressToken: 'p2', progress: 1, message: '# Draft' },
+      { progressToken: 'p2', progress: 2, message: ' intro' },
+      { progressToken: 'p2', progress: 3, message: 'draft finished in 12.3s (5/8)' }
+    ]);
+  });
+});
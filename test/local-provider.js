@@ -0,0 +1,42 @@
+/**
+ * Local OpenAI-compatible stand-in for the `local` provider, for tool tests that run without
+ * cassettes or keys. The local provider gets the JSON schema appended to the prompt; `answer`
+ * receives the prompt text and that schema and returns the object to reply with.
+ */
+import http from 'http';
+import { LLM_CONFIGS } from '../src/framework/llm-configs.js';
+
+const SCHEMA_IN_PROMPT = /matching this schema: \n\n======\n\n([\s\S]*?) \n\n=======/;
+
+/**
+ * Start the stand-in on a free port
+ * @param {Function} answer - (prompt, schema) => response object
+ * @returns {Promise<Object>} { requests, models(...steps), close() }; requests holds each prompt
+ */
+export async function startLocalProvider(answer) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+      if (!req.url.endsWith('/chat/completions')) { res.writeHead(404); return res.end('not found'); }
+      const prompt = JSON.parse(raw).messages.map(m => m.content).join('\n');
+      requests.push(prompt);
+      const schema = JSON.parse(prompt.match(SCHEMA_IN_PROMPT)?.[1] || '{}');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: JSON.stringify(answer(prompt, schema)) } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const llm = { ...LLM_CONFIGS.local, baseUrl: `http://127.0.0.1:${server.address().port}/v1`, timeout: 5000 };
+
+  return {
+    requests,
+    // Model routes sending the given steps to the stand-in
+    models: (...steps) => Object.fromEntries(steps.map(step => [step, llm])),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
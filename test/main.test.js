@@ -0,0 +1,294 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+import { articleWriter, articleWriterSchema, resume, rerun, approve, batchWriter, planArticle, articleWorkflow, CONFIG } from '../src/app/main.js';
+import { createSessionStore } from '../src/framework/session-store.js';
+import { McpServer } from '../src/framework/utils.js';
+import { LLM_CONFIGS } from '../src/framework/llm-configs.js';
+
+// Local OpenAI-compatible stand-in for the `local` provider. The local provider gets the
+// schema appended to the prompt, so every answer is a made-up value of that schema.
+const requests = [];
+let server, models;
+// Requests whose prompt this matches are taken but never answered, so the run stays in flight
+// until it is aborted
+let stall = () => false;
+
+const promptText = messages => messages.map(m => m.content).join('\n');
+// Requests since `from` whose prompt contains the text
+const asked = (text, from = 0) => requests.slice(from).filter(messages => promptText(messages).includes(text)).length;
+
+const SCHEMA_IN_PROMPT = /matching this schema: \n\n======\n\n([\s\S]*?) \n\n=======/;
+
+function sample(schema = {}, key = '') {
+  if (schema.enum) return schema.enum[0];
+  if (schema.anyOf) return sample(schema.anyOf[0], key);
+  switch ([schema.type].flat()[0]) {
+    case 'object': return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, field]) => [name, sample(field, name)]));
+    case 'array': return [sample(schema.items, key)];
+    case 'number': case 'integer': return 1;
+    case 'boolean': return true;
+    // No image is served, so media lookups fall back to placeholders
+    default: return schema.format === 'uri' ? `http://127.0.0.1:${server.address().port}/missing.png` : `${key} text`;
+  }
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+      if (!req.url.endsWith('/chat/completions')) { res.writeHead(404); return res.end('not found'); }
+      const { messages } = JSON.parse(raw);
+      requests.push(messages);
+      if (stall(promptText(messages))) return;
+      const schema = JSON.parse(messages.map(m => m.content?.match(SCHEMA_IN_PROMPT)?.[1]).filter(Boolean).at(-1) || '{}');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: JSON.stringify(sample(schema)) } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  models = { default: { ...LLM_CONFIGS.local, baseUrl: `http://127.0.0.1:${server.address().port}/v1`, timeout: 5000 } };
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+// A fresh context per run: in-memory sessions, settings without a project's author or SEO credentials
+const runContext = () => ({ config: { ...CONFIG, debug: false }, sessions: createSessionStore({ store: 'memory' }) });
+
+describe('articleWriter against the local provider', () => {
+  it('runs every step of the article workflow and assembles the article', async () => {
+    requests.length = 0;
+    const warnings = [];
+    const context = { ...runContext(), progress: event => event.type === 'warning' && warnings.push(event.message) };
+    const result = await articleWriter({ userPrompt: '---\nkeywords: [solar, storage]\n---\nHome batteries for renters', models }, context);
+
+    expect(result.error).toBeUndefined();
+    expect(result.markdown).toMatch(/^---\ntitle: /);
+    expect(result.body).toContain('improvedContent text');
+    // Media planned on the readable text is placed in the SEO step's text
+    expect(result.body).toMatch(/improvedContent text\n\n!\[alt text\]\(\S+\)\n\*description text\*$/);
+    // Without DataForSEO credentials the SEO step keeps the picked title; descriptions come from readability
+    expect(result.meta).toMatchObject({
+      title: 'title text', description: 'pageDescription text', tldr: 'tldrDescription text',
+      revision: 1, usage: expect.objectContaining({ calls: expect.any(Number) })
+    });
+    expect(result.meta.models.draft).toEqual(models.default);
+    expect(requests.length).toBeGreaterThan(10);
+
+    const session = await context.sessions.get(result.meta.sessionId);
+    expect(session.status).toBe('completed');
+    expect(Object.keys(session.steps).sort()).toEqual([
+      'analyze_request', 'create_outline', 'deep_research', 'draft_article', 'embed_media',
+      'generate_proposals', 'generate_titles', 'improve_readability', 'optimize_seo', 'plan_media'
+    ]);
+    // Keyword lists and the author profile reach the tools as text
+    const prompts = requests.map(promptText);
+    expect(prompts.find(prompt => prompt.includes('Generate SEO keywords'))).toContain('Expand from: keywords text');
+    expect(prompts.find(prompt => prompt.includes('DRAFT ARTICLE'))).toMatch(/AUTHOR:\n=+\n\{"name":/);
+    // No step fell back to placeholder output
+    expect(warnings).toEqual([]);
+  });
+});
+
+describe('resume', () => {
+  it('continues a cancelled run from its first incomplete step', async () => {
+    const context = runContext();
+    const controller = new AbortController();
+    stall = prompt => prompt.includes('creating a complete article');
+    try {
+      const start = requests.length;
+      const run = articleWriter({ userPrompt: 'Home batteries for renters', models }, { ...context, signal: controller.signal });
+      await vi.waitFor(() => expect(asked('creating a complete article', start)).toBeGreaterThan(0));
+      controller.abort('Stopped by the user');
+      const stopped = await run;
+      expect(stopped).toMatchObject({ cancelled: true, failedStep: 'draft_article' });
+      stall = () => false;
+
+      const from = requests.length;
+      const result = await resume(stopped.sessionId, { input: { style: 'dry and academic' } }, context);
+      expect(result.error).toBeUndefined();
+      expect(result.meta.sessionId).toBe(stopped.sessionId);
+      // Steps that finished before the cancel are replayed from their checkpoints
+      expect(asked('content strategist', from)).toBe(0);
+      expect(asked('creating an article outline', from)).toBe(0);
+      expect(asked('headline editor', from)).toBe(0);
+      // The step that was cut off runs again, with the input override
+      expect(requests.slice(from).map(promptText).find(prompt => prompt.includes('creating a complete article'))).toContain('dry and academic');
+      expect(await context.sessions.get(stopped.sessionId)).toMatchObject({ status: 'completed', result: { body: result.body } });
+    } finally {
+      stall = () => false;
+    }
+  });
+});
+
+describe('rerun', () => {
+  it('runs one step again as a new revision and keeps the previous one', async () => {
+    const context = runContext();
+    const first = await articleWriter({ userPrompt: 'Home batteries for renters', models }, { ...context });
+    expect(first.error).toBeUndefined();
+
+    const from = requests.length;
+    const second = await rerun(first.meta.sessionId, 'readability', { input: { style: 'short and punchy' } }, context);
+    expect(second.error).toBeUndefined();
+    expect(second.meta).toMatchObject({ sessionId: first.meta.sessionId, revision: 2 });
+    // Only the named step is asked again; its output is unchanged, so later steps replay too
+    expect(requests.slice(from).map(promptText)).toEqual([expect.stringContaining('short and punchy')]);
+    expect(asked('expert editor enhancing an article', from)).toBe(1);
+
+    const session = await context.sessions.get(first.meta.sessionId);
+    expect(session).toMatchObject({ status: 'completed', revision: 2, rerun: { step: 'improve_readability' } });
+    expect(session.revisions).toMatchObject([{ revision: 1, status: 'completed', result: { body: first.body } }]);
+  });
+});
+
+describe('approve', () => {
+  it('pauses at each gate and continues with the editor\'s decision', async () => {
+    const context = runContext();
+    const start = requests.length;
+    const paused = await articleWriter({ userPrompt: 'Home batteries for renters', models, approvals: true }, { ...context });
+    expect(paused.awaitingApproval).toMatchObject({ step: 'proposal', when: 'after', candidates: { title: 'title text', proposals: [expect.any(Object)] } });
+    expect(await context.sessions.get(paused.sessionId)).toMatchObject({ status: 'awaiting_approval' });
+    // Nothing after the gate has run yet
+    expect(asked('headline editor', start)).toBe(0);
+
+    // An edited proposal title is what the title options are written for
+    let from = requests.length;
+    let next = await approve(paused.sessionId, { action: 'edit', edits: { title: 'Batteries When You Rent' } }, context);
+    expect(next.awaitingApproval).toMatchObject({ step: 'outline', when: 'after' });
+    expect(requests.slice(from).map(promptText).find(prompt => prompt.includes('headline editor'))).toContain('Batteries When You Rent');
+
+    // A rejected outline is written again with the feedback, and the gate asks again
+    from = requests.length;
+    next = await approve(paused.sessionId, { action: 'reject', feedback: 'Fewer sections, more how-to' }, context);
+    expect(next.awaitingApproval).toMatchObject({ step: 'outline', feedback: ['Fewer sections, more how-to'] });
+    expect(requests.slice(from).map(promptText)).toEqual([expect.stringContaining('Fewer sections, more how-to')]);
+
+    next = await approve(paused.sessionId, { action: 'accept' }, context);
+    expect(next.awaitingApproval).toMatchObject({ step: 'media_plan', when: 'after', candidates: { mediaSuggestions: [expect.objectContaining({ alt: 'alt text' })] } });
+
+    const result = await approve(paused.sessionId, { action: 'accept' }, context);
+    expect(result.error).toBeUndefined();
+    expect(result.body).toContain('![alt text]');
+    expect(await context.sessions.get(paused.sessionId)).toMatchObject({ status: 'completed' });
+  });
+});
+
+describe('batchWriter', () => {
+  it('writes an article per brief with a report, and skips finished briefs on the next run', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-batch-'));
+    try {
+      const file = path.join(dir, 'briefs.csv');
+      fs.writeFileSync(file, [
+        'id,prompt,keywords,workflow',
+        'renters,"Home batteries for renters","solar, storage",',
+        'heat-pumps,Heat pumps in cold climates,,quick-post',
+        'broken,Anything,,no-such-workflow'
+      ].join('\n'));
+      const outDir = path.join(dir, 'out');
+
+      const report = await batchWriter(file, { outDir, models }, runContext());
+      expect(report.totals).toMatchObject({ rows: 3, completed: 2, failed: 1, skipped: 0 });
+      expect(report.rows.map(row => [row.id, row.status])).toEqual([['renters', 'completed'], ['heat-pumps', 'completed'], ['broken', 'failed']]);
+      expect(report.rows[2].error).toMatch(/no-such-workflow/);
+      expect(fs.readFileSync(path.join(outDir, 'renters.md'), 'utf8')).toMatch(/^---\ntitle: title text\n[\s\S]*keywords:/);
+      // quick-post has no media step, so the body is readability's text
+      expect(fs.readFileSync(path.join(outDir, 'heat-pumps.md'), 'utf8')).toMatch(/improvedContent text$/);
+      expect(JSON.parse(fs.readFileSync(path.join(outDir, 'batch-report.json'), 'utf8'))).toEqual(report);
+
+      const from = requests.length;
+      const again = await batchWriter(file, { outDir, models }, runContext());
+      expect(again.totals).toMatchObject({ completed: 2, failed: 1, skipped: 2 });
+      expect(again.rows[2].attempts).toBe(2);
+      expect(requests.length).toBe(from);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('dry runs', () => {
+  it('plans every step of the workflow without calling a model or storing a session', async () => {
+    const context = runContext();
+    const from = requests.length;
+    const plan = await articleWriter({ userPrompt: '---\ntargetLen: 900\n---\nHome batteries for renters', models: { default: 'gpt4o' }, dryRun: true }, context);
+    expect(plan).toEqual(planArticle({ userPrompt: '---\ntargetLen: 900\n---\nHome batteries for renters', models: { default: 'gpt4o' } }, context));
+    expect(requests.length).toBe(from);
+    expect(await context.sessions.list()).toEqual([]);
+
+    expect(plan).toMatchObject({ dryRun: true, workflow: 'article', words: 900 });
+    expect(plan.steps.map(step => step.step)).toEqual(articleWorkflow().graph.levels.flat());
+    const step = name => plan.steps.find(entry => entry.step === name);
+    expect(step('titles')).toMatchObject({ tool: 'generate_titles', llmCalls: 2, models: ['gpt4o'] });
+    // Media is planned (one plan, one lookup per 300 words) by media_plan; embed_media only places it
+    expect(step('media_plan')).toMatchObject({ llmCalls: 4 });
+    expect(step('media')).toMatchObject({ planned: true, llmCalls: 0 });
+    expect(step('seo').apiCalls.dataforseo).toBeGreaterThan(0);
+    expect(plan.totals.llmCalls).toBe(plan.steps.reduce((sum, entry) => sum + entry.llmCalls, 0));
+    expect(plan.totals.cost).toBeGreaterThan(0);
+    expect(plan.missingKeys).toEqual([...new Set(plan.steps.flatMap(entry => entry.missingKeys))]);
+  });
+
+  it('asks only for the provider keys of the models the steps are routed to', () => {
+    vi.stubEnv('OPENAI_API_KEY', 'sk-test');
+    vi.stubEnv('ANTHROPIC_API_KEY', '');
+    vi.stubEnv('PERPLEXITY_API_KEY', '');
+    try {
+      const onOpenAI = planArticle({ userPrompt: 'Home batteries for renters', models: { default: 'gpt4o' } }, runContext());
+      expect(onOpenAI.missingProviderKeys).toEqual([]);
+      expect(onOpenAI.missingKeys).not.toContain('ANTHROPIC_API_KEY');
+      expect(onOpenAI.missingKeys).not.toContain('PERPLEXITY_API_KEY');
+      expect(onOpenAI.steps.find(step => step.step === 'research').missingKeys).toEqual([]);
+
+      // The local provider needs no key at all
+      expect(planArticle({ userPrompt: 'Home batteries for renters', models }, runContext()).missingProviderKeys).toEqual([]);
+      // Research on Perplexity needs its key, and only research does
+      const research = planArticle({ userPrompt: 'Home batteries for renters', models: { default: 'gpt4o', research: 'ppxsonarlarge' } }, runContext());
+      expect(research.missingProviderKeys).toEqual(['PERPLEXITY_API_KEY']);
+      expect(research.steps.filter(step => step.missingProviderKeys.length).map(step => step.step)).toEqual(['research']);
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+});
+
+describe('MCP cancellation', () => {
+  it('aborts the article run of a tools call on notifications/cancelled', async () => {
+    requests.length = 0;
+    stall = () => true;
+    const context = runContext();
+    const mcp = new McpServer({ serverName: 'bw-writer' }).registerTool({
+      name: 'article_writer', description: 'Write an article', parameters: z.object({ prompt: z.string() }),
+      handler: ({ prompt }, { signal }) => articleWriter({ userPrompt: prompt, models }, { ...context, signal })
+    });
+    try {
+      const call = mcp.handleJsonRpcRequest({ jsonrpc: '2.0', id: 7, method: 'tools/execute', params: { name: 'article_writer', parameters: { prompt: 'Home batteries' } } });
+      await vi.waitFor(() => expect(requests.length).toBeGreaterThan(0));
+      const sent = requests.length;
+
+      // A notification gets no response of its own; the call it names answers as cancelled
+      expect(await mcp.handleJsonRpcRequest({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: 'Stopped by the user' } })).toBeNull();
+      const response = await call;
+      expect(response).toMatchObject({ id: 7, result: { cancelled: true, failedStep: 'analyze_request' } });
+      expect(mcp.pendingRequests.size).toBe(0);
+      expect(await context.sessions.get(response.result.sessionId)).toMatchObject({ status: 'cancelled' });
+      // Nothing is sent once the run is cancelled
+      expect(requests.length).toBe(sent);
+    } finally {
+      stall = () => false;
+    }
+  });
+});
+
+describe('articleWriterSchema', () => {
+  it('only takes workflow names that are plain file names', () => {
+    expect(articleWriterSchema.safeParse({ prompt: 'x', workflow: 'quick-post' }).success).toBe(true);
+    expect(articleWriterSchema.safeParse({ prompt: 'x', workflow: '../../etc/passwd' }).success).toBe(false);
+  });
+});
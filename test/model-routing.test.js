@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { resolveModelRoutes, routesFromEnv, parseRoute } from '../src/framework/model-routing.js';
+import { modelRoutes, modelFor, PIPELINE_STEPS, DEFAULT_MODEL_ROUTES } from '../src/app/models.js';
+import { LLM_CONFIGS } from '../src/framework/llm-configs.js';
+
+const steps = ['research', 'outline', 'draft'];
+
+describe('resolveModelRoutes', () => {
+  it('applies layers in order, a layer default overriding lower layers', () => {
+    const routes = resolveModelRoutes(steps,
+      { research: 'ppxsonarlarge', outline: 'claude3sonnet', draft: 'claude3sonnet' },
+      { draft: 'claude3opus' },
+      { default: 'gpt4o', outline: 'gpt4oMini' });
+    expect(routes).toEqual({ research: 'gpt4o', outline: 'gpt4oMini', draft: 'gpt4o' });
+  });
+
+  it('accepts inline configs and fallback chains', () => {
+    const inline = { provider: 'local', model: 'mistral:7b', baseUrl: 'http://gpu-box:8000/v1' };
+    const routes = resolveModelRoutes(steps, { default: 'gpt4oMini' }, { draft: ['claude3opus', 'gpt4o'], outline: inline });
+    expect(routes).toEqual({ research: 'gpt4oMini', outline: inline, draft: ['claude3opus', 'gpt4o'] });
+  });
+
+  it('rejects unknown steps and models', () => {
+    expect(() => resolveModelRoutes(steps, { drafting: 'gpt4o' })).toThrow(/Unknown pipeline step "drafting".*research, outline, draft/);
+    expect(() => resolveModelRoutes(steps, { draft: 'anthropic' })).toThrow(expect.objectContaining({
+      name: 'ConfigError', message: expect.stringMatching(/Invalid model route for draft: Unknown model "anthropic"/)
+    }));
+    expect(() => resolveModelRoutes(steps, { draft: { model: 'gpt-4o' } })).toThrow(/Invalid model route for draft/);
+  });
+});
+
+describe('routesFromEnv', () => {
+  it('reads BW_MODEL for every step and BW_MODEL_<STEP> per step', () => {
+    const env = { BW_MODEL: 'gpt4o', BW_MODEL_DRAFT: 'claude3opus, gpt4o', BW_MODEL_UNKNOWN: 'gpt4o' };
+    expect(routesFromEnv(env, steps)).toEqual({ default: 'gpt4o', draft: ['claude3opus', 'gpt4o'] });
+    expect(parseRoute('gpt4oMini')).toBe('gpt4oMini');
+  });
+});
+
+describe('pipeline routes', () => {
+  afterEach(() => {
+    delete process.env.BW_MODEL;
+    delete process.env.BW_MODEL_OUTLINE;
+  });
+
+  it('routes every step to a real model by default', () => {
+    expect(Object.keys(DEFAULT_MODEL_ROUTES)).toEqual(PIPELINE_STEPS);
+    for (const route of Object.values(modelRoutes())) expect(LLM_CONFIGS).toHaveProperty(route);
+  });
+
+  it('can run the whole pipeline on one provider, env below params', () => {
+    process.env.BW_MODEL = 'gpt4oMini';
+    process.env.BW_MODEL_OUTLINE = 'gpt4o';
+    const routes = modelRoutes({ draft: 'gpt4o' });
+    expect(new Set(Object.values(routes).map(key => LLM_CONFIGS[key].provider))).toEqual(new Set(['openai']));
+    expect(routes).toMatchObject({ research: 'gpt4oMini', outline: 'gpt4o', draft: 'gpt4o' });
+    expect(modelRoutes({ default: 'claude3haiku' }).outline).toBe('claude3haiku');
+  });
+
+  it('modelFor uses the run routes on the context, else defaults', () => {
+    expect(modelFor({ models: { draft: 'gpt4o' } }, 'draft')).toBe('gpt4o');
+    expect(modelFor({}, 'research')).toBe(DEFAULT_MODEL_ROUTES.research);
+  });
+});
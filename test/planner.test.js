@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { Chalk } from 'chalk';
+import { createWorkflow } from '../src/framework/workflow.js';
+import { planWorkflow, planStep, combinePlans } from '../src/framework/planner.js';
+import { cliUI } from '../src/framework/cli-helpers.js';
+import { LLM_CONFIGS } from '../src/framework/llm-configs.js';
+
+// Tools as createTool defines them, with keys and a plan; run is never called
+const never = () => { throw new Error('a dry run must not call tools'); };
+const tools = {
+  analyze_request: {
+    keys: [],
+    plan: () => [{ model: 'analyze', calls: 2, inputTokens: 100, outputTokens: 50, userPrompt: true }]
+  },
+  create_outline: {
+    keys: [],
+    plan: () => [{ model: 'outline', prompt: 'create_outline', inputTokens: 1000, outputTokens: 500 }]
+  },
+  optimize_seo: {
+    keys: ['DATAFORSEO_LOGIN', 'DATAFORSEO_PASSWORD'],
+    plan: ({ words }) => [{ model: 'seo', calls: words / 100, inputTokens: 200, outputTokens: 100 }, { api: 'dataforseo', calls: 4 }]
+  },
+  embed_media: { keys: ['OPENAI_API_KEY'] }
+};
+const workflow = createWorkflow({
+  analyze: { tool: 'analyze_request', inputs: ['userPrompt'], run: never },
+  outline: { tool: 'create_outline', inputs: ['analyze.topic'], run: never },
+  seo: { tool: 'optimize_seo', inputs: ['outline.outline'], run: never },
+  media: { tool: 'embed_media', inputs: ['outline.outline'], run: never }
+}, { params: ['userPrompt'] });
+const models = { analyze: 'gpt4oMini', outline: ['claude3sonnet', 'gpt4o'], seo: 'claude3haiku' };
+
+describe('dry-run plans', () => {
+  it('counts calls and tokens per step and prices them with the routed models', () => {
+    const plan = planWorkflow(workflow, tools, {
+      models, userPrompt: 'x'.repeat(400), words: 1000,
+      promptTokens: name => ({ create_outline: 300 })[name],
+      env: { OPENAI_API_KEY: 'sk', ANTHROPIC_API_KEY: 'ak' }
+    });
+
+    expect(plan.steps.map(step => step.step)).toEqual(['analyze', 'outline', 'seo', 'media']);
+    expect(plan.steps[0]).toMatchObject({ tool: 'analyze_request', llmCalls: 2, inputTokens: 400, outputTokens: 100, models: ['gpt4oMini'], missingKeys: [] });
+    // The template's tokens count towards the input; a fallback chain is priced at its first model
+    expect(plan.steps[1]).toMatchObject({ inputTokens: 1300, outputTokens: 500, models: ['claude3sonnet'] });
+    const sonnet = LLM_CONFIGS.claude3sonnet;
+    expect(plan.steps[1].cost).toBeCloseTo((1300 * sonnet.price_input + 500 * sonnet.price_output) / 1e6, 6);
+    expect(plan.steps[2]).toMatchObject({ llmCalls: 10, apiCalls: { dataforseo: 4 }, inputTokens: 2000, missingKeys: ['DATAFORSEO_LOGIN', 'DATAFORSEO_PASSWORD'] });
+    // A tool without a plan is listed, but not estimated; its keys are still checked
+    expect(plan.steps[3]).toMatchObject({ planned: false, llmCalls: 0, missingKeys: [] });
+
+    expect(plan.totals).toMatchObject({ llmCalls: 13, apiCalls: { dataforseo: 4 }, inputTokens: 3700, outputTokens: 1600, tokens: 5300 });
+    expect(plan.totals.cost).toBeCloseTo(plan.steps.reduce((sum, step) => sum + step.cost, 0), 6);
+    expect(plan.missingKeys).toEqual(['DATAFORSEO_LOGIN', 'DATAFORSEO_PASSWORD']);
+    // SEO gets by without DataForSEO, so no key is missing that the run needs
+    expect(plan.missingProviderKeys).toEqual([]);
+  });
+
+  it('flags the provider key of each routed model', () => {
+    expect(planStep(tools.create_outline, { models: { outline: 'gpt4o' }, env: {} })).toMatchObject({ missingKeys: ['OPENAI_API_KEY'], missingProviderKeys: ['OPENAI_API_KEY'] });
+    expect(planStep(tools.create_outline, { models: { outline: 'claude3sonnet' }, env: {} }).missingKeys).toEqual(['ANTHROPIC_API_KEY']);
+    expect(planStep(tools.analyze_request, { models: { analyze: 'gpt4oMini' }, env: { OPENAI_API_KEY: 'sk' } }).missingKeys).toEqual([]);
+    // The tool's own keys are reported, but are not provider keys
+    expect(planStep(tools.optimize_seo, { models: { seo: 'gpt4o' }, env: {} })).toMatchObject({
+      missingKeys: ['DATAFORSEO_LOGIN', 'DATAFORSEO_PASSWORD', 'OPENAI_API_KEY'], missingProviderKeys: ['OPENAI_API_KEY']
+    });
+  });
+
+  it('gives each tool the input fields of its step', () => {
+    const seen = [];
+    const media = { keys: [], plan: ({ inputs }) => { seen.push(inputs); return inputs.includes('mediaSuggestions') ? [] : [{ model: 'media' }]; } };
+    const placed = createWorkflow({
+      analyze: { tool: 'analyze_request', inputs: ['userPrompt'], run: never },
+      media: { tool: 'embed_media', inputs: { seoContent: 'analyze.topic', mediaSuggestions: 'analyze.media' }, run: never }
+    }, { params: ['userPrompt'] });
+    const plan = planWorkflow(placed, { ...tools, embed_media: media }, { models, env: {} });
+    expect(seen).toEqual([['seoContent', 'mediaSuggestions']]);
+    expect(plan.steps[1]).toMatchObject({ planned: true, llmCalls: 0 });
+  });
+
+  it('adds up the plans of several briefs', () => {
+    const plan = { totals: { llmCalls: 3, apiCalls: { dataforseo: 4 }, inputTokens: 100, outputTokens: 50, cost: 0.25 }, missingKeys: ['DATAFORSEO_LOGIN'], missingProviderKeys: [] };
+    expect(combinePlans([plan, plan, { ...plan, missingKeys: ['OPENAI_API_KEY'], missingProviderKeys: ['OPENAI_API_KEY'] }])).toEqual({
+      totals: { llmCalls: 9, apiCalls: { dataforseo: 12 }, inputTokens: 300, outputTokens: 150, tokens: 450, cost: 0.75 },
+      missingKeys: ['DATAFORSEO_LOGIN', 'OPENAI_API_KEY'],
+      missingProviderKeys: ['OPENAI_API_KEY']
+    });
+  });
+
+  it('prints the plan in the CLI', () => {
+    let text = '';
+    const plan = { workflow: 'article', ...planWorkflow(workflow, tools, { models, words: 500, env: { OPENAI_API_KEY: 'sk', ANTHROPIC_API_KEY: 'ak' } }) };
+    cliUI.showPlan(plan, { chalk: new Chalk({ level: 0 }) }, { output: { write: chunk => { text += chunk; } } });
+    const lines = text.split('\n');
+    expect(lines[1]).toBe('Plan for the article workflow, ~500 words (nothing is called)');
+    expect(lines[2]).toMatch(/^ {2}analyze {2}analyze_request +2 LLM calls +~300 tokens, ~\$0\.0005 {2}gpt4oMini$/);
+    expect(lines[4]).toMatch(/^ {2}seo +optimize_seo +5 LLM \+ 4 DataForSEO calls .* {2}missing DATAFORSEO_LOGIN, DATAFORSEO_PASSWORD$/);
+    expect(lines[5]).toMatch(/^ {2}media +embed_media +not estimated/);
+    expect(lines.at(-2)).toBe('Missing API keys: DATAFORSEO_LOGIN, DATAFORSEO_PASSWORD');
+  });
+});
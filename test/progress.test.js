@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import { Chalk } from 'chalk';
+import { createProgressReporter, describeProgressEvent } from '../src/framework/progress.js';
+import { cliUI } from '../src/framework/cli-helpers.js';
+
+describe('createProgressReporter', () => {
+  it('sends events to a callback with their type, time and shared fields', () => {
+    const events = [];
+    let sessionId;
+    const reporter = createProgressReporter(event => events.push(event), () => ({ sessionId }));
+    reporter.emit('step:start', { step: 'research' });
+    sessionId = 'run-1';
+    reporter.warning('Retrying', { tool: 'deep_research' });
+
+    expect(events).toEqual([
+      { type: 'step:start', time: expect.any(String), sessionId: undefined, step: 'research' },
+      { type: 'warning', time: expect.any(String), sessionId: 'run-1', message: 'Retrying', tool: 'deep_research' }
+    ]);
+  });
+
+  it('emits by type on an EventEmitter and never lets a listener stop the run', () => {
+    const emitter = new EventEmitter();
+    const finished = [];
+    emitter.on('step:finish', event => finished.push(event.step));
+    const reporter = createProgressReporter(emitter);
+    reporter.emit('step:finish', { step: 'outline' });
+    expect(finished).toEqual(['outline']);
+
+    // An 'error' event without a listener would throw from EventEmitter#emit
+    expect(() => reporter.emit('error', { message: 'No keywords' })).not.toThrow();
+    expect(() => createProgressReporter(() => { throw new Error('listener bug'); }).emit('warning')).not.toThrow();
+    expect(() => createProgressReporter(undefined).emit('warning')).not.toThrow();
+  });
+});
+
+describe('progress output', () => {
+  const events = [
+    { type: 'step:start', step: 'research', completed: 1, total: 8 },
+    { type: 'llm:call', tool: 'deep_research', provider: 'perplexity', model: 'sonar', inputTokens: 900, outputTokens: 300, cost: 0.0042, durationMs: 2500 },
+    { type: 'llm:call', tool: 'create_outline', provider: 'openai', model: 'gpt-4o', cached: true },
+    { type: 'warning', tool: 'deep_research', message: 'No research for category "Costs"' },
+    { type: 'step:finish', step: 'research', durationMs: 12345, completed: 2, total: 8 },
+    { type: 'error', step: 'seo', message: 'No keywords' }
+  ];
+
+  it('describes each event in one line', () => {
+    expect(events.map(describeProgressEvent)).toEqual([
+      'research started (1/8)',
+      'deep_research: perplexity/sonar, 900 in + 300 out tokens, $0.0042, 2.5s',
+      'create_outline: openai/gpt-4o (cached)',
+      'Warning (deep_research): No research for category "Costs"',
+      'research finished in 12.3s (2/8)',
+      'seo failed: No keywords'
+    ]);
+  });
+
+  it('prints a step list in the CLI, ending any streamed output first', () => {
+    let text = '';
+    const output = { write: chunk => { text += chunk; } };
+    const plain = new Chalk({ level: 0 });
+    const tokens = cliUI.createTokenPrinter({ chalk: plain }, output);
+    const progress = cliUI.createProgressPrinter({ chalk: plain }, { output, tokens });
+
+    progress(events[0]);
+    tokens('Solar', { tool: 'deep_research', provider: 'perplexity', model: 'sonar' });
+    events.slice(1).forEach(progress);
+    expect(text.split('\n')).toEqual([
+      '▶ research 1/8',
+      '',
+      '── deep_research · perplexity/sonar ──',
+      'Solar',
+      '  · perplexity/sonar 900+300 tokens $0.0042 2.5s',
+      '  · openai/gpt-4o cached',
+      '  ! deep_research: No research for category "Costs"',
+      '✓ research 12.3s 2/8',
+      '✗ seo: No keywords',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the prompt registry and the built-in article prompts
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createPromptRegistry, loadPromptFile } from '../src/framework/prompts.js';
+import { prompts, BUILTIN_PROMPTS_DIR } from '../src/app/prompts/index.js';
+
+describe('Built-in prompts', () => {
+  it('declares a version and every variable it uses', () => {
+    const list = prompts.list({ dirs: [] });
+    expect(list.map(p => p.name)).toEqual(expect.arrayContaining([
+      'create_outline', 'draft_article', 'improve_readability', 'generate_proposals',
+      'select_best_proposal', 'generate_title_options', 'select_best_title'
+    ]));
+    for (const prompt of list) expect(prompt.version).toBeTruthy();
+  });
+});
+
+describe('Prompt registry', () => {
+  let dir, overrides;
+
+  const writePrompt = (folder, name, front, body) =>
+    fs.writeFileSync(path.join(folder, `${name}.md`), `---\n${front}\n---\n${body}\n`);
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-prompts-'));
+    overrides = path.join(dir, 'overrides');
+    fs.mkdirSync(overrides);
+    writePrompt(dir, 'greet', 'version: 1\nvariables: [name, place]', 'Hello {{name}} from {{ place }}!');
+    fs.mkdirSync(path.join(dir, 'invalid'));
+    writePrompt(path.join(dir, 'invalid'), 'broken', 'version: 1\nvariables: [name]', 'Hello {{name}}, {{surprise}}');
+    writePrompt(overrides, 'greet', 'version: 2-casual\nvariables: [name]', 'Hey {{name}}');
+  });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('renders declared variables and records the version used', () => {
+    const registry = createPromptRegistry({ dirs: [dir] });
+    const context = { promptVersions: {} };
+    expect(registry.render('greet', { name: 'Ada', place: 'London' }, context)).toBe('Hello Ada from London!');
+    expect(context.promptVersions.greet).toEqual({ version: '1', source: path.join(dir, 'greet.md') });
+  });
+
+  it('rejects missing and undeclared variables', () => {
+    const registry = createPromptRegistry({ dirs: [dir] });
+    expect(() => registry.render('greet', { name: 'Ada' })).toThrow(/missing variables: place/);
+    expect(() => loadPromptFile(path.join(dir, 'invalid', 'broken.md'))).toThrow(expect.objectContaining({ name: 'PromptError' }));
+    expect(() => registry.get('nope')).toThrow(/Prompt nope not found/);
+  });
+
+  it('lets a project directory override a prompt', () => {
+    const registry = createPromptRegistry({ dirs: [dir] });
+    const context = { promptsDir: overrides, promptVersions: {} };
+    expect(registry.render('greet', { name: 'Ada' }, context)).toBe('Hey Ada');
+    expect(context.promptVersions.greet.version).toBe('2-casual');
+    expect(createPromptRegistry({ dirs: [overrides, dir] }).list().find(p => p.name === 'greet').version).toBe('2-casual');
+  });
+
+  it('ships the built-in prompts next to the registry module', () => {
+    expect(fs.existsSync(path.join(BUILTIN_PROMPTS_DIR, 'draft_article.md'))).toBe(true);
+  });
+});
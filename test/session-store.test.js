@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createSessionStore, createStepRunner, SessionManager } from '../src/framework/session-store.js';
+import getSession from '../src/framework/getSession.tool.js';
+
+const require = createRequire(import.meta.url);
+const hasSqlite = ['node:sqlite', 'better-sqlite3'].some(name => {
+  try { return require(name) && true; } catch { return false; }
+});
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-sessions-')); });
+afterEach(() => {
+  vi.useRealTimers();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const backends = {
+  memory: () => ({ store: 'memory' }),
+  json: () => ({ store: 'json', dir }),
+  sqlite: () => ({ store: 'sqlite', file: path.join(dir, 'sessions.db') })
+};
+
+describe.each(Object.keys(backends))('%s session store', name => {
+  it.skipIf(name === 'sqlite' && !hasSqlite)('records steps and lists, gets and deletes sessions', async () => {
+    const store = createSessionStore(backends[name]());
+    const session = await store.create({ input: { userPrompt: 'Solar storage' } });
+    await store.saveStep(session.id, 'analyze_request', { status: 'running', input: { userPrompt: 'Solar storage' } });
+    await store.saveStep(session.id, 'analyze_request', { status: 'completed', output: { topic: 'Solar storage' } });
+    await store.update(session.id, { status: 'completed', result: { body: 'Done' } });
+    const other = await store.create({ id: 'run-2', input: {} });
+
+    expect(await store.get(session.id)).toMatchObject({
+      id: session.id, status: 'completed', input: { userPrompt: 'Solar storage' }, result: { body: 'Done' },
+      steps: { analyze_request: { status: 'completed', input: { userPrompt: 'Solar storage' }, output: { topic: 'Solar storage' } } }
+    });
+    expect((await store.list()).map(s => s.id).sort()).toEqual([other.id, session.id].sort());
+    expect(await store.list({ status: 'completed' })).toEqual([expect.objectContaining({ id: session.id, steps: ['analyze_request'] })]);
+
+    expect(await store.delete(other.id)).toBe(true);
+    expect(await store.get(other.id)).toBeUndefined();
+    await expect(store.saveStep('run-2', 'x', {})).rejects.toThrow(expect.objectContaining({ name: 'SessionNotFound' }));
+  });
+});
+
+describe('session store', () => {
+  it('keeps json sessions across store instances', async () => {
+    const { id } = await createSessionStore({ dir }).create({ input: { userPrompt: 'x' } });
+    expect(fs.readdirSync(dir)).toEqual([`${id}.json`]);
+    expect((await createSessionStore({ dir }).get(id)).input).toEqual({ userPrompt: 'x' });
+  });
+
+  it('drops sessions past their TTL', async () => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = createSessionStore({ dir, ttl: 60_000 });
+    const old = await store.create({});
+    vi.setSystemTime(new Date('2026-01-01T00:00:50Z'));
+    const recent = await store.create({});
+    vi.setSystemTime(new Date('2026-01-01T00:01:30Z'));
+
+    expect(await store.get(old.id)).toBeUndefined();
+    expect(await store.list()).toEqual([expect.objectContaining({ id: recent.id })]);
+    vi.setSystemTime(new Date('2026-01-01T00:03:00Z'));
+    expect(await store.cleanup()).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('rejects ids that are not safe file names and unknown backends', async () => {
+    const store = createSessionStore({ dir });
+    await expect(store.get('../secrets')).rejects.toThrow(expect.objectContaining({ name: 'InvalidParams' }));
+    expect(() => createSessionStore({ store: 'redis' })).toThrow(expect.objectContaining({ name: 'ConfigError' }));
+  });
+});
+
+describe('createStepRunner', () => {
+  // A two-step pipeline whose second step fails without keywords
+  const pipeline = async (runner, calls) => {
+    const research = await runner.run('research', { topic: 'solar' }, async input => {
+      calls.push('research');
+      return { facts: [`${input.topic} facts`] };
+    });
+    return runner.run('seo', { facts: research.facts, keywords: [] }, async (input, context) => {
+      calls.push(`seo:${context.tool}`);
+      if (!input.keywords.length) throw new Error('No keywords');
+      return { keywords: input.keywords, facts: input.facts };
+    });
+  };
+
+  it('checkpoints each step and resumes from the first incomplete one with input overrides', async () => {
+    const sessions = createSessionStore({ store: 'memory' });
+    const { id } = await sessions.create({ input: { topic: 'solar' } });
+    const calls = [];
+
+    const first = createStepRunner({ sessions, sessionId: id });
+    await expect(pipeline(first, calls)).rejects.toThrow('No keywords');
+    expect(first.failedStep).toBe('seo');
+    let session = await sessions.get(id);
+    expect(session.steps.research).toMatchObject({ status: 'completed', output: { facts: ['solar facts'] } });
+    expect(session.steps.seo).toMatchObject({ status: 'failed', error: 'No keywords', input: { keywords: [] } });
+
+    const resumed = createStepRunner({ sessions, sessionId: id, checkpoints: session.steps, inputOverrides: { keywords: ['home battery'] } });
+    expect(await pipeline(resumed, calls)).toEqual({ keywords: ['home battery'], facts: ['solar facts'] });
+    expect(calls).toEqual(['research', 'seo:seo', 'seo:seo']); // research ran once
+    session = await sessions.get(id);
+    expect(session.steps.seo).toMatchObject({ status: 'completed', input: { keywords: ['home battery'] } });
+    expect(session.steps.seo).not.toHaveProperty('error');
+  });
+
+  it('saves the running step as cancelled once the signal is aborted, even if it fell back to a result', async () => {
+    const sessions = createSessionStore({ store: 'memory' });
+    const { id } = await sessions.create({ input: { topic: 'solar' } });
+    const controller = new AbortController();
+    const runner = createStepRunner({ sessions, sessionId: id, signal: controller.signal });
+    await runner.run('research', { topic: 'solar' }, async () => ({ facts: ['f1'] }));
+    const error = await runner.run('seo', { keywords: [] }, async () => {
+      controller.abort('Stopped by the user');
+      return { keywords: [] }; // a tool's fallback after its request was aborted
+    }).catch(e => e);
+
+    expect(error).toMatchObject({ name: 'Cancelled', message: 'Stopped by the user' });
+    expect(runner.failedStep).toBe('seo');
+    const session = await sessions.get(id);
+    expect(session.steps.research.status).toBe('completed');
+    expect(session.steps.seo).toMatchObject({ status: 'cancelled', error: 'Stopped by the user' });
+    expect(session.steps.seo.output).toBeUndefined();
+  });
+});
+
+describe('re-running a step', () => {
+  // research -> title -> draft, plus a tags step that only depends on research
+  const pipeline = async (runner, calls, titles = ['Solar at Home']) => {
+    const record = (name, fn) => async input => { calls.push(name); return fn(input); };
+    const research = await runner.run('research', { topic: 'solar' }, record('research', () => ({ facts: ['f1'] })));
+    const title = await runner.run('title', { facts: research.facts }, record('title', () => ({ title: titles.shift() })));
+    const tags = await runner.run('tags', { facts: research.facts }, record('tags', () => ({ tags: ['energy'] })));
+    return runner.run('draft', { title: title.title, facts: research.facts }, record('draft', input => ({ body: `# ${input.title}` })));
+  };
+
+  it('runs the forced step and only the steps whose inputs change, as a new revision', async () => {
+    const sessions = createSessionStore({ store: 'memory' });
+    const { id } = await sessions.create({ input: { topic: 'solar' } });
+    const calls = [];
+    await pipeline(createStepRunner({ sessions, sessionId: id }), calls);
+    await sessions.update(id, { status: 'completed', result: { body: '# Solar at Home' } });
+
+    const revised = await sessions.addRevision(id, { rerun: { step: 'title' }, result: undefined });
+    expect(revised).toMatchObject({ revision: 2, revisions: [{ revision: 1, status: 'completed', result: { body: '# Solar at Home' } }] });
+    calls.length = 0;
+    const runner = createStepRunner({ sessions, sessionId: id, checkpoints: revised.steps, force: 'title' });
+    expect(await pipeline(runner, calls, ['Home Batteries'])).toEqual({ body: '# Home Batteries' });
+    expect(calls).toEqual(['title', 'draft']);
+
+    // Forcing a step with the same output leaves its dependents alone; overrides go to the forced step
+    const again = await sessions.addRevision(id);
+    calls.length = 0;
+    const overridden = createStepRunner({ sessions, sessionId: id, checkpoints: again.steps, force: 'tags', inputOverrides: { facts: ['f2'] } });
+    await pipeline(overridden, calls);
+    expect(calls).toEqual(['tags']);
+    const session = await sessions.get(id);
+    expect(session.steps.tags).toMatchObject({ input: { facts: ['f2'] }, overrides: { facts: ['f2'] } });
+    expect(session.revisions.map(r => r.steps.draft.output.body)).toEqual(['# Solar at Home', '# Home Batteries']);
+
+    // A resumed run replays the overridden step, since its input plus overrides still match
+    calls.length = 0;
+    await pipeline(createStepRunner({ sessions, sessionId: id, checkpoints: session.steps }), calls);
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('get_session', () => {
+  it('returns the stored session, even in mock mode, and an error for unknown ids', async () => {
+    const manager = new SessionManager();
+    const { id } = await manager.store.create({ input: { userPrompt: 'Solar storage' } });
+
+    expect(await getSession.handler({ sessionId: id }, { server: { sessionManager: manager } })).toMatchObject({ id, status: 'running' });
+    expect(await getSession.handler({ sessionId: id }, { sessions: manager.store, mockMode: true })).toMatchObject({ input: { userPrompt: 'Solar storage' } });
+    expect(await getSession.handler({ sessionId: 'missing' }, { sessions: manager.store })).toEqual({ error: 'Session not found' });
+    expect((await getSession.handler({ sessionId: 'missing' }, { sessions: manager.store, mockMode: true })).topic).toBe('Mock Topic');
+  });
+});
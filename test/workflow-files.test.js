@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWorkflowRegistry, loadWorkflowFile, buildWorkflow } from '../src/framework/workflow-files.js';
+import { BUILTIN_WORKFLOWS_DIR } from '../src/app/workflows/index.js';
+
+let dir;
+const write = (name, text) => fs.writeFileSync(path.join(dir, name), text);
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bw-workflows-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Stand-ins for the article tools, each echoing its input
+const ARTICLE_TOOLS = ['analyze_request', 'deep_research', 'generate_proposals', 'generate_titles', 'create_outline',
+  'draft_article', 'improve_readability', 'optimize_seo', 'plan_media', 'embed_media'];
+const echoTools = calls => Object.fromEntries(ARTICLE_TOOLS.map(tool => [tool, async input => { calls.push(tool); return { ...input, topic: 'Solar' }; }]));
+
+describe('built-in workflows', () => {
+  it('builds the article and quick-post workflows from the article tools', async () => {
+    const registry = createWorkflowRegistry({ dirs: [BUILTIN_WORKFLOWS_DIR] });
+    expect(registry.list().map(w => w.name)).toEqual(['article', 'quick-post']);
+
+    const article = buildWorkflow(registry.get('article'), echoTools([]));
+    // Titles are written while the outline is, and media is planned during the SEO pass
+    expect(article.graph.levels).toEqual([
+      ['analyze'], ['research'], ['proposal'], ['titles', 'outline'], ['draft'], ['readability'], ['seo', 'media_plan'], ['media']
+    ]);
+    expect(article.graph.dependsOn).toMatchObject({
+      outline: ['analyze', 'proposal', 'research'], draft: ['outline', 'titles', 'proposal', 'research', 'analyze'],
+      media: ['seo', 'media_plan']
+    });
+    expect(registry.get('article').steps.filter(step => step.approval).map(step => `${step.name}:${step.approval}`))
+      .toEqual(['proposal:after', 'outline:after', 'media_plan:after']);
+
+    const calls = [];
+    const data = await buildWorkflow(registry.get('quick-post'), echoTools(calls))({ userPrompt: 'Write about solar' });
+    expect(calls).toEqual(['analyze_request', 'generate_proposals', 'generate_titles', 'create_outline', 'draft_article', 'improve_readability']);
+    expect(data.outline).toMatchObject({ topic: 'Solar', researchData: '' });
+    expect(buildWorkflow(registry.get('quick-post'), echoTools([])).graph.levels)
+      .toEqual([['analyze'], ['proposal'], ['titles', 'outline'], ['draft'], ['readability']]);
+  });
+});
+
+describe('workflow files', () => {
+  it('lets a project workflow add steps and replace a built-in one', async () => {
+    write('article.json', JSON.stringify({ description: 'Ours', params: ['userPrompt'], steps: [{ name: 'analyze', tool: 'analyze_request', inputs: ['userPrompt'] }] }));
+    write('pillar-page.yaml', [
+      'description: Long-form pillar page that plans its angle during research',
+      'params: [userPrompt]',
+      'steps:',
+      '  - { name: analyze, tool: analyze_request, inputs: [userPrompt] }',
+      '  - { name: research, tool: deep_research, inputs: [analyze.topic] }',
+      '  - { name: proposal, tool: generate_proposals, inputs: { topic: analyze.topic, instructions: { value: Compare competitors } } }',
+      '  - { name: outline, tool: create_outline, inputs: [research.topic, proposal.instructions] }'
+    ].join('\n'));
+    const registry = createWorkflowRegistry({ dirs: [BUILTIN_WORKFLOWS_DIR] });
+
+    expect(registry.get('article', { dirs: [dir] }).description).toBe('Ours');
+    expect(registry.list({ dirs: [dir] }).map(w => [w.name, w.source])).toEqual([
+      ['article', path.join(dir, 'article.json')],
+      ['pillar-page', path.join(dir, 'pillar-page.yaml')],
+      ['quick-post', path.join(BUILTIN_WORKFLOWS_DIR, 'quick-post.yaml')]
+    ]);
+
+    const pillar = buildWorkflow(registry.get('pillar-page', { dirs: [dir] }), echoTools([]));
+    expect(pillar.graph.levels).toEqual([['analyze'], ['research', 'proposal'], ['outline']]);
+    expect((await pillar({ userPrompt: 'solar' })).outline).toMatchObject({ instructions: 'Compare competitors' });
+  });
+
+  it('reports invalid definitions, unknown tools and missing inputs with the file', () => {
+    write('bad.yaml', 'steps:\n  - { name: analyze, tool: analyze_request, input: [userPrompt] }');
+    expect(() => loadWorkflowFile(path.join(dir, 'bad.yaml'))).toThrow(/Invalid workflow .*bad\.yaml:\n {2}steps\.0: Unrecognized key\(s\) in object: 'input'/);
+    write('twice.yaml', 'steps:\n  - { name: a, tool: x }\n  - { name: a, tool: y }');
+    expect(() => loadWorkflowFile(path.join(dir, 'twice.yaml'))).toThrow(/two steps named "a"/);
+    write('reused.yaml', 'steps:\n  - { name: draft, tool: draft_article }\n  - { name: redraft, tool: draft_article }');
+    expect(() => loadWorkflowFile(path.join(dir, 'reused.yaml')))
+      .toThrow(/reused\.yaml runs tool "draft_article" in more than one step \("draft", "redraft"\); each tool can run in one step only/);
+
+    write('typo.yaml', 'params: [userPrompt]\nsteps:\n  - { name: analyze, tool: analyse_request, inputs: [userPrompt] }');
+    expect(() => buildWorkflow(loadWorkflowFile(path.join(dir, 'typo.yaml')), echoTools([])))
+      .toThrow(/typo\.yaml: Unknown tools: analyse_request \(step "analyze"\)/);
+    write('gap.yaml', 'steps:\n  - { name: outline, tool: create_outline, inputs: [research.researchData] }');
+    expect(() => buildWorkflow(loadWorkflowFile(path.join(dir, 'gap.yaml')), echoTools([])))
+      .toThrow(expect.objectContaining({ name: 'WorkflowError', message: expect.stringMatching(/gap\.yaml: .*no step outputs "research"/) }));
+    expect(() => createWorkflowRegistry({ dirs: [dir] }).get('missing')).toThrow(/Workflow missing not found/);
+  });
+
+  it('only loads workflow names that stay inside the workflow directories', () => {
+    const inner = path.join(dir, 'workflows');
+    fs.mkdirSync(inner);
+    write('secret.yaml', 'steps:\n  - { name: analyze, tool: analyze_request }');
+    const registry = createWorkflowRegistry({ dirs: [inner] });
+    for (const name of ['../secret', '/etc/passwd', 'a/b', 'article.yaml', '']) {
+      expect(() => registry.get(name)).toThrow(expect.objectContaining({ name: 'WorkflowError', message: expect.stringContaining('Invalid workflow name') }));
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { createWorkflow, mapToolsToSteps } from '../src/framework/workflow.js';
+import { createSessionStore, createStepRunner } from '../src/framework/session-store.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// analyze -> (title, scaffold) -> outline -> (seo, media)
+const definitions = log => {
+  const step = (name, fn) => async input => {
+    log.push(`start ${name}`);
+    await tick();
+    log.push(`end ${name}`);
+    return fn(input);
+  };
+  return {
+    analyze: { inputs: ['userPrompt'], run: step('analyze', ({ userPrompt }) => ({ topic: userPrompt, keywords: ['solar'] })) },
+    title: { inputs: ['analyze.topic'], run: step('title', ({ topic }) => ({ title: `All About ${topic}` })) },
+    scaffold: { inputs: { subject: 'analyze.topic' }, output: 'sections', run: step('scaffold', ({ subject }) => ({ headings: [`Why ${subject}`] })) },
+    outline: { inputs: ['title.title', 'sections.headings'], run: step('outline', input => ({ outline: `# ${input.title}\n## ${input.headings[0]}` })) },
+    seo: { inputs: ['outline.outline', 'analyze.keywords'], run: step('seo', ({ keywords }) => ({ score: keywords.length })) },
+    media: { inputs: ['outline.outline'], run: step('media', () => ({ images: 2 })) }
+  };
+};
+
+describe('createWorkflow', () => {
+  it('runs independent steps in parallel and reports progress from the graph', async () => {
+    const log = [];
+    const progress = [];
+    const workflow = createWorkflow(definitions(log), { params: ['userPrompt'] });
+    expect(workflow.graph.levels).toEqual([['analyze'], ['title', 'scaffold'], ['outline'], ['seo', 'media']]);
+
+    const data = await workflow({ userPrompt: 'Solar' }, { progress: event => progress.push(event) });
+    expect(data).toMatchObject({
+      userPrompt: 'Solar', sections: { headings: ['Why Solar'] },
+      outline: { outline: '# All About Solar\n## Why Solar' }, seo: { score: 1 }, media: { images: 2 }
+    });
+    expect(log.slice(2, 6)).toEqual(['start title', 'start scaffold', 'end title', 'end scaffold']);
+    expect(log.slice(8)).toEqual(['start seo', 'start media', 'end seo', 'end media']);
+    expect(progress.filter(e => e.type === 'step:start').slice(1, 3)).toEqual([
+      expect.objectContaining({ step: 'title', completed: 1, total: 6, progress: 16 }),
+      expect.objectContaining({ step: 'scaffold', completed: 1, total: 6, progress: 16 })
+    ]);
+    expect(progress.at(-1)).toMatchObject({ type: 'step:finish', step: 'media', completed: 6, progress: 100, durationMs: expect.any(Number) });
+  });
+
+  it('rejects missing dependencies, shared outputs and cycles when it is built', () => {
+    const run = async () => ({});
+    const build = (steps, params) => () => createWorkflow(steps, { params });
+    expect(build({ outline: { inputs: ['proposal.title'], run } })).toThrow(expect.objectContaining({
+      name: 'WorkflowError', message: expect.stringMatching(/"outline" needs "proposal.title", but no step outputs "proposal"/)
+    }));
+    expect(build({ draft: { inputs: ['userPrompt'], run } })).toThrow(/not a workflow param/);
+    expect(build({ a: { run }, b: { output: 'a', run } })).toThrow(/"a" and "b" both output "a"/);
+    expect(build({ a: { inputs: ['b.x'], run }, b: { inputs: ['a.x'], run }, c: { run } })).toThrow(/cycle between steps "a", "b"/);
+    expect(build({ a: { inputs: [] } })).toThrow(/"a" has no run function/);
+  });
+
+  it('stops starting steps after a failure but lets running ones finish', async () => {
+    const log = [];
+    const steps = definitions(log);
+    steps.title.run = async () => { throw new Error('No title'); };
+    const progress = [];
+    const workflow = createWorkflow(steps, { params: ['userPrompt'] });
+
+    await expect(workflow({ userPrompt: 'Solar' }, { progress: e => progress.push(e) })).rejects.toThrow('No title');
+    expect(log).toEqual(['start analyze', 'end analyze', 'start scaffold', 'end scaffold']);
+    expect(progress.map(e => `${e.type} ${e.step}`)).toEqual([
+      'step:start analyze', 'step:finish analyze', 'step:start title', 'step:start scaffold', 'error title', 'step:finish scaffold'
+    ]);
+    expect(progress.at(-1)).toMatchObject({ completed: 2, progress: 33 });
+  });
+
+  it('checkpoints steps through runStep and replays them on resume', async () => {
+    const sessions = createSessionStore({ store: 'memory' });
+    const { id } = await sessions.create({});
+    const log = [];
+    const steps = definitions(log);
+    steps.media.tool = 'embed_media';
+    const media = steps.media.run;
+    steps.media.run = async () => { throw new Error('S3 down'); };
+    const workflow = createWorkflow(steps, { params: ['userPrompt'] });
+
+    const first = createStepRunner({ sessions, sessionId: id });
+    await expect(workflow({ userPrompt: 'Solar' }, { runStep: first.run.bind(first) })).rejects.toThrow('S3 down');
+    expect(first.failedStep).toBe('embed_media');
+
+    steps.media.run = media;
+    const resumed = createWorkflow(steps, { params: ['userPrompt'] });
+    const runner = createStepRunner({ sessions, sessionId: id, checkpoints: (await sessions.get(id)).steps });
+    log.length = 0;
+    expect((await resumed({ userPrompt: 'Solar' }, { runStep: runner.run.bind(runner) })).media).toEqual({ images: 2 });
+    expect(log).toEqual(['start media', 'end media']);
+    expect(Object.keys((await sessions.get(id)).steps).sort()).toEqual(['analyze', 'embed_media', 'outline', 'scaffold', 'seo', 'title']);
+  });
+});
+
+describe('mapToolsToSteps', () => {
+  it('wraps tools as steps and names every missing tool', async () => {
+    const deps = { analyze_request: async ({ userPrompt }, context) => ({ topic: userPrompt.trim(), tool: context.tool }) };
+    const steps = mapToolsToSteps(deps, {
+      analyze: { tool: 'analyze_request', inputs: ['userPrompt'], result: r => ({ ...r, topic: r.topic.toUpperCase() }) }
+    });
+    expect(await createWorkflow(steps, { params: ['userPrompt'] })({ userPrompt: ' solar ' }))
+      .toMatchObject({ analyze: { topic: 'SOLAR', tool: 'analyze_request' } });
+
+    expect(() => mapToolsToSteps(deps, { research: 'deep_research', draft: { tool: 'draft_article' } }))
+      .toThrow('Unknown tools: deep_research (step "research"), draft_article (step "draft")');
+  });
+});
@@ -1,6 +1,6 @@
 export default {
   test: {
-    include: ['test/llm-utils.test.js'],
+    include: ['test/llm-utils.test.js', 'test/prompts.test.js', 'test/context-window.test.js', 'test/deepResearch.test.js', 'test/generateProposals.test.js', 'test/model-routing.test.js', 'test/config.test.js', 'test/session-store.test.js', 'test/workflow.test.js', 'test/workflow-files.test.js', 'test/progress.test.js', 'test/approvals.test.js', 'test/batch.test.js', 'test/planner.test.js', 'test/main.test.js', 'test/interfaces.test.js'],
     testTimeout: 30000,
     environment: 'node',
     globals: true,